@@ -0,0 +1,676 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Command Line
+ * ============================================================================
+ *
+ * Runs the same audio operations as the web service on local files, without
+ * starting the server:
+ *
+ *   mute-video input.mov -o out.mov
+ *   mute-video "recordings/*.mp4" -o muted/ --json
+ *   mute-video talk.mp4 --operation mute-range --range 00:12-00:31
+ *
+ * Inputs are files, directories (their videos) or glob patterns; patterns are
+ * expanded here as well so they work in shells that do not expand them.
+ * Exit codes: 0 all files done (or skipped), 1 a file failed, 2 bad usage,
+ * 3 ffmpeg not found, 130 interrupted.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    OPERATIONS,
+    parseOperation,
+    validateOperationForMedia,
+    addsAudio,
+    describeOperation
+} = require('../lib/audioOperations');
+const { probeMedia } = require('../lib/mediaProbe');
+const { OUTPUT_FORMATS, parseOutputFormat } = require('../lib/outputFormats');
+const { parseEncodingSettings, describeEncodingSettings } = require('../lib/encodingPresets');
+const { CONFIG_SCHEMA } = require('../lib/config');
+const { FALLBACK_STRATEGIES, isFfmpegAvailable, processFile } = require('../lib/videoProcessor');
+const { classifyFfmpegError } = require('../lib/ffmpegErrors');
+const { version } = require('../package.json');
+
+const EXIT_CODES = {
+    OK: 0,
+    FAILED: 1,
+    USAGE: 2,
+    NO_FFMPEG: 3,
+    INTERRUPTED: 130
+};
+
+const RESULT_STATUS = {
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped'
+};
+
+// Directories and patterns pick up the same videos the server accepts
+const VIDEO_EXTENSIONS = CONFIG_SCHEMA.ALLOWED_EXTENSIONS.default;
+
+const USAGE = `Usage: mute-video <input...> [options]
+
+Inputs are video files, directories or glob patterns ("clips/**/*.mp4").
+
+Options:
+  -o, --output <path>     Output file (single input) or directory.
+                          Default: muted_<name> next to each input
+  --operation <name>      ${Object.values(OPERATIONS).join(', ')} (default: remove)
+  --range <start-end>     Range to silence, e.g. 00:12-00:31 (repeatable);
+                          implies --operation mute-range
+  --tracks <list>         Audio tracks to drop, e.g. 1,2; implies --operation drop-tracks
+  --audio <file>          Replacement audio for replace-audio
+  --format <name>         Output format: ${Object.keys(OUTPUT_FORMATS).join(', ')} (default: keep the input's)
+  --preset <name>         Encoding preset: copy, web-720p, web-1080p, small, custom
+  --crf <n>               Custom quality (0-51, lower is better)
+  --resolution <size>     Custom resolution, e.g. 1280x720 or 720p
+  --fps <n>               Custom framerate
+  --retry-strategies <list>
+                          Fallbacks tried when ffmpeg fails, in order, ending
+                          with reencode; none only re-encodes a failed copy
+                          (default: ${CONFIG_SCHEMA.RETRY_STRATEGIES.default.join(',')})
+  -y, --overwrite         Replace existing output files
+  --json                  Print a JSON report on stdout instead of text
+  -q, --quiet             No progress bar or per-file lines
+  -h, --help              Show this help
+  -v, --version           Show the version
+
+Exit codes: 0 done, 1 a file failed, 2 bad usage, 3 ffmpeg not found, 130 interrupted`;
+
+// Options that take a value; everything else is a flag
+const VALUE_OPTIONS = {
+    '-o': 'output',
+    '--output': 'output',
+    '--operation': 'operation',
+    '--range': 'range',
+    '--tracks': 'tracks',
+    '--audio': 'audio',
+    '--format': 'format',
+    '--preset': 'preset',
+    '--crf': 'crf',
+    '--resolution': 'resolution',
+    '--fps': 'fps',
+    '--retry-strategies': 'retryStrategies'
+};
+
+const FLAG_OPTIONS = {
+    '-y': 'overwrite',
+    '--overwrite': 'overwrite',
+    '--json': 'json',
+    '-q': 'quiet',
+    '--quiet': 'quiet',
+    '-h': 'help',
+    '--help': 'help',
+    '-v': 'version',
+    '--version': 'version'
+};
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.USAGE;
+    return error;
+}
+
+/**
+ * Parse the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object} Options with `inputs` and `range` as lists
+ * @throws {Error} With exitCode 2 on unknown options or missing values
+ */
+function parseArgs(argv) {
+    const options = { inputs: [], range: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        if (arg === '--') {
+            options.inputs.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            options.inputs.push(arg);
+            continue;
+        }
+
+        let value;
+        const equals = arg.indexOf('=');
+        if (arg.startsWith('--') && equals !== -1) {
+            value = arg.slice(equals + 1);
+            arg = arg.slice(0, equals);
+        }
+
+        if (FLAG_OPTIONS[arg] && value === undefined) {
+            options[FLAG_OPTIONS[arg]] = true;
+        } else if (VALUE_OPTIONS[arg]) {
+            if (value === undefined) {
+                value = argv[++i];
+                if (value === undefined) {
+                    throw usageError(`${arg} needs a value`);
+                }
+            }
+            const name = VALUE_OPTIONS[arg];
+            if (name === 'range') {
+                options.range.push(value);
+            } else {
+                options[name] = value;
+            }
+        } else {
+            throw usageError(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Turn the command line into the fields the server's parsers expect
+ * @param {object} options - Parsed command line
+ * @returns {object} { operation, format, settings, strategies }
+ * @throws {Error} With exitCode 2 when an operation setting is invalid
+ */
+function buildJobSettings(options) {
+    // --range and --tracks belong to one operation each, which they select when none is named
+    const rangeOrTracks = [
+        options.range.length > 0 ? ['--range', OPERATIONS.MUTE_RANGE] : null,
+        options.tracks !== undefined ? ['--tracks', OPERATIONS.DROP_TRACKS] : null
+    ].filter(Boolean);
+    if (rangeOrTracks.length > 1) {
+        throw usageError('--range and --tracks belong to different operations; use one of them');
+    }
+    let operation = options.operation;
+    if (rangeOrTracks.length === 1) {
+        const [option, implied] = rangeOrTracks[0];
+        if (operation === undefined) {
+            operation = implied;
+        } else if (operation !== implied) {
+            throw usageError(`${option} is only used with --operation ${implied}`);
+        }
+    }
+
+    const fields = {
+        operation: operation,
+        tracks: options.tracks,
+        preset: options.preset,
+        crf: options.crf,
+        resolution: options.resolution,
+        fps: options.fps
+    };
+    if (options.range.length > 0) {
+        fields.ranges = options.range.map((range) => {
+            const match = range.match(/^\s*([^-\s]+)\s*-\s*([^-\s]+)\s*$/);
+            if (!match) {
+                throw usageError(`Invalid range: ${range}. Use START-END, e.g. 00:12-00:31`);
+            }
+            return [match[1], match[2]];
+        });
+    }
+    if (options.audio && !fs.existsSync(options.audio)) {
+        throw usageError(`Replacement audio not found: ${options.audio}`);
+    }
+
+    let strategies = CONFIG_SCHEMA.RETRY_STRATEGIES.default;
+    if (options.retryStrategies !== undefined) {
+        strategies = options.retryStrategies.split(',').map(name => name.trim()).filter(Boolean);
+        if (strategies.length === 1 && strategies[0] === 'none') {
+            strategies = [];
+        }
+        const known = Object.values(FALLBACK_STRATEGIES);
+        const unknown = strategies.filter(name => !known.includes(name));
+        if (unknown.length > 0) {
+            throw usageError(`Unknown retry strategy: ${unknown.join(', ')}. Use ${known.join(', ')} or none`);
+        }
+        if (strategies.length > 0 && strategies[strategies.length - 1] !== FALLBACK_STRATEGIES.REENCODE) {
+            throw usageError(`--retry-strategies must end with ${FALLBACK_STRATEGIES.REENCODE} (or be none)`);
+        }
+    }
+
+    try {
+        return {
+            operation: parseOperation(fields, {
+                audio: options.audio ? [{ originalname: path.basename(options.audio) }] : []
+            }),
+            format: parseOutputFormat(options.format),
+            settings: parseEncodingSettings(fields),
+            strategies: strategies
+        };
+    } catch (error) {
+        throw usageError(error.message);
+    }
+}
+
+// ============================================================================
+// INPUT EXPANSION
+// ============================================================================
+
+const hasGlobChars = (value) => /[*?[]/.test(value);
+
+function globSegmentToRegExp(segment) {
+    const pattern = segment
+        .replace(/[.+^${}()|\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${pattern}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+function readDirectory(directory) {
+    try {
+        return fs.readdirSync(directory, { withFileTypes: true })
+            .filter(entry => !entry.name.startsWith('.'));
+    } catch (error) {
+        return [];
+    }
+}
+
+function subdirectories(directory) {
+    const found = [];
+    for (const entry of readDirectory(directory)) {
+        if (entry.isDirectory()) {
+            const child = path.join(directory, entry.name);
+            found.push(child, ...subdirectories(child));
+        }
+    }
+    return found;
+}
+
+/**
+ * Expand a glob pattern ("*", "?", "[abc]" and "**" for any depth)
+ * @param {string} pattern - Pattern
+ * @returns {string[]} Matching files
+ */
+function expandGlob(pattern) {
+    const absolute = path.resolve(pattern);
+    const root = path.parse(absolute).root;
+    let matches = [root];
+
+    for (const segment of absolute.slice(root.length).split(path.sep)) {
+        const next = [];
+        for (const base of matches) {
+            if (segment === '**') {
+                next.push(base, ...subdirectories(base));
+            } else if (!hasGlobChars(segment)) {
+                next.push(path.join(base, segment));
+            } else {
+                const regexp = globSegmentToRegExp(segment);
+                for (const entry of readDirectory(base)) {
+                    if (regexp.test(entry.name)) next.push(path.join(base, entry.name));
+                }
+            }
+        }
+        matches = next;
+    }
+
+    return matches.filter(match => fs.existsSync(match) && fs.statSync(match).isFile());
+}
+
+const isVideoFile = (file) => VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+/**
+ * Resolve the inputs to a list of files
+ * @param {string[]} inputs - Files, directories and patterns from the command line
+ * @returns {string[]} Absolute file paths, without duplicates
+ * @throws {Error} With exitCode 2 when an input matches nothing
+ */
+function expandInputs(inputs) {
+    const files = [];
+
+    for (const input of inputs) {
+        let found;
+        if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            found = readDirectory(input)
+                .filter(entry => entry.isFile() && isVideoFile(entry.name))
+                .map(entry => path.resolve(input, entry.name));
+        } else if (fs.existsSync(input)) {
+            found = [path.resolve(input)];
+        } else if (hasGlobChars(input)) {
+            found = expandGlob(input).filter(isVideoFile);
+        } else {
+            throw usageError(`Input not found: ${input}`);
+        }
+
+        if (found.length === 0) {
+            throw usageError(`No videos match ${input}`);
+        }
+        files.push(...found.sort());
+    }
+
+    return [...new Set(files)];
+}
+
+/**
+ * Work out where each input is written
+ * @param {string} inputPath - Input file
+ * @param {string} extension - Planned output extension
+ * @param {object} target - { path, isDirectory } from the -o option, or null
+ * @returns {string} Output file
+ */
+function outputPathFor(inputPath, extension, target) {
+    const name = `muted_${path.basename(inputPath, path.extname(inputPath))}${extension}`;
+    if (!target) {
+        return path.join(path.dirname(inputPath), name);
+    }
+    return target.isDirectory ? path.join(target.path, name) : target.path;
+}
+
+/**
+ * Find two inputs that would be written to the same file in an output directory
+ * @param {string[]} files - Input files
+ * @param {string|null} format - Output format, or null to keep each input's container
+ * @returns {object|null} { inputs, output } for the first collision, or null when every output is distinct
+ */
+function findOutputCollision(files, format) {
+    const seen = new Map();
+    for (const file of files) {
+        const extension = format ? OUTPUT_FORMATS[format].extension : path.extname(file);
+        const name = path.basename(outputPathFor(file, extension.toLowerCase(), { path: '', isDirectory: true }));
+        const key = process.platform === 'win32' || process.platform === 'darwin' ? name.toLowerCase() : name;
+        if (seen.has(key)) {
+            return { inputs: [seen.get(key), file], output: name };
+        }
+        seen.set(key, file);
+    }
+    return null;
+}
+
+// ============================================================================
+// PROGRESS OUTPUT
+// ============================================================================
+
+function createProgressBar(stream, enabled) {
+    const width = 30;
+    let active = false;
+
+    return {
+        update(label, percent) {
+            if (!enabled) return;
+            const filled = Math.round(width * percent / 100);
+            const bar = '█'.repeat(filled) + '░'.repeat(width - filled);
+            stream.write(`\r${bar} ${String(percent).padStart(3)}%  ${label}\x1b[K`);
+            active = true;
+        },
+
+        clear() {
+            if (!active) return;
+            stream.write('\r\x1b[K');
+            active = false;
+        }
+    };
+}
+
+// ============================================================================
+// PROCESSING
+// ============================================================================
+
+/**
+ * Mute one file
+ * @param {string} inputPath - Input file
+ * @param {object} job - Shared settings plus the output target
+ * @returns {Promise<object>} Result for the report
+ */
+async function muteFile(inputPath, job) {
+    const startedAt = Date.now();
+    const result = {
+        input: inputPath,
+        output: null,
+        status: RESULT_STATUS.FAILED,
+        operation: describeOperation(job.operation),
+        encoding: null,
+        attempts: 0,
+        strategy: null,
+        error: null,
+        errorCode: null,
+        hint: null,
+        durationMs: 0
+    };
+    const finish = (status, error) => {
+        result.status = status;
+        result.error = error || null;
+        result.durationMs = Date.now() - startedAt;
+        return result;
+    };
+
+    let mediaInfo;
+    try {
+        mediaInfo = await probeMedia(inputPath);
+    } catch (error) {
+        return finish(RESULT_STATUS.FAILED, 'The file could not be read as a video. It may be corrupt or in an unsupported format.');
+    }
+    if (!mediaInfo.hasVideo) {
+        return finish(RESULT_STATUS.FAILED, 'The file has no video stream');
+    }
+    if (!mediaInfo.hasAudio && !addsAudio(job.operation)) {
+        return finish(RESULT_STATUS.SKIPPED, 'The video has no audio track, there is nothing to mute');
+    }
+    try {
+        validateOperationForMedia(job.operation, mediaInfo);
+    } catch (error) {
+        return finish(RESULT_STATUS.FAILED, error.message);
+    }
+
+    // "-o out.webm" converts unless a format was chosen explicitly
+    let format = job.format;
+    if (!format && job.target && !job.target.isDirectory) {
+        const outputExt = path.extname(job.target.path).toLowerCase();
+        if (outputExt !== path.extname(inputPath).toLowerCase() && OUTPUT_FORMATS[outputExt.slice(1)]) {
+            format = outputExt.slice(1);
+        }
+    }
+
+    const label = path.basename(inputPath);
+    let processed;
+    try {
+        processed = await processFile({
+            inputPath: inputPath,
+            outputPath: (extension) => {
+                const outputPath = outputPathFor(inputPath, extension, job.target);
+                if (outputPath === inputPath) {
+                    throw new Error('The output would overwrite the input');
+                }
+                // A fallback can still change the extension so that two inputs meet
+                if (job.written.has(outputPath)) {
+                    throw new Error(`${outputPath} was already written for another input`);
+                }
+                if (fs.existsSync(outputPath) && !job.overwrite) {
+                    throw new Error(`${outputPath} already exists (use --overwrite to replace it)`);
+                }
+                result.output = outputPath;
+                return outputPath;
+            },
+            operation: job.operation,
+            audioPath: job.audioPath,
+            format: format,
+            settings: job.settings,
+            mediaInfo: mediaInfo,
+            // An explicit output file name fixes the container, so never switch it to MKV
+            strategies: job.target && !job.target.isDirectory
+                ? job.strategies.filter(name => name !== FALLBACK_STRATEGIES.REMUX_MKV)
+                : job.strategies,
+            isCancelled: () => job.interrupted,
+            onRetry: (strategy) => {
+                if (job.verbose) {
+                    job.progress.clear();
+                    console.error(`! ${label}: ffmpeg failed, retrying with ${strategy}`);
+                }
+            },
+            onSpawn: (ffmpeg) => {
+                job.current = ffmpeg;
+            },
+            onProgress: (percent) => job.progress.update(label, percent)
+        });
+    } catch (error) {
+        return finish(RESULT_STATUS.FAILED, error.message);
+    } finally {
+        job.current = null;
+        job.progress.clear();
+    }
+
+    result.encoding = processed.encoding.reencodeVideo ? 'reencode' : 'copy';
+    result.attempts = processed.attempts.length;
+    result.strategy = processed.strategy;
+    if (processed.code !== 0) {
+        fs.unlink(processed.outputPath, () => {});
+        const reason = processed.stderr.trim().split('\n').pop();
+        const failure = classifyFfmpegError(processed.stderr);
+        result.errorCode = failure.code;
+        result.hint = failure.hint;
+        return finish(RESULT_STATUS.FAILED, `${failure.message}${reason ? ` (${reason})` : ''}`);
+    }
+    job.written.add(result.output);
+    return finish(RESULT_STATUS.COMPLETED);
+}
+
+function printResult(result) {
+    const name = path.relative(process.cwd(), result.input) || result.input;
+    if (result.status === RESULT_STATUS.COMPLETED) {
+        console.log(`✔ ${name} → ${path.relative(process.cwd(), result.output)} (${(result.durationMs / 1000).toFixed(1)}s)`);
+    } else if (result.status === RESULT_STATUS.SKIPPED) {
+        console.log(`- ${name} skipped: ${result.error}`);
+    } else {
+        console.error(`✖ ${name}: ${result.error}`);
+        if (result.hint) {
+            console.error(`  ${result.hint}`);
+        }
+    }
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+    if (options.version) {
+        console.log(version);
+        return EXIT_CODES.OK;
+    }
+    if (options.inputs.length === 0) {
+        throw usageError('No input files given');
+    }
+
+    const settings = buildJobSettings(options);
+    if (options.audio && settings.operation.type !== OPERATIONS.REPLACE_AUDIO) {
+        throw usageError('--audio is only used with --operation replace-audio');
+    }
+    const files = expandInputs(options.inputs);
+
+    let target = null;
+    if (options.output) {
+        const isDirectory = files.length > 1 || /[\\/]$/.test(options.output) ||
+            (fs.existsSync(options.output) && fs.statSync(options.output).isDirectory());
+        target = { path: path.resolve(options.output), isDirectory: isDirectory };
+        if (isDirectory) {
+            const collision = findOutputCollision(files, settings.format);
+            if (collision) {
+                const [first, second] = collision.inputs.map(file => path.relative(process.cwd(), file) || file);
+                throw usageError(`${first} and ${second} would both be written to ${collision.output}; ` +
+                    'process them into separate output directories');
+            }
+        }
+        fs.mkdirSync(isDirectory ? target.path : path.dirname(target.path), { recursive: true });
+    }
+
+    if (!isFfmpegAvailable()) {
+        const error = new Error('FFmpeg is not installed or not found in the PATH');
+        error.exitCode = EXIT_CODES.NO_FFMPEG;
+        throw error;
+    }
+
+    const report = !options.json && !options.quiet;
+    const job = Object.assign({}, settings, {
+        audioPath: options.audio ? path.resolve(options.audio) : null,
+        target: target,
+        overwrite: Boolean(options.overwrite),
+        written: new Set(),
+        verbose: report,
+        interrupted: false,
+        current: null,
+        progress: createProgressBar(process.stderr, report && process.stderr.isTTY)
+    });
+
+    process.on('SIGINT', () => {
+        job.interrupted = true;
+        if (job.current) job.current.kill('SIGKILL');
+    });
+
+    if (report) {
+        console.log(`${describeOperation(job.operation)} · ${describeEncodingSettings(job.settings)} · ${files.length} file(s)`);
+    }
+
+    const results = [];
+    for (const file of files) {
+        const result = await muteFile(file, job);
+        if (job.interrupted) {
+            if (result.output && result.status !== RESULT_STATUS.COMPLETED) {
+                fs.unlink(result.output, () => {});
+            }
+            break;
+        }
+        results.push(result);
+        if (report) printResult(result);
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = {
+        completed: count(RESULT_STATUS.COMPLETED),
+        failed: count(RESULT_STATUS.FAILED),
+        skipped: count(RESULT_STATUS.SKIPPED)
+    };
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            success: summary.failed === 0 && !job.interrupted,
+            interrupted: job.interrupted,
+            summary: summary,
+            results: results
+        }, null, 2));
+    } else if (report && (files.length > 1 || job.interrupted)) {
+        console.log(`${summary.completed} completed, ${summary.failed} failed, ${summary.skipped} skipped` +
+            (job.interrupted ? ` (interrupted, ${files.length - results.length} not processed)` : ''));
+    }
+
+    if (job.interrupted) return EXIT_CODES.INTERRUPTED;
+    return summary.failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+}
+
+/**
+ * Print the error that ended a run
+ * @param {Error} error - Error thrown by main
+ * @param {boolean} json - Print a JSON object on stdout instead of text on stderr
+ * @returns {number} Exit code
+ */
+function reportFatalError(error, json) {
+    const exitCode = error.exitCode || EXIT_CODES.FAILED;
+    if (json) {
+        console.log(JSON.stringify({ success: false, error: error.message, exitCode: exitCode }, null, 2));
+    } else {
+        console.error(`mute-video: ${error.message}`);
+        if (exitCode === EXIT_CODES.USAGE) {
+            console.error('Run mute-video --help for usage.');
+        }
+    }
+    return exitCode;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then((code) => {
+            process.exitCode = code;
+        })
+        .catch((error) => {
+            // Checked on the raw arguments: parsing them may be what failed
+            process.exitCode = reportFatalError(error, process.argv.slice(2).includes('--json'));
+        });
+}
+
+module.exports = {
+    EXIT_CODES,
+    parseArgs,
+    buildJobSettings,
+    expandInputs,
+    outputPathFor,
+    findOutputCollision,
+    reportFatalError,
+    main
+};
@@ -0,0 +1,141 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - API Keys
+ * ============================================================================
+ *
+ * API keys and their quotas, loaded from a JSON file:
+ *
+ *   {
+ *     "keys": [
+ *       {
+ *         "name": "pipeline",
+ *         "key": "a-long-random-secret",
+ *         "dailyUploadBytes": 53687091200,
+ *         "maxConcurrentJobs": 4,
+ *         "maxFileSize": 2147483648
+ *       }
+ *     ]
+ *   }
+ *
+ * Limits are optional; a missing or null limit means "no extra limit" (the
+ * server-wide limits still apply). Keys are sent in the `X-API-Key` header,
+ * as `Authorization: Bearer <key>`, or as a `token` query parameter for
+ * browser downloads and event streams. Jobs are owned by the key's name.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+
+const LIMIT_FIELDS = ['dailyUploadBytes', 'maxConcurrentJobs', 'maxFileSize'];
+const MIN_KEY_LENGTH = 16;
+
+/**
+ * Load API keys from a JSON file
+ * @param {string} filePath - Key file
+ * @returns {Map<string, object>|null} Keys by secret, or null when the file does not exist
+ * @throws {Error} When the file is unreadable or an entry is invalid
+ */
+function loadApiKeys(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read API key file ${filePath}: ${error.message}`);
+    }
+
+    const entries = Array.isArray(config) ? config : config.keys;
+    if (!Array.isArray(entries)) {
+        throw new Error(`API key file ${filePath} must contain a "keys" list`);
+    }
+
+    const keys = new Map();
+    const names = new Set();
+
+    entries.forEach((entry, index) => {
+        const label = `API key #${index + 1}`;
+        if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+            throw new Error(`${label} needs a name`);
+        }
+        if (typeof entry.key !== 'string' || entry.key.length < MIN_KEY_LENGTH) {
+            throw new Error(`${label} (${entry.name}) needs a key of at least ${MIN_KEY_LENGTH} characters`);
+        }
+        if (names.has(entry.name) || keys.has(entry.key)) {
+            throw new Error(`${label} (${entry.name}) duplicates the name or key of another entry`);
+        }
+
+        const limits = {};
+        for (const field of LIMIT_FIELDS) {
+            const value = entry[field];
+            if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+                throw new Error(`${label} (${entry.name}): ${field} must be a positive whole number`);
+            }
+            limits[field] = value || null;
+        }
+
+        names.add(entry.name);
+        keys.set(entry.key, { name: entry.name, limits: limits });
+    });
+
+    return keys;
+}
+
+/**
+ * Read the API key a request was made with
+ * @param {object} req - Express request
+ * @returns {string|null} Key, or null when none was sent
+ */
+function extractApiKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+
+    const authorization = req.get('Authorization');
+    const match = authorization && authorization.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+
+    return typeof req.query.token === 'string' && req.query.token !== '' ? req.query.token : null;
+}
+
+/**
+ * Create a per-key daily upload counter
+ * @param {object} usage - Persistent usage object (keyed by key name), updated in place
+ * @returns {object} Usage tracker
+ */
+function createUsageTracker(usage) {
+    const today = () => new Date().toISOString().slice(0, 10);
+
+    return {
+        /**
+         * Bytes uploaded by a key today (UTC)
+         * @param {string} name - Key name
+         * @returns {number} Bytes
+         */
+        uploadedToday(name) {
+            const entry = usage[name];
+            return entry && entry.day === today() ? entry.uploadBytes : 0;
+        },
+
+        /**
+         * Add uploaded bytes to a key's daily total
+         * @param {string} name - Key name
+         * @param {number} bytes - Bytes received
+         */
+        recordUpload(name, bytes) {
+            if (!(bytes > 0)) return;
+            const day = today();
+            if (!usage[name] || usage[name].day !== day) {
+                usage[name] = { day: day, uploadBytes: 0 };
+            }
+            usage[name].uploadBytes += bytes;
+        }
+    };
+}
+
+module.exports = {
+    loadApiKeys,
+    extractApiKey,
+    createUsageTracker
+};
@@ -0,0 +1,308 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Audio Operations
+ * ============================================================================
+ *
+ * Validates the `operation` requested on upload and turns it into ffmpeg
+ * arguments. Supported operations:
+ *
+ *   remove         Strip every audio stream (the original behaviour)
+ *   mute-range     Silence the audio inside one or more [start, end] ranges
+ *   drop-tracks    Drop selected audio tracks, keep the rest
+ *   silent-track   Replace the audio with a silent track
+ *   replace-audio  Swap in an uploaded replacement audio file
+ * ============================================================================
+ */
+
+const OPERATIONS = {
+    REMOVE: 'remove',
+    MUTE_RANGE: 'mute-range',
+    DROP_TRACKS: 'drop-tracks',
+    SILENT_TRACK: 'silent-track',
+    REPLACE_AUDIO: 'replace-audio'
+};
+
+// Upper bound on ranges per job, keeps the filter expression reasonable
+const MAX_MUTE_RANGES = 100;
+
+/**
+ * Parse a timecode such as "12", "00:12", "1:02:03.5" into seconds
+ * @param {string|number} value - Timecode or number of seconds
+ * @returns {number} Seconds, or NaN when the value is not a valid timecode
+ */
+function parseTimecode(value) {
+    if (typeof value === 'number') {
+        return value >= 0 ? value : NaN;
+    }
+    if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) {
+        return NaN;
+    }
+
+    return value.trim().split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Format seconds as a short timecode (mm:ss or h:mm:ss)
+ * @param {number} seconds - Seconds
+ * @returns {string} Formatted timecode
+ */
+function formatTimecode(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds / 60) % 60;
+    const remainder = seconds % 60;
+    const secs = Number.isInteger(remainder)
+        ? String(remainder).padStart(2, '0')
+        : remainder.toFixed(1).padStart(4, '0');
+    const mm = String(minutes).padStart(2, '0');
+
+    return hours > 0 ? `${hours}:${mm}:${secs}` : `${mm}:${secs}`;
+}
+
+/**
+ * Parse the ranges of a mute-range operation
+ *
+ * Accepts either a `ranges` field holding a JSON list of [start, end] pairs
+ * (numbers of seconds or timecodes) or a single `start`/`end` pair.
+ * Overlapping and touching ranges are merged and the result is sorted.
+ * @param {object} fields - Request body fields
+ * @returns {number[][]} Sorted, non-overlapping [start, end] pairs in seconds
+ * @throws {Error} When a range is missing or invalid
+ */
+function parseMuteRanges(fields) {
+    let rawRanges;
+    if (fields.ranges !== undefined && fields.ranges !== '') {
+        try {
+            rawRanges = typeof fields.ranges === 'string' ? JSON.parse(fields.ranges) : fields.ranges;
+        } catch (error) {
+            throw new Error('Mute ranges must be a JSON list of [start, end] pairs');
+        }
+    } else {
+        rawRanges = [[fields.start, fields.end]];
+    }
+
+    if (!Array.isArray(rawRanges) || rawRanges.length === 0) {
+        throw new Error('Specify at least one range to mute');
+    }
+    if (rawRanges.length > MAX_MUTE_RANGES) {
+        throw new Error(`Too many mute ranges (maximum ${MAX_MUTE_RANGES})`);
+    }
+
+    const ranges = rawRanges.map((range) => {
+        const start = Array.isArray(range) ? parseTimecode(range[0]) : NaN;
+        const end = Array.isArray(range) ? parseTimecode(range[1]) : NaN;
+        if (isNaN(start) || isNaN(end)) {
+            throw new Error('Each mute range needs a valid start and end time (e.g. 00:12 and 00:31)');
+        }
+        if (end <= start) {
+            throw new Error(`Mute range end time must be after the start time (${range[0]}–${range[1]})`);
+        }
+        return [start, end];
+    }).sort((a, b) => a[0] - b[0]);
+
+    const merged = [ranges[0]];
+    for (const range of ranges.slice(1)) {
+        const last = merged[merged.length - 1];
+        if (range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push(range);
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Validate upload fields and build a normalised operation description
+ * @param {object} fields - Request body fields
+ * @param {object} files - Uploaded files keyed by field name
+ * @returns {object} Operation, e.g. { type: 'mute-range', ranges: [[12, 31]] }
+ * @throws {Error} When the operation or its parameters are invalid
+ */
+function parseOperation(fields = {}, files = {}) {
+    const type = fields.operation || OPERATIONS.REMOVE;
+
+    switch (type) {
+        case OPERATIONS.REMOVE:
+        case OPERATIONS.SILENT_TRACK:
+            return { type };
+
+        case OPERATIONS.MUTE_RANGE:
+            return { type, ranges: parseMuteRanges(fields) };
+
+        case OPERATIONS.DROP_TRACKS: {
+            const tracks = String(fields.tracks || '')
+                .split(',')
+                .map(track => track.trim())
+                .filter(track => track !== '');
+            if (tracks.length === 0 || !tracks.every(track => /^\d+$/.test(track))) {
+                throw new Error('Specify the audio tracks to drop as a comma separated list of indexes (e.g. 1,2)');
+            }
+            return { type, tracks: [...new Set(tracks.map(Number))].sort((a, b) => a - b) };
+        }
+
+        case OPERATIONS.REPLACE_AUDIO: {
+            const audioFile = files.audio && files.audio[0];
+            if (!audioFile) {
+                throw new Error('Replacing the audio requires a replacement audio file');
+            }
+            return { type, audioName: audioFile.originalname };
+        }
+
+        default:
+            throw new Error(`Unknown operation: ${type}. Allowed: ${Object.values(OPERATIONS).join(', ')}`);
+    }
+}
+
+/**
+ * Check that an operation makes sense for the probed media
+ * @param {object} operation - Operation from parseOperation
+ * @param {object} mediaInfo - Media info from probeMedia
+ * @throws {Error} When the operation references streams the file does not have
+ */
+function validateOperationForMedia(operation, mediaInfo) {
+    if (operation.type === OPERATIONS.DROP_TRACKS) {
+        const trackCount = mediaInfo.audio.length;
+        const missing = operation.tracks.filter(track => track >= trackCount);
+        if (missing.length > 0) {
+            throw new Error(`Audio track(s) ${missing.join(', ')} do not exist. This file has ${trackCount} audio track(s), numbered from 0.`);
+        }
+    }
+
+    if (operation.type === OPERATIONS.MUTE_RANGE && mediaInfo.duration > 0) {
+        if (operation.ranges[0][0] >= mediaInfo.duration) {
+            throw new Error(`Mute ranges start after the end of the video (${formatTimecode(mediaInfo.duration)})`);
+        }
+    }
+}
+
+/**
+ * Whether an operation produces an audio track of its own
+ * @param {object} operation - Operation from parseOperation
+ * @returns {boolean} True for operations that add audio
+ */
+function addsAudio(operation) {
+    return operation.type === OPERATIONS.SILENT_TRACK || operation.type === OPERATIONS.REPLACE_AUDIO;
+}
+
+/**
+ * Human readable description of an operation
+ * @param {object} operation - Operation from parseOperation
+ * @returns {string} Description
+ */
+function describeOperation(operation) {
+    switch (operation && operation.type) {
+        case OPERATIONS.MUTE_RANGE:
+            return 'Mute ' + operation.ranges
+                .map(range => `${formatTimecode(range[0])}–${formatTimecode(range[1])}`)
+                .join(', ');
+        case OPERATIONS.DROP_TRACKS:
+            return `Drop audio track(s) ${operation.tracks.join(', ')}`;
+        case OPERATIONS.SILENT_TRACK:
+            return 'Replace audio with a silent track';
+        case OPERATIONS.REPLACE_AUDIO:
+            return `Replace audio with ${operation.audioName}`;
+        default:
+            return 'Remove all audio';
+    }
+}
+
+/**
+ * Build the ffmpeg argument list for an operation
+ * @param {object} operation - Operation from parseOperation
+ * @param {object} io - Input/output paths
+ * @param {string} io.inputPath - Source video
+ * @param {string} io.outputPath - Destination file
+ * @param {string} [io.audioPath] - Replacement audio (replace-audio only)
+ * @param {object} encoding - Encoding plan from planEncoding (see outputFormats)
+ * @returns {string[]} ffmpeg arguments
+ */
+function buildFfmpegArgs(operation, io, encoding) {
+    const audioCodec = encoding.audioCodec;
+    const videoArgs = encoding.videoArgs;
+    let args;
+
+    switch (operation.type) {
+        case OPERATIONS.MUTE_RANGE: {
+            // A single volume filter enabled inside any of the ranges; only audio is re-encoded
+            const enable = operation.ranges
+                .map(range => `between(t,${range[0]},${range[1]})`)
+                .join('+');
+            args = [
+                '-i', io.inputPath,
+                '-af', `volume=enable='${enable}':volume=0`,
+                ...videoArgs,
+                '-c:a', audioCodec
+            ];
+            break;
+        }
+
+        case OPERATIONS.DROP_TRACKS:
+            args = ['-i', io.inputPath, '-map', '0'];
+            for (const track of operation.tracks) {
+                args.push('-map', `-0:a:${track}`);
+            }
+            args.push(...videoArgs, '-c:a', encoding.copyAudio ? 'copy' : audioCodec);
+            // Subtitles and data streams rarely survive a container change
+            if (encoding.convertingContainer) {
+                args.push('-sn', '-dn');
+            } else {
+                args.push('-c:s', 'copy', '-c:d', 'copy');
+            }
+            break;
+
+        case OPERATIONS.SILENT_TRACK:
+            args = [
+                '-i', io.inputPath,
+                '-f', 'lavfi', '-i', 'anullsrc=channel_layout=stereo:sample_rate=48000',
+                '-map', '0:v',
+                '-map', '1:a',
+                ...videoArgs,
+                '-c:a', audioCodec,
+                '-shortest'
+            ];
+            break;
+
+        case OPERATIONS.REPLACE_AUDIO:
+            // Pad short replacements with silence and cut long ones at the video's end
+            args = [
+                '-i', io.inputPath,
+                '-i', io.audioPath,
+                '-map', '0:v',
+                '-map', '1:a:0',
+                ...videoArgs,
+                '-c:a', audioCodec,
+                '-af', 'apad',
+                '-shortest'
+            ];
+            break;
+
+        default:
+            args = [
+                '-i', io.inputPath,
+                '-an',                // Remove audio
+                ...videoArgs          // Copy video codec unless the target container needs a re-encode
+            ];
+    }
+
+    // Input options (e.g. timestamp fixes from a retry) go before the first input
+    return (encoding.inputArgs || []).concat(args, encoding.extraArgs, [
+        '-y',                         // Overwrite output
+        '-progress', 'pipe:1',        // Output progress to stdout
+        '-nostats',                   // Disable stats
+        io.outputPath
+    ]);
+}
+
+module.exports = {
+    OPERATIONS,
+    MAX_MUTE_RANGES,
+    parseTimecode,
+    formatTimecode,
+    parseMuteRanges,
+    parseOperation,
+    validateOperationForMedia,
+    addsAudio,
+    describeOperation,
+    buildFfmpegArgs
+};
@@ -0,0 +1,327 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Configuration
+ * ============================================================================
+ *
+ * Every setting has a default below. Defaults are overridden by an optional
+ * config file, which is in turn overridden by environment variables of the
+ * same name (e.g. `PORT=8080`, `MAX_FILE_SIZE=4GB`).
+ *
+ * The config file is `CONFIG_FILE` when set, otherwise the first of
+ * config.json, config.yaml and config.yml found in the service directory.
+ * It holds an object with the same keys:
+ *
+ *   PORT: 8080
+ *   MAX_FILE_SIZE: 4GB
+ *   FILE_RETENTION_MS: 6h
+ *   ALLOWED_EXTENSIONS: [.mp4, .mov]
+ *
+ * Sizes accept bytes or units (512MB, 2GB), durations accept milliseconds or
+ * units (30s, 5m, 1h, 7d) and lists accept arrays or comma separated strings.
+ * All problems are reported together so a broken setup is fixed in one go.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CONFIG_FILE_NAMES = ['config.json', 'config.yaml', 'config.yml'];
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const normalizeExtension = (ext) => {
+    const lower = ext.toLowerCase();
+    return lower.startsWith('.') ? lower : `.${lower}`;
+};
+
+const CONFIG_SCHEMA = {
+    PORT: { type: 'integer', default: 3000, min: 1, max: 65535 },
+    HOST: { type: 'string', default: '0.0.0.0' },
+    MAX_FILE_SIZE: { type: 'size', default: '2GB' },
+    FILE_RETENTION_MS: { type: 'duration', default: '1h' },
+    MAX_RETENTION_MS: { type: 'duration', default: '7d' }, // longest retention a job may ask for
+    // Uploads are refused (HTTP 507) when they would leave less than this free on the disk; 0 disables
+    MIN_FREE_DISK_BYTES: { type: 'size', default: '1GB' },
+    // Limit for uploads/ and outputs/ together, kept by evicting the least recently used outputs; 0: no limit
+    STORAGE_CAP_BYTES: { type: 'size', default: 0 },
+    CLEANUP_INTERVAL_MS: { type: 'duration', default: '5m' },
+    MAX_CONCURRENT_JOBS: { type: 'integer', default: 2, min: 1 }, // ffmpeg processes allowed to run at once
+    MAX_BATCH_FILES: { type: 'integer', default: 50, min: 1 }, // videos accepted by a single batch upload
+    UPLOAD_CHUNK_SIZE: { type: 'size', default: '8MB' }, // suggested chunk size for resumable uploads
+    MAX_UPLOAD_CHUNK_SIZE: { type: 'size', default: '64MB' }, // largest chunk accepted
+    UPLOAD_SESSION_TTL_MS: { type: 'duration', default: '24h' }, // inactivity before a resumable upload is dropped
+    MAX_EVENT_STREAMS: { type: 'integer', default: 500, min: 0 }, // open live-progress streams, beyond that clients poll; 0: no limit
+    STATS_BROADCAST_INTERVAL_MS: { type: 'duration', default: '30s' }, // unprompted stats events (keeps uptime fresh)
+    WEBHOOK_SECRET: { type: 'string', default: null }, // generated into data/ when not set
+    WEBHOOK_MAX_ATTEMPTS: { type: 'integer', default: 6, min: 1 }, // first attempt plus retries
+    WEBHOOK_RETRY_BASE_MS: { type: 'duration', default: '5s' }, // doubles after every attempt
+    WEBHOOK_TIMEOUT_MS: { type: 'duration', default: '10s' }, // per attempt
+    // Hosts callbacks may be sent to ("*.example.com" allowed); empty allows any public address
+    CALLBACK_ALLOWED_HOSTS: { type: 'list', default: [] },
+    API_KEYS_FILE: { type: 'path', default: 'api-keys.json' }, // authentication is off while this file is missing
+    // Hosts videos may be imported from by URL ("*.example.com" allowed); empty disables imports
+    IMPORT_ALLOWED_HOSTS: { type: 'list', default: [] },
+    IMPORT_TIMEOUT_MS: { type: 'duration', default: '60s' }, // without data before a source download fails
+    IMPORT_MAX_REDIRECTS: { type: 'integer', default: 5, min: 0 },
+    // Where inputs and outputs are kept: 'local' (the uploads/ and outputs/ directories) or 's3'
+    STORAGE_DRIVER: { type: 'enum', values: ['local', 's3'], default: 'local' },
+    S3_ENDPOINT: { type: 'string', default: null }, // e.g. https://s3.eu-west-1.amazonaws.com or http://localhost:9000
+    S3_REGION: { type: 'string', default: 'us-east-1' },
+    S3_BUCKET: { type: 'string', default: null },
+    S3_ACCESS_KEY_ID: { type: 'string', default: null },
+    S3_SECRET_ACCESS_KEY: { type: 'string', default: null },
+    S3_FORCE_PATH_STYLE: { type: 'boolean', default: true }, // MinIO and most self-hosted stores need path-style URLs
+    S3_DOWNLOAD_MODE: { type: 'enum', values: ['redirect', 'stream'], default: 'redirect' }, // presigned URL or pass-through
+    S3_PRESIGN_EXPIRES_S: { type: 'integer', default: 15 * 60, min: 1, max: 7 * 24 * 60 * 60 },
+    ORPHAN_GRACE_MS: { type: 'duration', default: '10m' }, // before untracked files are removed
+    JOB_STORE: { type: 'enum', values: ['file', 'memory'], default: 'file' },
+    INTERRUPTED_JOB_POLICY: { type: 'enum', values: ['requeue', 'fail'], default: 'requeue' }, // for jobs cut off by a restart
+    // A job may run for PROCESSING_TIMEOUT_MS plus PROCESSING_TIMEOUT_FACTOR seconds per second of media (0 ms: no limit)
+    PROCESSING_TIMEOUT_MS: { type: 'duration', default: '10m' },
+    PROCESSING_TIMEOUT_FACTOR: { type: 'integer', default: 5, min: 0 },
+    STALL_TIMEOUT_MS: { type: 'duration', default: '2m' }, // without ffmpeg progress before the job is killed; 0 disables
+    SHUTDOWN_GRACE_MS: { type: 'duration', default: '30s' }, // for running jobs to finish on SIGTERM/SIGINT before they are killed
+    // Fallbacks tried in order when ffmpeg fails (see lib/videoProcessor.js); 'none' leaves only the
+    // re-encode of a failed stream copy, which is always tried last, so a list must end with it
+    RETRY_STRATEGIES: {
+        type: 'list',
+        values: ['genpts', 'remux-mkv', 'reencode'],
+        last: 'reencode',
+        default: ['genpts', 'remux-mkv', 'reencode']
+    },
+    // Reuse the output of a completed job when the same file is uploaded with the same settings
+    DEDUPLICATION: { type: 'boolean', default: true },
+    ALLOWED_EXTENSIONS: {
+        type: 'list',
+        normalize: normalizeExtension,
+        default: ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.wmv', '.flv', '.m4v', '.mpeg', '.mpg', '.3gp']
+    },
+    ALLOWED_MIMETYPES: {
+        type: 'list',
+        normalize: value => value.toLowerCase(),
+        default: [
+            'video/mp4',
+            'video/quicktime',
+            'video/x-msvideo',
+            'video/x-matroska',
+            'video/webm',
+            'video/x-ms-wmv',
+            'video/x-flv',
+            'video/mpeg',
+            'video/3gpp',
+            'application/octet-stream'
+        ]
+    },
+    // Replacement audio for the replace-audio operation
+    ALLOWED_AUDIO_EXTENSIONS: {
+        type: 'list',
+        normalize: normalizeExtension,
+        default: ['.mp3', '.wav', '.aac', '.m4a', '.ogg', '.oga', '.opus', '.flac']
+    },
+    ALLOWED_AUDIO_MIMETYPES: {
+        type: 'list',
+        normalize: value => value.toLowerCase(),
+        default: [
+            'audio/mpeg',
+            'audio/wav',
+            'audio/x-wav',
+            'audio/wave',
+            'audio/aac',
+            'audio/mp4',
+            'audio/x-m4a',
+            'audio/ogg',
+            'audio/opus',
+            'audio/flac',
+            'audio/x-flac',
+            'application/octet-stream'
+        ]
+    }
+};
+
+function parseWithUnits(value, units, label) {
+    if (typeof value === 'number') {
+        if (Number.isInteger(value) && value >= 0) return value;
+        throw new Error(`must be a whole number of ${label}`);
+    }
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+    const unit = match && (match[2] === '' ? Object.keys(units)[0] : Object.keys(units).find(name => name.toLowerCase() === match[2].toLowerCase()));
+    if (!unit) {
+        throw new Error(`must be a number of ${label} or use a unit (${Object.keys(units).join(', ')})`);
+    }
+    return Math.round(Number(match[1]) * units[unit]);
+}
+
+/**
+ * Parse a duration such as 30s, 24h or 7d
+ * @param {number|string} value - Milliseconds, or a number with a unit
+ * @returns {number} Milliseconds
+ * @throws {Error} When the value is not a duration
+ */
+function parseDuration(value) {
+    return parseWithUnits(value, DURATION_UNITS, 'milliseconds');
+}
+
+/**
+ * Convert one raw setting to its typed value
+ * @param {object} spec - Schema entry
+ * @param {*} value - Raw value from the file or environment
+ * @returns {*} Typed value
+ * @throws {Error} When the value does not fit the schema
+ */
+function parseSetting(spec, value) {
+    switch (spec.type) {
+        case 'integer': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (!Number.isInteger(number) || String(value).trim() === '') {
+                throw new Error('must be a whole number');
+            }
+            if (spec.min !== undefined && number < spec.min) throw new Error(`must be at least ${spec.min}`);
+            if (spec.max !== undefined && number > spec.max) throw new Error(`must be at most ${spec.max}`);
+            return number;
+        }
+
+        case 'size':
+            return parseWithUnits(value, SIZE_UNITS, 'bytes');
+
+        case 'duration':
+            return parseDuration(value);
+
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).trim().toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(text)) return true;
+            if (['false', '0', 'no', 'off'].includes(text)) return false;
+            throw new Error('must be true or false');
+        }
+
+        case 'enum':
+            if (!spec.values.includes(value)) {
+                throw new Error(`must be one of: ${spec.values.join(', ')}`);
+            }
+            return value;
+
+        case 'list': {
+            const items = Array.isArray(value) ? value : String(value).split(',');
+            if (!items.every(item => typeof item === 'string')) {
+                throw new Error('must be a list of strings');
+            }
+            const normalize = spec.normalize || (item => item);
+            const list = items.map(item => item.trim()).filter(item => item !== '').map(normalize);
+            // Environment variables cannot be set to an empty list, so 'none' stands in for it
+            if (spec.values && list.length === 1 && list[0] === 'none') return [];
+            const unknown = spec.values ? list.filter(item => !spec.values.includes(item)) : [];
+            if (unknown.length > 0) {
+                throw new Error(`contains ${unknown.join(', ')}; allowed: ${spec.values.join(', ')}`);
+            }
+            if (spec.last && list.length > 0 && list[list.length - 1] !== spec.last) {
+                throw new Error(`must end with ${spec.last} (or be none)`);
+            }
+            return list;
+        }
+
+        case 'path':
+            return path.resolve(ROOT_DIR, String(value));
+
+        default:
+            if (value === null || value === '') return null;
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                throw new Error('must be text');
+            }
+            return String(value);
+    }
+}
+
+/**
+ * Read the config file, if there is one
+ * @param {string|null} filePath - Explicit file, or null to look for the default names
+ * @returns {object} { file, values } with the file used (or null) and its settings
+ * @throws {Error} When the file cannot be read or parsed
+ */
+function readConfigFile(filePath) {
+    const file = filePath
+        ? path.resolve(ROOT_DIR, filePath)
+        : CONFIG_FILE_NAMES.map(name => path.join(ROOT_DIR, name)).find(candidate => fs.existsSync(candidate));
+    if (!file) {
+        return { file: null, values: {} };
+    }
+
+    let values;
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        values = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+        throw new Error(`Cannot read config file ${file}: ${error.message}`);
+    }
+    if (values === null || values === undefined) {
+        values = {};
+    }
+    if (typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`Config file ${file} must contain an object of settings`);
+    }
+    return { file, values };
+}
+
+/**
+ * Load and validate the configuration
+ * @param {object} [options] - Options
+ * @param {object} [options.env=process.env] - Environment variables
+ * @returns {object} { config, file } with the settings and the config file used (or null)
+ * @throws {Error} Listing every invalid setting
+ */
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const { file, values } = readConfigFile(env.CONFIG_FILE || null);
+    const problems = [];
+    const config = {};
+
+    for (const name of Object.keys(values)) {
+        if (!CONFIG_SCHEMA[name]) {
+            problems.push(`${name}: unknown setting (in ${path.basename(file)})`);
+        }
+    }
+
+    for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+        let source = 'default';
+        let raw = spec.default;
+        if (values[name] !== undefined) {
+            source = path.basename(file);
+            raw = values[name];
+        }
+        if (env[name] !== undefined && env[name] !== '') {
+            source = 'environment';
+            raw = env[name];
+        }
+
+        try {
+            config[name] = raw === null ? null : parseSetting(spec, raw);
+        } catch (error) {
+            problems.push(`${name}: ${error.message} (got ${JSON.stringify(raw)} from ${source})`);
+        }
+    }
+
+    if (problems.length === 0) {
+        if (config.UPLOAD_CHUNK_SIZE > config.MAX_UPLOAD_CHUNK_SIZE) {
+            problems.push('UPLOAD_CHUNK_SIZE: must not be larger than MAX_UPLOAD_CHUNK_SIZE');
+        }
+        if (config.STORAGE_DRIVER === 's3') {
+            for (const name of ['S3_ENDPOINT', 'S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']) {
+                if (!config[name]) problems.push(`${name}: required when STORAGE_DRIVER is s3`);
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return { config, file };
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    loadConfig,
+    parseDuration
+};
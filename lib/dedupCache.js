@@ -0,0 +1,119 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Deduplication Cache
+ * ============================================================================
+ *
+ * The same video is often uploaded again with the same settings (a retried
+ * upload, a second tab, a script run twice). A job is identified by the
+ * SHA-256 of its input plus everything that shapes the output; when that key
+ * matches a completed job, the new job reuses its output instead of running
+ * ffmpeg again.
+ *
+ * Several jobs can therefore point at one output file. The cache counts the
+ * jobs holding each output (by storage key) so that deleting or expiring one
+ * job only removes the file once nobody else refers to it.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compute the deduplication key of a job
+ * @param {object} parts - What determines the output
+ * @param {string} parts.inputSha256 - SHA-256 of the input video
+ * @param {string|null} [parts.audioSha256] - SHA-256 of the replacement audio, if any
+ * @param {object} parts.operation - Operation from parseOperation
+ * @param {string|null} parts.outputFormat - Output format from parseOutputFormat
+ * @param {object} parts.encodingSettings - Settings from parseEncodingSettings
+ * @returns {string|null} Hex key, or null when the input has no checksum
+ */
+function dedupKey(parts) {
+    if (!parts.inputSha256) return null;
+    return crypto.createHash('sha256').update(JSON.stringify({
+        input: parts.inputSha256,
+        audio: parts.audioSha256 || null,
+        operation: parts.operation,
+        format: parts.outputFormat || null,
+        encoding: parts.encodingSettings || null
+    })).digest('hex');
+}
+
+/**
+ * Create an empty deduplication cache
+ * @returns {object} Deduplication cache
+ */
+function createDedupCache() {
+    // Deduplication key -> output key, and output key -> IDs of the jobs holding it
+    const outputs = new Map();
+    const holders = new Map();
+
+    return {
+        /**
+         * Add a completed job: its output becomes reusable under the job's dedupKey
+         * @param {object} job - Job record with outputKey (and usually dedupKey)
+         */
+        retain(job) {
+            if (!job.outputKey) return;
+            if (!holders.has(job.outputKey)) {
+                holders.set(job.outputKey, new Set());
+            }
+            holders.get(job.outputKey).add(job.id);
+            if (job.dedupKey && !outputs.has(job.dedupKey)) {
+                outputs.set(job.dedupKey, job.outputKey);
+            }
+        },
+
+        /**
+         * Drop a job's reference to its output
+         * @param {object} job - Job record
+         * @returns {boolean} True when no other job refers to the output any more
+         */
+        release(job) {
+            const jobIds = job.outputKey ? holders.get(job.outputKey) : null;
+            if (!jobIds) return true;
+            jobIds.delete(job.id);
+            if (jobIds.size > 0) return false;
+
+            holders.delete(job.outputKey);
+            for (const [key, outputKey] of outputs) {
+                if (outputKey === job.outputKey) outputs.delete(key);
+            }
+            return true;
+        },
+
+        /**
+         * Find the jobs whose output matches a key
+         * @param {string|null} key - Deduplication key
+         * @returns {string[]} IDs of the jobs holding the output (empty on a miss)
+         */
+        find(key) {
+            const outputKey = key ? outputs.get(key) : null;
+            return outputKey ? Array.from(holders.get(outputKey) || []) : [];
+        },
+
+        /**
+         * Whether any job still refers to an output
+         * @param {string} outputKey - Storage key of the output
+         * @returns {boolean} True when at least one job holds it
+         */
+        isReferenced: (outputKey) => holders.has(outputKey),
+
+        /**
+         * Rebuild the cache from stored jobs (after a restart)
+         * @param {Iterable<object>} jobRecords - Completed jobs to add
+         */
+        rebuild(jobRecords) {
+            outputs.clear();
+            holders.clear();
+            for (const job of jobRecords) {
+                this.retain(job);
+            }
+        },
+
+        get size() {
+            return outputs.size;
+        }
+    };
+}
+
+module.exports = { dedupKey, createDedupCache };
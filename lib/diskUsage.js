@@ -0,0 +1,135 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Disk Usage
+ * ============================================================================
+ *
+ * Measurements behind the admission control in server.js: how much the
+ * service's own directories hold, how much room the disk has left, and which
+ * outputs to evict, least recently used first, when either runs short.
+ *
+ * Walking the directories is too slow to do per request, so the storage
+ * meter measures them now and then (on every cleanup) and keeps a running
+ * total of what was written and deleted in between.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Add up the files directly inside a directory
+ * @param {string} directory - Directory to measure
+ * @returns {Promise<object>} { files, bytes } (zero when the directory does not exist)
+ */
+async function measureDirectory(directory) {
+    const usage = { files: 0, bytes: 0 };
+    let names;
+    try {
+        names = await fs.promises.readdir(directory);
+    } catch (error) {
+        return usage;
+    }
+    for (const name of names) {
+        try {
+            const stat = await fs.promises.stat(path.join(directory, name));
+            if (!stat.isFile()) continue;
+            usage.files++;
+            usage.bytes += stat.size;
+        } catch (error) {
+            // Removed while we were looking
+        }
+    }
+    return usage;
+}
+
+/**
+ * Create a meter for the space used by a set of directories
+ * @param {object} directories - Directory paths by name, e.g. { uploads, outputs }
+ * @returns {object} Storage meter
+ */
+function createStorageMeter(directories) {
+    const measured = {};
+    for (const name of Object.keys(directories)) {
+        measured[name] = { files: 0, bytes: 0 };
+    }
+    let measuredAt = null;
+    // Bytes written (positive) and deleted (negative) since the last measurement
+    let changedBytes = 0;
+
+    return {
+        /**
+         * Walk the directories and reset the running total
+         * @returns {Promise<void>} Resolves once every directory has been measured
+         */
+        async measure() {
+            const changesBefore = changedBytes;
+            for (const [name, directory] of Object.entries(directories)) {
+                measured[name] = await measureDirectory(directory);
+            }
+            // Changes made while we were measuring may or may not be included; keeping them errs on the full side
+            changedBytes -= changesBefore;
+            measuredAt = Date.now();
+        },
+
+        /**
+         * Account for data written (positive) or deleted (negative) since the last measurement
+         * @param {number} bytes - Size of the change
+         */
+        record(bytes) {
+            changedBytes += bytes || 0;
+        },
+
+        get usedBytes() {
+            const total = Object.values(measured).reduce((sum, usage) => sum + usage.bytes, 0);
+            return Math.max(0, total + changedBytes);
+        },
+
+        /**
+         * Usage as of the last measurement plus the running total
+         * @returns {object} { <name>: { files, bytes }, usedBytes, measuredAt }
+         */
+        snapshot() {
+            return Object.assign({}, measured, { usedBytes: this.usedBytes, measuredAt: measuredAt });
+        }
+    };
+}
+
+/**
+ * Free space on the file system holding a directory
+ * @param {string} directory - Any directory on that file system
+ * @returns {number|null} Bytes available to this process, or null when unknown
+ */
+function freeDiskSpace(directory) {
+    try {
+        const stat = fs.statfsSync(directory);
+        return stat.bavail * stat.bsize;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Choose outputs to evict, least recently used first
+ * @param {object[]} candidates - Evictable outputs, each with `bytes` and `lastUsedAt`
+ * @param {number} bytesNeeded - Space to free
+ * @returns {object[]} Candidates to evict; empty when evicting all of them would not be
+ *   enough (deleting outputs that cannot make room only loses data)
+ */
+function planEviction(candidates, bytesNeeded) {
+    if (!(bytesNeeded > 0)) return [];
+    const chosen = [];
+    let freed = 0;
+    for (const candidate of candidates.slice().sort((a, b) => a.lastUsedAt - b.lastUsedAt)) {
+        if (freed >= bytesNeeded) break;
+        chosen.push(candidate);
+        freed += candidate.bytes;
+    }
+    return freed >= bytesNeeded ? chosen : [];
+}
+
+module.exports = {
+    measureDirectory,
+    createStorageMeter,
+    freeDiskSpace,
+    planEviction
+};
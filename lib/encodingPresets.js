@@ -0,0 +1,178 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Encoding Presets
+ * ============================================================================
+ *
+ * Named re-encode presets plus custom CRF / resolution / framerate settings.
+ * `copy` keeps the original stream copy behaviour; everything else re-encodes
+ * the video so the muted output can be made smaller.
+ * ============================================================================
+ */
+
+const PRESETS = {
+    copy: {
+        label: 'Stream copy',
+        reencode: false
+    },
+    'web-720p': {
+        label: 'Web 720p',
+        reencode: true,
+        height: 720,
+        crf: 28
+    },
+    'web-1080p': {
+        label: 'Web 1080p',
+        reencode: true,
+        height: 1080,
+        crf: 23
+    },
+    small: {
+        label: 'Small',
+        reencode: true,
+        height: 480,
+        crf: 32,
+        fps: 24
+    }
+};
+
+const CUSTOM_PRESET = 'custom';
+
+// x264 CRF scale; other encoders map onto their own range
+const CRF_RANGE = { min: 0, max: 51 };
+const FPS_RANGE = { min: 1, max: 120 };
+const MAX_DIMENSION = 7680;
+
+/**
+ * Parse a resolution such as "1280x720", "720p" or "720"
+ * @param {string} value - Resolution
+ * @returns {object} { width, height } where width may be null (keep aspect ratio)
+ * @throws {Error} When the resolution is invalid
+ */
+function parseResolution(value) {
+    const text = String(value).trim().toLowerCase();
+    let match = text.match(/^(\d+)x(\d+)$/);
+    if (match) {
+        const width = parseInt(match[1], 10);
+        const height = parseInt(match[2], 10);
+        if (width >= 16 && height >= 16 && width <= MAX_DIMENSION && height <= MAX_DIMENSION) {
+            // Most encoders need even dimensions
+            return { width: width - (width % 2), height: height - (height % 2) };
+        }
+    }
+
+    match = text.match(/^(\d+)p?$/);
+    if (match) {
+        const height = parseInt(match[1], 10);
+        if (height >= 16 && height <= MAX_DIMENSION) {
+            return { width: null, height: height - (height % 2) };
+        }
+    }
+
+    throw new Error(`Invalid resolution: ${value}. Use WIDTHxHEIGHT (e.g. 1280x720) or a height such as 720p`);
+}
+
+function parseBoundedNumber(value, range, name, integer) {
+    const number = Number(value);
+    if (!isFinite(number) || number < range.min || number > range.max || (integer && !Number.isInteger(number))) {
+        throw new Error(`${name} must be ${integer ? 'a whole number' : 'a number'} between ${range.min} and ${range.max}`);
+    }
+    return number;
+}
+
+const isSet = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+/**
+ * Validate preset and custom encoding fields from the request
+ * @param {object} fields - Request body fields (preset, crf, resolution, fps)
+ * @returns {object} Settings, e.g. { preset: 'web-720p', reencode: true, height: 720, crf: 28 }
+ * @throws {Error} When the preset or a custom value is invalid
+ */
+function parseEncodingSettings(fields = {}) {
+    const presetName = isSet(fields.preset) ? String(fields.preset) : 'copy';
+    const hasCustomValues = isSet(fields.crf) || isSet(fields.resolution) || isSet(fields.fps);
+
+    if (presetName !== CUSTOM_PRESET && !PRESETS[presetName]) {
+        throw new Error(`Unknown preset: ${presetName}. Allowed: ${Object.keys(PRESETS).concat(CUSTOM_PRESET).join(', ')}`);
+    }
+
+    const base = PRESETS[presetName] || { reencode: true };
+    const settings = {
+        preset: presetName,
+        reencode: base.reencode,
+        width: null,
+        height: base.height || null,
+        crf: base.crf !== undefined ? base.crf : null,
+        fps: base.fps || null
+    };
+
+    // Custom values override the preset and always imply a re-encode
+    if (hasCustomValues) {
+        if (presetName === 'copy') {
+            settings.preset = CUSTOM_PRESET;
+        }
+        settings.reencode = true;
+        if (isSet(fields.crf)) {
+            settings.crf = parseBoundedNumber(fields.crf, CRF_RANGE, 'CRF', true);
+        }
+        if (isSet(fields.resolution)) {
+            Object.assign(settings, parseResolution(fields.resolution));
+        }
+        if (isSet(fields.fps)) {
+            settings.fps = parseBoundedNumber(fields.fps, FPS_RANGE, 'Framerate', false);
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Human readable description of encoding settings
+ * @param {object} settings - Settings from parseEncodingSettings
+ * @returns {string} Description, e.g. "Web 720p (720p, CRF 28)"
+ */
+function describeEncodingSettings(settings) {
+    if (!settings || !settings.reencode) {
+        return PRESETS.copy.label;
+    }
+
+    const details = [];
+    if (settings.height) {
+        details.push(settings.width ? `${settings.width}x${settings.height}` : `${settings.height}p`);
+    }
+    if (settings.crf !== null) details.push(`CRF ${settings.crf}`);
+    if (settings.fps) details.push(`${settings.fps} fps`);
+
+    const label = PRESETS[settings.preset] ? PRESETS[settings.preset].label : 'Custom';
+    return details.length > 0 ? `${label} (${details.join(', ')})` : label;
+}
+
+/**
+ * Build the -vf filter chain for the settings
+ * @param {object} settings - Settings from parseEncodingSettings
+ * @returns {string|null} Filter chain, or null when no filter is needed
+ */
+function buildVideoFilter(settings) {
+    const filters = [];
+
+    if (settings.height && settings.width) {
+        filters.push(`scale=${settings.width}:${settings.height}`);
+    } else if (settings.height) {
+        // Keep the aspect ratio and never upscale
+        filters.push(`scale=-2:'min(${settings.height},ih)'`);
+    }
+    if (settings.fps) {
+        filters.push(`fps=${settings.fps}`);
+    }
+
+    return filters.length > 0 ? filters.join(',') : null;
+}
+
+module.exports = {
+    PRESETS,
+    CUSTOM_PRESET,
+    CRF_RANGE,
+    parseResolution,
+    parseEncodingSettings,
+    describeEncodingSettings,
+    buildVideoFilter
+};
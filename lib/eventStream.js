@@ -0,0 +1,136 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Event Streams
+ * ============================================================================
+ *
+ * Server-Sent Events hub. Clients subscribe to a named channel (for example
+ * `job:<id>` or `stats`) and receive every event published to it until they
+ * disconnect. A shared heartbeat keeps idle connections from being closed by
+ * proxies. Past `maxSubscribers` open streams new subscriptions are refused,
+ * and clients fall back to polling.
+ * ============================================================================
+ */
+
+/**
+ * Format one SSE message
+ * @param {string} event - Event name
+ * @param {object} data - JSON payload
+ * @returns {string} Wire format
+ */
+function formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create an event hub
+ * @param {object} [options] - Hub options
+ * @param {number} [options.heartbeatMs=15000] - Interval of keep-alive comments
+ * @param {number} [options.retryMs=3000] - Reconnect delay suggested to clients
+ * @param {number} [options.maxSubscribers=0] - Open streams allowed across all channels (0: no limit)
+ * @returns {object} Event hub
+ */
+function createEventHub(options = {}) {
+    const heartbeatMs = options.heartbeatMs || 15000;
+    const retryMs = options.retryMs || 3000;
+    const maxSubscribers = options.maxSubscribers || 0;
+    const channels = new Map();
+
+    const heartbeat = setInterval(() => {
+        for (const subscribers of channels.values()) {
+            for (const res of subscribers) {
+                res.write(': ping\n\n');
+            }
+        }
+    }, heartbeatMs);
+    heartbeat.unref();
+
+    const hub = {
+        /**
+         * Turn a request into an event stream subscribed to a channel
+         * @param {string} channel - Channel name
+         * @param {object} req - Express request
+         * @param {object} res - Express response
+         * @returns {boolean} False, with nothing sent, when the hub is full
+         */
+        subscribe(channel, req, res) {
+            if (maxSubscribers > 0 && hub.connectionCount >= maxSubscribers) {
+                return false;
+            }
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+            });
+            res.flushHeaders();
+            res.write(`retry: ${retryMs}\n\n`);
+
+            if (!channels.has(channel)) {
+                channels.set(channel, new Set());
+            }
+            channels.get(channel).add(res);
+
+            req.on('close', () => {
+                const subscribers = channels.get(channel);
+                if (!subscribers) return;
+                subscribers.delete(res);
+                if (subscribers.size === 0) {
+                    channels.delete(channel);
+                }
+            });
+            return true;
+        },
+
+        /**
+         * Send an event to a single stream
+         * @param {object} res - Subscribed response
+         * @param {string} event - Event name
+         * @param {object} data - JSON payload
+         */
+        send(res, event, data) {
+            res.write(formatEvent(event, data));
+        },
+
+        /**
+         * Send an event to every subscriber of a channel
+         * @param {string} channel - Channel name
+         * @param {string} event - Event name
+         * @param {object} data - JSON payload
+         */
+        publish(channel, event, data) {
+            const subscribers = channels.get(channel);
+            if (!subscribers) return;
+
+            const message = formatEvent(event, data);
+            for (const res of subscribers) {
+                res.write(message);
+            }
+        },
+
+        /**
+         * Whether anyone listens on a channel
+         * @param {string} channel - Channel name
+         * @returns {boolean} True if the channel has subscribers
+         */
+        hasSubscribers(channel) {
+            return channels.has(channel);
+        },
+
+        /**
+         * Number of open streams across all channels
+         * @returns {number} Open streams
+         */
+        get connectionCount() {
+            let count = 0;
+            for (const subscribers of channels.values()) {
+                count += subscribers.size;
+            }
+            return count;
+        }
+    };
+
+    return hub;
+}
+
+module.exports = { createEventHub, formatEvent };
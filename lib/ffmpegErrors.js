@@ -0,0 +1,115 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - FFmpeg Errors
+ * ============================================================================
+ *
+ * Turns the stderr of a failed ffmpeg run into an error code, a short
+ * message and a hint telling the user what to do about it. ffmpeg prints a
+ * lot of noise before the line that matters, so the rules are checked in
+ * order and the first match wins; anything unrecognised becomes
+ * `ffmpeg-failed` and the full log is the place to look.
+ * ============================================================================
+ */
+
+const FFMPEG_ERROR_CODES = {
+    CORRUPT_INPUT: 'corrupt-input',
+    UNSUPPORTED_CODEC: 'unsupported-codec',
+    MISSING_ENCODER: 'missing-encoder',
+    DISK_FULL: 'disk-full',
+    PERMISSION_DENIED: 'permission-denied',
+    TIMEOUT: 'timeout',
+    STALLED: 'stalled',
+    FAILED: 'ffmpeg-failed'
+};
+
+const ERROR_DESCRIPTIONS = {
+    [FFMPEG_ERROR_CODES.CORRUPT_INPUT]: {
+        message: 'The video file is damaged or incomplete',
+        hint: 'Check that the file plays, and upload it again if the upload may have been cut off.'
+    },
+    [FFMPEG_ERROR_CODES.UNSUPPORTED_CODEC]: {
+        message: 'The video codec cannot be stored in the chosen output format',
+        hint: 'Choose another output format, or an encoding preset that re-encodes the video.'
+    },
+    [FFMPEG_ERROR_CODES.MISSING_ENCODER]: {
+        message: 'The server\'s FFmpeg lacks an encoder or decoder this job needs',
+        hint: 'Choose another output format or keep the original one. The server administrator can install a fuller FFmpeg build.'
+    },
+    [FFMPEG_ERROR_CODES.DISK_FULL]: {
+        message: 'The server ran out of disk space',
+        hint: 'Try again later. If it keeps happening, tell the server administrator.'
+    },
+    [FFMPEG_ERROR_CODES.PERMISSION_DENIED]: {
+        message: 'The server could not write the output file',
+        hint: 'This is a server problem. Tell the server administrator.'
+    },
+    [FFMPEG_ERROR_CODES.TIMEOUT]: {
+        message: 'Processing took too long and was stopped',
+        hint: 'Try a shorter video, or keep the original format so the video does not need re-encoding.'
+    },
+    [FFMPEG_ERROR_CODES.STALLED]: {
+        message: 'Processing stopped making progress and was stopped',
+        hint: 'The file is probably truncated or damaged. Check that it plays to the end, then upload it again.'
+    },
+    [FFMPEG_ERROR_CODES.FAILED]: {
+        message: 'FFmpeg processing failed',
+        hint: 'Download the job log for the details, or try another output format.'
+    }
+};
+
+// Checked in order: the cause usually comes before the errors it triggers
+const STDERR_RULES = [
+    { code: FFMPEG_ERROR_CODES.DISK_FULL, pattern: /No space left on device|ENOSPC|Disk quota exceeded/i },
+    { code: FFMPEG_ERROR_CODES.PERMISSION_DENIED, pattern: /Permission denied|Read-only file system/i },
+    { code: FFMPEG_ERROR_CODES.TIMEOUT, pattern: /(Connection|Operation) timed out/i },
+    {
+        code: FFMPEG_ERROR_CODES.MISSING_ENCODER,
+        pattern: /Unknown encoder|Encoder \S+ not found|Unknown decoder|Decoder \S+ not found|Error while opening encoder/i
+    },
+    {
+        code: FFMPEG_ERROR_CODES.UNSUPPORTED_CODEC,
+        pattern: /Could not find tag for codec|codec not currently supported in container|not supported by this (output )?format|incompatible with output codec|Tag \S+ incompatible with output/i
+    },
+    {
+        code: FFMPEG_ERROR_CODES.CORRUPT_INPUT,
+        pattern: /Invalid data found when processing input|moov atom not found|EBML header parsing failed|could not find codec parameters|Invalid NAL unit|Error while decoding stream|corrupt|partial file/i
+    }
+];
+
+/**
+ * Describe an error code
+ * @param {string} code - One of FFMPEG_ERROR_CODES
+ * @returns {object} { code, message, hint }
+ */
+function describeFfmpegError(code) {
+    const description = ERROR_DESCRIPTIONS[code] || ERROR_DESCRIPTIONS[FFMPEG_ERROR_CODES.FAILED];
+    return {
+        code: ERROR_DESCRIPTIONS[code] ? code : FFMPEG_ERROR_CODES.FAILED,
+        message: description.message,
+        hint: description.hint
+    };
+}
+
+/**
+ * Classify a failed ffmpeg run
+ * @param {string} stderr - ffmpeg's stderr (a tail is enough)
+ * @param {object} [context] - What else is known about the run
+ * @param {string|null} [context.timeout] - Why the run was killed for taking too long
+ *   ('deadline' or 'stall', see TIMEOUT_KINDS in videoProcessor.js)
+ * @returns {object} { code, message, hint }
+ */
+function classifyFfmpegError(stderr, context = {}) {
+    if (context.timeout) {
+        return describeFfmpegError(context.timeout === 'stall'
+            ? FFMPEG_ERROR_CODES.STALLED
+            : FFMPEG_ERROR_CODES.TIMEOUT);
+    }
+    const rule = STDERR_RULES.find(candidate => candidate.pattern.test(stderr || ''));
+    return describeFfmpegError(rule ? rule.code : FFMPEG_ERROR_CODES.FAILED);
+}
+
+module.exports = {
+    FFMPEG_ERROR_CODES,
+    describeFfmpegError,
+    classifyFfmpegError
+};
@@ -0,0 +1,123 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Job Queue
+ * ============================================================================
+ *
+ * FIFO queue sitting between upload and processing. At most `concurrency`
+ * jobs run at once; everything else waits its turn in arrival order. A
+ * paused queue (e.g. during shutdown) keeps accepting jobs but starts none.
+ * ============================================================================
+ */
+
+const { log } = require('./logger');
+
+/**
+ * Create a bounded FIFO work queue
+ * @param {object} options - Queue options
+ * @param {number} options.concurrency - Maximum number of jobs running at once
+ * @param {function} options.worker - Async function invoked with a job ID
+ * @returns {object} Job queue
+ */
+function createJobQueue(options) {
+    const concurrency = Math.max(1, options.concurrency || 1);
+    const worker = options.worker;
+    const pending = [];
+    const running = new Set();
+    let idleWaiters = [];
+    let paused = false;
+
+    function drain() {
+        while (!paused && running.size < concurrency && pending.length > 0) {
+            const jobId = pending.shift();
+            running.add(jobId);
+
+            // Start the worker synchronously so the job's status flips right away
+            let task;
+            try {
+                task = Promise.resolve(worker(jobId));
+            } catch (error) {
+                task = Promise.reject(error);
+            }
+
+            task
+                .catch((error) => {
+                    log('ERROR', `Background processing error: ${error.message}`);
+                })
+                .finally(() => {
+                    running.delete(jobId);
+                    drain();
+                    if (running.size === 0) {
+                        idleWaiters.forEach(resolve => resolve());
+                        idleWaiters = [];
+                    }
+                });
+        }
+    }
+
+    return {
+        concurrency,
+
+        /**
+         * Add a job to the back of the queue
+         * @param {string} jobId - Job ID
+         * @returns {number} 1-based queue position, or 0 if it started immediately
+         */
+        enqueue(jobId) {
+            if (pending.includes(jobId) || running.has(jobId)) {
+                return this.position(jobId);
+            }
+            pending.push(jobId);
+            drain();
+            return this.position(jobId);
+        },
+
+        /**
+         * Remove a job that has not started yet
+         * @param {string} jobId - Job ID
+         * @returns {boolean} True if the job was waiting and got removed
+         */
+        remove(jobId) {
+            const index = pending.indexOf(jobId);
+            if (index === -1) return false;
+            pending.splice(index, 1);
+            return true;
+        },
+
+        /**
+         * Get a job's place in line
+         * @param {string} jobId - Job ID
+         * @returns {number} 1-based position, or 0 if not waiting
+         */
+        position(jobId) {
+            return pending.indexOf(jobId) + 1;
+        },
+
+        isRunning: (jobId) => running.has(jobId),
+
+        /**
+         * Stop starting jobs; running ones carry on
+         */
+        pause() {
+            paused = true;
+        },
+
+        /**
+         * Wait until no job is running
+         * @returns {Promise<void>} Resolves once the last running job has finished
+         */
+        whenIdle() {
+            if (running.size === 0) return Promise.resolve();
+            return new Promise(resolve => idleWaiters.push(resolve));
+        },
+
+        get pendingCount() {
+            return pending.length;
+        },
+
+        get runningCount() {
+            return running.size;
+        }
+    };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,212 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Job Store
+ * ============================================================================
+ *
+ * Pluggable persistence for job records and the aggregate counters shown on
+ * the dashboard. Every driver exposes the same Map-like interface (get, set,
+ * delete, values, entries) plus shared `stats` and `usage` objects, so the
+ * server does not care whether state lives in memory or is written through
+ * to disk.
+ *
+ * Jobs are mutated in place by the server; call `persist()` after a change
+ * that should survive a restart and `flush()` before the process exits.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+const STORE_FORMAT_VERSION = 1;
+const PERSIST_DEBOUNCE_MS = 250;
+
+/**
+ * Create a fresh counters object
+ * @returns {object} Zeroed statistics
+ */
+function createDefaultStats() {
+    return {
+        totalUploads: 0,
+        totalProcessed: 0,
+        totalFailed: 0,
+        totalCancelled: 0,
+        totalDeduplicated: 0
+    };
+}
+
+/**
+ * Create a volatile store that keeps everything in process memory
+ * @returns {object} Job store
+ */
+function createMemoryJobStore() {
+    const jobs = new Map();
+
+    const store = {
+        stats: createDefaultStats(),
+        // Per API key upload accounting
+        usage: {},
+
+        get: (id) => jobs.get(id),
+        has: (id) => jobs.has(id),
+        values: () => jobs.values(),
+        entries: () => jobs.entries(),
+        get size() {
+            return jobs.size;
+        },
+
+        set(id, job) {
+            jobs.set(id, job);
+            store.persist();
+            return store;
+        },
+
+        delete(id) {
+            const deleted = jobs.delete(id);
+            if (deleted) {
+                store.persist();
+            }
+            return deleted;
+        },
+
+        // Nothing to load or write for the in-memory driver
+        load() {},
+        persist() {},
+        flush() {}
+    };
+
+    return store;
+}
+
+/**
+ * Create a store that mirrors its contents to a JSON file on disk
+ * @param {object} options - Driver options
+ * @param {string} options.filePath - Location of the JSON snapshot
+ * @returns {object} Job store
+ */
+function createFileJobStore(options) {
+    const filePath = options.filePath;
+    const store = createMemoryJobStore();
+    let persistTimer = null;
+
+    store.load = () => {
+        if (!fs.existsSync(filePath)) {
+            return;
+        }
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            // Keep the unreadable snapshot around for inspection and start clean
+            const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, corruptPath);
+            log('WARNING', `Job store snapshot unreadable, moved to ${corruptPath}: ${error.message}`);
+            return;
+        }
+
+        Object.assign(store.stats, snapshot.stats);
+        Object.assign(store.usage, snapshot.usage);
+        for (const job of snapshot.jobs || []) {
+            store.set(job.id, job);
+        }
+
+        log('INFO', `Job store loaded: ${store.size} job(s) from ${filePath}`);
+    };
+
+    store.persist = () => {
+        if (persistTimer) return;
+        persistTimer = setTimeout(() => {
+            persistTimer = null;
+            store.flush();
+        }, PERSIST_DEBOUNCE_MS);
+        persistTimer.unref();
+    };
+
+    store.flush = () => {
+        if (persistTimer) {
+            clearTimeout(persistTimer);
+            persistTimer = null;
+        }
+
+        const snapshot = {
+            version: STORE_FORMAT_VERSION,
+            savedAt: Date.now(),
+            stats: store.stats,
+            usage: store.usage,
+            jobs: Array.from(store.values())
+        };
+
+        // Write to a temp file and rename so a crash never leaves half a snapshot
+        const tempPath = `${filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            log('ERROR', `Failed to persist job store: ${error.message}`);
+        }
+    };
+
+    return store;
+}
+
+// Statuses of jobs that were still in flight when the process stopped
+const INTERRUPTED_STATUSES = ['downloading', 'uploading', 'queued', 'processing'];
+
+/**
+ * Decide what happens to jobs a restart cut off
+ * @param {Iterable<object>} jobs - Loaded job records
+ * @param {object} options - Recovery options
+ * @param {string} options.policy - INTERRUPTED_JOB_POLICY ('requeue' or 'fail')
+ * @param {Function} options.canResume - Called with a job, true when its input files are still available
+ * @returns {object[]} Decisions in arrival order, each `{ job, action: 'requeue' }` or
+ *   `{ job, action: 'fail', error, discardInput }`
+ */
+function planJobRecovery(jobs, options) {
+    // Re-enter jobs in their original arrival order to keep the queue FIFO
+    const interrupted = Array.from(jobs)
+        .filter(job => INTERRUPTED_STATUSES.includes(job.status))
+        .sort((a, b) => a.createdAt - b.createdAt);
+
+    return interrupted.map((job) => {
+        // A half-finished source download is useless, the import has to be started again
+        if (job.status === 'downloading') {
+            return { job, action: 'fail', error: 'Downloading the source was interrupted by a server restart', discardInput: true };
+        }
+
+        // Jobs that never started are safe to resume whatever the policy
+        if ((job.status === 'queued' || options.policy === 'requeue') && options.canResume(job)) {
+            return { job, action: 'requeue' };
+        }
+
+        return { job, action: 'fail', error: 'Processing was interrupted by a server restart', discardInput: false };
+    });
+}
+
+const JOB_STORE_DRIVERS = {
+    memory: createMemoryJobStore,
+    file: createFileJobStore
+};
+
+/**
+ * Create a job store using one of the registered drivers
+ * @param {string} driver - Driver name (memory, file)
+ * @param {object} options - Driver specific options
+ * @returns {object} Job store
+ */
+function createJobStore(driver, options = {}) {
+    const factory = JOB_STORE_DRIVERS[driver];
+    if (!factory) {
+        throw new Error(`Unknown job store driver: ${driver}. Available: ${Object.keys(JOB_STORE_DRIVERS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    JOB_STORE_DRIVERS,
+    createJobStore,
+    createMemoryJobStore,
+    createFileJobStore,
+    planJobRecovery
+};
@@ -0,0 +1,24 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Logger
+ * ============================================================================
+ *
+ * Colourised console logger shared by the server and its modules.
+ * ============================================================================
+ */
+
+const LOG_LEVELS = {
+    INFO: { label: 'INFO', color: '\x1b[36m' },
+    SUCCESS: { label: 'SUCCESS', color: '\x1b[32m' },
+    WARNING: { label: 'WARNING', color: '\x1b[33m' },
+    ERROR: { label: 'ERROR', color: '\x1b[31m' }
+};
+
+function log(level, message) {
+    const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
+    const logLevel = LOG_LEVELS[level] || LOG_LEVELS.INFO;
+    const reset = '\x1b[0m';
+    console.log(`${logLevel.color}[${timestamp}] [${logLevel.label}]${reset} ${message}`);
+}
+
+module.exports = { LOG_LEVELS, log };
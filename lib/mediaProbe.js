@@ -0,0 +1,117 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Media Probe
+ * ============================================================================
+ *
+ * Thin wrapper around ffprobe that returns a normalised description of a
+ * media file: container, duration, bitrate and its video/audio streams.
+ * ============================================================================
+ */
+
+const { spawn } = require('child_process');
+
+/**
+ * Parse an ffprobe rational such as "30000/1001" into a number
+ * @param {string} value - Rational string
+ * @returns {number|null} Value, or null when unknown
+ */
+function parseRational(value) {
+    if (!value || value === '0/0') return null;
+    const [num, den] = value.split('/').map(Number);
+    if (!den) return num || null;
+    return Math.round((num / den) * 100) / 100;
+}
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Normalise raw ffprobe JSON output
+ * @param {object} raw - Parsed `ffprobe -show_format -show_streams` output
+ * @returns {object} Media info
+ */
+function normaliseProbe(raw) {
+    const format = raw.format || {};
+    const streams = raw.streams || [];
+
+    const video = streams
+        .filter(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic))
+        .map(stream => ({
+            index: stream.index,
+            codec: stream.codec_name || null,
+            width: stream.width || null,
+            height: stream.height || null,
+            bitrate: toNumber(stream.bit_rate),
+            frameRate: parseRational(stream.avg_frame_rate) || parseRational(stream.r_frame_rate)
+        }));
+
+    const audio = streams
+        .filter(stream => stream.codec_type === 'audio')
+        .map(stream => ({
+            index: stream.index,
+            codec: stream.codec_name || null,
+            channels: stream.channels || null,
+            sampleRate: toNumber(stream.sample_rate),
+            bitrate: toNumber(stream.bit_rate),
+            language: (stream.tags && stream.tags.language) || null
+        }));
+
+    const primaryVideo = video[0];
+
+    return {
+        container: format.format_name || null,
+        containerName: format.format_long_name || null,
+        duration: toNumber(format.duration) || 0,
+        bitrate: toNumber(format.bit_rate),
+        size: toNumber(format.size),
+        resolution: primaryVideo && primaryVideo.width ? `${primaryVideo.width}x${primaryVideo.height}` : null,
+        video,
+        audio,
+        hasVideo: video.length > 0,
+        hasAudio: audio.length > 0
+    };
+}
+
+/**
+ * Probe a media file with ffprobe
+ * @param {string} filePath - File to inspect
+ * @returns {Promise<object>} Media info
+ * @throws {Error} When ffprobe cannot read the file
+ */
+function probeMedia(filePath) {
+    return new Promise((resolve, reject) => {
+        const ffprobe = spawn('ffprobe', [
+            '-v', 'error',
+            '-print_format', 'json',
+            '-show_format',
+            '-show_streams',
+            filePath
+        ]);
+
+        let output = '';
+        let errorOutput = '';
+        ffprobe.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+        ffprobe.stderr.on('data', (data) => {
+            errorOutput += data.toString();
+        });
+
+        ffprobe.on('close', (code) => {
+            if (code !== 0) {
+                return reject(new Error(errorOutput.trim().split('\n').pop() || `ffprobe exited with code ${code}`));
+            }
+            try {
+                resolve(normaliseProbe(JSON.parse(output)));
+            } catch (error) {
+                reject(new Error('Unreadable ffprobe output'));
+            }
+        });
+
+        ffprobe.on('error', reject);
+    });
+}
+
+module.exports = { probeMedia, normaliseProbe };
@@ -0,0 +1,176 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Output Formats
+ * ============================================================================
+ *
+ * Target containers for the optional format conversion on upload, with the
+ * codecs each one can carry. `planEncoding` decides per job whether the video
+ * can be stream copied into the target container or has to be re-encoded,
+ * taking the requested encoding preset into account.
+ * ============================================================================
+ */
+
+const path = require('path');
+const { CRF_RANGE, buildVideoFilter } = require('./encodingPresets');
+
+const H264_ENCODER = {
+    codec: 'libx264',
+    args: ['-preset', 'veryfast', '-pix_fmt', 'yuv420p'],
+    defaultCrf: 23,
+    maxCrf: 51
+};
+
+const VP9_ENCODER = {
+    codec: 'libvpx-vp9',
+    args: ['-b:v', '0', '-deadline', 'good', '-cpu-used', '4', '-row-mt', '1'],
+    defaultCrf: 32,
+    maxCrf: 63
+};
+
+const OUTPUT_FORMATS = {
+    mp4: {
+        extension: '.mp4',
+        videoCodecs: ['h264', 'hevc', 'mpeg4', 'av1', 'vp9'],
+        audioCodecs: ['aac', 'mp3', 'ac3', 'eac3', 'opus', 'alac', 'flac'],
+        videoEncoder: H264_ENCODER,
+        audioEncoder: 'aac',
+        extraArgs: ['-movflags', '+faststart']
+    },
+    webm: {
+        extension: '.webm',
+        videoCodecs: ['vp8', 'vp9', 'av1'],
+        audioCodecs: ['opus', 'vorbis'],
+        videoEncoder: VP9_ENCODER,
+        audioEncoder: 'libopus',
+        extraArgs: []
+    },
+    mkv: {
+        extension: '.mkv',
+        videoCodecs: null, // Matroska takes practically anything
+        audioCodecs: null,
+        videoEncoder: H264_ENCODER,
+        audioEncoder: 'aac',
+        extraArgs: []
+    },
+    mov: {
+        extension: '.mov',
+        videoCodecs: ['h264', 'hevc', 'mpeg4', 'prores', 'mjpeg'],
+        audioCodecs: ['aac', 'mp3', 'alac', 'pcm_s16le', 'pcm_s24le'],
+        videoEncoder: H264_ENCODER,
+        audioEncoder: 'aac',
+        extraArgs: ['-movflags', '+faststart']
+    }
+};
+
+// Audio encoders for containers we only ever pass through (no conversion requested)
+const PASSTHROUGH_AUDIO_ENCODERS = {
+    '.webm': 'libopus',
+    '.wmv': 'wmav2',
+    '.mpeg': 'mp2',
+    '.mpg': 'mp2'
+};
+
+/**
+ * Validate the requested output format
+ * @param {string} value - Format name from the request, empty for "keep original"
+ * @returns {string|null} Normalised format name, or null to keep the input container
+ * @throws {Error} When the format is not supported
+ */
+function parseOutputFormat(value) {
+    if (value === undefined || value === null || value === '' || value === 'original') {
+        return null;
+    }
+
+    const format = String(value).toLowerCase().replace(/^\./, '');
+    if (!OUTPUT_FORMATS[format]) {
+        throw new Error(`Unsupported output format: ${value}. Allowed: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+    return format;
+}
+
+function isCodecAllowed(allowed, codec) {
+    return allowed === null || (codec !== null && codec !== undefined && allowed.includes(codec));
+}
+
+/**
+ * Build the video encoder arguments, mapping the x264 CRF scale onto the encoder's own
+ * @param {object} encoder - Encoder definition
+ * @param {object} [settings] - Encoding settings from parseEncodingSettings
+ * @returns {string[]} ffmpeg arguments
+ */
+function buildVideoEncoderArgs(encoder, settings) {
+    let crf = encoder.defaultCrf;
+    if (settings && settings.crf !== null && settings.crf !== undefined) {
+        crf = Math.round(settings.crf * encoder.maxCrf / CRF_RANGE.max);
+    }
+
+    const args = ['-c:v', encoder.codec, '-crf', String(crf), ...encoder.args];
+    const filter = settings ? buildVideoFilter(settings) : null;
+    if (filter) {
+        args.push('-vf', filter);
+    }
+    return args;
+}
+
+/**
+ * Decide how a job's streams get into the output container
+ * @param {object} options - Planning options
+ * @param {string|null} options.format - Target format from parseOutputFormat
+ * @param {string} options.inputPath - Source file (its extension is kept when no format is set)
+ * @param {object} [options.mediaInfo] - Probed media info
+ * @param {object} [options.settings] - Encoding settings from parseEncodingSettings
+ * @param {boolean} [options.forceReencode] - Skip the stream copy attempt
+ * @returns {object} Encoding plan
+ */
+function planEncoding(options) {
+    const inputExt = path.extname(options.inputPath).toLowerCase();
+    const settings = options.settings || null;
+    const presetReencodes = Boolean(settings && settings.reencode);
+    let formatName = options.format;
+
+    // Re-encodes write to the input container when we have an encoder for it,
+    // and to MP4 for everything else (AVI, WMV, FLV, MPEG, ...)
+    if (!formatName && (presetReencodes || options.forceReencode)) {
+        const inputFormat = inputExt.replace(/^\./, '');
+        formatName = OUTPUT_FORMATS[inputFormat] ? inputFormat : 'mp4';
+    }
+
+    const format = formatName ? OUTPUT_FORMATS[formatName] : null;
+    const mediaInfo = options.mediaInfo || { video: [], audio: [] };
+    const videoCodec = mediaInfo.video[0] && mediaInfo.video[0].codec;
+
+    // No conversion requested: keep the container and copy the video as before
+    if (!format) {
+        return {
+            format: null,
+            extension: inputExt,
+            reencodeVideo: false,
+            videoArgs: ['-c:v', 'copy'],
+            audioCodec: PASSTHROUGH_AUDIO_ENCODERS[inputExt] || 'aac',
+            copyAudio: true,
+            convertingContainer: false,
+            extraArgs: []
+        };
+    }
+
+    const reencodeVideo = presetReencodes || Boolean(options.forceReencode) ||
+        !isCodecAllowed(format.videoCodecs, videoCodec);
+    const copyAudio = mediaInfo.audio.every(stream => isCodecAllowed(format.audioCodecs, stream.codec));
+
+    return {
+        format: formatName,
+        extension: format.extension,
+        reencodeVideo: reencodeVideo,
+        videoArgs: reencodeVideo ? buildVideoEncoderArgs(format.videoEncoder, settings) : ['-c:v', 'copy'],
+        audioCodec: format.audioEncoder,
+        copyAudio: copyAudio && !options.forceReencode,
+        convertingContainer: format.extension !== inputExt,
+        extraArgs: format.extraArgs.slice()
+    };
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    parseOutputFormat,
+    planEncoding
+};
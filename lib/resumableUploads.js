@@ -0,0 +1,244 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Resumable Uploads
+ * ============================================================================
+ *
+ * Chunked upload sessions that survive dropped connections, page reloads and
+ * server restarts. A session is two files in the uploads directory:
+ *
+ *   <id>.upload.json   Session metadata (original name, declared size, ...)
+ *   <id>.part          The bytes received so far; its size is the offset
+ *
+ * Chunks must be appended at exactly the current offset. On finalize the
+ * partial file is renamed to `<id><ext>` and handed over like a normal upload.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+
+const SESSION_SUFFIX = '.upload.json';
+const PARTIAL_SUFFIX = '.part';
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function uploadError(status, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details || {};
+    return error;
+}
+
+/**
+ * Create the resumable upload manager
+ * @param {object} options - Options
+ * @param {string} options.directory - Directory holding sessions and partial files
+ * @param {number} options.maxChunkSize - Largest accepted chunk in bytes
+ * @returns {object} Resumable upload manager
+ */
+function createResumableUploads(options) {
+    const directory = options.directory;
+    const maxChunkSize = options.maxChunkSize;
+
+    // Sessions with a chunk being written right now
+    const writing = new Set();
+
+    const sessionPath = (id) => path.join(directory, `${id}${SESSION_SUFFIX}`);
+    const partialPath = (id) => path.join(directory, `${id}${PARTIAL_SUFFIX}`);
+
+    function deleteSessionFiles(id) {
+        for (const filePath of [partialPath(id), sessionPath(id)]) {
+            try {
+                fs.unlinkSync(filePath);
+            } catch (error) {
+                // Already gone
+            }
+        }
+    }
+
+    /**
+     * Look up a session and its current offset
+     * @param {string} id - Upload ID
+     * @returns {object|null} Session, or null when it does not exist
+     */
+    function get(id) {
+        if (!SESSION_ID_PATTERN.test(id)) return null;
+
+        try {
+            const session = JSON.parse(fs.readFileSync(sessionPath(id), 'utf8'));
+            const stat = fs.statSync(partialPath(id));
+            session.offset = stat.size;
+            session.updatedAt = stat.mtimeMs;
+            return session;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Start a new upload session
+     * @param {object} file - Declared file
+     * @param {string} file.filename - Original file name
+     * @param {number} file.size - Total size in bytes
+     * @param {string} [file.mimeType] - MIME type reported by the browser
+     * @param {string} [file.owner] - Name of the API key that started the upload
+     * @returns {object} Session
+     */
+    function create(file) {
+        const session = {
+            id: uuidv4(),
+            filename: file.filename,
+            size: file.size,
+            mimeType: file.mimeType || 'application/octet-stream',
+            owner: file.owner || null,
+            createdAt: Date.now()
+        };
+
+        fs.writeFileSync(partialPath(session.id), '');
+        fs.writeFileSync(sessionPath(session.id), JSON.stringify(session));
+
+        return Object.assign({ offset: 0, updatedAt: session.createdAt }, session);
+    }
+
+    /**
+     * Append a chunk to a session
+     * @param {string} id - Upload ID
+     * @param {number} offset - Offset the client believes the chunk starts at
+     * @param {stream.Readable} source - Chunk bytes (the request)
+     * @returns {Promise<number>} New offset
+     * @throws {Error} With an HTTP status: 404 unknown session, 409 wrong offset or
+     *   concurrent write, 413 chunk too large
+     */
+    function appendChunk(id, offset, source) {
+        return new Promise((resolve, reject) => {
+            const session = get(id);
+            if (!session) {
+                return reject(uploadError(404, 'Upload not found'));
+            }
+            if (writing.has(id)) {
+                return reject(uploadError(409, 'Another chunk of this upload is still being written', { offset: session.offset }));
+            }
+            if (offset !== session.offset) {
+                return reject(uploadError(409, `Offset mismatch: the server has ${session.offset} bytes`, { offset: session.offset }));
+            }
+
+            const limit = Math.min(maxChunkSize, session.size - session.offset);
+            let received = 0;
+
+            // Guards against clients that send more than they announced
+            const limiter = new Transform({
+                transform(chunk, encoding, callback) {
+                    received += chunk.length;
+                    if (received > limit) {
+                        return callback(uploadError(413, 'Chunk exceeds the remaining upload size or the chunk size limit'));
+                    }
+                    callback(null, chunk);
+                }
+            });
+
+            writing.add(id);
+            pipeline(source, limiter, fs.createWriteStream(partialPath(id), { flags: 'a' }), (error) => {
+                writing.delete(id);
+                // Whatever reached the disk counts, so a broken chunk can be resumed from there
+                const current = get(id);
+                if (error) {
+                    return reject(error.status ? error : uploadError(400, 'Chunk transfer interrupted', {
+                        offset: current ? current.offset : offset
+                    }));
+                }
+                resolve(current ? current.offset : offset + received);
+            });
+        });
+    }
+
+    /**
+     * Turn a fully received session into a regular upload file
+     * @param {string} id - Upload ID
+     * @returns {object} File description shaped like a multer file
+     * @throws {Error} With an HTTP status when the session is unknown or incomplete
+     */
+    function finalize(id) {
+        const session = get(id);
+        if (!session) {
+            throw uploadError(404, 'Upload not found');
+        }
+        if (writing.has(id) || session.offset !== session.size) {
+            throw uploadError(409, `Upload incomplete: ${session.offset} of ${session.size} bytes received`, {
+                offset: session.offset
+            });
+        }
+
+        const ext = path.extname(session.filename).toLowerCase();
+        const finalPath = path.join(directory, `${id}${ext}`);
+        fs.renameSync(partialPath(id), finalPath);
+        fs.unlinkSync(sessionPath(id));
+
+        return {
+            jobId: id,
+            fieldname: 'video',
+            originalname: session.filename,
+            mimetype: session.mimeType,
+            path: finalPath,
+            size: session.size
+        };
+    }
+
+    /**
+     * Abort a session and delete what was received
+     * @param {string} id - Upload ID
+     * @returns {boolean} True if the session existed
+     */
+    function remove(id) {
+        if (!get(id)) return false;
+        deleteSessionFiles(id);
+        return true;
+    }
+
+    /**
+     * Whether a file in the uploads directory belongs to an open session
+     * @param {string} filename - File name (without directory)
+     * @returns {boolean} True for session metadata and partial files
+     */
+    function isSessionFile(filename) {
+        return filename.endsWith(SESSION_SUFFIX) || filename.endsWith(PARTIAL_SUFFIX);
+    }
+
+    /**
+     * Remove sessions that have not received data for a while
+     * @param {number} maxIdleMs - Idle time after which a session is dropped
+     * @returns {number} Number of sessions removed
+     */
+    function cleanupExpired(maxIdleMs) {
+        const now = Date.now();
+        const ids = new Set(fs.readdirSync(directory)
+            .filter(isSessionFile)
+            .map(file => file.slice(0, -(file.endsWith(SESSION_SUFFIX) ? SESSION_SUFFIX : PARTIAL_SUFFIX).length)));
+        let removed = 0;
+
+        for (const id of ids) {
+            if (writing.has(id)) continue;
+
+            // A metadata file without its partial file (or vice versa) is broken as well
+            const session = get(id);
+            if (!session || now - session.updatedAt > maxIdleMs) {
+                deleteSessionFiles(id);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    return {
+        get,
+        create,
+        appendChunk,
+        finalize,
+        remove,
+        isSessionFile,
+        cleanupExpired
+    };
+}
+
+module.exports = { createResumableUploads };
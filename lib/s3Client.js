@@ -0,0 +1,315 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - S3 Client
+ * ============================================================================
+ *
+ * Minimal client for S3-compatible object stores (AWS S3, MinIO, Ceph, R2,
+ * ...). Requests are signed with AWS Signature Version 4; object bodies are
+ * streamed and sent as UNSIGNED-PAYLOAD so large videos are never buffered
+ * or hashed in memory. Only the handful of operations the storage layer
+ * needs are implemented.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+// encodeURIComponent leaves !'()* alone, SigV4 wants them escaped as well
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+    return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+function readBody(res) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        res.on('error', reject);
+    });
+}
+
+async function s3Error(res, operation) {
+    const body = await readBody(res).catch(() => '');
+    const code = xmlValue(body, 'Code');
+    const message = xmlValue(body, 'Message');
+    const error = new Error(`S3 ${operation} failed: HTTP ${res.statusCode}${code ? ` ${code}` : ''}${message ? ` (${message})` : ''}`);
+    error.statusCode = res.statusCode;
+    return error;
+}
+
+/**
+ * Create an S3 client
+ * @param {object} options - Connection options
+ * @param {string} options.endpoint - Service URL, e.g. "https://s3.eu-west-1.amazonaws.com" or "http://localhost:9000"
+ * @param {string} options.region - Signing region
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.accessKeyId - Access key
+ * @param {string} options.secretAccessKey - Secret key
+ * @param {boolean} [options.forcePathStyle=true] - Address the bucket as /bucket/key instead of bucket.host/key
+ * @param {number} [options.timeoutMs=30000] - Socket idle timeout per request
+ * @returns {object} S3 client
+ */
+function createS3Client(options) {
+    const endpoint = new URL(options.endpoint);
+    const forcePathStyle = options.forcePathStyle !== false;
+    const timeoutMs = options.timeoutMs || 30000;
+    const client = endpoint.protocol === 'https:' ? https : http;
+
+    const host = forcePathStyle ? endpoint.host : `${options.bucket}.${endpoint.host}`;
+    const basePath = endpoint.pathname.replace(/\/$/, '') + (forcePathStyle ? `/${encodeRfc3986(options.bucket)}` : '');
+
+    function objectPath(key) {
+        return `${basePath}/${key ? encodeKey(key) : ''}`;
+    }
+
+    function canonicalQuery(query) {
+        return Object.keys(query)
+            .sort()
+            .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+            .join('&');
+    }
+
+    function credentialScope(date) {
+        return `${date}/${options.region}/s3/aws4_request`;
+    }
+
+    function signature(date, stringToSign) {
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${options.secretAccessKey}`, date), options.region), 's3'), 'aws4_request');
+        return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    }
+
+    function stringToSign(amzDate, canonicalRequest) {
+        return ['AWS4-HMAC-SHA256', amzDate, credentialScope(amzDate.slice(0, 8)), sha256Hex(canonicalRequest)].join('\n');
+    }
+
+    function timestamp() {
+        return new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    }
+
+    /**
+     * Send a signed request
+     * @param {string} method - HTTP method
+     * @param {string} key - Object key ('' for bucket operations)
+     * @param {object} [request] - Request details
+     * @param {object} [request.query] - Query parameters
+     * @param {object} [request.headers] - Extra headers
+     * @param {stream.Readable} [request.body] - Body stream (Content-Length must be set)
+     * @returns {Promise<http.IncomingMessage>} Response
+     */
+    function send(method, key, request = {}) {
+        const query = request.query || {};
+        const amzDate = timestamp();
+        const payloadHash = request.body ? UNSIGNED_PAYLOAD : EMPTY_PAYLOAD_HASH;
+        const headers = Object.assign({}, request.headers, {
+            host: host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        });
+
+        const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+        const lowerHeaders = {};
+        for (const name of Object.keys(headers)) {
+            lowerHeaders[name.toLowerCase()] = String(headers[name]).trim().replace(/\s+/g, ' ');
+        }
+        const signedHeaders = headerNames.join(';');
+        const canonicalRequest = [
+            method,
+            objectPath(key),
+            canonicalQuery(query),
+            headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+
+        headers.authorization = `AWS4-HMAC-SHA256 Credential=${options.accessKeyId}/${credentialScope(amzDate.slice(0, 8))}, ` +
+            `SignedHeaders=${signedHeaders}, Signature=${signature(amzDate.slice(0, 8), stringToSign(amzDate, canonicalRequest))}`;
+
+        const search = canonicalQuery(query);
+        return new Promise((resolve, reject) => {
+            const req = client.request({
+                protocol: endpoint.protocol,
+                hostname: forcePathStyle ? endpoint.hostname : `${options.bucket}.${endpoint.hostname}`,
+                port: endpoint.port || undefined,
+                method: method,
+                path: objectPath(key) + (search ? `?${search}` : ''),
+                headers: headers,
+                timeout: timeoutMs
+            }, resolve);
+
+            req.on('timeout', () => {
+                req.destroy(new Error(`S3 request timed out after ${timeoutMs / 1000}s`));
+            });
+            req.on('error', reject);
+
+            if (request.body) {
+                request.body.on('error', error => req.destroy(error));
+                request.body.pipe(req);
+            } else {
+                req.end();
+            }
+        });
+    }
+
+    return {
+        /**
+         * Upload a local file
+         * @param {string} key - Object key
+         * @param {string} filePath - File to upload
+         * @param {string} [contentType] - Stored Content-Type
+         */
+        async putFile(key, filePath, contentType) {
+            const size = fs.statSync(filePath).size;
+            const res = await send('PUT', key, {
+                headers: {
+                    'content-length': size,
+                    'content-type': contentType || 'application/octet-stream'
+                },
+                body: fs.createReadStream(filePath)
+            });
+            if (res.statusCode !== 200) {
+                throw await s3Error(res, `PUT ${key}`);
+            }
+            res.resume();
+        },
+
+        /**
+         * Download an object
+         * @param {string} key - Object key
+         * @returns {Promise<http.IncomingMessage|null>} Body stream, or null when the object does not exist
+         */
+        async getObject(key) {
+            const res = await send('GET', key);
+            if (res.statusCode === 404) {
+                res.resume();
+                return null;
+            }
+            if (res.statusCode !== 200) {
+                throw await s3Error(res, `GET ${key}`);
+            }
+            return res;
+        },
+
+        /**
+         * Look up an object's size and modification time
+         * @param {string} key - Object key
+         * @returns {Promise<object|null>} { size, modifiedAt }, or null when the object does not exist
+         */
+        async headObject(key) {
+            const res = await send('HEAD', key);
+            res.resume();
+            if (res.statusCode === 404) return null;
+            if (res.statusCode !== 200) {
+                throw await s3Error(res, `HEAD ${key}`);
+            }
+            return {
+                size: Number(res.headers['content-length']),
+                modifiedAt: Date.parse(res.headers['last-modified'])
+            };
+        },
+
+        /**
+         * Delete an object (deleting a missing object is not an error)
+         * @param {string} key - Object key
+         */
+        async deleteObject(key) {
+            const res = await send('DELETE', key);
+            if (res.statusCode !== 204 && res.statusCode !== 200 && res.statusCode !== 404) {
+                throw await s3Error(res, `DELETE ${key}`);
+            }
+            res.resume();
+        },
+
+        /**
+         * List the objects under a prefix
+         * @param {string} prefix - Key prefix
+         * @returns {Promise<object[]>} Objects as { key, size, modifiedAt }
+         */
+        async listObjects(prefix) {
+            const objects = [];
+            let continuationToken = null;
+
+            do {
+                const query = { 'list-type': 2, prefix: prefix };
+                if (continuationToken) {
+                    query['continuation-token'] = continuationToken;
+                }
+                const res = await send('GET', '', { query: query });
+                if (res.statusCode !== 200) {
+                    throw await s3Error(res, `LIST ${prefix}`);
+                }
+
+                const body = await readBody(res);
+                for (const match of body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                    objects.push({
+                        key: xmlValue(match[1], 'Key'),
+                        size: Number(xmlValue(match[1], 'Size')),
+                        modifiedAt: Date.parse(xmlValue(match[1], 'LastModified'))
+                    });
+                }
+                continuationToken = xmlValue(body, 'IsTruncated') === 'true' ? xmlValue(body, 'NextContinuationToken') : null;
+            } while (continuationToken);
+
+            return objects;
+        },
+
+        /**
+         * Build a presigned GET URL
+         * @param {string} key - Object key
+         * @param {object} [presign] - Options
+         * @param {number} [presign.expiresIn=900] - Validity in seconds
+         * @param {string} [presign.filename] - Download name sent back as Content-Disposition
+         * @returns {string} URL anyone can fetch until it expires
+         */
+        presignGetUrl(key, presign = {}) {
+            const amzDate = timestamp();
+            const query = {
+                'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+                'X-Amz-Credential': `${options.accessKeyId}/${credentialScope(amzDate.slice(0, 8))}`,
+                'X-Amz-Date': amzDate,
+                'X-Amz-Expires': presign.expiresIn || 900,
+                'X-Amz-SignedHeaders': 'host'
+            };
+            if (presign.filename) {
+                query['response-content-disposition'] = `attachment; filename="${presign.filename.replace(/["\\]/g, '_')}"`;
+            }
+
+            const canonicalRequest = ['GET', objectPath(key), canonicalQuery(query), `host:${host}\n`, 'host', UNSIGNED_PAYLOAD].join('\n');
+            query['X-Amz-Signature'] = signature(amzDate.slice(0, 8), stringToSign(amzDate, canonicalRequest));
+
+            return `${endpoint.protocol}//${host}${objectPath(key)}?${canonicalQuery(query)}`;
+        }
+    };
+}
+
+module.exports = { createS3Client };
@@ -0,0 +1,206 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Source Import
+ * ============================================================================
+ *
+ * Fetches source videos from a URL instead of a browser upload. Only hosts on
+ * the configured allowlist can be reached, and every redirect is checked
+ * against it again, so the server cannot be used to probe arbitrary machines
+ * (SSRF). Entries are host names ("files.internal"), optionally with a port
+ * ("files.internal:8080"), or wildcards covering subdomains ("*.example.com").
+ *
+ * The download is streamed to disk while the size limit is enforced, and the
+ * file name, extension and MIME type go through the same checks as uploads.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+function importError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Whether a URL's host is on the allowlist
+ * @param {URL} url - Parsed URL
+ * @param {string[]} allowedHosts - Allowlist entries
+ * @returns {boolean} True if the host may be contacted
+ */
+function isHostAllowed(url, allowedHosts) {
+    const hostname = url.hostname.toLowerCase();
+    const host = url.host.toLowerCase();
+
+    return allowedHosts.some((entry) => {
+        const pattern = entry.toLowerCase();
+        if (pattern.startsWith('*.')) {
+            return hostname.endsWith(pattern.slice(1));
+        }
+        return pattern.includes(':') ? host === pattern : hostname === pattern;
+    });
+}
+
+/**
+ * Validate a source URL from the request
+ * @param {string} value - URL given by the client
+ * @param {string[]} allowedHosts - Allowlist entries
+ * @returns {URL} Parsed URL
+ * @throws {Error} With an HTTP status: 400 malformed, 403 host not allowed
+ */
+function parseSourceUrl(value, allowedHosts) {
+    let url;
+    try {
+        url = new URL(String(value || '').trim());
+    } catch (error) {
+        throw importError(400, 'url must be a valid URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw importError(400, 'url must use http or https');
+    }
+    if (url.username || url.password) {
+        throw importError(400, 'Credentials in the URL are not supported');
+    }
+    if (!isHostAllowed(url, allowedHosts)) {
+        throw importError(403, `Importing from ${url.host} is not allowed`);
+    }
+    return url;
+}
+
+/**
+ * Work out the original file name of a download
+ * @param {URL} url - Final URL
+ * @param {string} [disposition] - Content-Disposition header
+ * @returns {string} File name
+ */
+function sourceFilename(url, disposition) {
+    const match = disposition && disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+    let name = match ? match[1] : path.posix.basename(url.pathname);
+    try {
+        name = decodeURIComponent(name);
+    } catch (error) {
+        // Keep the raw name
+    }
+    return path.basename(name.replace(/\\/g, '/')) || 'video';
+}
+
+function request(url, options) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.get(url, {
+            headers: { 'User-Agent': 'auto-mute-video-service' },
+            timeout: options.timeoutMs,
+            signal: options.signal
+        }, resolve);
+
+        req.on('timeout', () => {
+            req.destroy(importError(504, `The source did not respond within ${options.timeoutMs / 1000}s`));
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Download a source video into a file
+ * @param {URL} url - Validated source URL
+ * @param {object} options - Download options
+ * @param {string} options.destination - File to write
+ * @param {string[]} options.allowedHosts - Allowlist, re-checked on redirects
+ * @param {string[]} options.allowedExtensions - Accepted file extensions
+ * @param {string[]} options.allowedMimeTypes - Accepted Content-Type values
+ * @param {number} options.maxSize - Largest accepted file in bytes
+ * @param {number} options.maxRedirects - Redirects followed before giving up
+ * @param {number} options.timeoutMs - Idle time after which the download fails
+ * @param {AbortSignal} [options.signal] - Aborts the download
+ * @param {function} [options.onProgress] - Called with (receivedBytes, totalBytes|null)
+ * @returns {Promise<object>} { originalname, mimetype, size }
+ * @throws {Error} With an HTTP status describing why the source was refused
+ */
+async function downloadSource(url, options) {
+    let current = url;
+    let res;
+
+    for (let redirects = 0; ; redirects++) {
+        res = await request(current, options);
+        if (!REDIRECT_STATUS_CODES.includes(res.statusCode)) break;
+
+        res.resume();
+        if (redirects >= options.maxRedirects) {
+            throw importError(502, `Too many redirects (more than ${options.maxRedirects})`);
+        }
+        if (!res.headers.location) {
+            throw importError(502, `The source redirected (HTTP ${res.statusCode}) without a location`);
+        }
+        current = parseSourceUrl(new URL(res.headers.location, current).toString(), options.allowedHosts);
+    }
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.resume();
+        throw importError(502, `The source responded with HTTP ${res.statusCode}`);
+    }
+
+    const originalname = sourceFilename(current, res.headers['content-disposition']);
+    const ext = path.extname(originalname).toLowerCase();
+    const mimetype = (res.headers['content-type'] || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+    const totalBytes = Number(res.headers['content-length']) || null;
+
+    const refuse = (status, message) => {
+        res.destroy();
+        return importError(status, message);
+    };
+    if (!options.allowedExtensions.includes(ext)) {
+        throw refuse(415, `Invalid file type. Allowed: ${options.allowedExtensions.join(', ')}`);
+    }
+    if (!options.allowedMimeTypes.includes(mimetype)) {
+        throw refuse(415, `Invalid file type: the source is ${mimetype}, not a video`);
+    }
+    if (totalBytes && totalBytes > options.maxSize) {
+        throw refuse(413, 'The source file is larger than the maximum file size');
+    }
+
+    let received = 0;
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > options.maxSize) {
+                return callback(importError(413, 'The source file is larger than the maximum file size'));
+            }
+            if (options.onProgress) {
+                options.onProgress(received, totalBytes);
+            }
+            callback(null, chunk);
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        // Servers that stall mid-transfer are given up on like unresponsive ones
+        res.setTimeout(options.timeoutMs, () => {
+            res.destroy(importError(504, `The source stopped sending data for ${options.timeoutMs / 1000}s`));
+        });
+
+        pipeline(res, limiter, fs.createWriteStream(options.destination), (error) => {
+            if (!error) return resolve();
+            fs.unlink(options.destination, () => {});
+            reject(error.status || error.name === 'AbortError' ? error : importError(502, `Download failed: ${error.message}`));
+        });
+    });
+
+    if (totalBytes && received !== totalBytes) {
+        fs.unlink(options.destination, () => {});
+        throw importError(502, `Download incomplete: ${received} of ${totalBytes} bytes received`);
+    }
+
+    return { originalname, mimetype, size: received };
+}
+
+module.exports = {
+    isHostAllowed,
+    parseSourceUrl,
+    downloadSource
+};
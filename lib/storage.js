@@ -0,0 +1,190 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Storage
+ * ============================================================================
+ *
+ * Where uploaded inputs and processed outputs are kept. Files are addressed
+ * by keys such as "uploads/<file>" and "outputs/<file>".
+ *
+ *   local   Keys are paths below a root directory. With the service directory
+ *           as root the keys are exactly the files ffmpeg works on, so storing
+ *           a file costs nothing.
+ *   s3      Keys are objects in an S3-compatible bucket. ffmpeg still works on
+ *           local scratch copies; inputs are copied up when a job is created
+ *           and outputs when it completes.
+ *
+ * Every method returns a promise so callers do not care which driver is used.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const { createS3Client } = require('./s3Client');
+
+const STORAGE_DRIVERS = {
+    LOCAL: 'local',
+    S3: 's3'
+};
+
+const CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.mkv': 'video/x-matroska',
+    '.webm': 'video/webm',
+    '.avi': 'video/x-msvideo'
+};
+
+function createLocalStorage(root) {
+    const resolve = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        driver: STORAGE_DRIVERS.LOCAL,
+        isRemote: false,
+
+        localPath(key) {
+            return resolve(key);
+        },
+
+        async save(key, filePath) {
+            const target = resolve(key);
+            if (target === path.resolve(filePath)) return;
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.copyFile(filePath, target);
+        },
+
+        async fetch(key, filePath) {
+            const source = resolve(key);
+            if (source !== path.resolve(filePath)) {
+                await fs.promises.copyFile(source, filePath);
+            }
+        },
+
+        async stat(key) {
+            try {
+                const stat = await fs.promises.stat(resolve(key));
+                return { size: stat.size, modifiedAt: stat.mtimeMs };
+            } catch (error) {
+                return null;
+            }
+        },
+
+        async createReadStream(key) {
+            return fs.createReadStream(resolve(key));
+        },
+
+        async remove(key) {
+            await fs.promises.unlink(resolve(key)).catch(() => {});
+        },
+
+        async list(prefix) {
+            const directory = resolve(prefix);
+            const files = await fs.promises.readdir(directory).catch(() => []);
+            const objects = [];
+            for (const file of files) {
+                const stat = await fs.promises.stat(path.join(directory, file)).catch(() => null);
+                if (stat && stat.isFile()) {
+                    objects.push({ key: `${prefix}${file}`, size: stat.size, modifiedAt: stat.mtimeMs });
+                }
+            }
+            return objects;
+        },
+
+        presignedUrl() {
+            return null;
+        }
+    };
+}
+
+function createS3Storage(options) {
+    const s3 = createS3Client(options);
+    const expiresIn = options.presignExpiresSeconds || 900;
+
+    return {
+        driver: STORAGE_DRIVERS.S3,
+        isRemote: true,
+
+        localPath() {
+            return null;
+        },
+
+        async save(key, filePath) {
+            await s3.putFile(key, filePath, CONTENT_TYPES[path.extname(key).toLowerCase()]);
+        },
+
+        async fetch(key, filePath) {
+            const body = await s3.getObject(key);
+            if (!body) {
+                throw new Error(`Stored file not found: ${key}`);
+            }
+            await new Promise((resolve, reject) => {
+                pipeline(body, fs.createWriteStream(filePath), error => error ? reject(error) : resolve());
+            });
+        },
+
+        stat(key) {
+            return s3.headObject(key);
+        },
+
+        async createReadStream(key) {
+            const body = await s3.getObject(key);
+            if (!body) {
+                throw new Error(`Stored file not found: ${key}`);
+            }
+            return body;
+        },
+
+        remove(key) {
+            return s3.deleteObject(key);
+        },
+
+        list(prefix) {
+            return s3.listObjects(prefix);
+        },
+
+        presignedUrl(key, filename) {
+            return s3.presignGetUrl(key, { expiresIn: expiresIn, filename: filename });
+        }
+    };
+}
+
+/**
+ * Create the storage backend
+ * @param {object} options - Storage options
+ * @param {string} options.driver - 'local' or 's3'
+ * @param {string} [options.root] - Root directory of the local driver
+ * @param {object} [options.s3] - S3 connection options (see createS3Client) plus
+ *   `presignExpiresSeconds` for download links
+ * @returns {object} Storage with save(key, file), fetch(key, file), stat(key),
+ *   createReadStream(key), remove(key), list(prefix), presignedUrl(key, filename)
+ *   and localPath(key)
+ * @throws {Error} When the driver is unknown or not fully configured
+ */
+function createStorage(options) {
+    if (options.driver === STORAGE_DRIVERS.LOCAL) {
+        return createLocalStorage(options.root);
+    }
+
+    if (options.driver === STORAGE_DRIVERS.S3) {
+        const s3 = options.s3 || {};
+        const missing = ['endpoint', 'bucket', 'accessKeyId', 'secretAccessKey'].filter(name => !s3[name]);
+        if (missing.length > 0) {
+            throw new Error(`S3 storage is missing: ${missing.join(', ')}`);
+        }
+        return createS3Storage(s3);
+    }
+
+    throw new Error(`Unknown storage driver "${options.driver}". Use ${Object.values(STORAGE_DRIVERS).join(' or ')}.`);
+}
+
+module.exports = {
+    STORAGE_DRIVERS,
+    createStorage
+};
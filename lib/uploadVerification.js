@@ -0,0 +1,243 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Upload Verification
+ * ============================================================================
+ *
+ * File names and MIME types come from the client, so they prove nothing about
+ * what was uploaded. This module looks at the first bytes of a file for the
+ * signature of a real container and computes its SHA-256:
+ *
+ *   Video   MP4/MOV/3GP (ftyp), Matroska/WebM (EBML), AVI (RIFF), FLV,
+ *           ASF/WMV, MPEG program and transport streams
+ *   Audio   MP3, AAC (ADTS), WAV (RIFF), Ogg, FLAC, M4A (ftyp)
+ *
+ * Multipart uploads are checked while they stream to disk by the multer
+ * storage engine below; other sources (resumable uploads, URL imports) are
+ * checked once the file is complete.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+
+// Enough for three MPEG-TS packets, the longest signature we look for
+const SNIFF_LENGTH = 512;
+
+const TS_PACKET_SIZE = 188;
+
+const startsWith = (head, bytes, offset = 0) =>
+    head.length >= offset + bytes.length && bytes.every((byte, index) => head[offset + index] === byte);
+const ascii = text => Array.from(text, char => char.charCodeAt(0));
+
+// QuickTime files written before ftyp existed start with one of these atoms
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'free', 'skip', 'wide', 'pnot'];
+
+const isIsoMedia = head => startsWith(head, ascii('ftyp'), 4) ||
+    QUICKTIME_ATOMS.some(atom => startsWith(head, ascii(atom), 4));
+
+// Sync bytes at the start of consecutive packets (M2TS packets carry a 4-byte timecode first)
+const isTransportStream = (head, packetSize, firstSync) => [0, 1, 2]
+    .every(packet => head.length > firstSync + packet * packetSize && head[firstSync + packet * packetSize] === 0x47);
+
+const VIDEO_SIGNATURES = [
+    { container: 'mp4', matches: isIsoMedia },
+    { container: 'matroska', matches: head => startsWith(head, [0x1A, 0x45, 0xDF, 0xA3]) },
+    { container: 'avi', matches: head => startsWith(head, ascii('RIFF')) && startsWith(head, ascii('AVI '), 8) },
+    { container: 'flv', matches: head => startsWith(head, [...ascii('FLV'), 0x01]) },
+    {
+        container: 'asf',
+        matches: head => startsWith(head, [0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11, 0xA6, 0xD9, 0x00, 0xAA, 0x00, 0x62, 0xCE, 0x6C])
+    },
+    // Pack header, or a bare MPEG-1/2 video sequence header
+    { container: 'mpeg-ps', matches: head => startsWith(head, [0x00, 0x00, 0x01, 0xBA]) || startsWith(head, [0x00, 0x00, 0x01, 0xB3]) },
+    {
+        container: 'mpeg-ts',
+        matches: head => isTransportStream(head, TS_PACKET_SIZE, 0) || isTransportStream(head, TS_PACKET_SIZE + 4, 4)
+    }
+];
+
+const AUDIO_SIGNATURES = [
+    { container: 'mp3', matches: head => startsWith(head, ascii('ID3')) },
+    { container: 'wav', matches: head => startsWith(head, ascii('RIFF')) && startsWith(head, ascii('WAVE'), 8) },
+    { container: 'ogg', matches: head => startsWith(head, ascii('OggS')) },
+    { container: 'flac', matches: head => startsWith(head, ascii('fLaC')) },
+    { container: 'm4a', matches: isIsoMedia },
+    // ADTS and MPEG audio frames both start with an 11-bit frame sync; ADTS has layer bits 00
+    { container: 'aac', matches: head => head.length >= 2 && head[0] === 0xFF && (head[1] & 0xF6) === 0xF0 },
+    { container: 'mp3', matches: head => head.length >= 2 && head[0] === 0xFF && (head[1] & 0xE0) === 0xE0 }
+];
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+function verificationError(status, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details || {};
+    return error;
+}
+
+/**
+ * Identify a container from the first bytes of a file
+ * @param {Buffer} head - First bytes (SNIFF_LENGTH is enough)
+ * @param {string} [kind] - 'video' or 'audio'
+ * @returns {string|null} Container name, or null when no signature matches
+ */
+function sniffContainer(head, kind = 'video') {
+    const signatures = kind === 'audio' ? AUDIO_SIGNATURES : VIDEO_SIGNATURES;
+    const match = signatures.find(signature => signature.matches(head));
+    return match ? match.container : null;
+}
+
+/**
+ * Error for a file whose content does not match its kind
+ * @param {string} kind - 'video' or 'audio'
+ * @returns {Error} Error with HTTP status 415
+ */
+function unrecognizedContentError(kind) {
+    return verificationError(415, kind === 'audio'
+        ? 'The replacement audio is not in a recognised audio format. Renaming a file does not change its format.'
+        : 'The file is not in a recognised video format. Renaming a file does not change its format.');
+}
+
+/**
+ * Validate a checksum sent by the client
+ * @param {*} value - Hex SHA-256 from a form field or JSON body
+ * @returns {string|null} Lowercase hex digest, or null when none was sent
+ * @throws {Error} With HTTP status 400 when the value is not a SHA-256 digest
+ */
+function parseChecksum(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const digest = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!SHA256_PATTERN.test(digest)) {
+        throw verificationError(400, 'sha256 must be a SHA-256 digest (64 hexadecimal characters)');
+    }
+    return digest;
+}
+
+/**
+ * Compare a file's checksum with the one the client expected
+ * @param {string} actual - Digest computed on the server
+ * @param {string|null} expected - Digest sent by the client, if any
+ * @throws {Error} With HTTP status 422 when they differ
+ */
+function assertChecksum(actual, expected) {
+    if (expected && actual !== expected) {
+        throw verificationError(422, 'Checksum mismatch: the file was corrupted during the transfer. Please upload it again.', {
+            sha256: actual,
+            expectedSha256: expected
+        });
+    }
+}
+
+/**
+ * Sniff and hash a file that is already on disk
+ * @param {string} filePath - File to check
+ * @param {string} [kind] - 'video' or 'audio'
+ * @returns {Promise<object>} { container, sha256 }; container is null when unrecognised
+ */
+async function inspectFile(filePath, kind = 'video') {
+    const handle = await fs.promises.open(filePath, 'r');
+    let head;
+    try {
+        const buffer = Buffer.alloc(SNIFF_LENGTH);
+        const { bytesRead } = await handle.read(buffer, 0, SNIFF_LENGTH, 0);
+        head = buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+
+    const container = sniffContainer(head, kind);
+    if (!container) {
+        return { container: null, sha256: null };
+    }
+
+    const hash = crypto.createHash('sha256');
+    await new Promise((resolve, reject) => {
+        pipeline(fs.createReadStream(filePath), new Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                callback();
+            }
+        }), (error) => error ? reject(error) : resolve());
+    });
+    return { container: container, sha256: hash.digest('hex') };
+}
+
+/**
+ * Multer storage engine that writes uploads to disk while sniffing and hashing them
+ *
+ * Files get `container` and `sha256` next to multer's usual fields. A file
+ * without a known signature is not written past its first bytes (and not
+ * kept); it ends up with `container: null` so the caller can reject it
+ * without failing the other files of the request.
+ * @param {object} options - Engine options
+ * @param {string} options.directory - Where files are written
+ * @param {function} options.filename - (req, file) => file name inside the directory
+ * @returns {object} Multer storage engine
+ */
+function createVerifyingStorage(options) {
+    return {
+        _handleFile(req, file, cb) {
+            const kind = file.fieldname === 'audio' ? 'audio' : 'video';
+            const filename = options.filename(req, file);
+            const filePath = path.join(options.directory, filename);
+            const hash = crypto.createHash('sha256');
+            let head = Buffer.alloc(0);
+            let container;
+            let size = 0;
+
+            const identify = () => {
+                container = sniffContainer(head, kind);
+                head = null;
+            };
+
+            const inspector = new Transform({
+                transform(chunk, encoding, callback) {
+                    size += chunk.length;
+                    if (container === undefined) {
+                        head = Buffer.concat([head, chunk]);
+                        if (head.length >= SNIFF_LENGTH) identify();
+                    }
+                    // The rest of an unrecognised file is read but dropped
+                    if (container === null) return callback();
+                    hash.update(chunk);
+                    callback(null, chunk);
+                },
+                flush(callback) {
+                    if (container === undefined) identify();
+                    callback();
+                }
+            });
+
+            pipeline(file.stream, inspector, fs.createWriteStream(filePath), (error) => {
+                if (error || !container) {
+                    fs.unlink(filePath, () => {});
+                }
+                if (error) return cb(error);
+                cb(null, {
+                    destination: options.directory,
+                    filename: filename,
+                    path: filePath,
+                    size: size,
+                    container: container,
+                    sha256: container ? hash.digest('hex') : null
+                });
+            });
+        },
+
+        _removeFile(req, file, cb) {
+            fs.unlink(file.path, () => cb(null));
+        }
+    };
+}
+
+module.exports = {
+    sniffContainer,
+    unrecognizedContentError,
+    parseChecksum,
+    assertChecksum,
+    inspectFile,
+    createVerifyingStorage
+};
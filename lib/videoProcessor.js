@@ -0,0 +1,303 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Video Processor
+ * ============================================================================
+ *
+ * The ffmpeg side of a job, independent of the web server: plan how the
+ * streams reach the output container, run ffmpeg while reporting progress,
+ * and when ffmpeg fails, escalate through fallback strategies:
+ *
+ *   genpts     Regenerate missing or broken timestamps (-fflags +genpts)
+ *   remux-mkv  Write Matroska, which takes practically any codec; only used
+ *              when no output format was requested
+ *   reencode   Re-encode the video instead of copying it
+ *
+ * Each fallback is tried on its own, in the order given, and is skipped when
+ * it would not change anything. A failed stream copy is always re-run as a
+ * re-encode last, even when the list leaves reencode out or is empty. A run that exceeds its time budget, or whose
+ * progress output stops advancing, is killed and not retried: a hung ffmpeg
+ * tends to hang again. The attempts share one budget, so a fallback is only
+ * started while enough of it is left; otherwise the previous attempt's error
+ * stands rather than a timeout of a run that never had a chance.
+ *
+ * Shared by server.js and the command-line tool in bin/.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const { spawn, execFileSync } = require('child_process');
+const { OPERATIONS, buildFfmpegArgs } = require('./audioOperations');
+const { planEncoding } = require('./outputFormats');
+
+const FALLBACK_STRATEGIES = {
+    GENPTS: 'genpts',
+    REMUX_MKV: 'remux-mkv',
+    REENCODE: 'reencode'
+};
+
+// Why a run was killed for taking too long
+const TIMEOUT_KINDS = {
+    DEADLINE: 'deadline',
+    STALL: 'stall'
+};
+
+// Keep the end of stderr, where ffmpeg explains why it gave up
+const STDERR_EXCERPT_LENGTH = 2000;
+
+// Time a fallback needs to be worth starting (capped at a quarter of short budgets)
+const MIN_FALLBACK_BUDGET_MS = 30 * 1000;
+
+/**
+ * Whether ffmpeg can be started from the PATH
+ * @returns {boolean} True if `ffmpeg -version` runs
+ */
+function isFfmpegAvailable() {
+    try {
+        execFileSync('ffmpeg', ['-version'], { stdio: 'pipe' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Run ffmpeg with `-progress pipe:1` output
+ * @param {string[]} args - ffmpeg arguments
+ * @param {object} [options] - Run options
+ * @param {number} [options.duration] - Input duration in seconds, needed for progress
+ * @param {number} [options.timeoutMs] - Kill ffmpeg after this long (0 or unset: no limit)
+ * @param {number} [options.stallTimeoutMs] - Kill ffmpeg when its output position has not
+ *   moved for this long (0 or unset: never)
+ * @param {function} [options.onSpawn] - Called with the child process (e.g. to kill it)
+ * @param {function} [options.onProgress] - Called with a percentage (0-99) whenever it changes
+ * @returns {Promise<object>} { code, stderr, timeout } where timeout is one of
+ *   TIMEOUT_KINDS when the run was killed for taking too long, otherwise null
+ * @throws {Error} When ffmpeg cannot be started
+ */
+function runFfmpeg(args, options = {}) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', args);
+        if (options.onSpawn) {
+            options.onSpawn(ffmpeg);
+        }
+
+        let stderrData = '';
+        let lastProgress = null;
+        let lastOutTime = null;
+        let timeout = null;
+
+        const stop = (kind) => {
+            if (timeout) return;
+            timeout = kind;
+            ffmpeg.kill('SIGKILL');
+        };
+        const deadlineTimer = options.timeoutMs > 0
+            ? setTimeout(() => stop(TIMEOUT_KINDS.DEADLINE), options.timeoutMs)
+            : null;
+        // Counts from the start too, so an ffmpeg that never writes a frame is caught
+        let stallTimer = null;
+        const watchStall = () => {
+            if (!(options.stallTimeoutMs > 0)) return;
+            clearTimeout(stallTimer);
+            stallTimer = setTimeout(() => stop(TIMEOUT_KINDS.STALL), options.stallTimeoutMs);
+        };
+        const clearTimers = () => {
+            clearTimeout(deadlineTimer);
+            clearTimeout(stallTimer);
+        };
+        watchStall();
+
+        ffmpeg.stdout.on('data', (data) => {
+            const lines = data.toString().split('\n');
+            for (const line of lines) {
+                if (line.startsWith('out_time_ms=')) {
+                    const outTime = line.slice('out_time_ms='.length).trim();
+                    if (outTime !== lastOutTime) {
+                        lastOutTime = outTime;
+                        watchStall();
+                    }
+                    // Reported in microseconds despite the name; "N/A" until the first frame is written
+                    const timeMs = parseInt(line.split('=')[1]) / 1000000;
+                    if (options.duration > 0 && !isNaN(timeMs)) {
+                        const progress = Math.min(99, Math.round((timeMs / options.duration) * 100));
+                        if (progress !== lastProgress && options.onProgress) {
+                            options.onProgress(progress);
+                        }
+                        lastProgress = progress;
+                    }
+                }
+            }
+        });
+
+        ffmpeg.stderr.on('data', (data) => {
+            stderrData += data.toString();
+        });
+
+        ffmpeg.on('close', (code) => {
+            clearTimers();
+            resolve({ code: code, stderr: stderrData, timeout: timeout });
+        });
+
+        ffmpeg.on('error', (error) => {
+            clearTimers();
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Plan the encoding for a fallback strategy
+ * @param {string|null} strategy - Strategy, or null for the first attempt
+ * @param {object} planOptions - Options for planEncoding
+ * @param {object} initial - Plan of the first attempt
+ * @returns {object|null} Encoding plan, or null when the strategy would change nothing
+ */
+function planStrategy(strategy, planOptions, initial) {
+    switch (strategy) {
+        case null:
+            return initial;
+
+        case FALLBACK_STRATEGIES.GENPTS:
+            return Object.assign({}, initial, {
+                inputArgs: ['-fflags', '+genpts'],
+                extraArgs: initial.extraArgs.concat(['-avoid_negative_ts', 'make_zero'])
+            });
+
+        case FALLBACK_STRATEGIES.REMUX_MKV:
+            // A requested format is a promise about the output, never swap it
+            if (planOptions.format || initial.extension === '.mkv') return null;
+            return planEncoding(Object.assign({}, planOptions, { format: 'mkv' }));
+
+        case FALLBACK_STRATEGIES.REENCODE:
+            if (initial.reencodeVideo) return null;
+            return planEncoding(Object.assign({}, planOptions, { forceReencode: true }));
+
+        default:
+            throw new Error(`Unknown fallback strategy: ${strategy}`);
+    }
+}
+
+/**
+ * Apply an audio operation to one video file
+ * @param {object} options - Processing options
+ * @param {string} options.inputPath - Source video
+ * @param {string|function} options.outputPath - Destination file, or a function
+ *   receiving the planned extension (e.g. ".mp4") and returning the destination;
+ *   called again when a fallback changes the extension
+ * @param {object} [options.operation] - Operation from parseOperation (default: remove all audio)
+ * @param {string} [options.audioPath] - Replacement audio for replace-audio
+ * @param {string|null} [options.format] - Output format from parseOutputFormat (null keeps the container)
+ * @param {object} [options.settings] - Encoding settings from parseEncodingSettings
+ * @param {object} [options.mediaInfo] - Probed media info (codecs decide between copy and re-encode)
+ * @param {string[]} [options.strategies] - Fallback strategies to try after a failure, in order;
+ *   reencode is added at the end when missing
+ * @param {number} [options.timeoutMs] - Time budget for all attempts together (0 or unset: no limit)
+ * @param {number} [options.stallTimeoutMs] - See runFfmpeg
+ * @param {function} [options.isCancelled] - Checked before every fallback
+ * @param {function} [options.onRetry] - Called with the strategy before a fallback runs
+ * @param {function} [options.onRetrySkipped] - Called with the strategy and the milliseconds
+ *   left when too little of the time budget remains to run a fallback
+ * @param {function} [options.onAttempt] - Called with each finished attempt
+ *   ({ strategy, args, exitCode, timeout, stderr, startedAt, finishedAt }, where stderr
+ *   is the tail) and the attempt's complete stderr
+ * @param {function} [options.onSpawn] - See runFfmpeg
+ * @param {function} [options.onProgress] - See runFfmpeg
+ * @returns {Promise<object>} { code, stderr, timeout, outputPath, encoding, strategy, attempts }
+ *   where code 0 means success, timeout is set when the last attempt was killed for taking
+ *   too long and strategy is the fallback that produced the result (null for none)
+ * @throws {Error} When ffmpeg cannot be started
+ */
+async function processFile(options) {
+    const planOptions = {
+        format: options.format || null,
+        inputPath: options.inputPath,
+        mediaInfo: options.mediaInfo || null,
+        settings: options.settings || null
+    };
+    const isCancelled = options.isCancelled || (() => false);
+    const runOptions = {
+        duration: options.mediaInfo ? options.mediaInfo.duration : 0,
+        stallTimeoutMs: options.stallTimeoutMs,
+        onSpawn: options.onSpawn,
+        onProgress: options.onProgress
+    };
+    const deadline = options.timeoutMs > 0 ? Date.now() + options.timeoutMs : null;
+    const minFallbackMs = Math.min(MIN_FALLBACK_BUDGET_MS, options.timeoutMs / 4);
+    const resolveOutput = (extension) => typeof options.outputPath === 'function'
+        ? options.outputPath(extension)
+        : options.outputPath;
+
+    const initial = planEncoding(planOptions);
+    // Re-encoding is what rescues a stream copy that does not fit, so it is never left out
+    const fallbacks = options.strategies || [];
+    const strategies = [null].concat(fallbacks, fallbacks.includes(FALLBACK_STRATEGIES.REENCODE)
+        ? []
+        : [FALLBACK_STRATEGIES.REENCODE]);
+    const attempts = [];
+    let outcome = null;
+
+    for (const strategy of strategies) {
+        const encoding = planStrategy(strategy, planOptions, initial);
+        if (!encoding) continue;
+        if (outcome) {
+            if (isCancelled()) break;
+            if (deadline && deadline - Date.now() < minFallbackMs) {
+                if (options.onRetrySkipped) {
+                    options.onRetrySkipped(strategy, Math.max(0, deadline - Date.now()));
+                }
+                break;
+            }
+            // A fallback may write another container; drop what the last attempt left behind
+            fs.rmSync(outcome.outputPath, { force: true });
+            if (options.onRetry) {
+                options.onRetry(strategy);
+            }
+        }
+
+        const outputPath = resolveOutput(encoding.extension);
+        const args = buildFfmpegArgs(options.operation || { type: OPERATIONS.REMOVE }, {
+            inputPath: options.inputPath,
+            outputPath: outputPath,
+            audioPath: options.audioPath
+        }, encoding);
+
+        const startedAt = Date.now();
+        const result = await runFfmpeg(args, Object.assign({}, runOptions, {
+            timeoutMs: deadline ? Math.max(1, deadline - startedAt) : 0
+        }));
+        const attempt = {
+            strategy: strategy,
+            args: args,
+            exitCode: result.code,
+            timeout: result.timeout,
+            stderr: result.stderr.slice(-STDERR_EXCERPT_LENGTH),
+            startedAt: startedAt,
+            finishedAt: Date.now()
+        };
+        attempts.push(attempt);
+        if (options.onAttempt) {
+            options.onAttempt(attempt, result.stderr);
+        }
+
+        outcome = {
+            code: result.code,
+            stderr: result.stderr,
+            timeout: result.timeout,
+            outputPath: outputPath,
+            encoding: encoding,
+            strategy: strategy,
+            attempts: attempts
+        };
+        if (result.code === 0 || result.timeout) break;
+    }
+
+    return outcome;
+}
+
+module.exports = {
+    FALLBACK_STRATEGIES,
+    TIMEOUT_KINDS,
+    isFfmpegAvailable,
+    runFfmpeg,
+    processFile
+};
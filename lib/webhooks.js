@@ -0,0 +1,290 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - Webhooks
+ * ============================================================================
+ *
+ * POSTs a JSON payload to a job's `callbackUrl` when it completes or fails.
+ * Every request is signed so receivers can check it came from us:
+ *
+ *   X-Webhook-Timestamp   Unix time (seconds) the attempt was sent
+ *   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * Failed deliveries (network errors, timeouts, 408, 429 and 5xx responses)
+ * are retried with exponential backoff. Every attempt is appended to the
+ * job's delivery log, which lives on the job record so it is persisted
+ * together with the job.
+ *
+ * The server makes these requests on the client's behalf, so callbacks may
+ * only reach public addresses: loopback, private and link-local targets are
+ * refused, both when the URL is given and again for the address its host
+ * resolves to when sending (a DNS answer can change in between). Operators
+ * whose receivers live on a private network list them in
+ * CALLBACK_ALLOWED_HOSTS, which then becomes the only place callbacks may go.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { log } = require('./logger');
+const { isHostAllowed } = require('./sourceImport');
+
+const WEBHOOK_STATUS = {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+};
+
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+// Addresses a callback must not reach: "this network", loopback, private,
+// carrier-grade NAT, link-local (including cloud metadata endpoints) and multicast
+const BLOCKED_ADDRESSES = new net.BlockList();
+BLOCKED_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('224.0.0.0', 3, 'ipv4');
+BLOCKED_ADDRESSES.addAddress('::', 'ipv6');
+BLOCKED_ADDRESSES.addAddress('::1', 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('ff00::', 8, 'ipv6');
+
+/**
+ * Whether an IP address is a public one a callback may be sent to
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for loopback, private, link-local and other local addresses
+ */
+function isPublicAddress(address) {
+    let ip = String(address).replace(/^\[|\]$/g, '');
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) reach the IPv4 host
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+    if (mapped) ip = mapped[1];
+
+    const family = net.isIP(ip);
+    if (family === 0) return false;
+    return !BLOCKED_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Validate a callback URL from the request
+ * @param {string} value - URL given by the client
+ * @param {string[]} [allowedHosts] - CALLBACK_ALLOWED_HOSTS; when empty any public host is accepted
+ * @returns {string|null} Normalised URL, or null when none was given
+ * @throws {Error} When the URL is not a valid http(s) URL or may not be called
+ */
+function parseCallbackUrl(value, allowedHosts) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+
+    let url;
+    try {
+        url = new URL(String(value).trim());
+    } catch (error) {
+        throw new Error('callbackUrl must be a valid URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('callbackUrl must use http or https');
+    }
+    if (allowedHosts && allowedHosts.length > 0) {
+        if (!isHostAllowed(url, allowedHosts)) {
+            throw new Error(`Callbacks to ${url.host} are not allowed`);
+        }
+    } else if (url.hostname === 'localhost' || url.hostname.endsWith('.localhost') ||
+        (net.isIP(url.hostname.replace(/^\[|\]$/g, '')) && !isPublicAddress(url.hostname))) {
+        throw new Error('callbackUrl must not point at a local or private address');
+    }
+    return url.toString();
+}
+
+/**
+ * dns.lookup replacement for outgoing requests that refuses non-public addresses
+ */
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address: address, family: family }];
+        const blocked = addresses.find((entry) => !isPublicAddress(entry.address));
+        if (blocked) {
+            const refused = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+            refused.code = 'EADDRNOTPUBLIC';
+            return callback(refused);
+        }
+        callback(null, address, family);
+    });
+}
+
+/**
+ * Read the signing secret from disk, creating a random one on first use
+ * @param {string} filePath - Secret file
+ * @returns {string} Secret
+ */
+function loadOrCreateSecret(filePath) {
+    if (fs.existsSync(filePath)) {
+        return fs.readFileSync(filePath, 'utf8').trim();
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, secret, { mode: 0o600 });
+    log('INFO', `Generated webhook signing secret in ${filePath}`);
+    return secret;
+}
+
+/**
+ * Compute the signature header value for a payload
+ * @param {string} secret - Signing secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature, e.g. "sha256=ab12..."
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+function postJson(url, body, headers, timeoutMs, publicOnly) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+
+        // IP literals are connected to without a lookup, so check them here
+        if (publicOnly && net.isIP(target.hostname.replace(/^\[|\]$/g, '')) && !isPublicAddress(target.hostname)) {
+            const refused = new Error(`${target.hostname} is not a public address`);
+            refused.code = 'EADDRNOTPUBLIC';
+            reject(refused);
+            return;
+        }
+
+        const req = client.request(target, {
+            lookup: publicOnly ? publicOnlyLookup : undefined,
+            method: 'POST',
+            headers: Object.assign({
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'auto-mute-video-service'
+            }, headers),
+            timeout: timeoutMs
+        }, (res) => {
+            // Only the status matters; drain the body so the socket is released
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+
+        req.on('timeout', () => {
+            req.destroy(new Error(`Timed out after ${timeoutMs} ms`));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Create the webhook dispatcher
+ * @param {object} options - Dispatcher options
+ * @param {string} options.secret - HMAC signing secret
+ * @param {number} options.maxAttempts - Attempts per delivery, including the first
+ * @param {number} options.retryBaseMs - Delay before the first retry; doubles every retry
+ * @param {number} options.timeoutMs - Request timeout per attempt
+ * @param {string[]} [options.allowedHosts] - CALLBACK_ALLOWED_HOSTS; when empty only public addresses are contacted
+ * @param {function} [options.onUpdate] - Called after every attempt (e.g. to persist the log)
+ * @returns {object} Webhook dispatcher
+ */
+function createWebhookDispatcher(options) {
+    const onUpdate = options.onUpdate || (() => {});
+    const allowedHosts = options.allowedHosts || [];
+
+    /**
+     * Deliver an event to a job's callback URL
+     * @param {object} webhook - The job's webhook record ({ url, status, deliveries }), updated in place
+     * @param {string} event - Event name, e.g. "job.completed"
+     * @param {object} payload - Event data
+     */
+    function deliver(webhook, event, payload) {
+        const deliveryId = uuidv4();
+        const body = JSON.stringify(Object.assign({ event: event, deliveryId: deliveryId }, payload));
+
+        webhook.status = WEBHOOK_STATUS.PENDING;
+        webhook.deliveries = webhook.deliveries || [];
+
+        const attempt = async (number) => {
+            const timestamp = Math.floor(Date.now() / 1000);
+            const startedAt = Date.now();
+            const entry = {
+                deliveryId: deliveryId,
+                event: event,
+                attempt: number,
+                sentAt: new Date(startedAt).toISOString(),
+                statusCode: null,
+                durationMs: null,
+                outcome: null,
+                error: null
+            };
+
+            let retryable = true;
+            try {
+                if (allowedHosts.length > 0 && !isHostAllowed(new URL(webhook.url), allowedHosts)) {
+                    retryable = false;
+                    throw new Error(`Callbacks to ${new URL(webhook.url).host} are not allowed`);
+                }
+                entry.statusCode = await postJson(webhook.url, body, {
+                    'X-Webhook-Id': deliveryId,
+                    'X-Webhook-Event': event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(options.secret, timestamp, body)
+                }, options.timeoutMs, allowedHosts.length === 0);
+
+                if (entry.statusCode < 200 || entry.statusCode >= 300) {
+                    entry.error = `Receiver responded with HTTP ${entry.statusCode}`;
+                    retryable = entry.statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(entry.statusCode);
+                }
+            } catch (error) {
+                entry.error = error.message;
+                if (error.code === 'EADDRNOTPUBLIC') retryable = false;
+            }
+            entry.durationMs = Date.now() - startedAt;
+
+            if (!entry.error) {
+                entry.outcome = 'delivered';
+                webhook.status = WEBHOOK_STATUS.DELIVERED;
+                log('SUCCESS', `Webhook ${event} delivered to ${webhook.url} (attempt ${number})`);
+            } else if (retryable && number < options.maxAttempts) {
+                const delay = options.retryBaseMs * Math.pow(2, number - 1);
+                entry.outcome = 'retrying';
+                entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                log('WARNING', `Webhook ${event} to ${webhook.url} failed (${entry.error}), retrying in ${delay / 1000}s`);
+                setTimeout(() => attempt(number + 1), delay).unref();
+            } else {
+                entry.outcome = 'failed';
+                webhook.status = WEBHOOK_STATUS.FAILED;
+                log('ERROR', `Webhook ${event} to ${webhook.url} failed after ${number} attempt(s): ${entry.error}`);
+            }
+
+            webhook.deliveries.push(entry);
+            onUpdate(webhook);
+        };
+
+        attempt(1);
+    }
+
+    return { deliver };
+}
+
+module.exports = {
+    WEBHOOK_STATUS,
+    isPublicAddress,
+    parseCallbackUrl,
+    loadOrCreateSecret,
+    signPayload,
+    createWebhookDispatcher
+};
@@ -0,0 +1,128 @@
+/**
+ * ============================================================================
+ * AUTO MUTE VIDEO SERVICE - ZIP Bundles
+ * ============================================================================
+ *
+ * Streams the outputs of several jobs as one ZIP archive straight into the
+ * HTTP response, with a manifest.json describing what is (and is not) inside.
+ * Nothing is staged on disk; videos are stored uncompressed since they are
+ * already compressed and deflating them would only cost CPU. Entries are
+ * added one at a time, so remote files are only opened when their turn comes;
+ * one that is gone by then is left out and listed under the manifest failures.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { log } = require('./logger');
+
+const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * Make an archive entry name unique by appending " (2)", " (3)", ...
+ * @param {string} name - Preferred entry name
+ * @param {Set<string>} usedNames - Names already in the archive (updated in place)
+ * @returns {string} Unique entry name
+ */
+function uniqueEntryName(name, usedNames) {
+    const ext = path.extname(name);
+    const base = name.slice(0, name.length - ext.length);
+    let candidate = name;
+    for (let counter = 2; usedNames.has(candidate.toLowerCase()); counter++) {
+        candidate = `${base} (${counter})${ext}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+/**
+ * Stream a ZIP of files plus a manifest into a response
+ * @param {object} res - Express response
+ * @param {object} options - Bundle options
+ * @param {string} options.filename - Download name of the archive
+ * @param {object[]} options.files - Entries as { path, name, manifest } or
+ *   { open, name, manifest }, where `open` resolves to a readable stream and
+ *   `manifest` is the entry's record in manifest.json
+ * @param {object} options.manifest - Additional manifest fields (failures, batchId, ...)
+ *   Entries that cannot be read are added to `failures` instead of the archive
+ */
+function streamZipBundle(res, options) {
+    const archive = archiver('zip', { store: true });
+    const usedNames = new Set([MANIFEST_NAME]);
+    const files = [];
+
+    archive.on('warning', (error) => {
+        log('WARNING', `ZIP bundle warning: ${error.message}`);
+    });
+
+    archive.on('error', (error) => {
+        // Headers are already out, so all we can do is cut the download short
+        log('ERROR', `ZIP bundle failed: ${error.message}`);
+        res.destroy(error);
+    });
+
+    // Stop reading files when the client goes away mid-download
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            archive.abort();
+        }
+    });
+
+    res.attachment(options.filename);
+    archive.pipe(res);
+
+    const entries = options.files.map((file) => {
+        const name = uniqueEntryName(file.name, usedNames);
+        const record = Object.assign({ filename: name }, file.manifest);
+        files.push(record);
+        return Object.assign({}, file, { name: name, record: record });
+    });
+
+    const manifest = Object.assign({
+        generatedAt: new Date().toISOString(),
+        fileCount: files.length,
+        files: files
+    }, options.manifest);
+
+    // The manifest is written last, so it can still tell about entries that vanished
+    const skip = (entry, error) => {
+        log('WARNING', `ZIP bundle: leaving out ${entry.name}: ${error.message}`);
+        files.splice(files.indexOf(entry.record), 1);
+        manifest.fileCount = files.length;
+        manifest.failures = (manifest.failures || []).concat(Object.assign({}, entry.record, { error: 'File not found' }));
+        appendNext();
+    };
+
+    let next = 0;
+    const appendNext = () => {
+        if (next === entries.length) {
+            next++;
+            archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+            archive.finalize();
+            return;
+        }
+        if (next > entries.length) return;
+
+        const entry = entries[next++];
+        if (entry.path) {
+            fs.promises.access(entry.path).then(() => {
+                archive.file(entry.path, { name: entry.name });
+            }, (error) => skip(entry, error));
+            return;
+        }
+        entry.open().then((stream) => {
+            if (res.destroyed) {
+                stream.destroy();
+                return;
+            }
+            archive.append(stream, { name: entry.name });
+        }, (error) => skip(entry, error));
+    };
+
+    // Each finished entry pulls in the next one
+    archive.on('entry', appendNext);
+    appendNext();
+}
+
+module.exports = { MANIFEST_NAME, uniqueEntryName, streamZipBundle };
@@ -12,12 +12,28 @@
 const state = {
     currentFile: null,
     currentJobId: null,
+    outputFilename: null,
     isUploading: false,
     isProcessing: false,
     uploadProgress: 0,
     processingProgress: 0,
+    xhr: null,
+    muteRanges: [],
+    previewUrl: null,
+    timelineDrag: null,
+    batchFiles: [],
+    importUrl: null,
+    batchId: null,
+    batchJobs: [],
+    batchPollInterval: null,
+    batchStream: null,
+    activeUpload: null,
     pollInterval: null,
-    statsInterval: null
+    progressStream: null,
+    statsInterval: null,
+    statsStream: null,
+    authAlertShown: false,
+    historyPage: 1
 };
 
 // ============================================================================
@@ -32,12 +48,60 @@ const elements = {
     fileName: document.getElementById('fileName'),
     fileSize: document.getElementById('fileSize'),
     removeFile: document.getElementById('removeFile'),
+    fileTypes: document.getElementById('fileTypes'),
+    fileLimit: document.getElementById('fileLimit'),
+    urlImport: document.getElementById('urlImport'),
+    importUrlInput: document.getElementById('importUrlInput'),
+    importUrlBtn: document.getElementById('importUrlBtn'),
+
+    // Audio Operation
+    operationPanel: document.getElementById('operationPanel'),
+    operationSelect: document.getElementById('operationSelect'),
+    replaceAudioOption: document.querySelector('#operationSelect option[value="replace-audio"]'),
+    muteStart: document.getElementById('muteStart'),
+    muteEnd: document.getElementById('muteEnd'),
+    addRangeBtn: document.getElementById('addRangeBtn'),
+    rangeList: document.getElementById('rangeList'),
+    timelinePreview: document.getElementById('timelinePreview'),
+    timeline: document.getElementById('timeline'),
+    timelineRanges: document.getElementById('timelineRanges'),
+    timelinePlayhead: document.getElementById('timelinePlayhead'),
+    timelineDuration: document.getElementById('timelineDuration'),
+    timelineHint: document.getElementById('timelineHint'),
+    dropTracks: document.getElementById('dropTracks'),
+    audioInput: document.getElementById('audioInput'),
+    formatSelect: document.getElementById('formatSelect'),
+    presetSelect: document.getElementById('presetSelect'),
+    presetEstimate: document.getElementById('presetEstimate'),
+    customPresetFields: document.getElementById('customPresetFields'),
+    customCrf: document.getElementById('customCrf'),
+    customResolution: document.getElementById('customResolution'),
+    customFps: document.getElementById('customFps'),
 
     // Progress
     progressSection: document.getElementById('progressSection'),
     progressStatus: document.getElementById('progressStatus'),
     progressPercentage: document.getElementById('progressPercentage'),
     progressBar: document.getElementById('progressBar'),
+    progressOperation: document.getElementById('progressOperation'),
+    progressMedia: document.getElementById('progressMedia'),
+
+    // Batch Jobs
+    batchSection: document.getElementById('batchSection'),
+    batchSummary: document.getElementById('batchSummary'),
+    batchList: document.getElementById('batchList'),
+    downloadAllBtn: document.getElementById('downloadAllBtn'),
+
+    // Job History
+    historyStatus: document.getElementById('historyStatus'),
+    historySort: document.getElementById('historySort'),
+    historyRefreshBtn: document.getElementById('historyRefreshBtn'),
+    historyList: document.getElementById('historyList'),
+    historyEmpty: document.getElementById('historyEmpty'),
+    historyPager: document.getElementById('historyPager'),
+    historyPrevBtn: document.getElementById('historyPrevBtn'),
+    historyNextBtn: document.getElementById('historyNextBtn'),
+    historyPage: document.getElementById('historyPage'),
 
     // Stages
     stageUpload: document.getElementById('stageUpload'),
@@ -48,12 +112,17 @@ const elements = {
     uploadBtn: document.getElementById('uploadBtn'),
     downloadBtn: document.getElementById('downloadBtn'),
     newUploadBtn: document.getElementById('newUploadBtn'),
+    cancelBtn: document.getElementById('cancelBtn'),
 
     // Stats
     totalUploads: document.getElementById('totalUploads'),
     totalProcessed: document.getElementById('totalProcessed'),
     serverUptime: document.getElementById('serverUptime'),
     activeJobs: document.getElementById('activeJobs'),
+    queuedJobs: document.getElementById('queuedJobs'),
+
+    // API Key
+    apiKeyInput: document.getElementById('apiKeyInput'),
 
     // Alert Container
     alertContainer: document.getElementById('alertContainer')
@@ -102,20 +171,64 @@ function formatUptime(uptime) {
  * @returns {boolean} True if valid
  */
 function isValidVideoFile(file) {
-    const allowedExtensions = ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.wmv', '.flv', '.m4v', '.mpeg', '.mpg', '.3gp'];
     const extension = '.' + file.name.split('.').pop().toLowerCase();
 
-    return allowedExtensions.includes(extension) || file.type.startsWith('video/');
+    // Browsers leave the type empty for formats they do not know
+    return serverConfig.allowedExtensions.includes(extension) &&
+        (file.type === '' || serverConfig.allowedMimeTypes.includes(file.type));
 }
 
 /**
- * Check if file size is within limit (2GB)
+ * Check if file size is within the server's limit
  * @param {File} file - File to check
  * @returns {boolean} True if within limit
  */
 function isFileSizeValid(file) {
-    const maxSize = 2 * 1024 * 1024 * 1024; // 2GB
-    return file.size <= maxSize;
+    return file.size <= serverConfig.maxFileSize;
+}
+
+/**
+ * Summarise probed media info, e.g. "MP4 · 1920x1080 · h264 · 2 audio tracks"
+ * @param {object} info - Media info returned by the server
+ * @returns {string} Summary
+ */
+function describeMediaInfo(info) {
+    if (!info) return '';
+
+    const parts = [];
+    if (info.container) parts.push(info.container.split(',')[0].toUpperCase());
+    if (info.resolution) parts.push(info.resolution);
+    if (info.video.length > 0 && info.video[0].codec) parts.push(info.video[0].codec);
+    if (info.duration) parts.push(formatTimecode(info.duration));
+    parts.push(`${info.audio.length} audio track${info.audio.length === 1 ? '' : 's'}`);
+
+    return parts.join(' · ');
+}
+
+/**
+ * Parse a timecode such as "12", "00:12" or "1:02:03.5" into seconds
+ * @param {string} value - Timecode
+ * @returns {number} Seconds, or NaN if invalid
+ */
+function parseTimecode(value) {
+    if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) {
+        return NaN;
+    }
+
+    return value.trim().split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Format seconds as mm:ss.s (or h:mm:ss.s)
+ * @param {number} seconds - Seconds
+ * @returns {string} Formatted timecode
+ */
+function formatTimecode(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = String(Math.floor(seconds / 60) % 60).padStart(2, '0');
+    const secs = (seconds % 60).toFixed(1).padStart(4, '0');
+
+    return hours > 0 ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
 }
 
 // ============================================================================
@@ -196,6 +309,193 @@ function dismissAlert(alertId) {
 // Make dismissAlert available globally
 window.dismissAlert = dismissAlert;
 
+// ============================================================================
+// SERVER CONFIGURATION
+// ============================================================================
+
+// Limits the server enforces; replaced by GET /config during startup
+const serverConfig = {
+    maxFileSize: 2 * 1024 * 1024 * 1024,
+    maxBatchFiles: 50,
+    allowedExtensions: ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.wmv', '.flv', '.m4v', '.mpeg', '.mpg', '.3gp'],
+    allowedMimeTypes: [],
+    allowedAudioExtensions: [],
+    importEnabled: true,
+    authRequired: false
+};
+
+/**
+ * Load the server's limits and show them in the upload zone
+ */
+async function loadServerConfig() {
+    try {
+        const response = await fetch('/config');
+        const data = await response.json();
+        if (data.success) {
+            Object.assign(serverConfig, data);
+        }
+    } catch (error) {
+        console.error('Failed to load server configuration:', error);
+    }
+
+    const formats = serverConfig.allowedExtensions.map(ext => ext.slice(1).toUpperCase());
+    elements.fileTypes.textContent = `Supported: ${formats.join(', ')}`;
+    elements.fileLimit.textContent = `Maximum file size: ${formatFileSize(serverConfig.maxFileSize)} · ` +
+        `Up to ${serverConfig.maxBatchFiles} videos per batch`;
+    elements.fileInput.accept = serverConfig.allowedExtensions.concat('video/*').join(',');
+    if (serverConfig.allowedAudioExtensions.length > 0) {
+        elements.audioInput.accept = serverConfig.allowedAudioExtensions.concat('audio/*').join(',');
+    }
+
+    if (!serverConfig.importEnabled) {
+        elements.importUrlInput.disabled = true;
+        elements.importUrlBtn.disabled = true;
+        elements.importUrlInput.placeholder = 'Importing by URL is not enabled on this server';
+    }
+}
+
+// ============================================================================
+// API KEY
+// ============================================================================
+
+const API_KEY_STORAGE_KEY = 'apiKey';
+
+/**
+ * Get the API key entered by the user
+ * @returns {string} API key, or an empty string
+ */
+function getApiKey() {
+    return localStorage.getItem(API_KEY_STORAGE_KEY) || '';
+}
+
+/**
+ * Save the API key and reconnect the statistics stream with it
+ */
+function saveApiKey() {
+    const key = elements.apiKeyInput.value.trim();
+    if (key) {
+        localStorage.setItem(API_KEY_STORAGE_KEY, key);
+    } else {
+        localStorage.removeItem(API_KEY_STORAGE_KEY);
+    }
+    state.authAlertShown = false;
+
+    if (state.statsStream) {
+        state.statsStream.close();
+        state.statsStream = null;
+    }
+    if (state.statsInterval) {
+        clearInterval(state.statsInterval);
+        state.statsInterval = null;
+    }
+    startStatsUpdates();
+
+    state.historyPage = 1;
+    loadHistory();
+}
+
+/**
+ * Tell the user a key is needed (once, until the key changes)
+ */
+function handleUnauthorized() {
+    if (state.authAlertShown) return;
+    state.authAlertShown = true;
+    showAlert('error', 'API Key Required', 'The server rejected the request. Enter a valid API key at the top of the page.', 8000);
+    elements.apiKeyInput.focus();
+}
+
+/**
+ * fetch() with the API key attached
+ * @param {string} url - Request URL
+ * @param {object} [options] - fetch options
+ * @returns {Promise<Response>} Response
+ */
+async function apiFetch(url, options = {}) {
+    const key = getApiKey();
+    const headers = Object.assign({}, options.headers, key ? { 'X-API-Key': key } : {});
+    const response = await fetch(url, Object.assign({}, options, { headers: headers }));
+    if (response.status === 401) {
+        handleUnauthorized();
+    }
+    return response;
+}
+
+/**
+ * Add the API key to a URL for requests that cannot send headers
+ * (downloads and event streams)
+ * @param {string} url - URL
+ * @returns {string} URL with a token parameter when a key is set
+ */
+function withApiToken(url) {
+    const key = getApiKey();
+    if (!key) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(key)}`;
+}
+
+/**
+ * Attach the API key to an XMLHttpRequest (call after open())
+ * @param {XMLHttpRequest} xhr - Opened request
+ */
+function setApiKeyHeader(xhr) {
+    const key = getApiKey();
+    if (key) {
+        xhr.setRequestHeader('X-API-Key', key);
+    }
+}
+
+// ============================================================================
+// LIVE UPDATES
+// ============================================================================
+
+// Events a job stream emits; every one carries the job's progress snapshot
+const JOB_EVENTS = ['status', 'progress', 'completed', 'failed', 'timed-out', 'cancelled'];
+
+/**
+ * Open a Server-Sent Events stream
+ *
+ * The browser reconnects on its own after network hiccups. When the stream
+ * cannot be used at all (no EventSource support, or the server refuses it)
+ * `onUnavailable` is called once so the caller can fall back to polling.
+ * @param {string} url - Stream URL
+ * @param {string[]} eventNames - Events to listen for
+ * @param {function} onEvent - Called with the parsed payload of every event
+ * @param {function} onUnavailable - Called when streaming is not possible
+ * @returns {EventSource|null} The stream, or null when unsupported
+ */
+function openEventStream(url, eventNames, onEvent, onUnavailable) {
+    if (!window.EventSource) {
+        onUnavailable();
+        return null;
+    }
+
+    const source = new EventSource(withApiToken(url));
+    eventNames.forEach((name) => {
+        source.addEventListener(name, (e) => onEvent(JSON.parse(e.data)));
+    });
+
+    source.addEventListener('error', () => {
+        // CONNECTING means the browser is already retrying by itself
+        if (source.readyState === EventSource.CLOSED) {
+            onUnavailable();
+        }
+    });
+
+    return source;
+}
+
+/**
+ * Format a remaining time estimate
+ * @param {number} seconds - Seconds left
+ * @returns {string} e.g. "45s", "3m 20s" or "1h 5m"
+ */
+function formatEta(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds / 60) % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${seconds % 60}s`;
+}
+
 // ============================================================================
 // FILE HANDLING
 // ============================================================================
@@ -210,13 +510,13 @@ function handleFileSelect(file) {
 
     // Validate file type
     if (!isValidVideoFile(file)) {
-        showAlert('error', 'Invalid File Type', 'Please select a valid video file (MP4, MOV, AVI, MKV, WebM, WMV, FLV)');
+        showAlert('error', 'Invalid File Type', `Please select a supported video file (${serverConfig.allowedExtensions.join(', ')})`);
         return;
     }
 
     // Validate file size
     if (!isFileSizeValid(file)) {
-        showAlert('error', 'File Too Large', 'Maximum file size is 2GB. Please select a smaller file.');
+        showAlert('error', 'File Too Large', `Maximum file size is ${formatFileSize(serverConfig.maxFileSize)}. Please select a smaller file.`);
         return;
     }
 
@@ -226,10 +526,68 @@ function handleFileSelect(file) {
     elements.fileName.textContent = file.name;
     elements.fileSize.textContent = formatFileSize(file.size);
     elements.fileInfo.style.display = 'flex';
+    elements.operationPanel.style.display = 'flex';
+    elements.uploadZone.style.display = 'none';
+    elements.urlImport.style.display = 'none';
+    elements.uploadBtn.disabled = false;
+
+    loadTimelinePreview(file);
+    updatePresetFields();
+
+    if (localStorage.getItem(resumableUploadKey(file))) {
+        showAlert('info', 'File Selected', `${file.name} was partly uploaded before. The upload will resume where it stopped.`);
+    } else {
+        showAlert('info', 'File Selected', `Ready to process: ${file.name}`);
+    }
+}
+
+/**
+ * Handle one or more selected files
+ * @param {FileList} fileList - Selected files
+ */
+function handleFilesSelect(fileList) {
+    const files = Array.from(fileList);
+    if (files.length === 1) {
+        handleFileSelect(files[0]);
+        return;
+    }
+
+    resetState();
+
+    const accepted = files.filter(file => isValidVideoFile(file) && isFileSizeValid(file));
+    const skipped = files.length - accepted.length;
+
+    if (accepted.length === 0) {
+        showAlert('error', 'No Valid Videos', `None of the selected files is a supported video under ${formatFileSize(serverConfig.maxFileSize)}.`);
+        return;
+    }
+    if (accepted.length > serverConfig.maxBatchFiles) {
+        showAlert('error', 'Too Many Files', `A batch can contain at most ${serverConfig.maxBatchFiles} videos. Please select fewer files.`);
+        return;
+    }
+    if (skipped > 0) {
+        showAlert('warning', 'Files Skipped', `${skipped} file(s) were skipped: unsupported type or larger than ${formatFileSize(serverConfig.maxFileSize)}.`);
+    }
+    if (accepted.length === 1) {
+        handleFileSelect(accepted[0]);
+        return;
+    }
+
+    // Store files and update UI
+    state.batchFiles = accepted;
+
+    elements.fileName.textContent = `${accepted.length} videos`;
+    elements.fileSize.textContent = formatFileSize(accepted.reduce((total, file) => total + file.size, 0));
+    elements.fileInfo.style.display = 'flex';
+    elements.operationPanel.style.display = 'flex';
     elements.uploadZone.style.display = 'none';
+    elements.urlImport.style.display = 'none';
     elements.uploadBtn.disabled = false;
 
-    showAlert('info', 'File Selected', `Ready to process: ${file.name}`);
+    setBatchMode(true);
+    updatePresetFields();
+
+    showAlert('info', 'Files Selected', `Ready to process ${accepted.length} videos`);
 }
 
 /**
@@ -237,293 +595,1725 @@ function handleFileSelect(file) {
  */
 function removeFile() {
     state.currentFile = null;
+    state.batchFiles = [];
+    state.importUrl = null;
+    setBatchMode(false);
+    resetTimeline();
     elements.fileInput.value = '';
+    elements.importUrlInput.value = '';
     elements.fileInfo.style.display = 'none';
+    elements.operationPanel.style.display = 'none';
     elements.uploadZone.style.display = 'block';
+    elements.urlImport.style.display = 'flex';
     elements.uploadBtn.disabled = true;
 }
 
 // ============================================================================
-// UPLOAD HANDLING
+// AUDIO OPERATIONS
 // ============================================================================
 
 /**
- * Start the upload and processing
+ * Show only the inputs that belong to the selected operation
  */
-async function startUpload() {
-    if (!state.currentFile || state.isUploading) return;
-
-    state.isUploading = true;
-    elements.uploadBtn.disabled = true;
-    elements.uploadBtn.classList.add('processing');
-
-    // Show progress section
-    elements.progressSection.style.display = 'block';
-    updateProgress('Uploading...', 0);
-    setStage('upload');
+function updateOperationFields() {
+    const operation = elements.operationSelect.value;
 
-    const formData = new FormData();
-    formData.append('video', state.currentFile);
+    document.querySelectorAll('.operation-fields').forEach(group => {
+        group.style.display = group.dataset.operation === operation ? 'flex' : 'none';
+    });
+}
 
-    const xhr = new XMLHttpRequest();
+/**
+ * Append the selected operation and its parameters to the upload form
+ * @param {FormData} formData - Upload form data
+ */
+function appendOperationFields(formData) {
+    const operation = elements.operationSelect.value;
+    formData.append('operation', operation);
 
-    // Track upload progress
-    xhr.upload.addEventListener('progress', (e) => {
-        if (e.lengthComputable) {
-            const percent = Math.round((e.loaded / e.total) * 100);
-            state.uploadProgress = percent;
-            updateProgress('Uploading...', percent);
-        }
-    });
+    if (elements.formatSelect.value) {
+        formData.append('format', elements.formatSelect.value);
+    }
 
-    xhr.addEventListener('load', () => {
-        if (xhr.status === 200) {
-            try {
-                const response = JSON.parse(xhr.responseText);
-                if (response.success) {
-                    state.currentJobId = response.jobId;
-                    state.isUploading = false;
-                    state.isProcessing = true;
-
-                    showAlert('success', 'Upload Complete', 'Video uploaded successfully. Processing started...');
-
-                    // Start polling for processing progress
-                    setStage('process');
-                    startProgressPolling();
-                } else {
-                    handleUploadError(response.error || 'Upload failed');
-                }
-            } catch (error) {
-                handleUploadError('Invalid server response');
-            }
-        } else {
-            try {
-                const response = JSON.parse(xhr.responseText);
-                handleUploadError(response.error || 'Upload failed');
-            } catch (error) {
-                handleUploadError('Upload failed with status: ' + xhr.status);
-            }
-        }
-    });
+    formData.append('preset', elements.presetSelect.value);
+    if (elements.presetSelect.value === 'custom') {
+        formData.append('crf', elements.customCrf.value.trim());
+        formData.append('resolution', elements.customResolution.value.trim());
+        formData.append('fps', elements.customFps.value.trim());
+    }
 
-    xhr.addEventListener('error', () => {
-        handleUploadError('Network error occurred. Please check your connection.');
-    });
+    switch (operation) {
+        case 'mute-range':
+            formData.append('ranges', JSON.stringify(state.muteRanges));
+            break;
 
-    xhr.addEventListener('abort', () => {
-        handleUploadError('Upload was cancelled.');
-    });
+        case 'drop-tracks':
+            formData.append('tracks', elements.dropTracks.value.trim());
+            break;
 
-    xhr.open('POST', '/upload');
-    xhr.send(formData);
+        case 'replace-audio':
+            if (elements.audioInput.files[0]) {
+                formData.append('audio', elements.audioInput.files[0]);
+            }
+            break;
+    }
 }
 
 /**
- * Handle upload error
- * @param {string} message - Error message
+ * Reset the operation selector to its defaults
  */
-function handleUploadError(message) {
-    state.isUploading = false;
-    state.isProcessing = false;
-    elements.uploadBtn.disabled = false;
-    elements.uploadBtn.classList.remove('processing');
-
-    showAlert('error', 'Upload Failed', message);
-    updateProgress('Failed', 0);
-
-    // Reset after a delay
-    setTimeout(() => {
-        elements.progressSection.style.display = 'none';
-        resetStages();
-    }, 3000);
+function resetOperationFields() {
+    elements.operationSelect.value = 'remove';
+    elements.formatSelect.value = '';
+    elements.presetSelect.value = 'copy';
+    elements.customCrf.value = '';
+    elements.customResolution.value = '';
+    elements.customFps.value = '';
+    elements.dropTracks.value = '';
+    elements.audioInput.value = '';
+    elements.progressOperation.textContent = '';
+    elements.progressMedia.textContent = '';
+    resetTimeline();
+    updateOperationFields();
+    updatePresetFields();
 }
 
 // ============================================================================
-// PROGRESS TRACKING
+// QUALITY PRESETS
 // ============================================================================
 
+// Mirrors the server's presets; only used for the size estimate
+const PRESET_SETTINGS = {
+    'web-720p': { height: 720, crf: 28 },
+    'web-1080p': { height: 1080, crf: 23 },
+    small: { height: 480, crf: 32, fps: 24 }
+};
+
 /**
- * Update progress display
- * @param {string} status - Status text
- * @param {number} percent - Progress percentage
+ * Read the custom preset inputs
+ * @returns {object} Settings with optional width, height, crf and fps
  */
-function updateProgress(status, percent) {
-    elements.progressStatus.textContent = status;
-    elements.progressPercentage.textContent = percent + '%';
-    elements.progressBar.querySelector('.progress-fill').style.width = percent + '%';
+function getCustomPresetSettings() {
+    const settings = {};
+    const resolution = elements.customResolution.value.trim().toLowerCase();
+    const sizeMatch = resolution.match(/^(\d+)x(\d+)$/);
+    const heightMatch = resolution.match(/^(\d+)p?$/);
+
+    if (sizeMatch) {
+        settings.width = parseInt(sizeMatch[1], 10);
+        settings.height = parseInt(sizeMatch[2], 10);
+    } else if (heightMatch) {
+        settings.height = parseInt(heightMatch[1], 10);
+    }
+    if (elements.customCrf.value !== '') settings.crf = Number(elements.customCrf.value);
+    if (elements.customFps.value !== '') settings.fps = Number(elements.customFps.value);
+
+    return settings;
 }
 
 /**
- * Set the current stage
- * @param {string} stage - Stage name: upload, process, complete
+ * Roughly estimate the output size for the selected preset
+ * @returns {string} Estimate text, empty when no estimate is possible
  */
-function setStage(stage) {
-    const stages = ['upload', 'process', 'complete'];
-    const stageElements = [elements.stageUpload, elements.stageProcess, elements.stageComplete];
-    const lines = document.querySelectorAll('.stage-line');
+function estimateOutputSize() {
+    if (!state.currentFile) return '';
 
-    const currentIndex = stages.indexOf(stage);
+    const preset = elements.presetSelect.value;
+    if (preset === 'copy') {
+        return `≈ ${formatFileSize(state.currentFile.size)} or less`;
+    }
 
-    stageElements.forEach((el, index) => {
-        el.classList.remove('active', 'completed');
+    const duration = getPreviewDuration();
+    if (duration === 0) return 'Size estimate unavailable';
 
-        if (index < currentIndex) {
-            el.classList.add('completed');
-        } else if (index === currentIndex) {
-            el.classList.add('active');
-        }
-    });
+    const settings = preset === 'custom' ? getCustomPresetSettings() : PRESET_SETTINGS[preset];
+    const sourceWidth = elements.timelinePreview.videoWidth || 1920;
+    const sourceHeight = elements.timelinePreview.videoHeight || 1080;
 
-    lines.forEach((line, index) => {
-        line.classList.remove('completed');
-        if (index < currentIndex) {
-            line.classList.add('completed');
-        }
-    });
-}
+    // Presets never upscale; an explicit WxH is used as given
+    const height = settings.width ? settings.height : Math.min(settings.height || sourceHeight, sourceHeight);
+    const width = settings.width || Math.round(height * sourceWidth / sourceHeight);
+    const fps = settings.fps || 30;
+    const crf = settings.crf !== undefined ? settings.crf : 23;
 
-/**
- * Reset all stages
- */
-function resetStages() {
-    elements.stageUpload.classList.remove('active', 'completed');
-    elements.stageProcess.classList.remove('active', 'completed');
-    elements.stageComplete.classList.remove('active', 'completed');
+    // H.264 needs ~0.07 bits per pixel at CRF 23; every +6 CRF roughly halves the bitrate
+    const bitsPerPixel = 0.07 * Math.pow(2, (23 - crf) / 6);
+    const videoBitrate = width * height * fps * bitsPerPixel;
+    const audioBitrate = elements.operationSelect.value === 'remove' ? 0 : 128000;
+    const bytes = (videoBitrate + audioBitrate) * duration / 8;
 
-    document.querySelectorAll('.stage-line').forEach(line => {
-        line.classList.remove('completed');
-    });
+    return `≈ ${formatFileSize(Math.round(bytes))}`;
 }
 
 /**
- * Start polling for processing progress
+ * Show the custom inputs when needed and refresh the size estimate
  */
-function startProgressPolling() {
-    updateProgress('Processing...', 0);
+function updatePresetFields() {
+    elements.customPresetFields.style.display = elements.presetSelect.value === 'custom' ? 'flex' : 'none';
+    elements.presetEstimate.textContent = estimateOutputSize();
+}
 
-    state.pollInterval = setInterval(async () => {
-        if (!state.currentJobId) {
-            stopProgressPolling();
-            return;
-        }
+// ============================================================================
+// TIMELINE EDITOR
+// ============================================================================
 
-        try {
-            const response = await fetch(`/progress/${state.currentJobId}`);
-            const data = await response.json();
+/**
+ * Load the selected file into the preview player
+ * @param {File} file - Selected video file
+ */
+function loadTimelinePreview(file) {
+    if (state.previewUrl) {
+        URL.revokeObjectURL(state.previewUrl);
+    }
 
-            if (data.success) {
-                state.processingProgress = data.progress;
-
-                switch (data.status) {
-                    case 'processing':
-                        updateProgress('Processing...', data.progress);
-                        break;
-
-                    case 'completed':
-                        stopProgressPolling();
-                        handleProcessingComplete();
-                        break;
-
-                    case 'failed':
-                        stopProgressPolling();
-                        handleProcessingError(data.error || 'Processing failed');
-                        break;
-                }
-            }
-        } catch (error) {
-            console.error('Error polling progress:', error);
-        }
-    }, 500);
+    state.muteRanges = [];
+    state.previewUrl = URL.createObjectURL(file);
+    elements.timelinePreview.src = state.previewUrl;
+    renderTimeline();
 }
 
 /**
- * Stop polling for processing progress
+ * Duration of the preview video, or 0 when the browser cannot decode it
+ * @returns {number} Duration in seconds
  */
-function stopProgressPolling() {
-    if (state.pollInterval) {
-        clearInterval(state.pollInterval);
-        state.pollInterval = null;
-    }
+function getPreviewDuration() {
+    const duration = elements.timelinePreview.duration;
+    return isFinite(duration) ? duration : 0;
 }
 
 /**
- * Handle successful processing completion
+ * Convert a pointer position on the timeline to a time in seconds
+ * @param {PointerEvent} e - Pointer event
+ * @returns {number} Time in seconds
  */
-function handleProcessingComplete() {
+function timelineTimeFromEvent(e) {
+    const rect = elements.timeline.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    return ratio * getPreviewDuration();
+}
+
+/**
+ * Add a range to mute, merging it with any range it overlaps
+ * @param {number} start - Start in seconds
+ * @param {number} end - End in seconds
+ */
+function addMuteRange(start, end) {
+    const ranges = state.muteRanges.concat([[start, end]]).sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([range[0], range[1]]);
+        }
+    }
+
+    state.muteRanges = merged;
+    renderTimeline();
+}
+
+/**
+ * Remove a range by its index
+ * @param {number} index - Range index
+ */
+function removeMuteRange(index) {
+    state.muteRanges.splice(index, 1);
+    renderTimeline();
+}
+
+/**
+ * Add the range typed into the start/end inputs
+ */
+function addRangeFromInputs() {
+    const start = parseTimecode(elements.muteStart.value);
+    const end = parseTimecode(elements.muteEnd.value);
+
+    if (isNaN(start) || isNaN(end) || end <= start) {
+        showAlert('error', 'Invalid Range', 'Enter a start and end time such as 00:12 and 00:31, with the end after the start.');
+        return;
+    }
+
+    addMuteRange(start, end);
+    elements.muteStart.value = '';
+    elements.muteEnd.value = '';
+}
+
+/**
+ * Position a range element on the timeline
+ * @param {HTMLElement} el - Range element
+ * @param {number} start - Start in seconds
+ * @param {number} end - End in seconds
+ * @param {number} duration - Video duration in seconds
+ */
+function positionTimelineRange(el, start, end, duration) {
+    el.style.left = (Math.min(start, duration) / duration * 100) + '%';
+    el.style.width = ((Math.min(end, duration) - Math.min(start, duration)) / duration * 100) + '%';
+}
+
+/**
+ * Redraw the ranges on the timeline and in the range list
+ */
+function renderTimeline() {
+    const duration = getPreviewDuration();
+
+    elements.timelineRanges.innerHTML = '';
+    if (duration > 0) {
+        for (const range of state.muteRanges) {
+            const el = document.createElement('div');
+            el.className = 'timeline-range';
+            positionTimelineRange(el, range[0], range[1], duration);
+            elements.timelineRanges.appendChild(el);
+        }
+    }
+
+    elements.rangeList.innerHTML = state.muteRanges.map((range, index) => `
+        <li>
+            <span>${formatTimecode(range[0])} – ${formatTimecode(range[1])}</span>
+            <button type="button" data-index="${index}" title="Remove range">&times;</button>
+        </li>
+    `).join('');
+}
+
+/**
+ * Clear ranges and unload the preview player
+ */
+function resetTimeline() {
+    state.muteRanges = [];
+    state.timelineDrag = null;
+
+    if (state.previewUrl) {
+        URL.revokeObjectURL(state.previewUrl);
+        state.previewUrl = null;
+    }
+    elements.timelinePreview.removeAttribute('src');
+    elements.timelinePreview.load();
+
+    elements.muteStart.value = '';
+    elements.muteEnd.value = '';
+    elements.timelineDuration.textContent = formatTimecode(0);
+    elements.timelinePlayhead.style.left = '0%';
+    renderTimeline();
+}
+
+/**
+ * Start dragging out a new range
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleTimelinePointerDown(e) {
+    if (getPreviewDuration() === 0) return;
+
+    const time = timelineTimeFromEvent(e);
+    const draft = document.createElement('div');
+    draft.className = 'timeline-range draft';
+    elements.timelineRanges.appendChild(draft);
+
+    state.timelineDrag = { start: time, end: time, draft: draft };
+    elements.timeline.setPointerCapture(e.pointerId);
+}
+
+/**
+ * Update the range being dragged out
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleTimelinePointerMove(e) {
+    const drag = state.timelineDrag;
+    if (!drag) return;
+
+    drag.end = timelineTimeFromEvent(e);
+    positionTimelineRange(
+        drag.draft,
+        Math.min(drag.start, drag.end),
+        Math.max(drag.start, drag.end),
+        getPreviewDuration()
+    );
+}
+
+/**
+ * Finish a drag: add the range, or seek if it was just a click
+ */
+function handleTimelinePointerUp() {
+    const drag = state.timelineDrag;
+    if (!drag) return;
+
+    state.timelineDrag = null;
+    drag.draft.remove();
+
+    const start = Math.min(drag.start, drag.end);
+    const end = Math.max(drag.start, drag.end);
+
+    // Anything shorter than a fraction of a second is treated as a click
+    if (end - start < 0.2) {
+        elements.timelinePreview.currentTime = drag.start;
+        return;
+    }
+
+    addMuteRange(start, end);
+}
+
+// ============================================================================
+// UPLOAD HANDLING
+// ============================================================================
+
+/**
+ * Start the upload and processing
+ */
+async function startUpload() {
+    if (state.isUploading) return;
+    if (state.batchFiles.length > 0) {
+        startBatchUpload();
+        return;
+    }
+    if (state.importUrl) {
+        startImport();
+        return;
+    }
+    if (!state.currentFile) return;
+
+    state.isUploading = true;
+    elements.uploadBtn.disabled = true;
+    elements.uploadBtn.classList.add('processing');
+
+    // Show progress section
+    elements.progressSection.style.display = 'block';
+    elements.cancelBtn.style.display = 'inline-flex';
+    updateProgress('Uploading...', 0);
+    setStage('upload');
+
+    const file = state.currentFile;
+    const upload = { key: resumableUploadKey(file), uploadId: null, cancelled: false };
+    state.activeUpload = upload;
+
+    try {
+        updateProgress('Checking whether this file was already processed...', 0);
+        const sha256 = await hashFile(file);
+        const duplicate = sha256 ? await findProcessedDuplicate(file, sha256) : null;
+        if (upload.cancelled) return;
+        if (duplicate) {
+            state.activeUpload = null;
+            handleUploadResponse(200, duplicate);
+            return;
+        }
+        updateProgress('Uploading...', 0);
+
+        const session = await openUploadSession(file, upload.key);
+        upload.uploadId = session.uploadId;
+        if (upload.cancelled) return;
+
+        if (session.offset > 0) {
+            showAlert('info', 'Resuming Upload', `Continuing from ${Math.round(session.offset / file.size * 100)}% where the previous upload stopped.`);
+        }
+
+        await sendUploadChunks(file, session, upload);
+        if (upload.cancelled) return;
+
+        updateProgress('Finalizing upload...', 100);
+        const formData = new FormData();
+        appendOperationFields(formData);
+        // Lets the server catch a file damaged on the way
+        if (sha256) {
+            formData.append('sha256', sha256);
+        }
+
+        const response = await apiFetch(`/uploads/${session.uploadId}/complete`, { method: 'POST', body: formData });
+        const data = await response.json();
+        if (upload.cancelled) return;
+
+        // Anything but "incomplete" ends the session on the server
+        if (response.status !== 409) {
+            localStorage.removeItem(upload.key);
+        }
+        state.activeUpload = null;
+        handleUploadResponse(response.status, data);
+    } catch (error) {
+        if (upload.cancelled) return;
+        state.activeUpload = null;
+        handleUploadError(error.message || 'Upload failed');
+    }
+}
+
+/**
+ * Handle the response that creates the processing job
+ * @param {number} status - HTTP status
+ * @param {object} response - Parsed response body
+ */
+function handleUploadResponse(status, response) {
+    if (status === 200 && response.success) {
+        state.currentJobId = response.jobId;
+        rememberJob(response.jobId);
+        elements.progressOperation.textContent = [response.operationLabel, response.encodingLabel].filter(Boolean).join(' · ');
+        elements.progressMedia.textContent = describeMediaInfo(response.mediaInfo);
+        state.isUploading = false;
+        state.isProcessing = true;
+
+        if (response.deduplicated) {
+            showAlert('success', 'Already Processed', 'This file was already processed with the same settings, so the existing result is used.');
+        } else if (response.queuePosition > 0) {
+            showAlert('success', 'Upload Complete', `Video uploaded successfully. Waiting in queue (position ${response.queuePosition})...`);
+        } else {
+            showAlert('success', 'Upload Complete', 'Video uploaded successfully. Processing started...');
+        }
+
+        // Start polling for processing progress
+        setStage('process');
+        startProgressUpdates();
+    } else if (response.alreadySilent) {
+        handleAlreadySilent(response.error);
+    } else {
+        handleUploadError(response.error || 'Upload failed with status: ' + status);
+    }
+}
+
+// ============================================================================
+// URL IMPORTS
+// ============================================================================
+
+/**
+ * Use the URL in the import field as the source video
+ */
+function handleImportUrlSelect() {
+    const value = elements.importUrlInput.value.trim();
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        showAlert('error', 'Invalid URL', 'Enter the full address of the video, starting with http:// or https://');
+        return;
+    }
+
+    resetState();
+    state.importUrl = url.toString();
+
+    // The server downloads the file, so there is nothing to preview and no audio file to pair it with
+    setBatchMode(true);
+    elements.timelineHint.textContent = 'The preview is not available for imported videos. Enter the ranges manually below.';
+
+    elements.fileName.textContent = decodeURIComponent(url.pathname.split('/').pop()) || url.host;
+    elements.fileSize.textContent = `Imported from ${url.host}`;
+    elements.fileInfo.style.display = 'flex';
+    elements.operationPanel.style.display = 'flex';
+    elements.uploadZone.style.display = 'none';
+    elements.urlImport.style.display = 'none';
+    elements.uploadBtn.disabled = false;
+    updatePresetFields();
+}
+
+/**
+ * Ask the server to fetch and process the video at the selected URL
+ */
+async function startImport() {
+    state.isUploading = true;
+    elements.uploadBtn.disabled = true;
+    elements.uploadBtn.classList.add('processing');
+
+    elements.progressSection.style.display = 'block';
+    elements.cancelBtn.style.display = 'inline-flex';
+    updateProgress('Starting import...', 0);
+    setStage('upload');
+
+    const formData = new FormData();
+    appendOperationFields(formData);
+    const body = Object.assign(Object.fromEntries(formData), { url: state.importUrl });
+
+    try {
+        const response = await apiFetch('/jobs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            handleUploadError(data.error || `Import failed with status: ${response.status}`);
+            return;
+        }
+
+        state.currentJobId = data.jobId;
+        rememberJob(data.jobId);
+        state.isUploading = false;
+        state.isProcessing = true;
+        elements.progressOperation.textContent = [data.operationLabel, data.encodingLabel].filter(Boolean).join(' · ');
+        startProgressUpdates();
+    } catch (error) {
+        handleUploadError(error.message || 'Import failed');
+    }
+}
+
+// ============================================================================
+// DUPLICATE CHECK
+// ============================================================================
+
+// Hashing reads the whole file into memory, so larger files are simply uploaded
+const DEDUP_HASH_MAX_SIZE = 256 * 1024 * 1024;
+
+/**
+ * Compute the SHA-256 of a file for the duplicate check
+ * @param {File} file - Selected file
+ * @returns {Promise<string|null>} Hex digest, or null when the file is not hashed
+ */
+async function hashFile(file) {
+    // crypto.subtle only exists on secure pages (https:// or localhost)
+    if (!window.crypto || !window.crypto.subtle || file.size > DEDUP_HASH_MAX_SIZE) return null;
+    try {
+        const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Ask the server whether the file was already processed with the selected settings
+ * @param {File} file - Selected file
+ * @param {string} sha256 - Its checksum
+ * @returns {Promise<object|null>} Response body of the created job, or null when the file has to be uploaded
+ */
+async function findProcessedDuplicate(file, sha256) {
+    // The replacement audio would have to be uploaded anyway
+    if (elements.operationSelect.value === 'replace-audio') return null;
+
+    const formData = new FormData();
+    appendOperationFields(formData);
+    const body = Object.assign(Object.fromEntries(formData), { filename: file.name, sha256: sha256 });
+
+    try {
+        const response = await apiFetch('/uploads/dedup', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return response.status === 200 ? await response.json() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ============================================================================
+// RESUMABLE UPLOADS
+// ============================================================================
+
+const RESUMABLE_STORAGE_PREFIX = 'resumableUpload:';
+const MAX_UPLOAD_RETRIES = 8;
+
+/**
+ * Key under which an unfinished upload of this file is remembered
+ * @param {File} file - Selected file
+ * @returns {string} localStorage key
+ */
+function resumableUploadKey(file) {
+    return `${RESUMABLE_STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+}
+
+/**
+ * Resume the remembered session for a file, or start a new one
+ * @param {File} file - File to upload
+ * @param {string} key - localStorage key of the file
+ * @returns {Promise<object>} Session with uploadId, offset and chunkSize
+ */
+async function openUploadSession(file, key) {
+    const saved = localStorage.getItem(key);
+    if (saved) {
+        const response = await apiFetch(`/uploads/${encodeURIComponent(JSON.parse(saved).uploadId)}`);
+        if (response.ok) {
+            return response.json();
+        }
+        // Expired or already finalized - start over
+        localStorage.removeItem(key);
+    }
+
+    const response = await apiFetch('/uploads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            filename: file.name,
+            size: file.size,
+            mimeType: file.type || undefined
+        })
+    });
+    const session = await response.json();
+    if (!session.success) {
+        throw new Error(session.error || 'Upload could not be started');
+    }
+
+    localStorage.setItem(key, JSON.stringify({
+        uploadId: session.uploadId,
+        filename: file.name,
+        startedAt: Date.now()
+    }));
+    return session;
+}
+
+/**
+ * Send the rest of the file chunk by chunk, retrying after network errors
+ * @param {File} file - File to upload
+ * @param {object} session - Session from openUploadSession
+ * @param {object} upload - Active upload, flagged when the user cancels
+ */
+async function sendUploadChunks(file, session, upload) {
+    let offset = session.offset;
+    let failures = 0;
+
+    updateProgress('Uploading...', Math.round(offset / file.size * 100));
+
+    while (offset < file.size && !upload.cancelled) {
+        try {
+            offset = await sendUploadChunk(file, session, offset);
+            failures = 0;
+        } catch (error) {
+            if (upload.cancelled) return;
+            if (!error.retryable || failures >= MAX_UPLOAD_RETRIES) throw error;
+
+            failures++;
+            const delay = Math.min(30000, 1000 * Math.pow(2, failures));
+            updateProgress(`Connection lost - retrying in ${Math.round(delay / 1000)}s...`, Math.round(offset / file.size * 100));
+            await new Promise(resolve => setTimeout(resolve, delay));
+            if (upload.cancelled) return;
+
+            // Ask the server what actually arrived before sending more
+            try {
+                const response = await apiFetch(`/uploads/${session.uploadId}`);
+                if (response.ok) {
+                    offset = (await response.json()).offset;
+                }
+            } catch (syncError) {
+                // Still offline; the next chunk attempt counts as another failure
+            }
+        }
+    }
+}
+
+/**
+ * PUT one chunk at the given offset
+ * @param {File} file - File to upload
+ * @param {object} session - Upload session
+ * @param {number} offset - Offset the chunk starts at
+ * @returns {Promise<number>} Offset the server has after the chunk
+ */
+function sendUploadChunk(file, session, offset) {
+    return new Promise((resolve, reject) => {
+        const chunk = file.slice(offset, offset + session.chunkSize);
+        const xhr = new XMLHttpRequest();
+        state.xhr = xhr;
+
+        xhr.upload.addEventListener('progress', (e) => {
+            if (e.lengthComputable) {
+                const percent = Math.round((offset + e.loaded) / file.size * 100);
+                state.uploadProgress = percent;
+                updateProgress('Uploading...', percent);
+            }
+        });
+
+        xhr.addEventListener('load', () => {
+            state.xhr = null;
+
+            let response = {};
+            try {
+                response = JSON.parse(xhr.responseText);
+            } catch (error) {
+                // Handled below by the status code
+            }
+
+            // 409: the server holds a different offset (e.g. after a dropped chunk) - continue from there
+            if (xhr.status === 200 || (xhr.status === 409 && typeof response.offset === 'number')) {
+                resolve(response.offset);
+            } else {
+                const error = new Error(response.error || 'Upload failed with status: ' + xhr.status);
+                error.retryable = xhr.status >= 500;
+                reject(error);
+            }
+        });
+
+        xhr.addEventListener('error', () => {
+            state.xhr = null;
+            const error = new Error('Network error occurred. Please check your connection.');
+            error.retryable = true;
+            reject(error);
+        });
+
+        xhr.addEventListener('abort', () => {
+            state.xhr = null;
+            reject(new Error('The upload was cancelled.'));
+        });
+
+        xhr.open('PUT', `/uploads/${session.uploadId}`);
+        setApiKeyHeader(xhr);
+        xhr.setRequestHeader('Upload-Offset', String(offset));
+        xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+        xhr.send(chunk);
+    });
+}
+
+/**
+ * Stop the running upload and discard what the server received
+ */
+function cancelUpload() {
+    const upload = state.activeUpload;
+    upload.cancelled = true;
+    state.activeUpload = null;
+
+    if (state.xhr) {
+        state.xhr.abort();
+    }
+    if (upload.uploadId) {
+        apiFetch(`/uploads/${upload.uploadId}`, { method: 'DELETE' }).catch(() => {});
+    }
+    localStorage.removeItem(upload.key);
+
+    handleJobCancelled('The upload was cancelled.');
+}
+
+/**
+ * Names of files whose upload was interrupted, e.g. by a page reload
+ * @returns {string[]} File names
+ */
+function getUnfinishedUploads() {
+    const names = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key.startsWith(RESUMABLE_STORAGE_PREFIX)) continue;
+        try {
+            names.push(JSON.parse(localStorage.getItem(key)).filename);
+        } catch (error) {
+            localStorage.removeItem(key);
+        }
+    }
+    return names;
+}
+
+/**
+ * Handle upload error
+ * @param {string} message - Error message
+ */
+function handleUploadError(message) {
+    state.isUploading = false;
     state.isProcessing = false;
+    elements.uploadBtn.disabled = false;
     elements.uploadBtn.classList.remove('processing');
+    elements.cancelBtn.style.display = 'none';
+
+    showAlert('error', 'Upload Failed', message);
+    updateProgress('Failed', 0);
+
+    // Reset after a delay
+    setTimeout(() => {
+        elements.progressSection.style.display = 'none';
+        resetStages();
+    }, 3000);
+}
+
+/**
+ * Handle an upload rejected because the video has no audio to remove
+ * @param {string} message - Server message
+ */
+function handleAlreadySilent(message) {
+    showAlert('info', 'Already Silent', message, 8000);
+    resetForNewUpload();
+}
+
+// ============================================================================
+// PROGRESS TRACKING
+// ============================================================================
+
+/**
+ * Update progress display
+ * @param {string} status - Status text
+ * @param {number} percent - Progress percentage
+ */
+function updateProgress(status, percent) {
+    elements.progressStatus.textContent = status;
+    elements.progressPercentage.textContent = percent + '%';
+    elements.progressBar.querySelector('.progress-fill').style.width = percent + '%';
+}
+
+/**
+ * Set the current stage
+ * @param {string} stage - Stage name: upload, process, complete
+ */
+function setStage(stage) {
+    const stages = ['upload', 'process', 'complete'];
+    const stageElements = [elements.stageUpload, elements.stageProcess, elements.stageComplete];
+    const lines = document.querySelectorAll('.stage-line');
+
+    const currentIndex = stages.indexOf(stage);
+
+    stageElements.forEach((el, index) => {
+        el.classList.remove('active', 'completed');
+
+        if (index < currentIndex) {
+            el.classList.add('completed');
+        } else if (index === currentIndex) {
+            el.classList.add('active');
+        }
+    });
+
+    lines.forEach((line, index) => {
+        line.classList.remove('completed');
+        if (index < currentIndex) {
+            line.classList.add('completed');
+        }
+    });
+}
+
+/**
+ * Reset all stages
+ */
+function resetStages() {
+    elements.stageUpload.classList.remove('active', 'completed');
+    elements.stageProcess.classList.remove('active', 'completed');
+    elements.stageComplete.classList.remove('active', 'completed');
+
+    document.querySelectorAll('.stage-line').forEach(line => {
+        line.classList.remove('completed');
+    });
+}
+
+/**
+ * Follow the current job: live events when the server can push them, polling otherwise
+ */
+function startProgressUpdates() {
+    stopProgressUpdates();
+    updateProgress('Processing...', 0);
+
+    const jobId = state.currentJobId;
+    state.progressStream = openEventStream(`/jobs/${jobId}/events`, JOB_EVENTS, applyJobProgress, () => {
+        state.progressStream = null;
+        if (state.currentJobId === jobId && state.isProcessing) {
+            startProgressPolling();
+        }
+    });
+}
+
+/**
+ * Stop following the current job
+ */
+function stopProgressUpdates() {
+    if (state.progressStream) {
+        state.progressStream.close();
+        state.progressStream = null;
+    }
+    stopProgressPolling();
+}
+
+/**
+ * Update the progress display from a job snapshot
+ * @param {object} data - Progress snapshot from /progress or the event stream
+ */
+function applyJobProgress(data) {
+    state.processingProgress = data.progress;
+    state.outputFilename = data.outputFilename;
+    elements.progressOperation.textContent = [data.operationLabel, data.encodingLabel].filter(Boolean).join(' · ');
+
+    switch (data.status) {
+        case 'downloading':
+            updateProgress(data.download && data.download.totalBytes
+                ? `Downloading source... ${formatFileSize(data.download.receivedBytes)} of ${formatFileSize(data.download.totalBytes)}`
+                : 'Downloading source...', data.progress);
+            break;
+
+        case 'queued':
+            setStage('process');
+            updateProgress(`Queued (position ${data.queuePosition})...`, 0);
+            break;
+
+        case 'processing':
+            setStage('process');
+            updateProgress(data.eta !== null && data.eta !== undefined
+                ? `Processing... about ${formatEta(data.eta)} left`
+                : 'Processing...', data.progress);
+            break;
+
+        case 'completed':
+            stopProgressUpdates();
+            handleProcessingComplete();
+            loadHistory();
+            break;
+
+        case 'failed':
+        case 'timed-out':
+            stopProgressUpdates();
+            handleProcessingError(data.error || 'Processing failed', data.logAvailable ? data.jobId : null);
+            loadHistory();
+            break;
+
+        case 'cancelled':
+            stopProgressUpdates();
+            handleJobCancelled('The job was cancelled.');
+            loadHistory();
+            break;
+    }
+}
+
+/**
+ * Start polling for processing progress (fallback when event streams are unavailable)
+ */
+function startProgressPolling() {
+    state.pollInterval = setInterval(async () => {
+        if (!state.currentJobId) {
+            stopProgressPolling();
+            return;
+        }
+
+        try {
+            const response = await apiFetch(`/progress/${state.currentJobId}`);
+            const data = await response.json();
+
+            // Ignore answers that arrive after polling was stopped
+            if (data.success && state.pollInterval) {
+                applyJobProgress(data);
+            }
+        } catch (error) {
+            console.error('Error polling progress:', error);
+        }
+    }, 500);
+}
+
+/**
+ * Stop polling for processing progress
+ */
+function stopProgressPolling() {
+    if (state.pollInterval) {
+        clearInterval(state.pollInterval);
+        state.pollInterval = null;
+    }
+}
+
+/**
+ * Handle successful processing completion
+ */
+function handleProcessingComplete() {
+    state.isProcessing = false;
+    elements.uploadBtn.classList.remove('processing');
+
+    updateProgress('Completed!', 100);
+    setStage('complete');
+
+    // Show download button
+    elements.cancelBtn.style.display = 'none';
+    elements.uploadBtn.style.display = 'none';
+    elements.downloadBtn.style.display = 'inline-flex';
+    elements.newUploadBtn.style.display = 'inline-flex';
+
+    showAlert('success', 'Processing Complete', 'Your video has been muted successfully. Click download to get your file.');
+}
+
+/**
+ * Handle processing error
+ * @param {object|string} error - Error from the progress API ({ code, message, hint }) or a message
+ * @param {string|null} [logJobId] - Job whose FFmpeg log can be downloaded
+ */
+function handleProcessingError(error, logJobId = null) {
+    state.isProcessing = false;
+    elements.uploadBtn.classList.remove('processing');
+    elements.uploadBtn.disabled = false;
+    elements.cancelBtn.style.display = 'none';
+
+    if (typeof error === 'string') {
+        showAlert('error', 'Processing Failed', error);
+    } else {
+        let message = error.message;
+        if (error.hint) {
+            message += `<br>${error.hint}`;
+        }
+        if (logJobId) {
+            message += `<br><a href="${withApiToken(`/jobs/${logJobId}/log`)}" download>Download the FFmpeg log</a>`;
+        }
+        // Long enough to read the hint
+        showAlert('error', 'Processing Failed', message, error.hint ? 15000 : 5000);
+    }
+    updateProgress('Failed', 0);
+
+    // Show retry option
+    elements.newUploadBtn.style.display = 'inline-flex';
+}
+
+// ============================================================================
+// CANCELLATION
+// ============================================================================
+
+/**
+ * Cancel the current upload or processing job
+ */
+async function cancelJob() {
+    if (state.isUploading && state.activeUpload) {
+        cancelUpload();
+        return;
+    }
+
+    // Still uploading a batch: aborting the request is enough, the abort handler resets the UI
+    if (state.isUploading && state.xhr) {
+        state.xhr.abort();
+        return;
+    }
+
+    if (state.isProcessing && state.batchJobs.length > 0) {
+        cancelBatchJobs();
+        return;
+    }
+
+    if (!state.isProcessing || !state.currentJobId) return;
+
+    elements.cancelBtn.disabled = true;
+    stopProgressUpdates();
+
+    try {
+        const response = await apiFetch(`/jobs/${state.currentJobId}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (data.success) {
+            handleJobCancelled('Processing was stopped and the files were removed.');
+        } else {
+            // Most likely the job finished in the meantime - let polling pick that up
+            showAlert('warning', 'Cancel Failed', data.error || 'Job could not be cancelled');
+            startProgressUpdates();
+        }
+    } catch (error) {
+        showAlert('error', 'Cancel Failed', 'Network error occurred. Please check your connection.');
+        startProgressUpdates();
+    } finally {
+        elements.cancelBtn.disabled = false;
+    }
+}
+
+/**
+ * Handle a cancelled upload or job
+ * @param {string} message - Message describing what was cancelled
+ */
+function handleJobCancelled(message) {
+    showAlert('warning', 'Job Cancelled', message);
+    resetForNewUpload();
+}
+
+// ============================================================================
+// DOWNLOAD HANDLING
+// ============================================================================
+
+/**
+ * Download the processed video
+ */
+function downloadVideo() {
+    if (!state.currentJobId) return;
+
+    downloadJob(state.currentJobId, state.outputFilename);
+    showAlert('info', 'Download Started', 'Your muted video is being downloaded.');
+}
+
+/**
+ * Download the output of a job
+ * @param {string} jobId - Job ID
+ * @param {string} [filename] - Suggested file name
+ */
+function downloadJob(jobId, filename) {
+    // Create a temporary link to trigger download
+    const link = document.createElement('a');
+    link.href = withApiToken(`/download/${jobId}`);
+    // The server picks the real name (and extension) of the converted file
+    link.download = filename || '';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+/**
+ * Download the FFmpeg log of a job
+ * @param {string} jobId - Job ID
+ */
+function downloadJobLog(jobId) {
+    const link = document.createElement('a');
+    link.href = withApiToken(`/jobs/${jobId}/log`);
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+// ============================================================================
+// BATCH UPLOADS
+// ============================================================================
+
+// Statuses after which a batch job no longer needs polling
+const FINISHED_STATUSES = ['completed', 'failed', 'timed-out', 'cancelled', 'rejected'];
+
+/**
+ * Switch the operation panel between single and batch uploads
+ * @param {boolean} enabled - True when several videos are selected
+ */
+function setBatchMode(enabled) {
+    // One replacement audio file cannot be shared between several videos
+    elements.replaceAudioOption.disabled = enabled;
+    if (enabled && elements.operationSelect.value === 'replace-audio') {
+        elements.operationSelect.value = 'remove';
+        updateOperationFields();
+    }
+
+    // The timeline preview needs a single video
+    resetTimeline();
+    elements.timeline.classList.toggle('disabled', enabled);
+    elements.timelineHint.textContent = enabled
+        ? 'The preview is only available for a single video. Enter the ranges manually below; they apply to every video.'
+        : 'Drag across the timeline to mark a range to mute. Click to seek.';
+}
 
-    updateProgress('Completed!', 100);
-    setStage('complete');
+/**
+ * Upload all selected videos as one batch
+ */
+function startBatchUpload() {
+    state.isUploading = true;
+    elements.uploadBtn.disabled = true;
+    elements.uploadBtn.classList.add('processing');
 
-    // Show download button
-    elements.uploadBtn.style.display = 'none';
-    elements.downloadBtn.style.display = 'inline-flex';
-    elements.newUploadBtn.style.display = 'inline-flex';
+    // Show progress section
+    elements.progressSection.style.display = 'block';
+    elements.cancelBtn.style.display = 'inline-flex';
+    updateProgress(`Uploading ${state.batchFiles.length} videos...`, 0);
+    setStage('upload');
 
-    showAlert('success', 'Processing Complete', 'Your video has been muted successfully. Click download to get your file.');
+    const formData = new FormData();
+    appendOperationFields(formData);
+    state.batchFiles.forEach(file => formData.append('videos', file));
+
+    const xhr = new XMLHttpRequest();
+    state.xhr = xhr;
+
+    // Track upload progress
+    xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) {
+            const percent = Math.round((e.loaded / e.total) * 100);
+            state.uploadProgress = percent;
+            updateProgress(`Uploading ${state.batchFiles.length} videos...`, percent);
+        }
+    });
+
+    xhr.addEventListener('load', () => {
+        state.xhr = null;
+
+        let response;
+        try {
+            response = JSON.parse(xhr.responseText);
+        } catch (error) {
+            handleUploadError('Upload failed with status: ' + xhr.status);
+            return;
+        }
+
+        // Without a job list the whole request was rejected
+        if (!response.jobs) {
+            handleUploadError(response.error || 'Upload failed');
+            return;
+        }
+
+        state.isUploading = false;
+        state.isProcessing = true;
+        elements.progressSection.style.display = 'none';
+        resetStages();
+
+        state.batchId = response.batchId;
+        renderBatchJobs(response.jobs);
+
+        if (response.rejected > 0) {
+            showAlert('warning', 'Some Files Rejected', `${response.rejected} of ${response.jobs.length} videos could not be processed. See the job list for details.`, 8000);
+        }
+
+        if (response.accepted > 0) {
+            showAlert('success', 'Upload Complete', `${response.accepted} videos uploaded successfully. Processing started...`);
+            startBatchUpdates();
+        } else {
+            handleBatchComplete();
+        }
+    });
+
+    xhr.addEventListener('error', () => {
+        handleUploadError('Network error occurred. Please check your connection.');
+    });
+
+    xhr.addEventListener('abort', () => {
+        state.xhr = null;
+        handleJobCancelled('The upload was cancelled.');
+    });
+
+    xhr.open('POST', '/upload/batch');
+    setApiKeyHeader(xhr);
+    xhr.send(formData);
 }
 
 /**
- * Handle processing error
- * @param {string} message - Error message
+ * Build the job list from the batch upload response
+ * @param {object[]} results - Per-file results returned by the server
  */
-function handleProcessingError(message) {
-    state.isProcessing = false;
-    elements.uploadBtn.classList.remove('processing');
-    elements.uploadBtn.disabled = false;
+function renderBatchJobs(results) {
+    elements.batchList.innerHTML = '';
 
-    showAlert('error', 'Processing Failed', message);
-    updateProgress('Failed', 0);
+    state.batchJobs = results.map((result) => {
+        if (result.success) {
+            rememberJob(result.jobId);
+        }
 
-    // Show retry option
-    elements.newUploadBtn.style.display = 'inline-flex';
+        const job = {
+            jobId: result.success ? result.jobId : null,
+            originalName: result.originalName,
+            status: result.success ? result.status : 'rejected',
+            queuePosition: result.queuePosition || 0,
+            progress: 0,
+            outputFilename: null,
+            error: result.success ? null : result.error,
+            el: document.createElement('li')
+        };
+
+        job.el.className = 'batch-job';
+        job.el.innerHTML = `
+            <div class="batch-job-header">
+                <span class="batch-job-name"></span>
+                <span class="batch-job-status"></span>
+            </div>
+            <div class="progress-bar batch-job-bar">
+                <div class="progress-fill"></div>
+            </div>
+            <div class="batch-job-footer">
+                <span class="batch-job-detail"></span>
+                <button class="btn btn-success btn-small" type="button" style="display: none;">Download</button>
+            </div>
+        `;
+        job.el.querySelector('.batch-job-name').textContent = job.originalName;
+        job.el.querySelector('button').addEventListener('click', () => {
+            downloadJob(job.jobId, job.outputFilename);
+        });
+
+        elements.batchList.appendChild(job.el);
+        updateBatchJobRow(job);
+        return job;
+    });
+
+    elements.batchSection.style.display = 'block';
+    updateBatchSummary();
 }
 
-// ============================================================================
-// DOWNLOAD HANDLING
-// ============================================================================
+/**
+ * Refresh one row of the job list
+ * @param {object} job - Batch job
+ */
+function updateBatchJobRow(job) {
+    const labels = {
+        uploading: 'Uploading',
+        queued: job.queuePosition > 0 ? `Queued (#${job.queuePosition})` : 'Queued',
+        processing: `Processing ${job.progress}%`,
+        completed: 'Completed',
+        failed: 'Failed',
+        'timed-out': 'Timed out',
+        cancelled: 'Cancelled',
+        rejected: 'Rejected'
+    };
+
+    job.el.dataset.status = job.status;
+    job.el.querySelector('.batch-job-status').textContent = labels[job.status] || job.status;
+    job.el.querySelector('.progress-fill').style.width = (job.status === 'completed' ? 100 : job.progress) + '%';
+    job.el.querySelector('.batch-job-detail').textContent = job.error || '';
+    job.el.querySelector('button').style.display = job.status === 'completed' ? 'inline-flex' : 'none';
+}
 
 /**
- * Download the processed video
+ * Show how many jobs of the batch are done
  */
-function downloadVideo() {
-    if (!state.currentJobId) return;
+function updateBatchSummary() {
+    const finished = state.batchJobs.filter(job => FINISHED_STATUSES.includes(job.status)).length;
+    const completed = state.batchJobs.filter(job => job.status === 'completed').length;
+    elements.batchSummary.textContent = `${finished} / ${state.batchJobs.length} finished`;
+    if (finished === state.batchJobs.length) {
+        loadHistory();
+    }
+    elements.downloadAllBtn.style.display = completed > 0 ? 'inline-flex' : 'none';
+}
+
+/**
+ * Download every completed output of the batch as one ZIP
+ */
+function downloadAll() {
+    if (!state.batchId) return;
 
-    // Create a temporary link to trigger download
     const link = document.createElement('a');
-    link.href = `/download/${state.currentJobId}`;
-    link.download = 'muted_video.mp4';
+    link.href = withApiToken(`/download/zip?batch=${encodeURIComponent(state.batchId)}`);
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
 
-    showAlert('info', 'Download Started', 'Your muted video is being downloaded.');
+    showAlert('info', 'Download Started', 'The completed videos are being downloaded as a ZIP file.');
+}
+
+/**
+ * Follow every job of the batch over one event stream, polling as a fallback
+ */
+function startBatchUpdates() {
+    stopBatchUpdates();
+
+    const batchId = state.batchId;
+    state.batchStream = openEventStream(`/batches/${batchId}/events`, JOB_EVENTS, applyBatchJobProgress, () => {
+        state.batchStream = null;
+        if (state.batchId === batchId && state.isProcessing) {
+            startBatchPolling();
+        }
+    });
+}
+
+/**
+ * Stop following the batch
+ */
+function stopBatchUpdates() {
+    if (state.batchStream) {
+        state.batchStream.close();
+        state.batchStream = null;
+    }
+    stopBatchPolling();
+}
+
+/**
+ * Update one row of the job list from a job snapshot
+ * @param {object} data - Progress snapshot from /progress or the event stream
+ */
+function applyBatchJobProgress(data) {
+    const job = state.batchJobs.find(item => item.jobId === data.jobId);
+    if (!job) return;
+
+    job.status = data.status;
+    job.progress = data.progress;
+    job.queuePosition = data.queuePosition || 0;
+    job.outputFilename = data.outputFilename;
+    job.error = data.error ? data.error.message : null;
+    updateBatchJobRow(job);
+    updateBatchSummary();
+
+    if (state.isProcessing && state.batchJobs.every(item => FINISHED_STATUSES.includes(item.status))) {
+        stopBatchUpdates();
+        handleBatchComplete();
+    }
+}
+
+/**
+ * Start polling the progress of every unfinished batch job
+ */
+function startBatchPolling() {
+    state.batchPollInterval = setInterval(() => {
+        const pending = state.batchJobs.filter(job => !FINISHED_STATUSES.includes(job.status));
+
+        pending.forEach(async (job) => {
+            try {
+                const response = await apiFetch(`/progress/${job.jobId}`);
+                const data = await response.json();
+
+                if (data.success && state.batchPollInterval) {
+                    applyBatchJobProgress(data);
+                }
+            } catch (error) {
+                console.error('Error polling batch progress:', error);
+            }
+        });
+    }, 1000);
+}
+
+/**
+ * Stop polling batch progress
+ */
+function stopBatchPolling() {
+    if (state.batchPollInterval) {
+        clearInterval(state.batchPollInterval);
+        state.batchPollInterval = null;
+    }
+}
+
+/**
+ * Handle a batch whose jobs have all finished
+ */
+function handleBatchComplete() {
+    state.isProcessing = false;
+    elements.uploadBtn.classList.remove('processing');
+    elements.uploadBtn.style.display = 'none';
+    elements.cancelBtn.style.display = 'none';
+    elements.newUploadBtn.style.display = 'inline-flex';
+    updateBatchSummary();
+
+    const completed = state.batchJobs.filter(job => job.status === 'completed').length;
+    if (completed === state.batchJobs.length) {
+        showAlert('success', 'Batch Complete', `All ${completed} videos have been muted successfully.`);
+    } else {
+        showAlert('warning', 'Batch Finished', `${completed} of ${state.batchJobs.length} videos were muted successfully.`);
+    }
+}
+
+/**
+ * Cancel every unfinished job of the batch
+ */
+async function cancelBatchJobs() {
+    const pending = state.batchJobs.filter(job => !FINISHED_STATUSES.includes(job.status));
+
+    elements.cancelBtn.disabled = true;
+    await Promise.all(pending.map(async (job) => {
+        try {
+            const response = await apiFetch(`/jobs/${job.jobId}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (data.success) {
+                job.status = 'cancelled';
+                updateBatchJobRow(job);
+            }
+        } catch (error) {
+            console.error('Error cancelling batch job:', error);
+        }
+    }));
+    elements.cancelBtn.disabled = false;
+
+    // Jobs that finished in the meantime are picked up by polling
+    updateBatchSummary();
+    showAlert('warning', 'Batch Cancelled', 'The remaining jobs were stopped and their files were removed.');
+}
+
+// ============================================================================
+// JOB HISTORY
+// ============================================================================
+
+// IDs of the jobs started from this browser; anonymous users can only list those
+const HISTORY_STORAGE_KEY = 'jobHistory';
+const HISTORY_MAX_IDS = 100;
+const HISTORY_PAGE_SIZE = 10;
+
+/**
+ * Read the job IDs remembered in this browser
+ * @returns {string[]} Job IDs, newest first
+ */
+function getRememberedJobs() {
+    try {
+        const ids = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '[]');
+        return Array.isArray(ids) ? ids : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Remember a job so it shows up in the history after the tab is closed
+ * @param {string} jobId - Job ID
+ */
+function rememberJob(jobId) {
+    const ids = [jobId].concat(getRememberedJobs().filter(id => id !== jobId)).slice(0, HISTORY_MAX_IDS);
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(ids));
+}
+
+/**
+ * Forget a job that was deleted
+ * @param {string} jobId - Job ID
+ */
+function forgetJob(jobId) {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(getRememberedJobs().filter(id => id !== jobId)));
+}
+
+/**
+ * Fetch and show the current page of the job history
+ */
+async function loadHistory() {
+    const ids = getRememberedJobs();
+    // With API keys the server lists the key's own jobs
+    if (serverConfig.authRequired ? !getApiKey() : ids.length === 0) {
+        renderHistory({ jobs: [], page: 1, pages: 0 });
+        return;
+    }
+
+    const [sort, order] = elements.historySort.value.split(':');
+    const params = new URLSearchParams({
+        page: state.historyPage,
+        limit: HISTORY_PAGE_SIZE,
+        sort: sort,
+        order: order
+    });
+    if (elements.historyStatus.value) {
+        params.set('status', elements.historyStatus.value);
+    }
+    if (!serverConfig.authRequired) {
+        params.set('ids', ids.join(','));
+    }
+
+    try {
+        const response = await apiFetch(`/jobs?${params}`);
+        const data = await response.json();
+        if (!data.success) return;
+
+        // Stepped past the end, e.g. after deleting the last job of a page
+        if (data.page > 1 && data.page > data.pages) {
+            state.historyPage = Math.max(1, data.pages);
+            loadHistory();
+            return;
+        }
+        renderHistory(data);
+    } catch (error) {
+        console.error('Failed to load job history:', error);
+    }
+}
+
+/**
+ * Summarise a history entry, e.g. "12 Mar 14:02 · 48 MB → 31 MB · 00:42 video · took 3.1s"
+ * @param {object} job - History entry returned by the server
+ * @returns {string} Detail line
+ */
+function describeHistoryJob(job) {
+    const parts = [new Date(job.timings.createdAt).toLocaleString()];
+    if (job.inputSize) {
+        parts.push(job.outputSize
+            ? `${formatFileSize(job.inputSize)} → ${formatFileSize(job.outputSize)}`
+            : formatFileSize(job.inputSize));
+    }
+    if (job.mediaDuration) parts.push(`${formatTimecode(job.mediaDuration)} video`);
+    if (job.timings.processingMs !== null) parts.push(`took ${formatEta(Math.max(1, Math.round(job.timings.processingMs / 1000)))}`);
+    parts.push(job.operationLabel);
+    return parts.join(' · ');
+}
+
+/**
+ * Render one page of the job history
+ * @param {object} data - GET /jobs response
+ */
+function renderHistory(data) {
+    const labels = {
+        downloading: 'Downloading',
+        uploading: 'Uploading',
+        queued: 'Queued',
+        processing: 'Processing',
+        completed: 'Completed',
+        failed: 'Failed',
+        'timed-out': 'Timed out',
+        cancelled: 'Cancelled'
+    };
+    const active = ['downloading', 'uploading', 'queued', 'processing'];
+
+    elements.historyList.innerHTML = '';
+    for (const job of data.jobs) {
+        const item = document.createElement('li');
+        item.className = 'batch-job';
+        item.dataset.status = job.status;
+        item.innerHTML = `
+            <div class="batch-job-header">
+                <span class="batch-job-name"></span>
+                <span class="batch-job-status"></span>
+            </div>
+            <div class="batch-job-footer">
+                <span class="batch-job-detail"></span>
+                <div class="history-actions"></div>
+            </div>
+        `;
+        item.querySelector('.batch-job-name').textContent = job.originalName;
+        item.querySelector('.batch-job-status').textContent = job.status === 'processing'
+            ? `Processing ${job.progress}%`
+            : labels[job.status] || job.status;
+        item.querySelector('.batch-job-detail').textContent = job.error
+            ? `${describeHistoryJob(job)} · ${job.error}`
+            : describeHistoryJob(job);
+        if (job.errorHint) {
+            item.querySelector('.batch-job-detail').title = job.errorHint;
+        }
+
+        const actions = item.querySelector('.history-actions');
+        const addAction = (label, className, handler) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn ${className} btn-small`;
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        };
+        if (job.canDownload) {
+            addAction('Download', 'btn-success', () => downloadJob(job.jobId, job.outputFilename));
+        }
+        if (job.canRetry) {
+            addAction('Retry', 'btn-secondary', () => retryHistoryJob(job));
+        }
+        if (job.logAvailable && ['failed', 'timed-out'].includes(job.status)) {
+            addAction('Log', 'btn-secondary', () => downloadJobLog(job.jobId));
+        }
+        addAction(active.includes(job.status) ? 'Cancel' : 'Delete', 'btn-danger', () => deleteHistoryJob(job));
+
+        elements.historyList.appendChild(item);
+    }
+
+    elements.historyEmpty.style.display = data.jobs.length === 0 ? 'block' : 'none';
+    elements.historyPager.style.display = data.pages > 1 ? 'flex' : 'none';
+    elements.historyPage.textContent = `Page ${data.page} of ${data.pages}`;
+    elements.historyPrevBtn.disabled = data.page <= 1;
+    elements.historyNextBtn.disabled = data.page >= data.pages;
+}
+
+/**
+ * Queue a failed job again
+ * @param {object} job - History entry
+ */
+async function retryHistoryJob(job) {
+    try {
+        const response = await apiFetch(`/jobs/${job.jobId}/retry`, { method: 'POST' });
+        const data = await response.json();
+        if (!data.success) {
+            showAlert('error', 'Retry Failed', data.error || 'The job could not be retried.');
+            return;
+        }
+        showAlert('info', 'Job Retried', `${job.originalName} is being processed again.`);
+        loadHistory();
+    } catch (error) {
+        showAlert('error', 'Retry Failed', 'Could not reach the server.');
+    }
+}
+
+/**
+ * Delete a finished job (or cancel one still in progress)
+ * @param {object} job - History entry
+ */
+async function deleteHistoryJob(job) {
+    try {
+        const response = await apiFetch(`/jobs/${job.jobId}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (response.status === 404 || (data.success && data.message === 'Job deleted')) {
+            forgetJob(job.jobId);
+        } else if (!data.success) {
+            showAlert('error', 'Delete Failed', data.error || 'The job could not be deleted.');
+        }
+        loadHistory();
+    } catch (error) {
+        showAlert('error', 'Delete Failed', 'Could not reach the server.');
+    }
 }
 
 // ============================================================================
 // STATISTICS
 // ============================================================================
 
+/**
+ * Show server statistics
+ * @param {object} data - Statistics from /stats or the event stream
+ */
+function renderStats(data) {
+    elements.totalUploads.textContent = data.totalUploads;
+    elements.totalProcessed.textContent = data.totalProcessed;
+    elements.activeJobs.textContent = data.runningJobs;
+    elements.queuedJobs.textContent = `${data.queuedJobs} queued`;
+    elements.serverUptime.textContent = formatUptime(data.uptime);
+}
+
 /**
  * Fetch and update server statistics
  */
 async function updateStats() {
     try {
-        const response = await fetch('/stats');
+        const response = await apiFetch('/stats');
         const data = await response.json();
 
         if (data.success) {
-            elements.totalUploads.textContent = data.totalUploads;
-            elements.totalProcessed.textContent = data.totalProcessed;
-            elements.activeJobs.textContent = data.activeJobs;
-            elements.serverUptime.textContent = formatUptime(data.uptime);
+            renderStats(data);
         }
     } catch (error) {
         console.error('Error fetching stats:', error);
     }
 }
 
+/**
+ * Follow server statistics: live events when available, polling otherwise
+ */
+function startStatsUpdates() {
+    state.statsStream = openEventStream('/stats/events', ['stats'], renderStats, () => {
+        state.statsStream = null;
+        startStatsPolling();
+    });
+}
+
 /**
  * Start statistics polling
  */
@@ -540,14 +2330,22 @@ function startStatsPolling() {
  * Reset application state
  */
 function resetState() {
-    stopProgressPolling();
+    stopProgressUpdates();
+    stopBatchUpdates();
 
     state.currentFile = null;
     state.currentJobId = null;
+    state.outputFilename = null;
     state.isUploading = false;
     state.isProcessing = false;
     state.uploadProgress = 0;
     state.processingProgress = 0;
+    state.xhr = null;
+    state.activeUpload = null;
+    state.batchFiles = [];
+    state.importUrl = null;
+    state.batchId = null;
+    state.batchJobs = [];
 }
 
 /**
@@ -558,8 +2356,17 @@ function resetForNewUpload() {
 
     // Reset file input
     elements.fileInput.value = '';
+    elements.importUrlInput.value = '';
     elements.fileInfo.style.display = 'none';
+    elements.operationPanel.style.display = 'none';
     elements.uploadZone.style.display = 'block';
+    elements.urlImport.style.display = 'flex';
+    setBatchMode(false);
+    resetOperationFields();
+
+    // Reset batch job list
+    elements.batchSection.style.display = 'none';
+    elements.batchList.innerHTML = '';
 
     // Reset progress
     elements.progressSection.style.display = 'none';
@@ -572,6 +2379,7 @@ function resetForNewUpload() {
     elements.uploadBtn.classList.remove('processing');
     elements.downloadBtn.style.display = 'none';
     elements.newUploadBtn.style.display = 'none';
+    elements.cancelBtn.style.display = 'none';
 }
 
 // ============================================================================
@@ -585,8 +2393,8 @@ elements.uploadZone.addEventListener('click', () => {
 
 // File Input - Change
 elements.fileInput.addEventListener('change', (e) => {
-    if (e.target.files && e.target.files[0]) {
-        handleFileSelect(e.target.files[0]);
+    if (e.target.files && e.target.files.length > 0) {
+        handleFilesSelect(e.target.files);
     }
 });
 
@@ -608,23 +2416,104 @@ elements.uploadZone.addEventListener('drop', (e) => {
     e.stopPropagation();
     elements.uploadZone.classList.remove('dragover');
 
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-        handleFileSelect(e.dataTransfer.files[0]);
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+        handleFilesSelect(e.dataTransfer.files);
     }
 });
 
 // Remove File Button
 elements.removeFile.addEventListener('click', removeFile);
 
+// Import by URL
+elements.importUrlBtn.addEventListener('click', handleImportUrlSelect);
+elements.importUrlInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        handleImportUrlSelect();
+    }
+});
+
+// Operation Selector
+elements.operationSelect.addEventListener('change', () => {
+    updateOperationFields();
+    updatePresetFields();
+});
+
+// Quality Preset
+elements.presetSelect.addEventListener('change', updatePresetFields);
+[elements.customCrf, elements.customResolution, elements.customFps].forEach(input => {
+    input.addEventListener('input', updatePresetFields);
+});
+
+// Timeline Editor
+elements.timeline.addEventListener('pointerdown', handleTimelinePointerDown);
+elements.timeline.addEventListener('pointermove', handleTimelinePointerMove);
+elements.timeline.addEventListener('pointerup', handleTimelinePointerUp);
+elements.timeline.addEventListener('pointercancel', handleTimelinePointerUp);
+elements.addRangeBtn.addEventListener('click', addRangeFromInputs);
+
+elements.rangeList.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-index]');
+    if (button) {
+        removeMuteRange(parseInt(button.dataset.index, 10));
+    }
+});
+
+elements.timelinePreview.addEventListener('loadedmetadata', () => {
+    elements.timeline.classList.remove('disabled');
+    elements.timelineDuration.textContent = formatTimecode(getPreviewDuration());
+    elements.timelineHint.textContent = 'Drag across the timeline to mark a range to mute. Click to seek.';
+    renderTimeline();
+    updatePresetFields();
+});
+
+elements.timelinePreview.addEventListener('error', () => {
+    if (!state.previewUrl) return;
+    elements.timeline.classList.add('disabled');
+    elements.timelineHint.textContent = 'Preview is not available for this format. Enter the ranges manually below.';
+    updatePresetFields();
+});
+
+elements.timelinePreview.addEventListener('timeupdate', () => {
+    const duration = getPreviewDuration();
+    if (duration > 0) {
+        elements.timelinePlayhead.style.left = (elements.timelinePreview.currentTime / duration * 100) + '%';
+    }
+});
+
+// Job History
+elements.historyStatus.addEventListener('change', () => {
+    state.historyPage = 1;
+    loadHistory();
+});
+elements.historySort.addEventListener('change', () => {
+    state.historyPage = 1;
+    loadHistory();
+});
+elements.historyRefreshBtn.addEventListener('click', loadHistory);
+elements.historyPrevBtn.addEventListener('click', () => {
+    state.historyPage--;
+    loadHistory();
+});
+elements.historyNextBtn.addEventListener('click', () => {
+    state.historyPage++;
+    loadHistory();
+});
+
 // Upload Button
 elements.uploadBtn.addEventListener('click', startUpload);
 
 // Download Button
 elements.downloadBtn.addEventListener('click', downloadVideo);
 
+// Download All Button
+elements.downloadAllBtn.addEventListener('click', downloadAll);
+
 // New Upload Button
 elements.newUploadBtn.addEventListener('click', resetForNewUpload);
 
+// Cancel Button
+elements.cancelBtn.addEventListener('click', cancelJob);
+
 // Prevent default drag behaviors on document
 document.addEventListener('dragover', (e) => e.preventDefault());
 document.addEventListener('drop', (e) => e.preventDefault());
@@ -637,11 +2526,24 @@ document.addEventListener('drop', (e) => e.preventDefault());
  * Initialize the application
  */
 function init() {
-    // Start statistics polling
-    startStatsPolling();
+    // API key for servers that require one
+    elements.apiKeyInput.value = getApiKey();
+    elements.apiKeyInput.addEventListener('change', saveApiKey);
+
+    // Match client-side validation to the server's limits, then list earlier jobs
+    loadServerConfig().then(loadHistory);
+
+    // Start live statistics (falls back to polling)
+    startStatsUpdates();
 
     // Show welcome message
-    showAlert('info', 'Welcome', 'Auto Mute Video Service is ready. Drop a video file to get started.', 3000);
+    showAlert('info', 'Welcome', 'Auto Mute Video Service is ready. Drop one or more video files to get started.', 3000);
+
+    // Uploads cut off by a reload resume once the same file is selected again
+    const unfinished = getUnfinishedUploads();
+    if (unfinished.length > 0) {
+        showAlert('warning', 'Unfinished Upload', `Select ${unfinished.join(', ')} again to resume the upload.`, 10000);
+    }
 
     console.log('Auto Mute Video Service - Enterprise Edition initialized');
 }
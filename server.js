@@ -17,33 +17,59 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { spawn, execSync } = require('child_process');
+const { pipeline } = require('stream');
 const { v4: uuidv4 } = require('uuid');
+const { log } = require('./lib/logger');
+const { createJobStore, planJobRecovery } = require('./lib/jobStore');
+const { createJobQueue } = require('./lib/jobQueue');
+const {
+    OPERATIONS,
+    parseOperation,
+    validateOperationForMedia,
+    addsAudio,
+    describeOperation
+} = require('./lib/audioOperations');
+const { probeMedia } = require('./lib/mediaProbe');
+const { parseOutputFormat } = require('./lib/outputFormats');
+const { isFfmpegAvailable, processFile } = require('./lib/videoProcessor');
+const { classifyFfmpegError } = require('./lib/ffmpegErrors');
+const {
+    unrecognizedContentError,
+    parseChecksum,
+    assertChecksum,
+    inspectFile,
+    createVerifyingStorage
+} = require('./lib/uploadVerification');
+const { parseEncodingSettings, describeEncodingSettings } = require('./lib/encodingPresets');
+const { streamZipBundle } = require('./lib/zipBundle');
+const { dedupKey, createDedupCache } = require('./lib/dedupCache');
+const { createStorageMeter, freeDiskSpace, planEviction } = require('./lib/diskUsage');
+const { createResumableUploads } = require('./lib/resumableUploads');
+const { createEventHub } = require('./lib/eventStream');
+const { loadApiKeys, extractApiKey, createUsageTracker } = require('./lib/apiKeys');
+const { parseSourceUrl, downloadSource } = require('./lib/sourceImport');
+const { createStorage } = require('./lib/storage');
+const { loadConfig, parseDuration } = require('./lib/config');
+const {
+    WEBHOOK_STATUS,
+    parseCallbackUrl,
+    loadOrCreateSecret,
+    createWebhookDispatcher
+} = require('./lib/webhooks');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const CONFIG = {
-    PORT: 3000,
-    HOST: '0.0.0.0',
-    MAX_FILE_SIZE: 2 * 1024 * 1024 * 1024, // 2GB
-    FILE_RETENTION_MS: 60 * 60 * 1000, // 1 hour
-    CLEANUP_INTERVAL_MS: 5 * 60 * 1000, // 5 minutes
-    ALLOWED_EXTENSIONS: ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.wmv', '.flv', '.m4v', '.mpeg', '.mpg', '.3gp'],
-    ALLOWED_MIMETYPES: [
-        'video/mp4',
-        'video/quicktime',
-        'video/x-msvideo',
-        'video/x-matroska',
-        'video/webm',
-        'video/x-ms-wmv',
-        'video/x-flv',
-        'video/mpeg',
-        'video/3gpp',
-        'application/octet-stream'
-    ]
-};
+// Defaults, the optional config file and environment overrides live in lib/config.js
+let CONFIG;
+let CONFIG_FILE;
+try {
+    ({ config: CONFIG, file: CONFIG_FILE } = loadConfig());
+} catch (error) {
+    error.message.split('\n').forEach(line => log('ERROR', line));
+    process.exit(1);
+}
 
 // ============================================================================
 // DIRECTORY SETUP
@@ -51,6 +77,8 @@ const CONFIG = {
 
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
 const OUTPUTS_DIR = path.join(__dirname, 'outputs');
+const DATA_DIR = path.join(__dirname, 'data');
+const LOGS_DIR = path.join(DATA_DIR, 'logs');
 
 // Create directories if they don't exist
 if (!fs.existsSync(UPLOADS_DIR)) {
@@ -59,23 +87,11 @@ if (!fs.existsSync(UPLOADS_DIR)) {
 if (!fs.existsSync(OUTPUTS_DIR)) {
     fs.mkdirSync(OUTPUTS_DIR, { recursive: true });
 }
-
-// ============================================================================
-// LOGGING SYSTEM
-// ============================================================================
-
-const LOG_LEVELS = {
-    INFO: { label: 'INFO', color: '\x1b[36m' },
-    SUCCESS: { label: 'SUCCESS', color: '\x1b[32m' },
-    WARNING: { label: 'WARNING', color: '\x1b[33m' },
-    ERROR: { label: 'ERROR', color: '\x1b[31m' }
-};
-
-function log(level, message) {
-    const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
-    const logLevel = LOG_LEVELS[level] || LOG_LEVELS.INFO;
-    const reset = '\x1b[0m';
-    console.log(`${logLevel.color}[${timestamp}] [${logLevel.label}]${reset} ${message}`);
+if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+if (!fs.existsSync(LOGS_DIR)) {
+    fs.mkdirSync(LOGS_DIR, { recursive: true });
 }
 
 // ============================================================================
@@ -83,11 +99,10 @@ function log(level, message) {
 // ============================================================================
 
 function checkFFmpeg() {
-    try {
-        execSync('ffmpeg -version', { stdio: 'pipe' });
+    if (isFfmpegAvailable()) {
         log('SUCCESS', 'FFmpeg is available and ready');
         return true;
-    } catch (error) {
+    } else {
         log('ERROR', '═══════════════════════════════════════════════════════════════');
         log('ERROR', 'FFmpeg is NOT installed or not found in system PATH!');
         log('ERROR', '');
@@ -107,21 +122,359 @@ function checkFFmpeg() {
 // ============================================================================
 
 const serverStartTime = Date.now();
-const jobs = new Map();
-const stats = {
-    totalUploads: 0,
-    totalProcessed: 0,
-    totalFailed: 0
-};
+const jobs = createJobStore(CONFIG.JOB_STORE, {
+    filePath: path.join(DATA_DIR, 'jobs.json')
+});
+const stats = jobs.stats;
+
+// API keys (null while authentication is disabled) and their daily upload totals
+let apiKeys = null;
+const keyUsage = createUsageTracker(jobs.usage);
+
+// Completion callbacks; the delivery log is stored on the job record
+const webhooks = createWebhookDispatcher({
+    secret: CONFIG.WEBHOOK_SECRET || loadOrCreateSecret(path.join(DATA_DIR, 'webhook_secret')),
+    maxAttempts: CONFIG.WEBHOOK_MAX_ATTEMPTS,
+    retryBaseMs: CONFIG.WEBHOOK_RETRY_BASE_MS,
+    timeoutMs: CONFIG.WEBHOOK_TIMEOUT_MS,
+    allowedHosts: CONFIG.CALLBACK_ALLOWED_HOSTS,
+    onUpdate: () => jobs.persist()
+});
+
+// Chunked upload sessions, kept on disk so they can be resumed after a restart
+const resumableUploads = createResumableUploads({
+    directory: UPLOADS_DIR,
+    maxChunkSize: CONFIG.MAX_UPLOAD_CHUNK_SIZE
+});
+
+// Outputs of completed jobs by content and settings, with the jobs holding each one
+const dedupCache = createDedupCache();
 
 // Job status enum
 const JOB_STATUS = {
+    DOWNLOADING: 'downloading',
     UPLOADING: 'uploading',
+    QUEUED: 'queued',
     PROCESSING: 'processing',
     COMPLETED: 'completed',
-    FAILED: 'failed'
+    FAILED: 'failed',
+    TIMED_OUT: 'timed-out', // killed for running too long or making no progress
+    CANCELLED: 'cancelled'
 };
 
+// Running ffmpeg child processes keyed by job ID (kept out of the job record
+// so the store only ever holds serialisable data)
+const activeProcesses = new Map();
+
+// Abort controllers of running source downloads keyed by job ID
+const activeDownloads = new Map();
+
+// Set once SIGTERM/SIGINT arrives (see GRACEFUL SHUTDOWN)
+let shuttingDown = false;
+
+// Processing queue - uploads wait here until a worker slot frees up
+const jobQueue = createJobQueue({
+    concurrency: CONFIG.MAX_CONCURRENT_JOBS,
+    worker: (jobId) => {
+        const job = jobs.get(jobId);
+        if (!job || job.status !== JOB_STATUS.QUEUED) return;
+        return processVideo(jobId, job.inputPath, job.originalName);
+    }
+});
+
+function enqueueJob(job) {
+    job.status = JOB_STATUS.QUEUED;
+    job.progress = 0;
+    jobs.persist();
+    const position = jobQueue.enqueue(job.id);
+    notifyJobChange(job);
+    return position;
+}
+
+// ============================================================================
+// LIVE EVENTS
+// ============================================================================
+
+// Push channels: `job:<id>`, `batch:<id>` and `stats`
+const events = createEventHub({ maxSubscribers: CONFIG.MAX_EVENT_STREAMS });
+let statsBroadcastTimer = null;
+
+const TERMINAL_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.TIMED_OUT, JOB_STATUS.CANCELLED];
+
+// Failed jobs that can be retried from their input
+const RETRYABLE_STATUSES = [JOB_STATUS.FAILED, JOB_STATUS.TIMED_OUT];
+
+/**
+ * Estimate the remaining processing time from the progress so far
+ * @param {object} job - Job record
+ * @returns {number|null} Seconds left, or null while no estimate is possible
+ */
+function estimateRemainingSeconds(job) {
+    if (job.status !== JOB_STATUS.PROCESSING || !job.startedAt || !(job.progress > 0)) {
+        return null;
+    }
+    const elapsed = Date.now() - job.startedAt;
+    return Math.round(elapsed / job.progress * (100 - job.progress) / 1000);
+}
+
+/**
+ * Public view of a job's progress, as served by /progress and the event streams
+ * @param {object} job - Job record
+ * @returns {object} Progress snapshot
+ */
+function describeJobProgress(job) {
+    return {
+        jobId: job.id,
+        status: job.status,
+        progress: job.progress,
+        eta: estimateRemainingSeconds(job),
+        queuePosition: job.status === JOB_STATUS.QUEUED ? jobQueue.position(job.id) : null,
+        batchId: job.batchId || null,
+        originalName: job.originalName,
+        sourceUrl: job.sourceUrl || null,
+        download: job.status === JOB_STATUS.DOWNLOADING ? job.download : null,
+        operation: job.operation,
+        operationLabel: describeOperation(job.operation),
+        outputFormat: job.outputFormat || null,
+        encodingLabel: describeEncodingSettings(job.encodingSettings),
+        outputFilename: job.outputFilename,
+        error: describeJobError(job),
+        logAvailable: Boolean(job.logPath)
+    };
+}
+
+/**
+ * Error of a failed job as served by the progress API
+ * @param {object} job - Job record
+ * @returns {object|null} { code, message, hint }; code and hint are null for
+ *   failures that did not come from ffmpeg
+ */
+function describeJobError(job) {
+    if (!job.error) return null;
+    return {
+        code: job.errorCode || null,
+        message: job.error,
+        hint: job.errorHint || null
+    };
+}
+
+function getStatsSnapshot() {
+    return {
+        uptime: getUptime(),
+        totalUploads: stats.totalUploads,
+        totalProcessed: stats.totalProcessed,
+        totalFailed: stats.totalFailed,
+        totalCancelled: stats.totalCancelled,
+        totalDeduplicated: stats.totalDeduplicated,
+        activeJobs: jobQueue.runningCount + jobQueue.pendingCount,
+        runningJobs: jobQueue.runningCount,
+        queuedJobs: jobQueue.pendingCount,
+        maxConcurrentJobs: jobQueue.concurrency,
+        storage: describeStorage(),
+        cleanup: Object.assign({}, cleanupReport, { lastRunAt: toIsoTime(cleanupReport.lastRunAt) })
+    };
+}
+
+// Status changes come in bursts (a batch upload, a queue shift), so coalesce them
+function scheduleStatsBroadcast() {
+    if (statsBroadcastTimer || !events.hasSubscribers('stats')) return;
+    statsBroadcastTimer = setTimeout(() => {
+        statsBroadcastTimer = null;
+        events.publish('stats', 'stats', getStatsSnapshot());
+    }, 250);
+}
+
+/**
+ * Push a job's new state to its subscribers
+ *
+ * The event name tells clients what happened: `status` for status changes,
+ * `progress` while ffmpeg runs, and `completed`, `failed` or `cancelled` at the end.
+ * @param {object} job - Job record
+ * @param {boolean} [progressOnly] - Only the progress changed
+ */
+function notifyJobChange(job, progressOnly) {
+    const channels = [`job:${job.id}`];
+    if (job.batchId) {
+        channels.push(`batch:${job.batchId}`);
+    }
+
+    if (channels.some(channel => events.hasSubscribers(channel))) {
+        const event = TERMINAL_STATUSES.includes(job.status) ? job.status : (progressOnly ? 'progress' : 'status');
+        const snapshot = describeJobProgress(job);
+        channels.forEach(channel => events.publish(channel, event, snapshot));
+    }
+
+    if (!progressOnly) {
+        scheduleStatsBroadcast();
+    }
+}
+
+// Everyone behind a job that left the queue moved up one place
+function notifyQueuedJobs() {
+    for (const job of jobs.values()) {
+        if (job.status === JOB_STATUS.QUEUED) {
+            notifyJobChange(job);
+        }
+    }
+}
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+function toIsoTime(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+function buildWebhookPayload(job) {
+    const completed = job.status === JOB_STATUS.COMPLETED;
+    return {
+        jobId: job.id,
+        batchId: job.batchId || null,
+        status: job.status,
+        originalName: job.originalName,
+        outputFilename: completed ? job.outputFilename : null,
+        downloadUrl: completed ? `${job.webhook.baseUrl}/download/${job.id}` : null,
+        error: job.error,
+        timings: {
+            createdAt: toIsoTime(job.createdAt),
+            startedAt: toIsoTime(job.startedAt),
+            finishedAt: toIsoTime(job.completedAt),
+            queuedMs: job.startedAt ? job.startedAt - job.createdAt : null,
+            processingMs: job.startedAt && job.completedAt ? job.completedAt - job.startedAt : null,
+            totalMs: job.completedAt ? job.completedAt - job.createdAt : null
+        }
+    };
+}
+
+/**
+ * Notify the job's callback URL that it completed or failed
+ * @param {object} job - Job record
+ */
+function sendJobWebhook(job) {
+    if (!job.webhook) return;
+    webhooks.deliver(job.webhook, `job.${job.status}`, buildWebhookPayload(job));
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+// Inputs and outputs live in `storage` (set up in startServer). ffmpeg always
+// works on the files in UPLOADS_DIR and OUTPUTS_DIR: with the local driver
+// those are the stored files themselves, with a remote one scratch copies.
+let storage = null;
+
+function storageKey(directory, filePath) {
+    return `${directory}/${path.basename(filePath)}`;
+}
+
+// How long a job and its files are kept (FILE_RETENTION_MS unless the job asked otherwise)
+function jobRetentionMs(job) {
+    return job.retentionMs || CONFIG.FILE_RETENTION_MS;
+}
+
+// Jobs stored before outputs had keys only know their output path
+function jobOutputKey(job) {
+    return job.outputKey || (job.outputPath ? storageKey('outputs', job.outputPath) : null);
+}
+
+// Local copies are only scratch space when a remote backend holds the files
+function removeScratchFiles(job) {
+    if (!storage.isRemote) return;
+    removeFileQuietly(job.inputPath);
+    removeFileQuietly(job.audioPath);
+    removeFileQuietly(job.outputPath);
+}
+
+function removeStoredInput(job) {
+    if (!storage.isRemote || !job.inputKey) return;
+    storage.remove(job.inputKey).catch((error) => {
+        log('WARNING', `Could not delete stored input ${job.inputKey}: ${error.message}`);
+    });
+}
+
+// ============================================================================
+// DEDUPLICATION
+// ============================================================================
+
+/**
+ * Find a completed job whose output a new job can reuse
+ * @param {string|null} key - Deduplication key of the new job
+ * @param {string|null} owner - Owner of the new job; only its own jobs are reused
+ * @returns {Promise<object|null>} Source job, or null on a miss
+ */
+async function findReusableJob(key, owner) {
+    if (!CONFIG.DEDUPLICATION) return null;
+    for (const jobId of dedupCache.find(key)) {
+        const job = jobs.get(jobId);
+        if (!job || job.status !== JOB_STATUS.COMPLETED) continue;
+        if ((job.owner || null) !== (owner || null)) continue;
+        // The file may have gone missing; the cleanup drops the jobs pointing at it
+        const stored = await storage.stat(job.outputKey).catch(() => null);
+        if (stored) return job;
+    }
+    return null;
+}
+
+/**
+ * Create a completed job sharing the output of an earlier one
+ * @param {object} source - Completed job with the same deduplication key
+ * @param {object} fields - The new job's own fields (id, owner, originalName, settings...)
+ * @returns {object} Job record
+ */
+function reuseOutput(source, fields) {
+    const now = Date.now();
+    const baseName = path.basename(fields.originalName, path.extname(fields.originalName));
+    const job = Object.assign({}, fields, {
+        status: JOB_STATUS.COMPLETED,
+        progress: 100,
+        inputPath: null,
+        inputKey: null,
+        audioPath: null,
+        mediaInfo: source.mediaInfo,
+        outputPath: source.outputPath,
+        outputKey: source.outputKey,
+        outputFilename: `muted_${baseName}${path.extname(source.outputFilename)}`,
+        outputSize: source.outputSize,
+        videoEncoding: source.videoEncoding,
+        fallbackStrategy: source.fallbackStrategy || null,
+        dedupOf: source.dedupOf || source.id,
+        attempts: [],
+        startedAt: now,
+        completedAt: now,
+        error: null
+    });
+    jobs.set(job.id, job);
+    dedupCache.retain(job);
+
+    stats.totalUploads++;
+    stats.totalProcessed++;
+    stats.totalDeduplicated++;
+    jobs.persist();
+    notifyJobChange(job);
+    sendJobWebhook(job);
+    log('SUCCESS', `Job ${job.id} (${job.originalName}) reuses the output of job ${job.dedupOf}`);
+    return job;
+}
+
+/**
+ * Drop a job's claim on its output, deleting the output once no job refers to it
+ * @param {object} job - Job record that is going away
+ * @returns {number} Bytes freed (0 while other jobs still use the output)
+ */
+function releaseOutput(job) {
+    if (!dedupCache.release(job)) return 0;
+    removeFileQuietly(job.outputPath);
+    const key = jobOutputKey(job);
+    if (storage.isRemote && key) {
+        storage.remove(key).catch((error) => {
+            log('WARNING', `Could not delete stored file ${key}: ${error.message}`);
+        });
+    }
+    return job.outputSize || 0;
+}
+
 // ============================================================================
 // EXPRESS APP SETUP
 // ============================================================================
@@ -136,44 +489,203 @@ app.use(express.json());
 // MULTER CONFIGURATION
 // ============================================================================
 
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, UPLOADS_DIR);
-    },
-    filename: (req, file, cb) => {
-        const jobId = uuidv4();
+// Uploads are sniffed for a real container signature and hashed on their way to disk
+const uploadStorage = createVerifyingStorage({
+    directory: UPLOADS_DIR,
+    filename: (req, file) => {
         const ext = path.extname(file.originalname).toLowerCase();
-        const safeFilename = `${jobId}${ext}`;
-        req.jobId = jobId;
-        cb(null, safeFilename);
+        
+        // Batch uploads: every file becomes a job of its own
+        if (file.fieldname === 'videos') {
+            file.jobId = uuidv4();
+            return `${file.jobId}${ext}`;
+        }
+        
+        // Single uploads: the video and its replacement audio share one job
+        if (!req.jobId) {
+            req.jobId = uuidv4();
+        }
+        file.jobId = req.jobId;
+        const suffix = file.fieldname === 'audio' ? '_audio' : '';
+        return `${req.jobId}${suffix}${ext}`;
     }
 });
 
 const fileFilter = (req, file, cb) => {
     const ext = path.extname(file.originalname).toLowerCase();
+    const isAudio = file.fieldname === 'audio';
+    const allowedExtensions = isAudio ? CONFIG.ALLOWED_AUDIO_EXTENSIONS : CONFIG.ALLOWED_EXTENSIONS;
+    const allowedMimetypes = isAudio ? CONFIG.ALLOWED_AUDIO_MIMETYPES : CONFIG.ALLOWED_MIMETYPES;
     
     // Check extension
-    if (!CONFIG.ALLOWED_EXTENSIONS.includes(ext)) {
+    if (!allowedExtensions.includes(ext)) {
         log('WARNING', `Rejected file with invalid extension: ${ext}`);
-        return cb(new Error(`Invalid file type. Allowed: ${CONFIG.ALLOWED_EXTENSIONS.join(', ')}`), false);
+        return cb(new Error(`Invalid file type. Allowed: ${allowedExtensions.join(', ')}`), false);
     }
     
-    // Check MIME type (allow octet-stream for large files)
-    if (!CONFIG.ALLOWED_MIMETYPES.includes(file.mimetype)) {
+    // Check MIME type (allow octet-stream for large files; the content itself is checked while it streams in)
+    if (!allowedMimetypes.includes(file.mimetype)) {
         log('WARNING', `Rejected file with invalid MIME type: ${file.mimetype}`);
-        return cb(new Error('Invalid file type. Please upload a valid video file.'), false);
+        return cb(new Error(`Invalid file type. Please upload a valid ${isAudio ? 'audio' : 'video'} file.`), false);
     }
     
     cb(null, true);
 };
 
-const upload = multer({
-    storage: storage,
-    fileFilter: fileFilter,
-    limits: {
-        fileSize: CONFIG.MAX_FILE_SIZE
+// The file size limit depends on the caller's API key, so multer is set up per request
+function createUpload(req) {
+    return multer({
+        storage: uploadStorage,
+        fileFilter: fileFilter,
+        limits: {
+            fileSize: maxFileSizeFor(req)
+        }
+    });
+}
+
+const uploadFields = (req, res, next) => createUpload(req).fields([
+    { name: 'video', maxCount: 1 },
+    { name: 'audio', maxCount: 1 }
+])(req, res, next);
+
+const uploadBatch = (req, res, next) => createUpload(req).array('videos', CONFIG.MAX_BATCH_FILES)(req, res, next);
+
+// ============================================================================
+// AUTHENTICATION & QUOTAS
+// ============================================================================
+
+function requireApiKey(req, res, next) {
+    if (!apiKeys) return next();
+    
+    const key = extractApiKey(req);
+    const record = key ? apiKeys.get(key) : null;
+    if (!record) {
+        log('WARNING', `Rejected ${req.method} ${req.path}: ${key ? 'invalid' : 'missing'} API key`);
+        return res.status(401).json({
+            success: false,
+            error: key ? 'Invalid API key' : 'API key required. Send it in the X-API-Key header.'
+        });
     }
-});
+    
+    req.apiKey = record;
+    next();
+}
+
+// Everything but the static frontend and the health check needs a key
+app.use(['/upload', '/uploads', '/progress', '/jobs', '/batches', '/download', '/stats'], requireApiKey);
+
+function ownerOf(req) {
+    return req.apiKey ? req.apiKey.name : null;
+}
+
+function canAccessJob(req, job) {
+    return !req.apiKey || job.owner === req.apiKey.name;
+}
+
+function maxFileSizeFor(req) {
+    const keyLimit = req.apiKey && req.apiKey.limits.maxFileSize;
+    return keyLimit ? Math.min(keyLimit, CONFIG.MAX_FILE_SIZE) : CONFIG.MAX_FILE_SIZE;
+}
+
+function countActiveJobs(owner) {
+    let count = 0;
+    for (const job of jobs.values()) {
+        if (job.owner === owner && (job.status === JOB_STATUS.DOWNLOADING || job.status === JOB_STATUS.UPLOADING ||
+            job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.PROCESSING)) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Number of new jobs the caller may still start
+ * @param {object} req - Express request
+ * @returns {number} Free job slots (Infinity without a limit)
+ */
+function freeJobSlots(req) {
+    const limit = req.apiKey && req.apiKey.limits.maxConcurrentJobs;
+    return limit ? Math.max(0, limit - countActiveJobs(req.apiKey.name)) : Infinity;
+}
+
+/**
+ * Check the caller's quotas before accepting more data, answering 429 when exceeded
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} request - What the caller wants to do
+ * @param {number} request.bytes - Bytes about to be uploaded
+ * @param {number} request.jobs - Jobs about to be started
+ * @returns {boolean} True when the request may go ahead
+ */
+function checkQuota(req, res, request) {
+    if (!req.apiKey) return true;
+    const limits = req.apiKey.limits;
+    
+    if (request.jobs > 0 && freeJobSlots(req) < 1) {
+        log('WARNING', `Quota: ${req.apiKey.name} reached ${limits.maxConcurrentJobs} concurrent job(s)`);
+        res.status(429).json({
+            success: false,
+            error: `Concurrent job limit reached (${limits.maxConcurrentJobs}). Wait for a job to finish.`
+        });
+        return false;
+    }
+    
+    if (limits.dailyUploadBytes && keyUsage.uploadedToday(req.apiKey.name) + request.bytes > limits.dailyUploadBytes) {
+        log('WARNING', `Quota: ${req.apiKey.name} would exceed the daily upload limit`);
+        res.status(429).json({
+            success: false,
+            error: `Daily upload limit of ${formatBytes(limits.dailyUploadBytes)} reached. ` +
+                `${formatBytes(Math.max(0, limits.dailyUploadBytes - keyUsage.uploadedToday(req.apiKey.name)))} left today.`
+        });
+        return false;
+    }
+    
+    return true;
+}
+
+function recordUploadedBytes(req, bytes) {
+    storageMeter.record(bytes);
+    if (!req.apiKey) return;
+    keyUsage.recordUpload(req.apiKey.name, bytes);
+    jobs.persist();
+}
+
+/**
+ * Look up the job named in the URL, answering 400/403/404 when it cannot be used
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {object|null} Job, or null when a response has been sent
+ */
+function findJobForRequest(req, res) {
+    const jobId = sanitizePath(req.params.id);
+    if (!jobId) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid job ID'
+        });
+        return null;
+    }
+    
+    const job = jobs.get(jobId);
+    if (!job) {
+        res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+        return null;
+    }
+    
+    if (!canAccessJob(req, job)) {
+        log('WARNING', `Refused access to job ${jobId} for API key ${req.apiKey.name}`);
+        res.status(403).json({
+            success: false,
+            error: 'This job belongs to another API key'
+        });
+        return null;
+    }
+    
+    return job;
+}
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -189,6 +701,28 @@ function getUptime() {
     return { days, hours, minutes, seconds, totalMs: uptimeMs };
 }
 
+function removeFileQuietly(filePath) {
+    if (!filePath) return;
+    try {
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    } catch (error) {
+        log('WARNING', `Failed to remove file ${filePath}: ${error.message}`);
+    }
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${+value.toFixed(2)}${units[unit]}`;
+}
+
 function sanitizePath(inputPath) {
     // Prevent path traversal attacks
     const normalized = path.normalize(inputPath);
@@ -198,227 +732,1609 @@ function sanitizePath(inputPath) {
     return normalized;
 }
 
-function getVideoDuration(filePath) {
-    return new Promise((resolve, reject) => {
-        const ffprobe = spawn('ffprobe', [
-            '-v', 'error',
-            '-show_entries', 'format=duration',
-            '-of', 'default=noprint_wrappers=1:nokey=1',
-            filePath
-        ]);
-        
-        let output = '';
-        ffprobe.stdout.on('data', (data) => {
-            output += data.toString();
-        });
-        
-        ffprobe.on('close', (code) => {
-            if (code === 0) {
-                const duration = parseFloat(output.trim());
-                resolve(duration || 0);
-            } else {
-                resolve(0);
-            }
-        });
-        
-        ffprobe.on('error', () => {
-            resolve(0);
-        });
-    });
-}
-
 // ============================================================================
 // VIDEO PROCESSING
 // ============================================================================
 
+// Paths inside the install directory say nothing useful to API clients
+function hideInstallPath(text) {
+    return text.split(__dirname + path.sep).join('');
+}
+
+/**
+ * Add a finished ffmpeg attempt to the job's attempt log and its full output to the job log
+ * @param {object} job - Job record
+ * @param {object} attempt - Attempt reported by processFile
+ * @param {string} stderr - Complete stderr of the attempt
+ */
+function recordAttempt(job, attempt, stderr) {
+    // Jobs stored before attempts were recorded have no log yet
+    job.attempts = job.attempts || [];
+    const record = {
+        number: job.attempts.length + 1,
+        run: (job.manualRetries || 0) + 1,
+        strategy: attempt.strategy || 'initial',
+        startedAt: toIsoTime(attempt.startedAt),
+        finishedAt: toIsoTime(attempt.finishedAt),
+        exitCode: attempt.exitCode,
+        timeout: attempt.timeout || null,
+        args: attempt.args.map(hideInstallPath),
+        stderr: hideInstallPath(attempt.stderr)
+    };
+    job.attempts.push(record);
+    
+    const logPath = path.join(LOGS_DIR, `${job.id}.log`);
+    const entry = [
+        `# Attempt ${record.number} (${record.strategy}), ` +
+            (record.timeout ? `killed after a ${record.timeout} timeout` : `exit code ${record.exitCode}`),
+        `# ${record.startedAt} - ${record.finishedAt}`,
+        `$ ffmpeg ${record.args.join(' ')}`,
+        hideInstallPath(stderr).trimEnd(),
+        '',
+        ''
+    ].join('\n');
+    try {
+        fs.appendFileSync(logPath, entry);
+        job.logPath = logPath;
+    } catch (error) {
+        log('WARNING', `Could not write the log of job ${job.id}: ${error.message}`);
+    }
+}
+
+function failJob(job, message) {
+    job.status = JOB_STATUS.FAILED;
+    job.error = message;
+    job.completedAt = Date.now();
+    stats.totalFailed++;
+    jobs.persist();
+    notifyJobChange(job);
+    sendJobWebhook(job);
+}
+
 async function processVideo(jobId, inputPath, originalName) {
     const job = jobs.get(jobId);
     if (!job) return;
     
-    const ext = path.extname(originalName).toLowerCase();
-    const outputFilename = `${jobId}_muted${ext}`;
-    const outputPath = path.join(OUTPUTS_DIR, outputFilename);
-    
     job.status = JOB_STATUS.PROCESSING;
     job.progress = 0;
-    job.outputPath = outputPath;
-    job.outputFilename = `muted_${originalName}`;
+    job.startedAt = Date.now();
+    jobs.persist();
+    notifyJobChange(job);
+    notifyQueuedJobs();
+    
+    log('INFO', `Processing started for job ${jobId} (${describeOperation(job.operation)}, ${describeEncodingSettings(job.encodingSettings)})`);
     
-    log('INFO', `Processing started for job ${jobId}`);
+    // A remote backend still has the input when the local copy is gone (e.g. after moving hosts)
+    if (storage.isRemote && job.inputKey && !fs.existsSync(inputPath)) {
+        try {
+            await storage.fetch(job.inputKey, inputPath);
+        } catch (error) {
+            removeFileQuietly(inputPath);
+            failJob(job, 'The input file could not be retrieved from storage');
+            throw new Error(`Fetching ${job.inputKey} for job ${jobId} failed: ${error.message}`);
+        }
+    }
     
-    // Get video duration for progress calculation
-    const duration = await getVideoDuration(inputPath);
+    // Get video duration for progress calculation (jobs are normally probed at upload)
+    if (!job.mediaInfo) {
+        job.mediaInfo = await probeMedia(inputPath).catch((error) => {
+            log('WARNING', `Probe failed for job ${jobId}: ${error.message}`);
+            return null;
+        });
+    }
+    const duration = job.mediaInfo ? job.mediaInfo.duration : 0;
     log('INFO', `Video duration: ${duration.toFixed(2)} seconds`);
     
-    return new Promise((resolve, reject) => {
-        const ffmpegArgs = [
-            '-i', inputPath,
-            '-an',                    // Remove audio
-            '-c:v', 'copy',          // Copy video codec (fast, no re-encoding)
-            '-y',                     // Overwrite output
-            '-progress', 'pipe:1',   // Output progress to stdout
-            '-nostats',              // Disable stats
-            outputPath
-        ];
-        
-        const ffmpeg = spawn('ffmpeg', ffmpegArgs);
-        
-        let stderrData = '';
-        
-        ffmpeg.stdout.on('data', (data) => {
-            const lines = data.toString().split('\n');
-            for (const line of lines) {
-                if (line.startsWith('out_time_ms=')) {
-                    const timeMs = parseInt(line.split('=')[1]) / 1000000;
-                    if (duration > 0) {
-                        const progress = Math.min(99, Math.round((timeMs / duration) * 100));
-                        job.progress = progress;
-                    }
-                }
+    // The job may have been cancelled while we were probing
+    if (job.status === JOB_STATUS.CANCELLED) return;
+    
+    const baseName = path.basename(originalName, path.extname(originalName));
+    const timeoutMs = CONFIG.PROCESSING_TIMEOUT_MS > 0
+        ? CONFIG.PROCESSING_TIMEOUT_MS + duration * 1000 * CONFIG.PROCESSING_TIMEOUT_FACTOR
+        : 0;
+    let result;
+    try {
+        result = await processFile({
+            inputPath: inputPath,
+            outputPath: (extension) => {
+                job.outputPath = path.join(OUTPUTS_DIR, `${jobId}_muted${extension}`);
+                job.outputFilename = `muted_${baseName}${extension}`;
+                jobs.persist();
+                return job.outputPath;
+            },
+            operation: job.operation,
+            audioPath: job.audioPath,
+            format: job.outputFormat || null,
+            settings: job.encodingSettings || null,
+            mediaInfo: job.mediaInfo,
+            strategies: CONFIG.RETRY_STRATEGIES,
+            timeoutMs: timeoutMs,
+            stallTimeoutMs: CONFIG.STALL_TIMEOUT_MS,
+            // A shutdown kills ffmpeg, which must not count as a failure worth retrying
+            isCancelled: () => job.status === JOB_STATUS.CANCELLED || shuttingDown,
+            onRetry: (strategy) => {
+                log('WARNING', `FFmpeg failed for job ${jobId}, retrying with fallback strategy ${strategy}`);
+                job.progress = 0;
+                notifyJobChange(job, true);
+            },
+            onRetrySkipped: (strategy, remainingMs) => {
+                log('WARNING', `FFmpeg failed for job ${jobId}; not retrying with ${strategy}, ` +
+                    `only ${Math.round(remainingMs / 1000)}s of the time limit left`);
+            },
+            onAttempt: (attempt, stderr) => {
+                recordAttempt(job, attempt, stderr);
+                jobs.persist();
+            },
+            onSpawn: (ffmpeg) => {
+                activeProcesses.set(jobId, ffmpeg);
+                ffmpeg.on('close', () => activeProcesses.delete(jobId));
+            },
+            onProgress: (progress) => {
+                job.progress = progress;
+                notifyJobChange(job, true);
             }
         });
+    } catch (error) {
+        activeProcesses.delete(jobId);
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message;
+        job.completedAt = Date.now();
+        stats.totalFailed++;
+        jobs.persist();
+        notifyJobChange(job);
+        sendJobWebhook(job);
+        log('ERROR', `Job ${jobId} error: ${error.message}`);
+        throw error;
+    }
+    
+    const outputPath = result.outputPath;
+    if (job.status === JOB_STATUS.CANCELLED) {
+        removeFileQuietly(outputPath);
+        removeFileQuietly(inputPath);
+        removeFileQuietly(job.audioPath);
+        log('INFO', `Job ${jobId} ffmpeg process stopped after cancellation`);
+        return;
+    }
+    
+    // Killed by a shutdown: leave the job as it is for recovery on the next start
+    if (shuttingDown && result.code !== 0 && !result.timeout) {
+        removeFileQuietly(outputPath);
+        jobs.persist();
+        log('WARNING', `Job ${jobId} was interrupted by the shutdown`);
+        return;
+    }
+    
+    if (result.code === 0) {
+        job.outputSize = fs.existsSync(outputPath) ? fs.statSync(outputPath).size : null;
+        // A remote backend only gets a scratch copy, removed below
+        if (!storage.isRemote) {
+            storageMeter.record(job.outputSize);
+        }
         
-        ffmpeg.stderr.on('data', (data) => {
-            stderrData += data.toString();
-        });
+        // Hand the output to storage before announcing it
+        job.outputKey = storageKey('outputs', outputPath);
+        try {
+            await storage.save(job.outputKey, outputPath);
+        } catch (error) {
+            removeFileQuietly(outputPath);
+            failJob(job, 'The output could not be stored');
+            throw new Error(`Storing ${job.outputKey} for job ${jobId} failed: ${error.message}`);
+        }
         
-        ffmpeg.on('close', (code) => {
-            if (code === 0) {
-                job.status = JOB_STATUS.COMPLETED;
-                job.progress = 100;
-                job.completedAt = Date.now();
-                stats.totalProcessed++;
-                log('SUCCESS', `Job ${jobId} completed successfully`);
-                resolve();
-            } else {
-                job.status = JOB_STATUS.FAILED;
-                job.error = 'FFmpeg processing failed';
-                stats.totalFailed++;
-                log('ERROR', `Job ${jobId} failed: ${stderrData.substring(0, 200)}`);
-                reject(new Error('FFmpeg processing failed'));
-            }
-        });
+        if (job.status === JOB_STATUS.CANCELLED) {
+            storage.remove(job.outputKey).catch(() => {});
+            removeFileQuietly(outputPath);
+            return;
+        }
+        removeScratchFiles(job);
         
-        ffmpeg.on('error', (error) => {
-            job.status = JOB_STATUS.FAILED;
-            job.error = error.message;
-            stats.totalFailed++;
-            log('ERROR', `Job ${jobId} error: ${error.message}`);
-            reject(error);
-        });
-    });
+        job.status = JOB_STATUS.COMPLETED;
+        job.progress = 100;
+        job.completedAt = Date.now();
+        job.videoEncoding = result.encoding.reencodeVideo ? 'reencode' : 'copy';
+        job.fallbackStrategy = result.strategy;
+        dedupCache.retain(job);
+        stats.totalProcessed++;
+        jobs.persist();
+        notifyJobChange(job);
+        sendJobWebhook(job);
+        log('SUCCESS', `Job ${jobId} completed successfully` +
+            (result.strategy ? ` using fallback strategy ${result.strategy}` : ''));
+    } else {
+        removeFileQuietly(outputPath);
+        removeScratchFiles(job);
+        const failure = classifyFfmpegError(result.stderr, { timeout: result.timeout });
+        job.status = result.timeout ? JOB_STATUS.TIMED_OUT : JOB_STATUS.FAILED;
+        job.error = failure.message;
+        job.errorCode = failure.code;
+        job.errorHint = failure.hint;
+        job.completedAt = Date.now();
+        stats.totalFailed++;
+        jobs.persist();
+        notifyJobChange(job);
+        sendJobWebhook(job);
+        const tries = result.attempts.length;
+        const tail = result.stderr.slice(-200).trim();
+        log('ERROR', `Job ${jobId} ${result.timeout ? 'timed out' : 'failed'} after ${tries} attempt${tries === 1 ? '' : 's'} ` +
+            `(${failure.code})${tail ? `: ${tail}` : ''}`);
+        throw new Error('FFmpeg processing failed');
+    }
+}
+
+// ============================================================================
+// JOB CANCELLATION
+// ============================================================================
+
+function cancelJob(job) {
+    const wasQueued = jobQueue.remove(job.id);
+    
+    job.status = JOB_STATUS.CANCELLED;
+    job.error = 'Job was cancelled';
+    job.completedAt = Date.now();
+    stats.totalCancelled++;
+    jobs.persist();
+    notifyJobChange(job);
+    if (wasQueued) {
+        notifyQueuedJobs();
+    }
+    
+    const ffmpeg = activeProcesses.get(job.id);
+    const download = activeDownloads.get(job.id);
+    if (ffmpeg) {
+        // Files are removed once the process has actually exited
+        ffmpeg.kill('SIGKILL');
+    } else if (download) {
+        // The partial download is removed by the importer
+        download.abort();
+    } else {
+        removeFileQuietly(job.outputPath);
+        removeFileQuietly(job.inputPath);
+        removeFileQuietly(job.audioPath);
+    }
+    removeStoredInput(job);
+    
+    log('WARNING', `Job ${job.id} cancelled${wasQueued ? ' while queued' : ''}`);
 }
 
 // ============================================================================
 // API ROUTES
 // ============================================================================
 
+function handleUploadMiddlewareError(err, req, res) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+        const limit = formatBytes(maxFileSizeFor(req));
+        log('WARNING', `File upload rejected: exceeds ${limit} limit`);
+        return res.status(413).json({
+            success: false,
+            error: `File too large. Maximum size is ${limit}.`
+        });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'videos') {
+        log('WARNING', `Batch upload rejected: more than ${CONFIG.MAX_BATCH_FILES} files`);
+        return res.status(400).json({
+            success: false,
+            error: `Too many files. A batch can contain at most ${CONFIG.MAX_BATCH_FILES} videos.`
+        });
+    }
+    log('ERROR', `Upload error: ${err.message}`);
+    return res.status(err.status || 400).json({
+        success: false,
+        error: err.message
+    });
+}
+
+function uploadResponse(job, queuePosition) {
+    return {
+        jobId: job.id,
+        originalName: job.originalName,
+        status: job.status,
+        queuePosition: queuePosition,
+        operationLabel: describeOperation(job.operation),
+        encodingLabel: describeEncodingSettings(job.encodingSettings),
+        mediaInfo: job.mediaInfo,
+        sha256: job.inputSha256 || null,
+        deduplicated: Boolean(job.dedupOf),
+        expiresAt: toIsoTime(job.createdAt + jobRetentionMs(job))
+    };
+}
+
+function uploadMessage(job, queuePosition) {
+    if (job.dedupOf) return 'Upload successful, the same file was already processed with these settings';
+    return queuePosition > 0 ? 'Upload successful, job queued' : 'Upload successful, processing started';
+}
+
+// Webhook state stored on a job that has a callback URL
+function createWebhookRecord(callbackUrl, baseUrl) {
+    return callbackUrl ? { url: callbackUrl, baseUrl: baseUrl, status: null, deliveries: [] } : null;
+}
+
+// Base URL the client reached us on, used for links handed to other services
+function requestBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Parse a job's own retention, e.g. `retention=24h`
+ * @param {*} value - Duration from a form field or JSON body
+ * @returns {number|null} Milliseconds, or null for FILE_RETENTION_MS
+ * @throws {Error} When the value is not a duration or exceeds MAX_RETENTION_MS
+ */
+function parseRetention(value) {
+    if (value === undefined || value === null || value === '') return null;
+    let retentionMs = 0;
+    try {
+        retentionMs = parseDuration(value);
+    } catch (error) {
+        // Reported below together with the limit
+    }
+    if (!(retentionMs > 0) || retentionMs > CONFIG.MAX_RETENTION_MS) {
+        throw new Error(`retention must be a duration such as 24h, at most ${CONFIG.MAX_RETENTION_MS / 3600000} hour(s)`);
+    }
+    return retentionMs;
+}
+
+/**
+ * Parse the job settings sent with an upload or import
+ * @param {object} fields - Form fields or JSON body
+ * @param {object} [audioFile] - Replacement audio file
+ * @returns {object} { operation, outputFormat, encodingSettings, callbackUrl, retentionMs }
+ * @throws {Error} When a setting is invalid
+ */
+function parseJobFields(fields, audioFile) {
+    return {
+        operation: parseOperation(fields, { audio: audioFile ? [audioFile] : [] }),
+        outputFormat: parseOutputFormat(fields.format),
+        encodingSettings: parseEncodingSettings(fields),
+        callbackUrl: parseCallbackUrl(fields.callbackUrl, CONFIG.CALLBACK_ALLOWED_HOSTS),
+        retentionMs: parseRetention(fields.retention)
+    };
+}
+
+// Validates, verifies and probes one uploaded video, then creates and queues its job.
+// Rejected files are deleted and the thrown error carries an HTTP status.
+// options.expectedSha256 overrides the `sha256` field (batch uploads send one per file).
+async function createJobFromUpload(videoFile, fields, options = {}) {
+    const audioFile = options.audioFile || null;
+    
+    const rejectUpload = (status, message, details) => {
+        removeFileQuietly(videoFile.path);
+        removeFileQuietly(audioFile && audioFile.path);
+        log('WARNING', `Upload rejected (${videoFile.originalname}): ${message}`);
+        const error = new Error(message);
+        error.status = status;
+        error.details = details || {};
+        return error;
+    };
+    
+    let operation;
+    let outputFormat;
+    let encodingSettings;
+    let callbackUrl;
+    let retentionMs;
+    let expectedSha256;
+    try {
+        ({ operation, outputFormat, encodingSettings, callbackUrl, retentionMs } = parseJobFields(fields, audioFile));
+        expectedSha256 = options.expectedSha256 !== undefined ? options.expectedSha256 : parseChecksum(fields.sha256);
+    } catch (error) {
+        throw rejectUpload(400, error.message);
+    }
+    
+    // Multipart uploads were sniffed and hashed while streaming; resumable uploads and imports are checked now
+    let content = { container: videoFile.container, sha256: videoFile.sha256 };
+    if (content.container === undefined) {
+        try {
+            content = await inspectFile(videoFile.path, 'video');
+        } catch (error) {
+            log('ERROR', `Could not read upload ${videoFile.originalname}: ${error.message}`);
+            throw rejectUpload(500, 'The uploaded file could not be read');
+        }
+    }
+    if (!content.container) {
+        throw rejectUpload(415, unrecognizedContentError('video').message);
+    }
+    if (audioFile && operation.type === OPERATIONS.REPLACE_AUDIO && audioFile.container === null) {
+        throw rejectUpload(415, unrecognizedContentError('audio').message);
+    }
+    try {
+        assertChecksum(content.sha256, expectedSha256);
+    } catch (error) {
+        throw rejectUpload(error.status, error.message, error.details);
+    }
+    
+    // A stray audio file is only kept when the operation uses it
+    if (audioFile && operation.type !== OPERATIONS.REPLACE_AUDIO) {
+        removeFileQuietly(audioFile.path);
+    }
+    
+    const jobId = videoFile.jobId;
+    const originalName = videoFile.originalname;
+    const webhook = createWebhookRecord(callbackUrl, options.baseUrl);
+    const key = dedupKey({
+        inputSha256: content.sha256,
+        audioSha256: operation.type === OPERATIONS.REPLACE_AUDIO ? audioFile.sha256 : null,
+        operation: operation,
+        outputFormat: outputFormat,
+        encodingSettings: encodingSettings
+    });
+    
+    // Already processed by the same owner: the upload itself is not needed any more. Jobs
+    // of other API keys are never shared, so deleting or evicting one cannot affect another key.
+    const source = await findReusableJob(key, options.owner);
+    if (source) {
+        removeFileQuietly(videoFile.path);
+        removeFileQuietly(audioFile && audioFile.path);
+        const job = reuseOutput(source, {
+            id: jobId,
+            batchId: options.batchId || null,
+            owner: options.owner || null,
+            sourceUrl: options.sourceUrl || null,
+            originalName: originalName,
+            inputSize: videoFile.size,
+            inputSha256: content.sha256,
+            inputContainer: content.container,
+            operation: operation,
+            outputFormat: outputFormat,
+            encodingSettings: encodingSettings,
+            webhook: webhook,
+            retentionMs: retentionMs,
+            dedupKey: key,
+            createdAt: options.createdAt || Date.now()
+        });
+        return { job, queuePosition: 0 };
+    }
+    
+    // Pre-flight check: make sure ffmpeg will have something to work with
+    let mediaInfo;
+    try {
+        mediaInfo = await probeMedia(videoFile.path);
+    } catch (error) {
+        throw rejectUpload(422, 'The file could not be read as a video. It may be corrupt or in an unsupported format.');
+    }
+    
+    if (!mediaInfo.hasVideo) {
+        throw rejectUpload(422, 'The file has no video stream. Please upload a video file, not an audio-only file.', {
+            mediaInfo: mediaInfo
+        });
+    }
+    
+    if (!mediaInfo.hasAudio && !addsAudio(operation)) {
+        throw rejectUpload(422, 'This video has no audio track. It is already silent, so there is nothing to mute.', {
+            alreadySilent: true,
+            mediaInfo: mediaInfo
+        });
+    }
+    
+    try {
+        validateOperationForMedia(operation, mediaInfo);
+    } catch (error) {
+        throw rejectUpload(400, error.message, { mediaInfo: mediaInfo });
+    }
+    
+    // Keep the input in storage (free with the local driver)
+    const inputKey = storageKey('uploads', videoFile.path);
+    try {
+        await storage.save(inputKey, videoFile.path);
+    } catch (error) {
+        log('ERROR', `Could not store upload ${videoFile.originalname}: ${error.message}`);
+        throw rejectUpload(503, 'The upload could not be stored. Please try again later.');
+    }
+    
+    // Create job entry
+    const job = {
+        id: jobId,
+        batchId: options.batchId || null,
+        owner: options.owner || null,
+        sourceUrl: options.sourceUrl || null,
+        status: JOB_STATUS.UPLOADING,
+        progress: 0,
+        originalName: originalName,
+        inputPath: videoFile.path,
+        inputKey: inputKey,
+        inputSize: videoFile.size,
+        inputSha256: content.sha256,
+        inputContainer: content.container,
+        audioPath: operation.type === OPERATIONS.REPLACE_AUDIO ? audioFile.path : null,
+        operation: operation,
+        outputFormat: outputFormat,
+        encodingSettings: encodingSettings,
+        mediaInfo: mediaInfo,
+        webhook: webhook,
+        retentionMs: retentionMs,
+        outputPath: null,
+        outputKey: null,
+        outputFilename: null,
+        dedupKey: key,
+        attempts: [],
+        createdAt: options.createdAt || Date.now(),
+        completedAt: null,
+        error: null
+    };
+    jobs.set(jobId, job);
+    
+    stats.totalUploads++;
+    log('SUCCESS', `File ${job.sourceUrl ? 'imported' : 'uploaded'}: ${originalName} (Job ID: ${jobId}, operation: ${describeOperation(operation)})`);
+    
+    // Hand over to the processing queue
+    const queuePosition = enqueueJob(job);
+    
+    return { job, queuePosition };
+}
+
 // Upload endpoint
 app.post('/upload', (req, res) => {
-    upload.single('video')(req, res, async (err) => {
+    if (!checkQuota(req, res, { bytes: Number(req.get('Content-Length')) || 0, jobs: 1 })) return;
+    if (!checkDiskSpace(req, res, Number(req.get('Content-Length')))) return;
+    
+    uploadFields(req, res, async (err) => {
         if (err) {
-            if (err.code === 'LIMIT_FILE_SIZE') {
-                log('WARNING', 'File upload rejected: exceeds 2GB limit');
-                return res.status(413).json({
-                    success: false,
-                    error: 'File too large. Maximum size is 2GB.'
-                });
-            }
-            log('ERROR', `Upload error: ${err.message}`);
+            return handleUploadMiddlewareError(err, req, res);
+        }
+        
+        const files = req.files || {};
+        const videoFile = files.video && files.video[0];
+        const audioFile = files.audio && files.audio[0];
+        recordUploadedBytes(req, (videoFile ? videoFile.size : 0) + (audioFile ? audioFile.size : 0));
+        
+        if (!videoFile) {
+            removeFileQuietly(audioFile && audioFile.path);
+            log('WARNING', 'Upload attempt with no file');
             return res.status(400).json({
                 success: false,
-                error: err.message
+                error: 'No video file uploaded'
             });
         }
         
-        if (!req.file) {
-            log('WARNING', 'Upload attempt with no file');
+        try {
+            const { job, queuePosition } = await createJobFromUpload(videoFile, req.body, {
+                audioFile: audioFile,
+                owner: ownerOf(req),
+                baseUrl: requestBaseUrl(req)
+            });
+            
+            res.json(Object.assign({ success: true }, uploadResponse(job, queuePosition), {
+                message: uploadMessage(job, queuePosition)
+            }));
+        } catch (error) {
+            res.status(error.status || 500).json(Object.assign({
+                success: false,
+                error: error.message
+            }, error.details));
+        }
+    });
+});
+
+// Batch uploads may send one `sha256` per file (repeated field or comma separated),
+// in the order of the files; an empty entry skips the check for that file
+function parseBatchChecksums(value, count) {
+    if (value === undefined || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    if (list.length !== count) {
+        throw new Error(`sha256 must list one checksum per file (${count} file(s), ${list.length} checksum(s))`);
+    }
+    return list.map(item => parseChecksum(String(item).trim()));
+}
+
+// Batch upload endpoint - one job per file, all sharing the same settings
+app.post('/upload/batch', (req, res) => {
+    if (!checkQuota(req, res, { bytes: Number(req.get('Content-Length')) || 0, jobs: 1 })) return;
+    if (!checkDiskSpace(req, res, Number(req.get('Content-Length')), maxFileSizeFor(req) * CONFIG.MAX_BATCH_FILES)) return;
+    
+    uploadBatch(req, res, async (err) => {
+        if (err) {
+            return handleUploadMiddlewareError(err, req, res);
+        }
+        
+        const videoFiles = req.files || [];
+        recordUploadedBytes(req, videoFiles.reduce((total, file) => total + file.size, 0));
+        if (videoFiles.length === 0) {
+            log('WARNING', 'Batch upload attempt with no files');
             return res.status(400).json({
                 success: false,
-                error: 'No video file uploaded'
+                error: 'No video files uploaded'
+            });
+        }
+        
+        // A single replacement track cannot be shared safely between jobs
+        if (req.body.operation === OPERATIONS.REPLACE_AUDIO) {
+            videoFiles.forEach(file => removeFileQuietly(file.path));
+            return res.status(400).json({
+                success: false,
+                error: 'Replacing the audio is not supported for batch uploads'
+            });
+        }
+        
+        let expectedChecksums;
+        try {
+            expectedChecksums = parseBatchChecksums(req.body.sha256, videoFiles.length);
+        } catch (error) {
+            videoFiles.forEach(file => removeFileQuietly(file.path));
+            return res.status(400).json({
+                success: false,
+                error: error.message
             });
         }
         
-        const jobId = req.jobId;
-        const inputPath = req.file.path;
-        const originalName = req.file.originalname;
+        const batchId = uuidv4();
+        const results = [];
         
-        // Create job entry
-        jobs.set(jobId, {
-            id: jobId,
-            status: JOB_STATUS.UPLOADING,
-            progress: 0,
-            originalName: originalName,
-            inputPath: inputPath,
-            outputPath: null,
-            outputFilename: null,
-            createdAt: Date.now(),
-            completedAt: null,
-            error: null
+        for (const [index, videoFile] of videoFiles.entries()) {
+            // Files beyond the key's concurrent job limit are turned away individually
+            if (freeJobSlots(req) < 1) {
+                removeFileQuietly(videoFile.path);
+                results.push({
+                    success: false,
+                    originalName: videoFile.originalname,
+                    error: `Concurrent job limit reached (${req.apiKey.limits.maxConcurrentJobs})`
+                });
+                continue;
+            }
+            
+            try {
+                const { job, queuePosition } = await createJobFromUpload(videoFile, req.body, {
+                    expectedSha256: expectedChecksums[index] || null,
+                    batchId: batchId,
+                    owner: ownerOf(req),
+                    baseUrl: requestBaseUrl(req)
+                });
+                results.push(Object.assign({ success: true }, uploadResponse(job, queuePosition)));
+            } catch (error) {
+                results.push(Object.assign({
+                    success: false,
+                    originalName: videoFile.originalname,
+                    error: error.message
+                }, error.details));
+            }
+        }
+        
+        const accepted = results.filter(result => result.success).length;
+        log('INFO', `Batch ${batchId}: ${accepted}/${results.length} file(s) accepted`);
+        
+        res.status(accepted > 0 ? 200 : 422).json({
+            success: accepted > 0,
+            batchId: batchId,
+            accepted: accepted,
+            rejected: results.length - accepted,
+            jobs: results,
+            error: accepted > 0 ? null : 'None of the uploaded files could be processed'
+        });
+    });
+});
+
+// ============================================================================
+// RESUMABLE UPLOADS
+// ============================================================================
+
+function describeUploadSession(session) {
+    return {
+        uploadId: session.id,
+        filename: session.filename,
+        size: session.size,
+        offset: session.offset,
+        complete: session.offset === session.size,
+        chunkSize: CONFIG.UPLOAD_CHUNK_SIZE
+    };
+}
+
+function loadUploadSession(req, res) {
+    const session = resumableUploads.get(req.params.id);
+    if (!session) {
+        res.status(404).json({
+            success: false,
+            error: 'Upload not found'
+        });
+        return null;
+    }
+    if (req.apiKey && session.owner !== req.apiKey.name) {
+        res.status(403).json({
+            success: false,
+            error: 'This upload belongs to another API key'
+        });
+        return null;
+    }
+    return session;
+}
+
+// Check before uploading: { filename, sha256 } plus the fields of /upload. When the
+// caller already had this file processed with these settings, the job is created on the
+// spot and nothing needs to be transferred; a 404 means "upload it". Knowing a checksum
+// does not prove having the file, so only the caller's own jobs count, and without API
+// keys there is no caller to speak of: every check misses.
+app.post('/uploads/dedup', async (req, res) => {
+    if (!req.apiKey) {
+        return res.status(404).json({
+            success: false,
+            uploadRequired: true,
+            error: 'Checking for an earlier upload needs an API key. Please upload the file.'
+        });
+    }
+    
+    const fields = req.body || {};
+    const filename = typeof fields.filename === 'string' ? path.basename(fields.filename) : '';
+
+    let sha256;
+    let settings;
+    try {
+        sha256 = parseChecksum(fields.sha256);
+        if (!sha256) {
+            throw new Error('sha256 is required');
+        }
+        if (!filename || !CONFIG.ALLOWED_EXTENSIONS.includes(path.extname(filename).toLowerCase())) {
+            throw new Error(`Invalid file type. Allowed: ${CONFIG.ALLOWED_EXTENSIONS.join(', ')}`);
+        }
+        if (fields.operation === OPERATIONS.REPLACE_AUDIO) {
+            throw new Error('Replacing the audio needs the audio file, so the video has to be uploaded');
+        }
+        settings = parseJobFields(fields);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (!checkQuota(req, res, { bytes: 0, jobs: 1 })) return;
+
+    const key = dedupKey({
+        inputSha256: sha256,
+        operation: settings.operation,
+        outputFormat: settings.outputFormat,
+        encodingSettings: settings.encodingSettings
+    });
+    const source = await findReusableJob(key, req.apiKey.name);
+    if (!source) {
+        return res.status(404).json({
+            success: false,
+            uploadRequired: true,
+            error: 'This file has not been processed with these settings yet. Please upload it.'
+        });
+    }
+
+    const job = reuseOutput(source, {
+        id: uuidv4(),
+        batchId: null,
+        owner: ownerOf(req),
+        sourceUrl: null,
+        originalName: filename,
+        inputSize: source.inputSize || null,
+        inputSha256: sha256,
+        inputContainer: source.inputContainer || null,
+        operation: settings.operation,
+        outputFormat: settings.outputFormat,
+        encodingSettings: settings.encodingSettings,
+        webhook: createWebhookRecord(settings.callbackUrl, requestBaseUrl(req)),
+        retentionMs: settings.retentionMs,
+        dedupKey: key,
+        createdAt: Date.now()
+    });
+
+    res.json(Object.assign({ success: true }, uploadResponse(job, 0), {
+        message: uploadMessage(job, 0)
+    }));
+});
+
+// Start a resumable upload: { filename, size, mimeType }
+app.post('/uploads', (req, res) => {
+    const body = req.body || {};
+    const filename = typeof body.filename === 'string' ? path.basename(body.filename) : '';
+    const size = Number(body.size);
+    const ext = path.extname(filename).toLowerCase();
+    
+    if (!filename || !CONFIG.ALLOWED_EXTENSIONS.includes(ext)) {
+        log('WARNING', `Resumable upload rejected: invalid extension ${ext || '(none)'}`);
+        return res.status(400).json({
+            success: false,
+            error: `Invalid file type. Allowed: ${CONFIG.ALLOWED_EXTENSIONS.join(', ')}`
+        });
+    }
+    
+    if (body.mimeType && !CONFIG.ALLOWED_MIMETYPES.includes(body.mimeType)) {
+        log('WARNING', `Resumable upload rejected: invalid MIME type ${body.mimeType}`);
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid file type. Please upload a valid video file.'
+        });
+    }
+    
+    if (!Number.isInteger(size) || size <= 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'The upload size must be a positive number of bytes'
+        });
+    }
+    
+    const maxFileSize = maxFileSizeFor(req);
+    if (size > maxFileSize) {
+        log('WARNING', `Resumable upload rejected: exceeds ${formatBytes(maxFileSize)} limit`);
+        return res.status(413).json({
+            success: false,
+            error: `File too large. Maximum size is ${formatBytes(maxFileSize)}.`
+        });
+    }
+    
+    if (!checkQuota(req, res, { bytes: size, jobs: 1 })) return;
+    if (!checkDiskSpace(req, res, size)) return;
+    
+    const session = resumableUploads.create({ filename, size, mimeType: body.mimeType, owner: ownerOf(req) });
+    log('INFO', `Resumable upload started: ${filename} (${size} bytes, upload ID: ${session.id})`);
+    
+    res.status(201).json(Object.assign({ success: true }, describeUploadSession(session)));
+});
+
+// Query how many bytes of an upload have arrived (HEAD works as well)
+app.get('/uploads/:id', (req, res) => {
+    const session = loadUploadSession(req, res);
+    if (!session) return;
+    
+    res.set('Upload-Offset', String(session.offset));
+    res.json(Object.assign({ success: true }, describeUploadSession(session)));
+});
+
+// Append a chunk; the Upload-Offset header must match the received offset
+app.put('/uploads/:id', async (req, res) => {
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing or invalid Upload-Offset header'
+        });
+    }
+    
+    const session = loadUploadSession(req, res);
+    if (!session) return;
+    
+    const contentLength = Number(req.get('Content-Length'));
+    if (contentLength > CONFIG.MAX_UPLOAD_CHUNK_SIZE || offset + contentLength > session.size) {
+        return res.status(413).json({
+            success: false,
+            error: 'Chunk exceeds the remaining upload size or the chunk size limit',
+            offset: session.offset
+        });
+    }
+    
+    if (!checkQuota(req, res, { bytes: contentLength || 0, jobs: 0 })) return;
+    // Other uploads may have used up the room since this one started
+    if (!checkDiskSpace(req, res, contentLength, CONFIG.MAX_UPLOAD_CHUNK_SIZE)) return;
+    
+    try {
+        const newOffset = await resumableUploads.appendChunk(session.id, offset, req);
+        recordUploadedBytes(req, newOffset - offset);
+        res.set('Upload-Offset', String(newOffset));
+        res.json({
+            success: true,
+            offset: newOffset,
+            complete: newOffset === session.size
+        });
+    } catch (error) {
+        if (error.status === 409) {
+            log('WARNING', `Resumable upload ${session.id}: ${error.message}`);
+        }
+        // Part of an interrupted chunk may have been written
+        const current = resumableUploads.get(session.id);
+        if (current && error.status !== 409) {
+            recordUploadedBytes(req, current.offset - offset);
+        }
+        // The client may already be gone if the connection dropped mid-chunk
+        if (!res.headersSent && !req.aborted) {
+            res.status(error.status || 500).json(Object.assign({
+                success: false,
+                error: error.message
+            }, error.details));
+        }
+    }
+});
+
+// Finish an upload and start processing; takes the same fields as /upload
+app.post('/uploads/:id/complete', (req, res) => {
+    const session = loadUploadSession(req, res);
+    if (!session) return;
+    if (!checkQuota(req, res, { bytes: 0, jobs: 1 })) return;
+    
+    // The job reuses the upload ID, so a replacement audio file is named after it
+    req.jobId = session.id;
+    uploadFields(req, res, async (err) => {
+        if (err) {
+            return handleUploadMiddlewareError(err, req, res);
+        }
+        
+        const files = req.files || {};
+        const audioFile = files.audio && files.audio[0];
+        // The video itself arrived in chunks
+        removeFileQuietly(files.video && files.video[0] && files.video[0].path);
+        
+        let videoFile;
+        try {
+            videoFile = resumableUploads.finalize(session.id);
+        } catch (error) {
+            removeFileQuietly(audioFile && audioFile.path);
+            return res.status(error.status || 500).json(Object.assign({
+                success: false,
+                error: error.message
+            }, error.details));
+        }
+        
+        try {
+            const { job, queuePosition } = await createJobFromUpload(videoFile, req.body, {
+                audioFile: audioFile,
+                owner: ownerOf(req),
+                baseUrl: requestBaseUrl(req)
+            });
+            
+            res.json(Object.assign({ success: true }, uploadResponse(job, queuePosition), {
+                message: uploadMessage(job, queuePosition)
+            }));
+        } catch (error) {
+            res.status(error.status || 500).json(Object.assign({
+                success: false,
+                error: error.message
+            }, error.details));
+        }
+    });
+});
+
+// Abort a resumable upload
+app.delete('/uploads/:id', (req, res) => {
+    const session = loadUploadSession(req, res);
+    if (!session) return;
+    
+    resumableUploads.remove(session.id);
+    log('INFO', `Resumable upload aborted: ${session.id}`);
+    res.json({
+        success: true,
+        message: 'Upload aborted'
+    });
+});
+
+// ============================================================================
+// URL IMPORTS
+// ============================================================================
+
+function failImport(job, message) {
+    job.status = JOB_STATUS.FAILED;
+    job.error = message;
+    job.completedAt = Date.now();
+    stats.totalFailed++;
+    jobs.persist();
+    notifyJobChange(job);
+    log('ERROR', `Import of ${job.sourceUrl} failed (job ${job.id}): ${message}`);
+    sendJobWebhook(job);
+}
+
+// Downloads the source of an import job, then hands it over like an upload
+async function importSource(job, fields, options) {
+    const controller = new AbortController();
+    activeDownloads.set(job.id, controller);
+    let lastProgress = -1;
+    
+    let download;
+    try {
+        download = await downloadSource(new URL(job.sourceUrl), {
+            destination: job.inputPath,
+            allowedHosts: CONFIG.IMPORT_ALLOWED_HOSTS,
+            allowedExtensions: CONFIG.ALLOWED_EXTENSIONS,
+            allowedMimeTypes: CONFIG.ALLOWED_MIMETYPES,
+            maxSize: options.maxFileSize,
+            maxRedirects: CONFIG.IMPORT_MAX_REDIRECTS,
+            timeoutMs: CONFIG.IMPORT_TIMEOUT_MS,
+            signal: controller.signal,
+            onProgress: (receivedBytes, totalBytes) => {
+                job.download = { receivedBytes: receivedBytes, totalBytes: totalBytes };
+                const progress = totalBytes ? Math.floor(receivedBytes / totalBytes * 100) : 0;
+                if (progress !== lastProgress) {
+                    lastProgress = progress;
+                    job.progress = progress;
+                    notifyJobChange(job, true);
+                }
+            }
+        });
+    } catch (error) {
+        if (job.status !== JOB_STATUS.CANCELLED) {
+            failImport(job, error.message);
+        }
+        return;
+    } finally {
+        activeDownloads.delete(job.id);
+    }
+    
+    if (job.status === JOB_STATUS.CANCELLED) {
+        removeFileQuietly(job.inputPath);
+        return;
+    }
+    
+    storageMeter.record(download.size);
+    if (job.owner) {
+        keyUsage.recordUpload(job.owner, download.size);
+    }
+    
+    const videoPath = path.join(UPLOADS_DIR, `${job.id}${path.extname(download.originalname).toLowerCase()}`);
+    try {
+        fs.renameSync(job.inputPath, videoPath);
+        await createJobFromUpload({
+            jobId: job.id,
+            fieldname: 'video',
+            originalname: download.originalname,
+            mimetype: download.mimetype,
+            path: videoPath,
+            size: download.size
+        }, fields, {
+            owner: job.owner,
+            sourceUrl: job.sourceUrl,
+            createdAt: job.createdAt,
+            baseUrl: options.baseUrl
+        });
+    } catch (error) {
+        // Still there when the rename itself failed
+        removeFileQuietly(job.inputPath);
+        failImport(job, hideInstallPath(error.message));
+    }
+}
+
+// Import endpoint - the server fetches the video from an allowlisted URL
+app.post('/jobs', (req, res) => {
+    const fields = req.body || {};
+    
+    if (CONFIG.IMPORT_ALLOWED_HOSTS.length === 0) {
+        return res.status(403).json({
+            success: false,
+            error: 'Importing by URL is disabled on this server'
+        });
+    }
+    
+    let sourceUrl;
+    let settings;
+    try {
+        sourceUrl = parseSourceUrl(fields.url, CONFIG.IMPORT_ALLOWED_HOSTS);
+        if (fields.operation === OPERATIONS.REPLACE_AUDIO) {
+            throw new Error('Replacing the audio is not supported for URL imports');
+        }
+        settings = parseJobFields(fields);
+        parseChecksum(fields.sha256);
+    } catch (error) {
+        log('WARNING', `Import rejected: ${error.message}`);
+        return res.status(error.status || 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+    
+    if (!checkQuota(req, res, { bytes: 0, jobs: 1 })) return;
+    // The size of the source is not known yet; the download stops at MAX_FILE_SIZE
+    if (!checkDiskSpace(req, res, 0)) return;
+    
+    const jobId = uuidv4();
+    const job = {
+        id: jobId,
+        batchId: null,
+        owner: ownerOf(req),
+        sourceUrl: sourceUrl.toString(),
+        status: JOB_STATUS.DOWNLOADING,
+        progress: 0,
+        originalName: path.posix.basename(sourceUrl.pathname) || sourceUrl.host,
+        inputPath: path.join(UPLOADS_DIR, `${jobId}.download`),
+        audioPath: null,
+        operation: settings.operation,
+        outputFormat: settings.outputFormat,
+        encodingSettings: settings.encodingSettings,
+        mediaInfo: null,
+        download: { receivedBytes: 0, totalBytes: null },
+        webhook: createWebhookRecord(settings.callbackUrl, requestBaseUrl(req)),
+        retentionMs: settings.retentionMs,
+        outputPath: null,
+        outputFilename: null,
+        createdAt: Date.now(),
+        completedAt: null,
+        error: null
+    };
+    jobs.set(jobId, job);
+    notifyJobChange(job);
+    log('INFO', `Import started: ${job.sourceUrl} (Job ID: ${jobId})`);
+    
+    importSource(job, fields, {
+        maxFileSize: maxFileSizeFor(req),
+        baseUrl: requestBaseUrl(req)
+    }).catch(error => failImport(job, hideInstallPath(error.message)));
+    
+    res.status(202).json({
+        success: true,
+        jobId: jobId,
+        sourceUrl: job.sourceUrl,
+        originalName: job.originalName,
+        status: job.status,
+        operationLabel: describeOperation(job.operation),
+        encodingLabel: describeEncodingSettings(job.encodingSettings),
+        message: 'Import started, downloading the source'
+    });
+});
+
+// Progress endpoint
+app.get('/progress/:id', (req, res) => {
+    const job = findJobForRequest(req, res);
+    if (!job) return;
+    
+    res.json(Object.assign({ success: true }, describeJobProgress(job)));
+});
+
+// Sent when MAX_EVENT_STREAMS are open; the browser then falls back to polling
+function refuseEventStream(res) {
+    res.status(503).json({
+        success: false,
+        error: 'Too many open event streams, poll for progress instead'
+    });
+}
+
+// Live progress stream for one job (Server-Sent Events)
+app.get('/jobs/:id/events', (req, res) => {
+    const job = findJobForRequest(req, res);
+    if (!job) return;
+    
+    if (!events.subscribe(`job:${job.id}`, req, res)) return refuseEventStream(res);
+    // Start with the current state so late subscribers are never out of date
+    events.send(res, TERMINAL_STATUSES.includes(job.status) ? job.status : 'status', describeJobProgress(job));
+});
+
+// Live progress stream for every job of a batch
+app.get('/batches/:id/events', (req, res) => {
+    const batchJobs = Array.from(jobs.values())
+        .filter(job => job.batchId === req.params.id && canAccessJob(req, job));
+    if (batchJobs.length === 0) {
+        return res.status(404).json({
+            success: false,
+            error: 'Batch not found'
+        });
+    }
+    
+    if (!events.subscribe(`batch:${req.params.id}`, req, res)) return refuseEventStream(res);
+    for (const job of batchJobs) {
+        events.send(res, TERMINAL_STATUSES.includes(job.status) ? job.status : 'status', describeJobProgress(job));
+    }
+});
+
+// Media info endpoint
+app.get('/jobs/:id/info', async (req, res) => {
+    const job = findJobForRequest(req, res);
+    if (!job) return;
+    
+    // Jobs created before upload-time probing get probed on demand
+    if (!job.mediaInfo) {
+        if (!job.inputPath || !fs.existsSync(job.inputPath)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Input file no longer available'
+            });
+        }
+        try {
+            job.mediaInfo = await probeMedia(job.inputPath);
+            jobs.persist();
+        } catch (error) {
+            return res.status(422).json({
+                success: false,
+                error: `Could not probe media: ${error.message}`
+            });
+        }
+    }
+    
+    res.json({
+        success: true,
+        jobId: job.id,
+        originalName: job.originalName,
+        mediaInfo: job.mediaInfo
+    });
+});
+
+// Webhook delivery log endpoint
+app.get('/jobs/:id/webhooks', (req, res) => {
+    const job = findJobForRequest(req, res);
+    if (!job) return;
+    
+    if (!job.webhook) {
+        return res.status(404).json({
+            success: false,
+            error: 'No callback URL was registered for this job'
+        });
+    }
+    
+    res.json({
+        success: true,
+        jobId: job.id,
+        callbackUrl: job.webhook.url,
+        status: job.webhook.status,
+        deliveries: job.webhook.deliveries
+    });
+});
+
+// FFmpeg attempt log endpoint
+app.get('/jobs/:id/attempts', (req, res) => {
+    const job = findJobForRequest(req, res);
+    if (!job) return;
+    
+    res.json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        manualRetries: job.manualRetries || 0,
+        fallbackStrategy: job.fallbackStrategy || null,
+        attempts: job.attempts || []
+    });
+});
+
+// Full ffmpeg output of every attempt, as a text file
+app.get('/jobs/:id/log', (req, res) => {
+    const job = findJobForRequest(req, res);
+    if (!job) return;
+    
+    if (!job.logPath || !fs.existsSync(job.logPath)) {
+        return res.status(404).json({
+            success: false,
+            error: 'No FFmpeg log is available for this job'
+        });
+    }
+    
+    const baseName = path.basename(job.originalName, path.extname(job.originalName));
+    res.download(job.logPath, `${baseName}_ffmpeg.log`);
+});
+
+// ============================================================================
+// JOB HISTORY
+// ============================================================================
+
+const HISTORY_SORT_FIELDS = {
+    createdAt: job => job.createdAt,
+    completedAt: job => job.completedAt || 0,
+    originalName: job => job.originalName.toLowerCase(),
+    inputSize: job => job.inputSize || 0,
+    status: job => job.status
+};
+const HISTORY_MAX_LIMIT = 100;
+
+/**
+ * History entry for a job, as served by GET /jobs
+ * @param {object} job - Job record
+ * @returns {object} Summary with sizes, durations and timings
+ */
+function describeJobHistory(job) {
+    return {
+        jobId: job.id,
+        batchId: job.batchId || null,
+        status: job.status,
+        originalName: job.originalName,
+        sourceUrl: job.sourceUrl || null,
+        operationLabel: describeOperation(job.operation),
+        outputFormat: job.outputFormat || null,
+        encodingLabel: describeEncodingSettings(job.encodingSettings),
+        outputFilename: job.outputFilename,
+        inputSize: job.inputSize || null,
+        outputSize: job.outputSize || null,
+        mediaDuration: job.mediaInfo ? job.mediaInfo.duration : null,
+        progress: job.progress,
+        error: job.error,
+        errorCode: job.errorCode || null,
+        errorHint: job.errorHint || null,
+        attempts: job.attempts ? job.attempts.length : 0,
+        deduplicatedFrom: job.dedupOf || null,
+        logAvailable: Boolean(job.logPath),
+        canDownload: job.status === JOB_STATUS.COMPLETED,
+        canRetry: RETRYABLE_STATUSES.includes(job.status) && Boolean(job.inputKey),
+        expiresAt: toIsoTime(job.createdAt + jobRetentionMs(job)),
+        timings: {
+            createdAt: toIsoTime(job.createdAt),
+            startedAt: toIsoTime(job.startedAt),
+            finishedAt: toIsoTime(job.completedAt),
+            queuedMs: job.startedAt ? job.startedAt - job.createdAt : null,
+            processingMs: job.startedAt && job.completedAt ? job.completedAt - job.startedAt : null,
+            totalMs: job.completedAt ? job.completedAt - job.createdAt : null
+        }
+    };
+}
+
+function parseHistoryDate(value, name) {
+    if (value === undefined || value === '') return null;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (isNaN(time)) {
+        throw new Error(`${name} must be an ISO date or a timestamp in milliseconds`);
+    }
+    return time;
+}
+
+/**
+ * Validate the GET /jobs query
+ * @param {object} query - Request query
+ * @returns {object} { ids, statuses, from, to, sort, order, page, limit }
+ * @throws {Error} When a parameter is invalid
+ */
+function parseHistoryQuery(query) {
+    const list = value => typeof value === 'string' && value !== ''
+        ? value.split(',').map(item => item.trim()).filter(item => item !== '')
+        : null;
+    
+    const statuses = list(query.status);
+    const knownStatuses = Object.values(JOB_STATUS);
+    if (statuses && !statuses.every(status => knownStatuses.includes(status))) {
+        throw new Error(`status must be one or more of: ${knownStatuses.join(', ')}`);
+    }
+    
+    const sort = query.sort || 'createdAt';
+    if (!HISTORY_SORT_FIELDS[sort]) {
+        throw new Error(`sort must be one of: ${Object.keys(HISTORY_SORT_FIELDS).join(', ')}`);
+    }
+    const order = query.order || 'desc';
+    if (order !== 'asc' && order !== 'desc') {
+        throw new Error('order must be asc or desc');
+    }
+    
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? 20 : Number(query.limit);
+    if (!Number.isInteger(page) || page < 1) {
+        throw new Error('page must be a whole number from 1');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+        throw new Error(`limit must be a whole number from 1 to ${HISTORY_MAX_LIMIT}`);
+    }
+    
+    return {
+        ids: list(query.ids),
+        statuses: statuses,
+        from: parseHistoryDate(query.from, 'from'),
+        to: parseHistoryDate(query.to, 'to'),
+        sort: sort,
+        order: order,
+        page: page,
+        limit: limit
+    };
+}
+
+// Job list. With API keys a caller sees its own jobs; without them job IDs are
+// the only secret, so anonymous callers list the IDs they already know (`ids`).
+app.get('/jobs', (req, res) => {
+    let query;
+    try {
+        query = parseHistoryQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
         });
-        
-        stats.totalUploads++;
-        log('SUCCESS', `File uploaded: ${originalName} (Job ID: ${jobId})`);
-        
-        // Start processing in background
-        processVideo(jobId, inputPath, originalName).catch((error) => {
-            log('ERROR', `Background processing error: ${error.message}`);
+    }
+    if (!req.apiKey && !query.ids) {
+        return res.status(400).json({
+            success: false,
+            error: 'ids is required: list the job IDs to look up (comma separated)'
         });
-        
-        res.json({
-            success: true,
-            jobId: jobId,
-            message: 'Upload successful, processing started'
+    }
+    
+    const ids = query.ids ? new Set(query.ids) : null;
+    const key = HISTORY_SORT_FIELDS[query.sort];
+    const direction = query.order === 'asc' ? 1 : -1;
+    const matching = Array.from(jobs.values())
+        .filter(job => canAccessJob(req, job))
+        .filter(job => !ids || ids.has(job.id))
+        .filter(job => !query.statuses || query.statuses.includes(job.status))
+        .filter(job => query.from === null || job.createdAt >= query.from)
+        .filter(job => query.to === null || job.createdAt <= query.to)
+        .sort((a, b) => {
+            const first = key(a);
+            const second = key(b);
+            return (first < second ? -1 : first > second ? 1 : 0) * direction;
         });
+    
+    const start = (query.page - 1) * query.limit;
+    res.json({
+        success: true,
+        total: matching.length,
+        page: query.page,
+        limit: query.limit,
+        pages: Math.ceil(matching.length / query.limit),
+        jobs: matching.slice(start, start + query.limit).map(describeJobHistory)
     });
 });
 
-// Progress endpoint
-app.get('/progress/:id', (req, res) => {
-    const jobId = sanitizePath(req.params.id);
-    if (!jobId) {
-        return res.status(400).json({
+/**
+ * Remove a finished job and its files (a shared output stays until its last job goes)
+ * @param {object} job - Job record (not queued or running)
+ */
+function deleteJob(job) {
+    removeFileQuietly(job.inputPath);
+    removeFileQuietly(job.audioPath);
+    removeFileQuietly(job.logPath);
+    removeStoredInput(job);
+    // Other jobs may share the output (see DEDUPLICATION)
+    releaseOutput(job);
+    jobs.delete(job.id);
+    log('INFO', `Job ${job.id} deleted`);
+}
+
+// Manual retry of a failed job from the input it was uploaded with
+app.post('/jobs/:id/retry', async (req, res) => {
+    const job = findJobForRequest(req, res);
+    if (!job) return;
+    
+    if (!RETRYABLE_STATUSES.includes(job.status)) {
+        return res.status(409).json({
             success: false,
-            error: 'Invalid job ID'
+            error: `Only failed jobs can be retried (status: ${job.status})`
         });
     }
     
-    const job = jobs.get(jobId);
-    if (!job) {
-        return res.status(404).json({
+    const inputAvailable = fs.existsSync(job.inputPath) ||
+        (storage.isRemote && job.inputKey && await storage.stat(job.inputKey).catch(() => null));
+    const audioAvailable = !job.audioPath || fs.existsSync(job.audioPath);
+    if (!job.inputKey || !inputAvailable || !audioAvailable) {
+        return res.status(410).json({
             success: false,
-            error: 'Job not found'
+            error: 'The uploaded file is no longer available. Please upload it again.'
+        });
+    }
+    if (!checkQuota(req, res, { bytes: 0, jobs: 1 })) return;
+    
+    job.error = null;
+    job.errorCode = null;
+    job.errorHint = null;
+    job.startedAt = null;
+    job.completedAt = null;
+    job.outputPath = null;
+    job.outputKey = null;
+    job.outputFilename = null;
+    job.outputSize = null;
+    job.fallbackStrategy = null;
+    job.manualRetries = (job.manualRetries || 0) + 1;
+    const queuePosition = enqueueJob(job);
+    log('INFO', `Job ${job.id} retried (manual retry ${job.manualRetries})`);
+    
+    res.json(Object.assign({ success: true }, uploadResponse(job, queuePosition), {
+        message: queuePosition > 0 ? 'Job queued for another attempt' : 'Processing restarted'
+    }));
+});
+
+// Cancel endpoint
+function handleCancelRequest(req, res) {
+    const job = findJobForRequest(req, res);
+    if (!job) return;
+    
+    const cancellable = [JOB_STATUS.DOWNLOADING, JOB_STATUS.UPLOADING, JOB_STATUS.QUEUED, JOB_STATUS.PROCESSING];
+    if (!cancellable.includes(job.status)) {
+        return res.status(409).json({
+            success: false,
+            error: `Job cannot be cancelled (status: ${job.status})`
         });
     }
     
+    cancelJob(job);
+    
     res.json({
         success: true,
         jobId: job.id,
         status: job.status,
-        progress: job.progress,
-        originalName: job.originalName,
-        error: job.error
+        message: 'Job cancelled'
+    });
+}
+
+// Active jobs are cancelled, finished ones are removed together with their files
+app.delete('/jobs/:id', (req, res) => {
+    const job = findJobForRequest(req, res);
+    if (!job) return;
+    
+    if (!TERMINAL_STATUSES.includes(job.status)) {
+        return handleCancelRequest(req, res);
+    }
+    
+    deleteJob(job);
+    res.json({
+        success: true,
+        jobId: job.id,
+        message: 'Job deleted'
     });
 });
+app.post('/jobs/:id/cancel', handleCancelRequest);
 
-// Download endpoint
-app.get('/download/:id', (req, res) => {
-    const jobId = sanitizePath(req.params.id);
-    if (!jobId) {
+// ZIP bundle of completed outputs, selected by batch ID or a list of job IDs
+app.get('/download/zip', async (req, res) => {
+    const batchId = req.query.batch ? sanitizePath(String(req.query.batch)) : null;
+    const requestedIds = String(req.query.jobs || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => id !== '');
+    
+    if (!batchId && requestedIds.length === 0) {
         return res.status(400).json({
             success: false,
-            error: 'Invalid job ID'
+            error: 'Specify a batch ID (?batch=) or a comma separated list of job IDs (?jobs=)'
         });
     }
     
-    const job = jobs.get(jobId);
-    if (!job) {
-        return res.status(404).json({
+    if (requestedIds.length > CONFIG.MAX_BATCH_FILES) {
+        return res.status(400).json({
             success: false,
-            error: 'Job not found'
+            error: `Too many job IDs. A bundle can contain at most ${CONFIG.MAX_BATCH_FILES} jobs.`
+        });
+    }
+    
+    let selected;
+    if (batchId) {
+        selected = Array.from(jobs.values())
+            .filter(job => job.batchId === batchId && canAccessJob(req, job))
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(job => ({ jobId: job.id, job: job }));
+        
+        if (selected.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Batch not found'
+            });
+        }
+    } else {
+        // Other keys' jobs are reported as missing rather than revealing they exist
+        selected = [...new Set(requestedIds)].map(id => {
+            const job = jobs.get(id);
+            return { jobId: id, job: job && canAccessJob(req, job) ? job : null };
+        });
+    }
+    
+    const files = [];
+    const failures = [];
+    
+    for (const { jobId, job } of selected) {
+        if (!job) {
+            failures.push({ jobId: jobId, originalName: null, status: 'not_found', error: 'Job not found' });
+            continue;
+        }
+        if (job.status !== JOB_STATUS.COMPLETED) {
+            failures.push({
+                jobId: jobId,
+                originalName: job.originalName,
+                status: job.status,
+                error: job.error || (job.status === JOB_STATUS.CANCELLED ? 'Job cancelled' : 'Job not completed yet')
+            });
+            continue;
+        }
+        
+        const key = jobOutputKey(job);
+        const stored = key ? await storage.stat(key).catch(() => null) : null;
+        if (!stored) {
+            failures.push({ jobId: jobId, originalName: job.originalName, status: job.status, error: 'Output file not found' });
+            continue;
+        }
+        
+        job.lastAccessedAt = Date.now();
+        files.push({
+            path: storage.localPath(key),
+            open: () => storage.createReadStream(key),
+            name: job.outputFilename,
+            manifest: {
+                jobId: jobId,
+                originalName: job.originalName,
+                duration: job.mediaInfo ? job.mediaInfo.duration : null,
+                size: stored.size,
+                operation: describeOperation(job.operation),
+                encoding: describeEncodingSettings(job.encodingSettings)
+            }
+        });
+    }
+    
+    if (files.length === 0) {
+        return res.status(409).json({
+            success: false,
+            error: 'None of the selected jobs has a completed output to download',
+            failures: failures
         });
     }
     
+    jobs.persist();
+    const bundleName = batchId ? `muted_batch_${batchId.slice(0, 8)}.zip` : `muted_videos_${Date.now()}.zip`;
+    log('INFO', `ZIP download requested: ${files.length} file(s), ${failures.length} failure(s)${batchId ? ` (batch ${batchId})` : ''}`);
+    
+    streamZipBundle(res, {
+        filename: bundleName,
+        files: files,
+        manifest: {
+            batchId: batchId,
+            failures: failures
+        }
+    });
+});
+
+// Download endpoint
+app.get('/download/:id', async (req, res) => {
+    const job = findJobForRequest(req, res);
+    if (!job) return;
+    
     if (job.status !== JOB_STATUS.COMPLETED) {
         return res.status(400).json({
             success: false,
@@ -426,29 +2342,81 @@ app.get('/download/:id', (req, res) => {
         });
     }
     
-    if (!job.outputPath || !fs.existsSync(job.outputPath)) {
+    const key = jobOutputKey(job);
+    let stored = null;
+    try {
+        stored = key ? await storage.stat(key) : null;
+    } catch (error) {
+        log('ERROR', `Storage lookup of ${key} failed: ${error.message}`);
+        return res.status(503).json({
+            success: false,
+            error: 'Storage is unavailable, please try again later'
+        });
+    }
+    if (!stored) {
         return res.status(404).json({
             success: false,
             error: 'Output file not found'
         });
     }
     
-    log('INFO', `Download requested for job ${jobId}`);
-    res.download(job.outputPath, job.outputFilename);
+    log('INFO', `Download requested for job ${job.id}`);
+    // Eviction under storage pressure goes by this (see DISK SPACE)
+    job.lastAccessedAt = Date.now();
+    jobs.persist();
+    
+    if (!storage.isRemote) {
+        return res.download(storage.localPath(key), job.outputFilename);
+    }
+    
+    // Let the client fetch straight from the bucket...
+    if (CONFIG.S3_DOWNLOAD_MODE === 'redirect') {
+        return res.redirect(302, storage.presignedUrl(key, job.outputFilename));
+    }
+    
+    // ...or pass the object through
+    try {
+        const body = await storage.createReadStream(key);
+        res.attachment(job.outputFilename);
+        res.set('Content-Length', String(stored.size));
+        pipeline(body, res, (error) => {
+            if (error) {
+                log('WARNING', `Download of job ${job.id} interrupted: ${error.message}`);
+            }
+        });
+    } catch (error) {
+        log('ERROR', `Reading ${key} from storage failed: ${error.message}`);
+        res.status(503).json({
+            success: false,
+            error: 'Storage is unavailable, please try again later'
+        });
+    }
 });
 
 // Statistics endpoint
 app.get('/stats', (req, res) => {
-    const uptime = getUptime();
+    res.json(Object.assign({ success: true }, getStatsSnapshot()));
+});
+
+// Live statistics stream (Server-Sent Events)
+app.get('/stats/events', (req, res) => {
+    if (!events.subscribe('stats', req, res)) return refuseEventStream(res);
+    events.send(res, 'stats', getStatsSnapshot());
+});
+
+// Client-side limits, so the browser validates files by the same rules as the server
+app.get('/config', (req, res) => {
     res.json({
         success: true,
-        uptime: uptime,
-        totalUploads: stats.totalUploads,
-        totalProcessed: stats.totalProcessed,
-        totalFailed: stats.totalFailed,
-        activeJobs: Array.from(jobs.values()).filter(j => 
-            j.status === JOB_STATUS.UPLOADING || j.status === JOB_STATUS.PROCESSING
-        ).length
+        maxFileSize: CONFIG.MAX_FILE_SIZE,
+        maxBatchFiles: CONFIG.MAX_BATCH_FILES,
+        uploadChunkSize: CONFIG.UPLOAD_CHUNK_SIZE,
+        allowedExtensions: CONFIG.ALLOWED_EXTENSIONS,
+        allowedMimeTypes: CONFIG.ALLOWED_MIMETYPES,
+        allowedAudioExtensions: CONFIG.ALLOWED_AUDIO_EXTENSIONS,
+        allowedAudioMimeTypes: CONFIG.ALLOWED_AUDIO_MIMETYPES,
+        importEnabled: CONFIG.IMPORT_ALLOWED_HOSTS.length > 0,
+        authRequired: apiKeys !== null
     });
 });
 
@@ -461,57 +2429,329 @@ app.get('/health', (req, res) => {
     });
 });
 
+// ============================================================================
+// DISK SPACE
+// ============================================================================
+
+// Space used by uploads/ and outputs/, measured on every cleanup and kept up to
+// date in between by recording uploads, outputs and evictions
+const storageMeter = createStorageMeter({ uploads: UPLOADS_DIR, outputs: OUTPUTS_DIR });
+
+// What the cleanup has done since the server started, served by /stats
+const cleanupReport = {
+    lastRunAt: null,
+    lastRemovedFiles: 0,
+    lastReclaimedBytes: 0,
+    totalRemovedFiles: 0,
+    totalReclaimedBytes: 0,
+    evictedOutputs: 0,
+    evictedBytes: 0
+};
+
+function describeStorage() {
+    const usage = storageMeter.snapshot();
+    return {
+        uploads: usage.uploads,
+        outputs: usage.outputs,
+        usedBytes: usage.usedBytes,
+        measuredAt: toIsoTime(usage.measuredAt),
+        capBytes: CONFIG.STORAGE_CAP_BYTES || null,
+        freeBytes: freeDiskSpace(UPLOADS_DIR),
+        minFreeBytes: CONFIG.MIN_FREE_DISK_BYTES
+    };
+}
+
+/**
+ * Delete completed jobs, least recently downloaded output first, until enough space is free
+ *
+ * Jobs sharing an output go together. Jobs with their own retention were
+ * promised to be kept and are never evicted. Nothing is deleted when all
+ * evictable outputs together would not free `bytesNeeded`.
+ * @param {number} bytesNeeded - Space to free
+ * @returns {number} Bytes freed (0 when nothing was evicted)
+ */
+function evictOutputs(bytesNeeded) {
+    const outputs = new Map();
+    for (const job of jobs.values()) {
+        if (job.status !== JOB_STATUS.COMPLETED || !job.outputPath) continue;
+        if (!outputs.has(job.outputPath)) {
+            outputs.set(job.outputPath, { outputPath: job.outputPath, jobs: [], lastUsedAt: 0, pinned: false });
+        }
+        const output = outputs.get(job.outputPath);
+        output.jobs.push(job);
+        output.lastUsedAt = Math.max(output.lastUsedAt, job.lastAccessedAt || job.completedAt || job.createdAt);
+        output.pinned = output.pinned || Boolean(job.retentionMs);
+    }
+    
+    // Only files on this disk help (a remote backend keeps no local outputs)
+    const candidates = [];
+    for (const output of outputs.values()) {
+        if (output.pinned) continue;
+        try {
+            candidates.push(Object.assign(output, { bytes: fs.statSync(output.outputPath).size }));
+        } catch (error) {
+            // Not on disk
+        }
+    }
+    
+    const evicted = planEviction(candidates, bytesNeeded);
+    let freed = 0;
+    for (const output of evicted) {
+        output.jobs.forEach(deleteJob);
+        freed += output.bytes;
+        log('WARNING', `Evicted the output of ${output.jobs.map(job => `job ${job.id}`).join(', ')} ` +
+            `(${formatBytes(output.bytes)}) to free disk space`);
+    }
+    storageMeter.record(-freed);
+    cleanupReport.evictedOutputs += evicted.length;
+    cleanupReport.evictedBytes += freed;
+    cleanupReport.totalReclaimedBytes += freed;
+    return freed;
+}
+
+/**
+ * Make room for incoming data, evicting outputs when the storage cap or the free
+ * space threshold would be crossed
+ * @param {number} bytes - Size of the incoming data (0 to just restore the limits)
+ * @returns {boolean} True when the data fits
+ */
+function ensureDiskSpace(bytes) {
+    let bytesNeeded = 0;
+    if (CONFIG.STORAGE_CAP_BYTES > 0) {
+        bytesNeeded = Math.max(bytesNeeded, storageMeter.usedBytes + bytes - CONFIG.STORAGE_CAP_BYTES);
+    }
+    const free = freeDiskSpace(UPLOADS_DIR);
+    if (free !== null) {
+        bytesNeeded = Math.max(bytesNeeded, CONFIG.MIN_FREE_DISK_BYTES + bytes - free);
+    }
+    return bytesNeeded <= 0 || evictOutputs(bytesNeeded) >= bytesNeeded;
+}
+
+/**
+ * Admission control for anything that writes to the disk; answers 507 when there is no room
+ * @param {object} req - Request (its file size limit bounds what it may claim)
+ * @param {object} res - Response
+ * @param {number} bytes - Size the client announced
+ * @param {number} [maxBytes] - Most the request can actually write (default: its file size limit)
+ * @returns {boolean} True when the request may go ahead
+ */
+function checkDiskSpace(req, res, bytes, maxBytes = maxFileSizeFor(req)) {
+    // The announced size comes from the client; larger requests fail on their own limits anyway
+    bytes = Math.min(Math.max(0, bytes || 0), maxBytes);
+    if (ensureDiskSpace(bytes)) return true;
+    log('WARNING', `Upload of ${formatBytes(bytes)} refused: not enough disk space`);
+    res.status(507).json({
+        success: false,
+        error: 'The server is running out of storage space. Please try again later.'
+    });
+    return false;
+}
+
 // ============================================================================
 // AUTO CLEANUP SERVICE
 // ============================================================================
 
-function cleanupOldFiles() {
+/**
+ * Apply the retention rules to the objects of a remote storage backend
+ * @param {number} now - Reference time
+ * @returns {Promise<object>} { removed, bytes, keys } with the number and size of the
+ *   deleted objects and the keys left
+ */
+async function cleanupStoredFiles(now) {
+    // Key -> retention of the job it belongs to (untracked keys get FILE_RETENTION_MS)
+    const trackedKeys = new Map();
+    const activeKeys = new Set();
+    for (const job of jobs.values()) {
+        const isActive = job.status === JOB_STATUS.DOWNLOADING ||
+            job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.PROCESSING;
+        for (const key of [job.inputKey, jobOutputKey(job)]) {
+            if (!key) continue;
+            trackedKeys.set(key, Math.max(trackedKeys.get(key) || 0, jobRetentionMs(job)));
+            if (isActive) activeKeys.add(key);
+        }
+    }
+    
+    const keys = new Set();
+    let removed = 0;
+    let bytes = 0;
+    for (const prefix of ['uploads/', 'outputs/']) {
+        for (const object of await storage.list(prefix)) {
+            const age = now - object.modifiedAt;
+            const isOrphan = !trackedKeys.has(object.key) && age > CONFIG.ORPHAN_GRACE_MS;
+            const retentionMs = trackedKeys.get(object.key) || CONFIG.FILE_RETENTION_MS;
+            // A reused output lives as long as the newest job holding it
+            const isHeld = activeKeys.has(object.key) || dedupCache.isReferenced(object.key);
+            if (isHeld || (age <= retentionMs && !isOrphan)) {
+                keys.add(object.key);
+                continue;
+            }
+            await storage.remove(object.key);
+            removed++;
+            bytes += object.size || 0;
+            if (isOrphan) {
+                log('INFO', `Removed orphaned stored file: ${object.key}`);
+            }
+        }
+    }
+    
+    return { removed, bytes, keys };
+}
+
+async function cleanupOldFiles() {
     const now = Date.now();
     let cleanedCount = 0;
+    let reclaimedBytes = 0;
     
-    // Cleanup uploads directory
-    if (fs.existsSync(UPLOADS_DIR)) {
-        const uploadFiles = fs.readdirSync(UPLOADS_DIR);
-        for (const file of uploadFiles) {
-            const filePath = path.join(UPLOADS_DIR, file);
-            try {
-                const stat = fs.statSync(filePath);
-                if (now - stat.mtimeMs > CONFIG.FILE_RETENTION_MS) {
-                    fs.unlinkSync(filePath);
-                    cleanedCount++;
-                }
-            } catch (error) {
-                log('WARNING', `Failed to cleanup upload file: ${file}`);
-            }
+    // Files still referenced by a job in the store are never treated as orphans,
+    // and files of queued or running jobs are never removed at all. Tracked files
+    // are kept as long as their job asked for.
+    const trackedFiles = new Map();
+    const activeFiles = new Set();
+    for (const job of jobs.values()) {
+        const isActive = job.status === JOB_STATUS.DOWNLOADING ||
+            job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.PROCESSING;
+        for (const filePath of [job.inputPath, job.audioPath, job.outputPath, job.logPath]) {
+            if (!filePath) continue;
+            trackedFiles.set(filePath, Math.max(trackedFiles.get(filePath) || 0, jobRetentionMs(job)));
+            if (isActive) activeFiles.add(filePath);
         }
     }
     
-    // Cleanup outputs directory
-    if (fs.existsSync(OUTPUTS_DIR)) {
-        const outputFiles = fs.readdirSync(OUTPUTS_DIR);
-        for (const file of outputFiles) {
-            const filePath = path.join(OUTPUTS_DIR, file);
+    const cleanupDirectory = (dir, label) => {
+        if (!fs.existsSync(dir)) return;
+        
+        for (const file of fs.readdirSync(dir)) {
+            const filePath = path.join(dir, file);
+            if (activeFiles.has(filePath)) continue;
+            // A reused output lives as long as the newest job holding it
+            if (dir === OUTPUTS_DIR && dedupCache.isReferenced(storageKey('outputs', filePath))) continue;
+            // Resumable upload sessions expire on their own schedule
+            if (dir === UPLOADS_DIR && resumableUploads.isSessionFile(file)) continue;
             try {
                 const stat = fs.statSync(filePath);
-                if (now - stat.mtimeMs > CONFIG.FILE_RETENTION_MS) {
+                const age = now - stat.mtimeMs;
+                const isOrphan = !trackedFiles.has(filePath) && age > CONFIG.ORPHAN_GRACE_MS;
+                if (age > (trackedFiles.get(filePath) || CONFIG.FILE_RETENTION_MS) || isOrphan) {
                     fs.unlinkSync(filePath);
                     cleanedCount++;
+                    reclaimedBytes += stat.size;
+                    if (isOrphan) {
+                        log('INFO', `Removed orphaned ${label} file: ${file}`);
+                    }
                 }
             } catch (error) {
-                log('WARNING', `Failed to cleanup output file: ${file}`);
+                log('WARNING', `Failed to cleanup ${label} file: ${file}`);
             }
         }
+    };
+    
+    cleanupDirectory(UPLOADS_DIR, 'upload');
+    cleanupDirectory(OUTPUTS_DIR, 'output');
+    cleanupDirectory(LOGS_DIR, 'job log');
+    
+    const expiredUploads = resumableUploads.cleanupExpired(CONFIG.UPLOAD_SESSION_TTL_MS);
+    if (expiredUploads > 0) {
+        cleanedCount += expiredUploads;
+        log('INFO', `Removed ${expiredUploads} expired resumable upload(s)`);
+    }
+    
+    // A remote backend gets the same retention; its listing also shows which outputs still exist
+    let storedKeys = null;
+    if (storage.isRemote) {
+        try {
+            const result = await cleanupStoredFiles(now);
+            cleanedCount += result.removed;
+            reclaimedBytes += result.bytes;
+            storedKeys = result.keys;
+        } catch (error) {
+            log('WARNING', `Storage cleanup failed: ${error.message}`);
+        }
     }
     
-    // Cleanup old jobs from memory
+    // Cleanup old jobs, and completed jobs whose output has disappeared
     for (const [jobId, job] of jobs.entries()) {
-        if (now - job.createdAt > CONFIG.FILE_RETENTION_MS) {
+        if (job.status === JOB_STATUS.DOWNLOADING || job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.PROCESSING) {
+            continue;
+        }
+        const outputMissing = storage.isRemote
+            ? storedKeys !== null && !storedKeys.has(jobOutputKey(job))
+            : !job.outputPath || !fs.existsSync(job.outputPath);
+        if (now - job.createdAt > jobRetentionMs(job)) {
+            // Outputs shared with other jobs outlive their file retention, so they go here
+            const freed = releaseOutput(job);
+            if (freed > 0) {
+                cleanedCount++;
+                reclaimedBytes += freed;
+            }
+            jobs.delete(jobId);
+        } else if (job.status === JOB_STATUS.COMPLETED && outputMissing) {
+            log('WARNING', `Dropping job ${jobId}: output file is missing`);
+            releaseOutput(job);
             jobs.delete(jobId);
         }
     }
     
+    cleanupReport.lastRunAt = now;
+    cleanupReport.lastRemovedFiles = cleanedCount;
+    cleanupReport.lastReclaimedBytes = reclaimedBytes;
+    cleanupReport.totalRemovedFiles += cleanedCount;
+    cleanupReport.totalReclaimedBytes += reclaimedBytes;
+    
     if (cleanedCount > 0) {
-        log('INFO', `Cleanup completed: ${cleanedCount} files removed`);
+        log('INFO', `Cleanup completed: ${cleanedCount} files removed (${formatBytes(reclaimedBytes)})`);
+    }
+    
+    // Retention alone may not be enough to stay under the storage limits
+    await storageMeter.measure();
+    if (!ensureDiskSpace(0)) {
+        log('WARNING', 'Storage is above its limits and no more outputs can be evicted');
+    }
+}
+
+// ============================================================================
+// JOB RECOVERY
+// ============================================================================
+
+function recoverInterruptedJobs() {
+    let requeued = 0;
+    let failed = 0;
+    
+    const decisions = planJobRecovery(jobs.values(), {
+        policy: CONFIG.INTERRUPTED_JOB_POLICY,
+        canResume: job => Boolean(job.inputPath) &&
+            (fs.existsSync(job.inputPath) || (storage.isRemote && Boolean(job.inputKey))) &&
+            (!job.audioPath || fs.existsSync(job.audioPath))
+    });
+    
+    for (const decision of decisions) {
+        const job = decision.job;
+        if (decision.action === 'requeue') {
+            enqueueJob(job);
+            requeued++;
+            continue;
+        }
+        
+        if (decision.discardInput) {
+            removeFileQuietly(job.inputPath);
+        }
+        job.status = JOB_STATUS.FAILED;
+        job.error = decision.error;
+        job.completedAt = Date.now();
+        stats.totalFailed++;
+        failed++;
+        sendJobWebhook(job);
+    }
+    
+    // Callbacks that were still being retried start over
+    for (const job of jobs.values()) {
+        if (job.webhook && job.webhook.status === WEBHOOK_STATUS.PENDING) {
+            sendJobWebhook(job);
+        }
+    }
+    
+    if (requeued > 0 || failed > 0) {
+        jobs.persist();
+        log('WARNING', `Recovered interrupted jobs: ${requeued} requeued, ${failed} marked failed`);
     }
 }
 
@@ -527,6 +2767,59 @@ app.use((err, req, res, next) => {
     });
 });
 
+// ============================================================================
+// GRACEFUL SHUTDOWN
+// ============================================================================
+
+let httpServer = null;
+
+function waitForIdle(ms) {
+    return Promise.race([
+        jobQueue.whenIdle(),
+        new Promise(resolve => setTimeout(resolve, ms))
+    ]);
+}
+
+function killActiveProcesses() {
+    for (const ffmpeg of activeProcesses.values()) {
+        ffmpeg.kill('SIGKILL');
+    }
+}
+
+/**
+ * Stop taking work, give running jobs SHUTDOWN_GRACE_MS to finish and kill
+ * the ffmpeg processes that are still going after that. Killed jobs stay in
+ * the store as processing, so INTERRUPTED_JOB_POLICY decides their fate on
+ * the next start. A second signal skips the wait.
+ * @param {string} signal - Signal that was received
+ */
+async function shutdown(signal) {
+    if (shuttingDown) {
+        log('WARNING', `${signal} received again, stopping running jobs now`);
+        killActiveProcesses();
+        return;
+    }
+    shuttingDown = true;
+    jobQueue.pause();
+    if (httpServer) {
+        httpServer.close();
+    }
+    
+    if (jobQueue.runningCount > 0 && CONFIG.SHUTDOWN_GRACE_MS > 0) {
+        log('INFO', `${signal} received, waiting up to ${Math.round(CONFIG.SHUTDOWN_GRACE_MS / 1000)}s for ${jobQueue.runningCount} running job(s)`);
+        await waitForIdle(CONFIG.SHUTDOWN_GRACE_MS);
+    }
+    if (jobQueue.runningCount > 0) {
+        log('WARNING', `Stopping ${jobQueue.runningCount} job(s) that did not finish in time`);
+        killActiveProcesses();
+        // Let the jobs remove their partial outputs
+        await waitForIdle(5000);
+    }
+    
+    log('INFO', 'Shutdown complete');
+    process.exit(0);
+}
+
 // ============================================================================
 // SERVER STARTUP
 // ============================================================================
@@ -539,18 +2832,84 @@ function startServer() {
     console.log('╚═══════════════════════════════════════════════════════════════╝');
     console.log('');
     
+    log('INFO', CONFIG_FILE
+        ? `Configuration loaded from ${CONFIG_FILE} (environment variables take precedence)`
+        : 'No config file found, using defaults and environment variables');
+    
     // Check FFmpeg
     if (!checkFFmpeg()) {
         process.exit(1);
     }
     
+    // Load API keys; without a key file the service stays open to everyone
+    try {
+        apiKeys = loadApiKeys(CONFIG.API_KEYS_FILE);
+    } catch (error) {
+        log('ERROR', error.message);
+        process.exit(1);
+    }
+    if (apiKeys) {
+        log('INFO', `API key authentication enabled (${apiKeys.size} key(s))`);
+    } else {
+        log('WARNING', `No API key file at ${CONFIG.API_KEYS_FILE}, authentication is disabled`);
+    }
+    
+    // Set up the storage backend for inputs and outputs
+    try {
+        storage = createStorage({
+            driver: CONFIG.STORAGE_DRIVER,
+            root: __dirname,
+            s3: {
+                endpoint: CONFIG.S3_ENDPOINT,
+                region: CONFIG.S3_REGION,
+                bucket: CONFIG.S3_BUCKET,
+                accessKeyId: CONFIG.S3_ACCESS_KEY_ID,
+                secretAccessKey: CONFIG.S3_SECRET_ACCESS_KEY,
+                forcePathStyle: CONFIG.S3_FORCE_PATH_STYLE,
+                presignExpiresSeconds: CONFIG.S3_PRESIGN_EXPIRES_S
+            }
+        });
+    } catch (error) {
+        log('ERROR', error.message);
+        process.exit(1);
+    }
+    log('INFO', storage.isRemote
+        ? `Storage: S3 bucket ${CONFIG.S3_BUCKET} at ${CONFIG.S3_ENDPOINT} (downloads: ${CONFIG.S3_DOWNLOAD_MODE})`
+        : 'Storage: local disk');
+    
+    // Restore jobs from the previous run and reconcile them with the disk
+    jobs.load();
+    dedupCache.rebuild(Array.from(jobs.values()).filter(job => job.status === JOB_STATUS.COMPLETED));
+    recoverInterruptedJobs();
+    // Cleanup talks to the disk and storage backend; a failed pass is logged and the next one tries again
+    const runCleanup = () => cleanupOldFiles().catch((error) => {
+        log('ERROR', `Cleanup failed: ${error.message}`);
+    });
+    runCleanup();
+    
+    // Make sure pending job changes hit the disk before exiting
+    process.on('exit', () => jobs.flush());
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    
+    // Refresh stats subscribers now and then even when nothing happens
+    setInterval(() => {
+        events.publish('stats', 'stats', getStatsSnapshot());
+    }, CONFIG.STATS_BROADCAST_INTERVAL_MS).unref();
+    
     // Start cleanup interval
-    setInterval(cleanupOldFiles, CONFIG.CLEANUP_INTERVAL_MS);
+    setInterval(runCleanup, CONFIG.CLEANUP_INTERVAL_MS);
     log('INFO', `Auto cleanup scheduled every ${CONFIG.CLEANUP_INTERVAL_MS / 60000} minutes`);
-    log('INFO', `File retention: ${CONFIG.FILE_RETENTION_MS / 3600000} hour(s)`);
+    log('INFO', `File retention: ${CONFIG.FILE_RETENTION_MS / 3600000} hour(s), jobs may ask for up to ${CONFIG.MAX_RETENTION_MS / 3600000}`);
+    log('INFO', `Storage limits: ${CONFIG.STORAGE_CAP_BYTES > 0 ? `${formatBytes(CONFIG.STORAGE_CAP_BYTES)} cap` : 'no cap'}, ` +
+        `uploads refused below ${formatBytes(CONFIG.MIN_FREE_DISK_BYTES)} free`);
+    log('INFO', `Processing concurrency: ${CONFIG.MAX_CONCURRENT_JOBS} job(s)`);
+    log('INFO', CONFIG.PROCESSING_TIMEOUT_MS > 0
+        ? `Processing timeout: ${Math.round(CONFIG.PROCESSING_TIMEOUT_MS / 1000)}s + ${CONFIG.PROCESSING_TIMEOUT_FACTOR}s per second of video`
+        : 'Processing timeout: none');
     
     // Start server
-    app.listen(CONFIG.PORT, CONFIG.HOST, () => {
+    httpServer = app.listen(CONFIG.PORT, CONFIG.HOST, () => {
         console.log('');
         log('SUCCESS', '═══════════════════════════════════════════════════════════════');
         log('SUCCESS', `Server running on http://${CONFIG.HOST}:${CONFIG.PORT}`);
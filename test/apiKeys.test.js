@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadApiKeys, extractApiKey, createUsageTracker } = require('../lib/apiKeys');
+
+function writeKeyFile(t, content) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'api-keys.json');
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+// Just enough of an Express request for extractApiKey
+const request = (headers, query = {}) => ({
+    get: name => headers[name.toLowerCase()],
+    query: query
+});
+
+test('loadApiKeys returns null when the file does not exist', () => {
+    assert.equal(loadApiKeys(path.join(os.tmpdir(), 'no-such-api-keys.json')), null);
+});
+
+test('loadApiKeys indexes keys by secret with their limits', (t) => {
+    const file = writeKeyFile(t, {
+        keys: [
+            { name: 'pipeline', key: 'pipeline-secret-0001', dailyUploadBytes: 1000, maxConcurrentJobs: 4 },
+            { name: 'web', key: 'web-secret-000000001' }
+        ]
+    });
+    const keys = loadApiKeys(file);
+
+    assert.equal(keys.size, 2);
+    assert.deepEqual(keys.get('pipeline-secret-0001'), {
+        name: 'pipeline',
+        limits: { dailyUploadBytes: 1000, maxConcurrentJobs: 4, maxFileSize: null }
+    });
+    assert.deepEqual(keys.get('web-secret-000000001').limits, { dailyUploadBytes: null, maxConcurrentJobs: null, maxFileSize: null });
+});
+
+test('loadApiKeys also accepts a bare list', (t) => {
+    const file = writeKeyFile(t, [{ name: 'solo', key: 'solo-secret-00000001' }]);
+
+    assert.equal(loadApiKeys(file).get('solo-secret-00000001').name, 'solo');
+});
+
+test('loadApiKeys rejects invalid files and entries', (t) => {
+    const cases = [
+        ['{ not json', /Cannot read API key file/],
+        [{ keys: 'all' }, /must contain a "keys" list/],
+        [{ keys: [{ key: 'nameless-secret-0001' }] }, /API key #1 needs a name/],
+        [{ keys: [{ name: 'short', key: 'short' }] }, /at least 16 characters/],
+        [{ keys: [{ name: 'a', key: 'shared-secret-00001' }, { name: 'b', key: 'shared-secret-00001' }] }, /API key #2 \(b\) duplicates/],
+        [{ keys: [{ name: 'a', key: 'first-secret-000001' }, { name: 'a', key: 'second-secret-00001' }] }, /duplicates/],
+        [{ keys: [{ name: 'a', key: 'limited-secret-0001', maxFileSize: -1 }] }, /maxFileSize must be a positive whole number/],
+        [{ keys: [{ name: 'a', key: 'limited-secret-0001', maxConcurrentJobs: 1.5 }] }, /maxConcurrentJobs/]
+    ];
+    for (const [content, message] of cases) {
+        assert.throws(() => loadApiKeys(writeKeyFile(t, content)), message);
+    }
+});
+
+test('extractApiKey reads the header, a bearer token or the token parameter', () => {
+    assert.equal(extractApiKey(request({ 'x-api-key': ' header-key ' })), 'header-key');
+    assert.equal(extractApiKey(request({ authorization: 'Bearer bearer-key' })), 'bearer-key');
+    assert.equal(extractApiKey(request({ authorization: 'Basic dXNlcjpwYXNz' }, { token: 'query-key' })), 'query-key');
+    assert.equal(extractApiKey(request({ 'x-api-key': 'header-key' }, { token: 'query-key' })), 'header-key');
+    assert.equal(extractApiKey(request({}, { token: ['a', 'b'] })), null);
+    assert.equal(extractApiKey(request({})), null);
+});
+
+test('the usage tracker adds up uploads per key and day', () => {
+    const usage = {};
+    const tracker = createUsageTracker(usage);
+
+    tracker.recordUpload('pipeline', 100);
+    tracker.recordUpload('pipeline', 50);
+    tracker.recordUpload('web', 10);
+    tracker.recordUpload('web', 0);
+    tracker.recordUpload('web', -5);
+
+    assert.equal(tracker.uploadedToday('pipeline'), 150);
+    assert.equal(tracker.uploadedToday('web'), 10);
+    assert.equal(tracker.uploadedToday('unknown'), 0);
+});
+
+test('the usage tracker starts every key afresh on a new day', () => {
+    const usage = { pipeline: { day: '2000-01-01', uploadBytes: 5000 } };
+    const tracker = createUsageTracker(usage);
+
+    assert.equal(tracker.uploadedToday('pipeline'), 0);
+    tracker.recordUpload('pipeline', 20);
+    assert.equal(tracker.uploadedToday('pipeline'), 20);
+    assert.equal(usage.pipeline.day, new Date().toISOString().slice(0, 10));
+});
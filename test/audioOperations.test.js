@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    OPERATIONS,
+    MAX_MUTE_RANGES,
+    parseTimecode,
+    formatTimecode,
+    parseMuteRanges,
+    parseOperation,
+    validateOperationForMedia,
+    addsAudio,
+    describeOperation,
+    buildFfmpegArgs
+} = require('../lib/audioOperations');
+
+const io = { inputPath: 'in.mp4', outputPath: 'out.mp4', audioPath: 'voice.mp3' };
+const copyEncoding = { audioCodec: 'aac', videoArgs: ['-c:v', 'copy'], extraArgs: [], copyAudio: true };
+
+test('parseTimecode reads seconds, mm:ss and h:mm:ss', () => {
+    assert.equal(parseTimecode('12'), 12);
+    assert.equal(parseTimecode('00:12'), 12);
+    assert.equal(parseTimecode('1:02:03.5'), 3723.5);
+    assert.equal(parseTimecode(' 2:05 '), 125);
+    assert.equal(parseTimecode(7.25), 7.25);
+});
+
+test('parseTimecode rejects anything else', () => {
+    for (const value of ['', 'abc', '1:2:3:4', '00:123', '-5', -5, null, undefined]) {
+        assert.ok(Number.isNaN(parseTimecode(value)), String(value));
+    }
+});
+
+test('formatTimecode writes mm:ss or h:mm:ss', () => {
+    assert.equal(formatTimecode(12), '00:12');
+    assert.equal(formatTimecode(125), '02:05');
+    assert.equal(formatTimecode(3723), '1:02:03');
+    assert.equal(formatTimecode(7.5), '00:07.5');
+});
+
+test('parseMuteRanges sorts and merges overlapping and touching ranges', () => {
+    assert.deepEqual(parseMuteRanges({ ranges: '[["00:40","00:50"],[10,20],["00:15","00:30"],[30,35]]' }),
+        [[10, 35], [40, 50]]);
+    assert.deepEqual(parseMuteRanges({ ranges: [[5, 6]] }), [[5, 6]]);
+    assert.deepEqual(parseMuteRanges({ start: '00:12', end: '00:31' }), [[12, 31]]);
+});
+
+test('parseMuteRanges rejects missing, malformed and reversed ranges', () => {
+    assert.throws(() => parseMuteRanges({ ranges: 'not json' }), /JSON list/);
+    assert.throws(() => parseMuteRanges({ ranges: '[]' }), /at least one range/);
+    assert.throws(() => parseMuteRanges({}), /valid start and end/);
+    assert.throws(() => parseMuteRanges({ ranges: [[1]] }), /valid start and end/);
+    assert.throws(() => parseMuteRanges({ ranges: [[20, 10]] }), /after the start time/);
+    assert.throws(() => parseMuteRanges({ ranges: [[5, 5]] }), /after the start time/);
+
+    const tooMany = Array.from({ length: MAX_MUTE_RANGES + 1 }, (value, index) => [index * 2, index * 2 + 1]);
+    assert.throws(() => parseMuteRanges({ ranges: tooMany }), /Too many mute ranges/);
+});
+
+test('parseOperation defaults to removing all audio', () => {
+    assert.deepEqual(parseOperation(), { type: OPERATIONS.REMOVE });
+    assert.deepEqual(parseOperation({ operation: 'silent-track' }), { type: OPERATIONS.SILENT_TRACK });
+    assert.throws(() => parseOperation({ operation: 'louder' }), /Unknown operation: louder/);
+});
+
+test('parseOperation reads drop-tracks indexes without duplicates', () => {
+    assert.deepEqual(parseOperation({ operation: 'drop-tracks', tracks: '2, 0,2' }),
+        { type: OPERATIONS.DROP_TRACKS, tracks: [0, 2] });
+    for (const tracks of [undefined, '', 'a', '1,-2', '1.5']) {
+        assert.throws(() => parseOperation({ operation: 'drop-tracks', tracks: tracks }), /audio tracks to drop/, String(tracks));
+    }
+});
+
+test('parseOperation needs a file for replace-audio', () => {
+    assert.deepEqual(parseOperation({ operation: 'replace-audio' }, { audio: [{ originalname: 'voice.mp3' }] }),
+        { type: OPERATIONS.REPLACE_AUDIO, audioName: 'voice.mp3' });
+    assert.throws(() => parseOperation({ operation: 'replace-audio' }), /replacement audio file/);
+});
+
+test('validateOperationForMedia checks tracks and ranges against the file', () => {
+    const media = { duration: 60, audio: [{}, {}] };
+
+    assert.doesNotThrow(() => validateOperationForMedia({ type: OPERATIONS.DROP_TRACKS, tracks: [1] }, media));
+    assert.throws(() => validateOperationForMedia({ type: OPERATIONS.DROP_TRACKS, tracks: [1, 2] }, media),
+        /Audio track\(s\) 2 do not exist/);
+    assert.doesNotThrow(() => validateOperationForMedia({ type: OPERATIONS.MUTE_RANGE, ranges: [[59, 70]] }, media));
+    assert.throws(() => validateOperationForMedia({ type: OPERATIONS.MUTE_RANGE, ranges: [[60, 70]] }, media),
+        /start after the end of the video/);
+});
+
+test('addsAudio and describeOperation', () => {
+    assert.equal(addsAudio({ type: OPERATIONS.SILENT_TRACK }), true);
+    assert.equal(addsAudio({ type: OPERATIONS.MUTE_RANGE }), false);
+    assert.equal(describeOperation({ type: OPERATIONS.MUTE_RANGE, ranges: [[12, 31], [60, 62.5]] }),
+        'Mute 00:12–00:31, 01:00–01:02.5');
+    assert.equal(describeOperation({ type: OPERATIONS.DROP_TRACKS, tracks: [0, 2] }), 'Drop audio track(s) 0, 2');
+    assert.equal(describeOperation(null), 'Remove all audio');
+});
+
+test('buildFfmpegArgs removes audio and ends with the output options', () => {
+    assert.deepEqual(buildFfmpegArgs({ type: OPERATIONS.REMOVE }, io, copyEncoding),
+        ['-i', 'in.mp4', '-an', '-c:v', 'copy', '-y', '-progress', 'pipe:1', '-nostats', 'out.mp4']);
+});
+
+test('buildFfmpegArgs silences every range with one volume filter', () => {
+    const args = buildFfmpegArgs({ type: OPERATIONS.MUTE_RANGE, ranges: [[10, 20], [30, 35]] }, io, copyEncoding);
+
+    assert.equal(args[args.indexOf('-af') + 1], 'volume=enable=\'between(t,10,20)+between(t,30,35)\':volume=0');
+    assert.equal(args[args.indexOf('-c:a') + 1], 'aac');
+});
+
+test('buildFfmpegArgs drops the chosen tracks and keeps the rest', () => {
+    const args = buildFfmpegArgs({ type: OPERATIONS.DROP_TRACKS, tracks: [0, 2] }, io, copyEncoding);
+
+    assert.deepEqual(args.slice(0, 8), ['-i', 'in.mp4', '-map', '0', '-map', '-0:a:0', '-map', '-0:a:2']);
+    assert.equal(args[args.indexOf('-c:a') + 1], 'copy');
+    assert.ok(args.includes('-c:s'));
+});
+
+test('buildFfmpegArgs puts input options before the first input', () => {
+    const encoding = Object.assign({}, copyEncoding, { inputArgs: ['-fflags', '+genpts'], extraArgs: ['-movflags', '+faststart'] });
+    const args = buildFfmpegArgs({ type: OPERATIONS.REPLACE_AUDIO }, io, encoding);
+
+    assert.deepEqual(args.slice(0, 6), ['-fflags', '+genpts', '-i', 'in.mp4', '-i', 'voice.mp3']);
+    assert.ok(args.indexOf('-movflags') > args.indexOf('-shortest'));
+    assert.equal(args[args.length - 1], 'out.mp4');
+});
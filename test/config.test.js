@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG_SCHEMA, loadConfig, parseDuration } = require('../lib/config');
+
+// Load from a temporary config file so a config.yaml in the checkout does not leak in
+function load(t, env, fileName = 'config.yaml', text = '') {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = path.join(directory, fileName);
+    fs.writeFileSync(file, text);
+    return loadConfig({ env: Object.assign({ CONFIG_FILE: file }, env) }).config;
+}
+
+test('parseDuration accepts milliseconds and units', () => {
+    assert.equal(parseDuration(1500), 1500);
+    assert.equal(parseDuration('250'), 250);
+    assert.equal(parseDuration('30s'), 30 * 1000);
+    assert.equal(parseDuration('5m'), 5 * 60 * 1000);
+    assert.equal(parseDuration('1.5h'), 90 * 60 * 1000);
+    assert.equal(parseDuration('7d'), 7 * 24 * 60 * 60 * 1000);
+    assert.throws(() => parseDuration('soon'));
+    assert.throws(() => parseDuration('5 parsecs'));
+});
+
+test('every setting falls back to its default', (t) => {
+    const config = load(t, {});
+
+    assert.equal(config.PORT, CONFIG_SCHEMA.PORT.default);
+    assert.equal(config.MAX_FILE_SIZE, 2 * 1024 ** 3);
+    assert.equal(config.FILE_RETENTION_MS, 60 * 60 * 1000);
+    assert.deepEqual(config.RETRY_STRATEGIES, ['genpts', 'remux-mkv', 'reencode']);
+    assert.equal(config.WEBHOOK_SECRET, null);
+});
+
+test('environment variables override the config file', (t) => {
+    const config = load(t, { PORT: '9090' }, 'config.yaml',
+        'PORT: 8080\nMAX_FILE_SIZE: 512MB\nALLOWED_EXTENSIONS: [MP4, .mov]\n');
+
+    assert.equal(config.PORT, 9090);
+    assert.equal(config.MAX_FILE_SIZE, 512 * 1024 ** 2);
+    assert.deepEqual(config.ALLOWED_EXTENSIONS, ['.mp4', '.mov']);
+});
+
+test('JSON config files are read too', (t) => {
+    const config = load(t, {}, 'config.json', JSON.stringify({ JOB_STORE: 'memory', DEDUPLICATION: false }));
+
+    assert.equal(config.JOB_STORE, 'memory');
+    assert.equal(config.DEDUPLICATION, false);
+});
+
+test('a config file that cannot be read is an error', () => {
+    assert.throws(() => loadConfig({ env: { CONFIG_FILE: path.join(os.tmpdir(), 'missing-config.yaml') } }),
+        /Cannot read config file/);
+});
+
+test('lists come from comma separated environment variables', (t) => {
+    const config = load(t, { IMPORT_ALLOWED_HOSTS: 'media.example.com, *.cdn.example.com', RETRY_STRATEGIES: 'none' });
+
+    assert.deepEqual(config.IMPORT_ALLOWED_HOSTS, ['media.example.com', '*.cdn.example.com']);
+    assert.deepEqual(config.RETRY_STRATEGIES, []);
+});
+
+test('every invalid setting is reported at once', (t) => {
+    const env = { PORT: '99999', MAX_FILE_SIZE: 'huge', JOB_STORE: 'redis', DEDUPLICATION: 'maybe', RETRY_STRATEGIES: 'magic' };
+
+    assert.throws(() => load(t, env), (error) => {
+        for (const name of Object.keys(env)) {
+            assert.match(error.message, new RegExp(`- ${name}: `));
+        }
+        return true;
+    });
+});
+
+test('unknown settings in the config file are rejected', (t) => {
+    assert.throws(() => load(t, {}, 'config.yaml', 'PROT: 8080\n'), /PROT: unknown setting/);
+});
+
+test('a config file that is not an object of settings is rejected', (t) => {
+    assert.throws(() => load(t, {}, 'config.yaml', '- PORT\n- 8080\n'), /must contain an object of settings/);
+});
+
+test('settings that depend on each other are checked together', (t) => {
+    assert.throws(() => load(t, { UPLOAD_CHUNK_SIZE: '128MB' }), /UPLOAD_CHUNK_SIZE: must not be larger/);
+    assert.throws(() => load(t, { STORAGE_DRIVER: 's3', S3_ENDPOINT: 'http://localhost:9000' }),
+        /S3_BUCKET: required when STORAGE_DRIVER is s3/);
+});
+
+test('retry strategies must end with reencode', (t) => {
+    assert.deepEqual(load(t, { RETRY_STRATEGIES: 'genpts,reencode' }).RETRY_STRATEGIES, ['genpts', 'reencode']);
+    assert.deepEqual(load(t, { RETRY_STRATEGIES: 'reencode' }).RETRY_STRATEGIES, ['reencode']);
+    assert.throws(() => load(t, { RETRY_STRATEGIES: 'genpts,remux-mkv' }), /RETRY_STRATEGIES: must end with reencode/);
+    assert.throws(() => load(t, { RETRY_STRATEGIES: 'reencode,genpts' }), /RETRY_STRATEGIES: must end with reencode/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dedupKey, createDedupCache } = require('../lib/dedupCache');
+
+const parts = {
+    inputSha256: 'a'.repeat(64),
+    audioSha256: null,
+    operation: { type: 'remove' },
+    outputFormat: null,
+    encodingSettings: { preset: 'copy' }
+};
+
+const job = (id, outputKey, key) => ({ id, outputKey, dedupKey: key });
+
+test('dedupKey depends on the input and on every setting that shapes the output', () => {
+    const key = dedupKey(parts);
+
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(dedupKey(Object.assign({}, parts)), key);
+    assert.notEqual(dedupKey(Object.assign({}, parts, { inputSha256: 'b'.repeat(64) })), key);
+    assert.notEqual(dedupKey(Object.assign({}, parts, { audioSha256: 'c'.repeat(64) })), key);
+    assert.notEqual(dedupKey(Object.assign({}, parts, { operation: { type: 'silent-track' } })), key);
+    assert.notEqual(dedupKey(Object.assign({}, parts, { outputFormat: 'mkv' })), key);
+    assert.notEqual(dedupKey(Object.assign({}, parts, { encodingSettings: { preset: 'small' } })), key);
+});
+
+test('dedupKey is null without an input checksum', () => {
+    assert.equal(dedupKey(Object.assign({}, parts, { inputSha256: null })), null);
+});
+
+test('find returns the jobs holding a matching output', () => {
+    const cache = createDedupCache();
+    cache.retain(job('job-1', 'outputs/1.mp4', 'key-1'));
+    cache.retain(job('job-2', 'outputs/1.mp4', 'key-1'));
+
+    assert.deepEqual(cache.find('key-1').sort(), ['job-1', 'job-2']);
+    assert.deepEqual(cache.find('key-2'), []);
+    assert.deepEqual(cache.find(null), []);
+    assert.equal(cache.size, 1);
+});
+
+test('an output shared by several jobs is only released by the last one', () => {
+    const cache = createDedupCache();
+    const first = job('job-1', 'outputs/1.mp4', 'key-1');
+    const second = job('job-2', 'outputs/1.mp4', 'key-1');
+    cache.retain(first);
+    cache.retain(second);
+
+    assert.equal(cache.release(first), false);
+    assert.equal(cache.isReferenced('outputs/1.mp4'), true);
+    assert.deepEqual(cache.find('key-1'), ['job-2']);
+
+    assert.equal(cache.release(second), true);
+    assert.equal(cache.isReferenced('outputs/1.mp4'), false);
+    assert.deepEqual(cache.find('key-1'), []);
+    assert.equal(cache.size, 0);
+});
+
+test('releasing a job the cache does not know frees its output', () => {
+    const cache = createDedupCache();
+    cache.retain(job('job-1', 'outputs/1.mp4', 'key-1'));
+
+    assert.equal(cache.release(job('job-9', 'outputs/9.mp4', 'key-9')), true);
+    assert.equal(cache.release({ id: 'job-8' }), true);
+    assert.equal(cache.isReferenced('outputs/1.mp4'), true);
+});
+
+test('releasing the same job twice does not free an output others still hold', () => {
+    const cache = createDedupCache();
+    const first = job('job-1', 'outputs/1.mp4', 'key-1');
+    cache.retain(first);
+    cache.retain(job('job-2', 'outputs/1.mp4', 'key-1'));
+
+    cache.release(first);
+    assert.equal(cache.release(first), false);
+    assert.equal(cache.isReferenced('outputs/1.mp4'), true);
+});
+
+test('jobs without an output are ignored', () => {
+    const cache = createDedupCache();
+    cache.retain({ id: 'job-1', outputKey: null, dedupKey: 'key-1' });
+
+    assert.deepEqual(cache.find('key-1'), []);
+    assert.equal(cache.size, 0);
+});
+
+test('rebuild replaces the cache contents', () => {
+    const cache = createDedupCache();
+    cache.retain(job('stale', 'outputs/0.mp4', 'key-0'));
+
+    cache.rebuild([job('job-1', 'outputs/1.mp4', 'key-1'), job('job-2', 'outputs/1.mp4', 'key-1')]);
+    assert.equal(cache.isReferenced('outputs/0.mp4'), false);
+    assert.deepEqual(cache.find('key-0'), []);
+    assert.deepEqual(cache.find('key-1').sort(), ['job-1', 'job-2']);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { measureDirectory, createStorageMeter, planEviction } = require('../lib/diskUsage');
+
+const output = (name, bytes, lastUsedAt) => ({ name, bytes, lastUsedAt });
+
+test('planEviction evicts least recently used outputs until enough is freed', () => {
+    const candidates = [output('new', 100, 3000), output('old', 100, 1000), output('middle', 100, 2000)];
+
+    assert.deepEqual(planEviction(candidates, 150).map(c => c.name), ['old', 'middle']);
+    assert.deepEqual(planEviction(candidates, 100).map(c => c.name), ['old']);
+    assert.deepEqual(planEviction(candidates, 300).map(c => c.name), ['old', 'middle', 'new']);
+});
+
+test('planEviction evicts nothing when all candidates together are not enough', () => {
+    const candidates = [output('a', 100, 1000), output('b', 100, 2000)];
+
+    assert.deepEqual(planEviction(candidates, 201), []);
+    assert.deepEqual(planEviction([], 1), []);
+});
+
+test('planEviction evicts nothing when no space is needed', () => {
+    const candidates = [output('a', 100, 1000)];
+
+    assert.deepEqual(planEviction(candidates, 0), []);
+    assert.deepEqual(planEviction(candidates, -50), []);
+    assert.deepEqual(planEviction(candidates, NaN), []);
+});
+
+test('planEviction leaves the candidate list in its order', () => {
+    const candidates = [output('b', 10, 2000), output('a', 10, 1000)];
+
+    planEviction(candidates, 20);
+    assert.deepEqual(candidates.map(c => c.name), ['b', 'a']);
+});
+
+test('measureDirectory counts the files directly inside a directory', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'disk-usage-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(directory, 'a'), Buffer.alloc(10));
+    fs.writeFileSync(path.join(directory, 'b'), Buffer.alloc(25));
+    fs.mkdirSync(path.join(directory, 'nested'));
+    fs.writeFileSync(path.join(directory, 'nested', 'c'), Buffer.alloc(100));
+
+    assert.deepEqual(await measureDirectory(directory), { files: 2, bytes: 35 });
+    assert.deepEqual(await measureDirectory(path.join(directory, 'missing')), { files: 0, bytes: 0 });
+});
+
+test('storage meter keeps a running total between measurements', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'disk-usage-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(directory, 'a'), Buffer.alloc(40));
+    const meter = createStorageMeter({ outputs: directory });
+
+    await meter.measure();
+    assert.equal(meter.usedBytes, 40);
+
+    fs.writeFileSync(path.join(directory, 'b'), Buffer.alloc(60));
+    meter.record(60);
+    assert.equal(meter.usedBytes, 100);
+    meter.record(-500);
+    assert.equal(meter.usedBytes, 0);
+
+    // A measurement replaces the running total with what is on disk
+    await meter.measure();
+    assert.equal(meter.usedBytes, 100);
+    const snapshot = meter.snapshot();
+    assert.deepEqual(snapshot.outputs, { files: 2, bytes: 100 });
+    assert.equal(snapshot.usedBytes, 100);
+    assert.equal(typeof snapshot.measuredAt, 'number');
+});
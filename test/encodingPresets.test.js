@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseResolution,
+    parseEncodingSettings,
+    describeEncodingSettings,
+    buildVideoFilter
+} = require('../lib/encodingPresets');
+
+test('parseResolution accepts WIDTHxHEIGHT and heights, rounded down to even numbers', () => {
+    assert.deepEqual(parseResolution('1280x720'), { width: 1280, height: 720 });
+    assert.deepEqual(parseResolution(' 641X481 '), { width: 640, height: 480 });
+    assert.deepEqual(parseResolution('720p'), { width: null, height: 720 });
+    assert.deepEqual(parseResolution('1081'), { width: null, height: 1080 });
+});
+
+test('parseResolution rejects malformed and out of range values', () => {
+    for (const value of ['', 'hd', '1280x', 'x720', '8x8', '10000x720', '99999p', '-720']) {
+        assert.throws(() => parseResolution(value), /Invalid resolution/, value);
+    }
+});
+
+test('without settings the video is stream copied', () => {
+    assert.deepEqual(parseEncodingSettings(), {
+        preset: 'copy', reencode: false, width: null, height: null, crf: null, fps: null
+    });
+    assert.equal(parseEncodingSettings({ preset: '' }).preset, 'copy');
+});
+
+test('named presets fill in their settings', () => {
+    assert.deepEqual(parseEncodingSettings({ preset: 'small' }), {
+        preset: 'small', reencode: true, width: null, height: 480, crf: 32, fps: 24
+    });
+    assert.throws(() => parseEncodingSettings({ preset: 'ultra' }), /Unknown preset: ultra/);
+});
+
+test('custom values override the preset and imply a re-encode', () => {
+    assert.deepEqual(parseEncodingSettings({ crf: '20', resolution: '1280x720', fps: '29.97' }), {
+        preset: 'custom', reencode: true, width: 1280, height: 720, crf: 20, fps: 29.97
+    });
+    const tweaked = parseEncodingSettings({ preset: 'web-720p', crf: '30' });
+    assert.equal(tweaked.preset, 'web-720p');
+    assert.equal(tweaked.crf, 30);
+    assert.equal(tweaked.height, 720);
+});
+
+test('custom values must be in range', () => {
+    assert.throws(() => parseEncodingSettings({ crf: '52' }), /CRF must be a whole number between 0 and 51/);
+    assert.throws(() => parseEncodingSettings({ crf: '20.5' }), /CRF/);
+    assert.throws(() => parseEncodingSettings({ fps: '0' }), /Framerate must be a number between 1 and 120/);
+    assert.throws(() => parseEncodingSettings({ fps: 'fast' }), /Framerate/);
+});
+
+test('describeEncodingSettings names the preset and its details', () => {
+    assert.equal(describeEncodingSettings(null), 'Stream copy');
+    assert.equal(describeEncodingSettings(parseEncodingSettings({ preset: 'web-720p' })), 'Web 720p (720p, CRF 28)');
+    assert.equal(describeEncodingSettings(parseEncodingSettings({ resolution: '640x360', fps: '25' })),
+        'Custom (640x360, 25 fps)');
+    assert.equal(describeEncodingSettings(parseEncodingSettings({ preset: 'custom' })), 'Custom');
+});
+
+test('buildVideoFilter scales without upscaling and sets the framerate', () => {
+    assert.equal(buildVideoFilter(parseEncodingSettings()), null);
+    assert.equal(buildVideoFilter(parseEncodingSettings({ preset: 'web-720p' })), 'scale=-2:\'min(720,ih)\'');
+    assert.equal(buildVideoFilter(parseEncodingSettings({ resolution: '1280x720', fps: '30' })), 'scale=1280:720,fps=30');
+});
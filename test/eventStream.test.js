@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createEventHub, formatEvent } = require('../lib/eventStream');
+
+// Just enough of an Express request/response pair for the hub
+function connect() {
+    const req = new EventEmitter();
+    const res = {
+        headers: null,
+        flushed: false,
+        written: [],
+        set(headers) { this.headers = headers; },
+        flushHeaders() { this.flushed = true; },
+        write(chunk) { this.written.push(chunk); }
+    };
+    return { req, res, disconnect: () => req.emit('close') };
+}
+
+test('formatEvent frames a named event with a JSON data line', () => {
+    assert.equal(formatEvent('progress', { percent: 50, file: 'a\nb.mp4' }),
+        'event: progress\ndata: {"percent":50,"file":"a\\nb.mp4"}\n\n');
+});
+
+test('subscribe opens an event stream and suggests a reconnect delay', () => {
+    const hub = createEventHub({ retryMs: 5000 });
+    const client = connect();
+
+    assert.equal(hub.subscribe('job:1', client.req, client.res), true);
+    assert.equal(client.res.headers['Content-Type'], 'text/event-stream');
+    assert.equal(client.res.headers['Cache-Control'], 'no-cache');
+    assert.equal(client.res.headers['X-Accel-Buffering'], 'no');
+    assert.equal(client.res.flushed, true);
+    assert.deepEqual(client.res.written, ['retry: 5000\n\n']);
+    client.disconnect();
+});
+
+test('publish reaches only the subscribers of that channel', () => {
+    const hub = createEventHub();
+    const first = connect();
+    const second = connect();
+    const other = connect();
+    hub.subscribe('job:1', first.req, first.res);
+    hub.subscribe('job:1', second.req, second.res);
+    hub.subscribe('job:2', other.req, other.res);
+
+    hub.publish('job:1', 'completed', { id: '1' });
+    hub.publish('job:3', 'completed', { id: '3' });
+    hub.send(other.res, 'status', { id: '2' });
+
+    const message = 'event: completed\ndata: {"id":"1"}\n\n';
+    assert.deepEqual(first.res.written.slice(1), [message]);
+    assert.deepEqual(second.res.written.slice(1), [message]);
+    assert.deepEqual(other.res.written.slice(1), ['event: status\ndata: {"id":"2"}\n\n']);
+    [first, second, other].forEach(client => client.disconnect());
+});
+
+test('a disconnected client is unsubscribed and empty channels are dropped', () => {
+    const hub = createEventHub();
+    const first = connect();
+    const second = connect();
+    hub.subscribe('job:1', first.req, first.res);
+    hub.subscribe('job:1', second.req, second.res);
+    assert.equal(hub.connectionCount, 2);
+
+    first.disconnect();
+    hub.publish('job:1', 'progress', { percent: 10 });
+    assert.equal(first.res.written.length, 1);
+    assert.equal(second.res.written.length, 2);
+    assert.equal(hub.hasSubscribers('job:1'), true);
+
+    second.disconnect();
+    assert.equal(hub.hasSubscribers('job:1'), false);
+    assert.equal(hub.connectionCount, 0);
+});
+
+test('open streams receive a heartbeat comment', async () => {
+    const hub = createEventHub({ heartbeatMs: 20 });
+    const client = connect();
+    hub.subscribe('stats', client.req, client.res);
+
+    await new Promise(resolve => setTimeout(resolve, 70));
+    assert.ok(client.res.written.filter(chunk => chunk === ': ping\n\n').length >= 2);
+
+    client.disconnect();
+    const count = client.res.written.length;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(client.res.written.length, count);
+});
+
+test('subscriptions past maxSubscribers are refused until a stream closes', () => {
+    const hub = createEventHub({ maxSubscribers: 2 });
+    const first = connect();
+    const second = connect();
+    const third = connect();
+
+    assert.equal(hub.subscribe('job:1', first.req, first.res), true);
+    assert.equal(hub.subscribe('stats', second.req, second.res), true);
+    assert.equal(hub.subscribe('job:2', third.req, third.res), false);
+    assert.equal(third.res.headers, null);
+    assert.deepEqual(third.res.written, []);
+    assert.equal(hub.hasSubscribers('job:2'), false);
+
+    first.disconnect();
+    assert.equal(hub.subscribe('job:2', third.req, third.res), true);
+    assert.equal(hub.connectionCount, 2);
+    [second, third].forEach(client => client.disconnect());
+});
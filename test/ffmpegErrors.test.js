@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FFMPEG_ERROR_CODES, describeFfmpegError, classifyFfmpegError } = require('../lib/ffmpegErrors');
+
+const codeOf = (stderr, context) => classifyFfmpegError(stderr, context).code;
+
+test('common ffmpeg failures are classified from stderr', () => {
+    assert.equal(codeOf('input.mp4: Invalid data found when processing input'), FFMPEG_ERROR_CODES.CORRUPT_INPUT);
+    assert.equal(codeOf('[mov,mp4] moov atom not found'), FFMPEG_ERROR_CODES.CORRUPT_INPUT);
+    assert.equal(codeOf('[mp4 @ 0x1] Could not find tag for codec vp8 in stream #0'), FFMPEG_ERROR_CODES.UNSUPPORTED_CODEC);
+    assert.equal(codeOf('Unknown encoder \'libx265\''), FFMPEG_ERROR_CODES.MISSING_ENCODER);
+    assert.equal(codeOf('av_interleaved_write_frame(): No space left on device'), FFMPEG_ERROR_CODES.DISK_FULL);
+    assert.equal(codeOf('out.mp4: Permission denied'), FFMPEG_ERROR_CODES.PERMISSION_DENIED);
+    assert.equal(codeOf('Connection timed out'), FFMPEG_ERROR_CODES.TIMEOUT);
+});
+
+test('the cause wins over the errors it triggers', () => {
+    const stderr = 'Error writing trailer: No space left on device\nError while decoding stream #0:0: corrupt';
+
+    assert.equal(codeOf(stderr), FFMPEG_ERROR_CODES.DISK_FULL);
+});
+
+test('unrecognised output falls back to a generic failure', () => {
+    assert.equal(codeOf('something unexpected happened'), FFMPEG_ERROR_CODES.FAILED);
+    assert.equal(codeOf(''), FFMPEG_ERROR_CODES.FAILED);
+    assert.equal(codeOf(null), FFMPEG_ERROR_CODES.FAILED);
+});
+
+test('a killed run is classified by why it was killed, whatever stderr says', () => {
+    assert.equal(codeOf('Invalid data found when processing input', { timeout: 'deadline' }), FFMPEG_ERROR_CODES.TIMEOUT);
+    assert.equal(codeOf('', { timeout: 'stall' }), FFMPEG_ERROR_CODES.STALLED);
+});
+
+test('every code has a message and a hint', () => {
+    for (const code of Object.values(FFMPEG_ERROR_CODES)) {
+        const description = describeFfmpegError(code);
+        assert.equal(description.code, code);
+        assert.ok(description.message, code);
+        assert.ok(description.hint, code);
+    }
+    assert.equal(describeFfmpegError('no-such-code').code, FFMPEG_ERROR_CODES.FAILED);
+});
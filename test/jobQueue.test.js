@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('../lib/jobQueue');
+
+// A worker whose jobs finish when the test says so
+function controlledWorker() {
+    const started = [];
+    const finishers = new Map();
+    return {
+        started,
+        worker(jobId) {
+            started.push(jobId);
+            return new Promise((resolve, reject) => finishers.set(jobId, { resolve, reject }));
+        },
+        async finish(jobId, error) {
+            const finisher = finishers.get(jobId);
+            if (error) finisher.reject(error);
+            else finisher.resolve();
+            // Let the queue's promise handlers run
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    };
+}
+
+test('jobs start in arrival order, at most `concurrency` at a time', async () => {
+    const work = controlledWorker();
+    const queue = createJobQueue({ concurrency: 2, worker: work.worker });
+
+    assert.equal(queue.enqueue('a'), 0);
+    assert.equal(queue.enqueue('b'), 0);
+    assert.equal(queue.enqueue('c'), 1);
+    assert.equal(queue.enqueue('d'), 2);
+    assert.deepEqual(work.started, ['a', 'b']);
+    assert.equal(queue.runningCount, 2);
+    assert.equal(queue.pendingCount, 2);
+
+    await work.finish('b');
+    assert.deepEqual(work.started, ['a', 'b', 'c']);
+    assert.equal(queue.position('d'), 1);
+    assert.equal(queue.isRunning('b'), false);
+    assert.equal(queue.isRunning('c'), true);
+});
+
+test('a failing worker frees its slot', async () => {
+    const work = controlledWorker();
+    const queue = createJobQueue({ concurrency: 1, worker: work.worker });
+    queue.enqueue('a');
+    queue.enqueue('b');
+
+    await work.finish('a', new Error('ffmpeg crashed'));
+    assert.deepEqual(work.started, ['a', 'b']);
+});
+
+test('a worker that throws synchronously frees its slot', async () => {
+    const started = [];
+    const queue = createJobQueue({
+        concurrency: 1,
+        worker: (jobId) => {
+            started.push(jobId);
+            if (jobId === 'a') throw new Error('bad job');
+            return Promise.resolve();
+        }
+    });
+
+    queue.enqueue('a');
+    queue.enqueue('b');
+    await queue.whenIdle();
+    assert.deepEqual(started, ['a', 'b']);
+});
+
+test('enqueueing a job twice keeps its place', () => {
+    const work = controlledWorker();
+    const queue = createJobQueue({ concurrency: 1, worker: work.worker });
+    queue.enqueue('a');
+    queue.enqueue('b');
+    queue.enqueue('c');
+
+    assert.equal(queue.enqueue('b'), 1);
+    assert.equal(queue.enqueue('a'), 0);
+    assert.equal(queue.pendingCount, 2);
+    assert.deepEqual(work.started, ['a']);
+});
+
+test('waiting jobs can be removed, running ones cannot', async () => {
+    const work = controlledWorker();
+    const queue = createJobQueue({ concurrency: 1, worker: work.worker });
+    queue.enqueue('a');
+    queue.enqueue('b');
+    queue.enqueue('c');
+
+    assert.equal(queue.remove('b'), true);
+    assert.equal(queue.remove('a'), false);
+    assert.equal(queue.remove('missing'), false);
+    assert.equal(queue.position('c'), 1);
+
+    await work.finish('a');
+    assert.deepEqual(work.started, ['a', 'c']);
+});
+
+test('a paused queue accepts jobs but starts none', async () => {
+    const work = controlledWorker();
+    const queue = createJobQueue({ concurrency: 1, worker: work.worker });
+    queue.enqueue('a');
+    queue.pause();
+    queue.enqueue('b');
+
+    await work.finish('a');
+    assert.deepEqual(work.started, ['a']);
+    assert.equal(queue.position('b'), 1);
+});
+
+test('whenIdle resolves once the running jobs have finished', async () => {
+    const work = controlledWorker();
+    const queue = createJobQueue({ concurrency: 2, worker: work.worker });
+    await queue.whenIdle();
+
+    queue.enqueue('a');
+    queue.enqueue('b');
+    let idle = false;
+    const waiting = queue.whenIdle().then(() => { idle = true; });
+
+    await work.finish('a');
+    assert.equal(idle, false);
+    await work.finish('b');
+    await waiting;
+    assert.equal(idle, true);
+});
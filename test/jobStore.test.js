@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobStore, planJobRecovery } = require('../lib/jobStore');
+
+function snapshotPath(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return path.join(directory, 'state', 'jobs.json');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('createJobStore rejects unknown drivers', () => {
+    assert.throws(() => createJobStore('redis'), /Unknown job store driver: redis. Available: memory, file/);
+});
+
+test('a flushed file store is loaded back by a new store', (t) => {
+    const filePath = snapshotPath(t);
+    const store = createJobStore('file', { filePath: filePath });
+    store.set('a', { id: 'a', status: 'completed', createdAt: 1 });
+    store.set('b', { id: 'b', status: 'queued', createdAt: 2 });
+    store.delete('b');
+    store.get('a').status = 'failed';
+    store.stats.totalFailed = 3;
+    store.usage.alice = { uploads: 2 };
+    store.flush();
+
+    const reloaded = createJobStore('file', { filePath: filePath });
+    reloaded.load();
+    assert.equal(reloaded.size, 1);
+    assert.deepEqual(reloaded.get('a'), { id: 'a', status: 'failed', createdAt: 1 });
+    assert.equal(reloaded.has('b'), false);
+    assert.equal(reloaded.stats.totalFailed, 3);
+    assert.equal(reloaded.stats.totalUploads, 0);
+    assert.deepEqual(reloaded.usage, { alice: { uploads: 2 } });
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test('changes are written once per debounce window', async (t) => {
+    const filePath = snapshotPath(t);
+    const store = createJobStore('file', { filePath: filePath });
+    const writes = t.mock.method(fs, 'writeFileSync');
+    const snapshotWrites = () => writes.mock.calls.filter(call => call.arguments[0] === `${filePath}.tmp`).length;
+
+    store.set('a', { id: 'a', createdAt: 1 });
+    store.set('b', { id: 'b', createdAt: 2 });
+    store.persist();
+    assert.equal(fs.existsSync(filePath), false);
+
+    await sleep(400);
+    assert.equal(snapshotWrites(), 1);
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).jobs.map(job => job.id), ['a', 'b']);
+
+    // flush() writes at once and cancels the pending write
+    store.delete('a');
+    store.flush();
+    await sleep(400);
+    assert.equal(snapshotWrites(), 2);
+});
+
+test('an unreadable snapshot is moved aside and the store starts empty', (t) => {
+    const filePath = snapshotPath(t);
+    fs.mkdirSync(path.dirname(filePath));
+    fs.writeFileSync(filePath, '{"jobs": [');
+
+    const store = createJobStore('file', { filePath: filePath });
+    store.load();
+
+    assert.equal(store.size, 0);
+    assert.equal(fs.existsSync(filePath), false);
+    const moved = fs.readdirSync(path.dirname(filePath));
+    assert.equal(moved.length, 1);
+    assert.match(moved[0], /^jobs\.json\.corrupt-\d+$/);
+    assert.equal(fs.readFileSync(path.join(path.dirname(filePath), moved[0]), 'utf8'), '{"jobs": [');
+});
+
+test('a missing snapshot loads as an empty store', (t) => {
+    const store = createJobStore('file', { filePath: snapshotPath(t) });
+    store.load();
+    assert.equal(store.size, 0);
+});
+
+test('planJobRecovery requeues resumable jobs in arrival order under the requeue policy', () => {
+    const jobs = [
+        { id: 'late', status: 'processing', createdAt: 3 },
+        { id: 'done', status: 'completed', createdAt: 0 },
+        { id: 'early', status: 'queued', createdAt: 1 },
+        { id: 'gone', status: 'uploading', createdAt: 2 }
+    ];
+
+    const decisions = planJobRecovery(jobs, { policy: 'requeue', canResume: job => job.id !== 'gone' });
+
+    assert.deepEqual(decisions.map(decision => [decision.job.id, decision.action]),
+        [['early', 'requeue'], ['gone', 'fail'], ['late', 'requeue']]);
+    assert.equal(decisions[1].error, 'Processing was interrupted by a server restart');
+    assert.equal(decisions[1].discardInput, false);
+});
+
+test('planJobRecovery fails started jobs under the fail policy but still requeues queued ones', () => {
+    const jobs = [
+        { id: 'queued', status: 'queued', createdAt: 1 },
+        { id: 'processing', status: 'processing', createdAt: 2 },
+        { id: 'uploading', status: 'uploading', createdAt: 3 }
+    ];
+
+    const decisions = planJobRecovery(jobs, { policy: 'fail', canResume: () => true });
+
+    assert.deepEqual(decisions.map(decision => decision.action), ['requeue', 'fail', 'fail']);
+});
+
+test('planJobRecovery always fails interrupted source downloads and discards their input', () => {
+    const decisions = planJobRecovery([{ id: 'import', status: 'downloading', createdAt: 1 }],
+        { policy: 'requeue', canResume: () => true });
+
+    assert.deepEqual(decisions.map(decision => [decision.action, decision.discardInput, decision.error]),
+        [['fail', true, 'Downloading the source was interrupted by a server restart']]);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    EXIT_CODES,
+    parseArgs,
+    buildJobSettings,
+    expandInputs,
+    findOutputCollision
+} = require('../bin/mute-video');
+
+const CLI = path.join(__dirname, '..', 'bin', 'mute-video.js');
+
+// A directory of clips: a/clip.mp4, b/clip.mp4, b/other.mov and b/notes.txt
+function clipDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mute-video-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    for (const file of ['a/clip.mp4', 'b/clip.mp4', 'b/other.mov', 'b/notes.txt']) {
+        fs.mkdirSync(path.join(directory, path.dirname(file)), { recursive: true });
+        fs.writeFileSync(path.join(directory, file), 'video');
+    }
+    return directory;
+}
+
+// Run the command line in a directory, without ffmpeg on the PATH
+function runCli(cwd, args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], {
+        cwd: cwd,
+        env: Object.assign({}, process.env, { PATH: cwd }),
+        encoding: 'utf8',
+        timeout: 30000
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+const usageError = message => (error) => {
+    assert.equal(error.exitCode, EXIT_CODES.USAGE);
+    assert.match(error.message, message);
+    return true;
+};
+
+const settingsFor = argv => buildJobSettings(parseArgs(argv));
+
+test('parseArgs reads inputs, values, flags and repeated ranges', () => {
+    assert.deepEqual(parseArgs(['in.mp4', '-o', 'out/', '--range', '1-2', '--range=5-6', '-y', '--json', '--', '-odd.mp4']), {
+        inputs: ['in.mp4', '-odd.mp4'],
+        range: ['1-2', '5-6'],
+        output: 'out/',
+        overwrite: true,
+        json: true
+    });
+});
+
+test('parseArgs rejects unknown options and missing values as usage errors', () => {
+    assert.throws(() => parseArgs(['--bogus']), usageError(/Unknown option: --bogus/));
+    assert.throws(() => parseArgs(['in.mp4', '--format']), usageError(/--format needs a value/));
+    assert.throws(() => parseArgs(['--json=yes']), usageError(/Unknown option: --json/));
+});
+
+test('--range and --tracks select their operation when none is named', () => {
+    assert.deepEqual(settingsFor(['--range', '00:12-00:31']).operation, { type: 'mute-range', ranges: [[12, 31]] });
+    assert.deepEqual(settingsFor(['--tracks', '1,0']).operation, { type: 'drop-tracks', tracks: [0, 1] });
+    assert.deepEqual(settingsFor(['--operation', 'mute-range', '--range', '5-6']).operation.ranges, [[5, 6]]);
+    assert.deepEqual(settingsFor([]).operation, { type: 'remove' });
+});
+
+test('operation settings that do not fit together are usage errors', () => {
+    assert.throws(() => settingsFor(['--operation', 'remove', '--range', '1-2']),
+        usageError(/--range is only used with --operation mute-range/));
+    assert.throws(() => settingsFor(['--operation', 'silent-track', '--tracks', '1']),
+        usageError(/--tracks is only used with --operation drop-tracks/));
+    assert.throws(() => settingsFor(['--range', '1-2', '--tracks', '1']), usageError(/different operations/));
+    assert.throws(() => settingsFor(['--range', 'soon']), usageError(/Invalid range: soon/));
+    assert.throws(() => settingsFor(['--range', '5-1']), usageError(/after the start time/));
+    assert.throws(() => settingsFor(['--operation', 'louder']), usageError(/Unknown operation/));
+    assert.throws(() => settingsFor(['--format', 'gif']), usageError(/Unsupported output format/));
+});
+
+test('--retry-strategies must name known strategies and end with reencode', () => {
+    assert.deepEqual(settingsFor([]).strategies, ['genpts', 'remux-mkv', 'reencode']);
+    assert.deepEqual(settingsFor(['--retry-strategies', 'genpts, reencode']).strategies, ['genpts', 'reencode']);
+    assert.deepEqual(settingsFor(['--retry-strategies', 'none']).strategies, []);
+    assert.throws(() => settingsFor(['--retry-strategies', 'genpts,magic,reencode']), usageError(/Unknown retry strategy: magic/));
+    assert.throws(() => settingsFor(['--retry-strategies', 'reencode,genpts']), usageError(/must end with reencode/));
+});
+
+test('expandInputs resolves files, directories and glob patterns', (t) => {
+    const directory = clipDirectory(t);
+    const at = file => path.join(directory, file);
+
+    assert.deepEqual(expandInputs([at('b')]), [at('b/clip.mp4'), at('b/other.mov')]);
+    assert.deepEqual(expandInputs([at('*/clip.mp4')]), [at('a/clip.mp4'), at('b/clip.mp4')]);
+    assert.deepEqual(expandInputs([at('**/*.m??')]), [at('a/clip.mp4'), at('b/clip.mp4'), at('b/other.mov')]);
+    // Named twice, processed once
+    assert.deepEqual(expandInputs([at('a/clip.mp4'), at('a/*.mp4')]), [at('a/clip.mp4')]);
+});
+
+test('expandInputs reports inputs that match nothing', (t) => {
+    const directory = clipDirectory(t);
+
+    assert.throws(() => expandInputs([path.join(directory, 'missing.mp4')]), usageError(/Input not found/));
+    assert.throws(() => expandInputs([path.join(directory, '*/*.avi')]), usageError(/No videos match/));
+});
+
+test('findOutputCollision finds inputs written to the same file', () => {
+    assert.deepEqual(findOutputCollision(['/a/clip.mp4', '/b/other.mp4', '/b/clip.mp4'], null),
+        { inputs: ['/a/clip.mp4', '/b/clip.mp4'], output: 'muted_clip.mp4' });
+    // Different containers only collide once they are converted to the same format
+    assert.equal(findOutputCollision(['/a/clip.mp4', '/b/clip.mov'], null), null);
+    assert.deepEqual(findOutputCollision(['/a/clip.mp4', '/b/clip.mov'], 'mkv').output, 'muted_clip.mkv');
+});
+
+test('the command line refuses colliding outputs before processing anything', (t) => {
+    const directory = clipDirectory(t);
+    const result = runCli(directory, ['*/clip.mp4', '-o', 'out/', '-y']);
+
+    assert.equal(result.status, EXIT_CODES.USAGE);
+    assert.match(result.stderr, /a\/clip\.mp4 and b\/clip\.mp4 would both be written to muted_clip\.mp4/);
+    assert.equal(fs.existsSync(path.join(directory, 'out', 'muted_clip.mp4')), false);
+});
+
+test('with --json, fatal errors are printed as a JSON object', (t) => {
+    const directory = clipDirectory(t);
+    const cases = [
+        [['missing.mp4', '--json'], EXIT_CODES.USAGE, 'Input not found: missing.mp4'],
+        [['--json', '--bogus'], EXIT_CODES.USAGE, 'Unknown option: --bogus'],
+        [['a/clip.mp4', '--json'], EXIT_CODES.NO_FFMPEG, 'FFmpeg is not installed or not found in the PATH']
+    ];
+    for (const [args, exitCode, message] of cases) {
+        const result = runCli(directory, args);
+        assert.equal(result.status, exitCode, args.join(' '));
+        assert.deepEqual(JSON.parse(result.stdout), { success: false, error: message, exitCode: exitCode });
+        assert.equal(result.stderr, '');
+    }
+});
+
+test('without --json, fatal errors go to stderr with a pointer to the help', (t) => {
+    const result = runCli(clipDirectory(t), ['--bogus']);
+
+    assert.equal(result.status, EXIT_CODES.USAGE);
+    assert.equal(result.stdout, '');
+    assert.equal(result.stderr, 'mute-video: Unknown option: --bogus\nRun mute-video --help for usage.\n');
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { createResumableUploads } = require('../lib/resumableUploads');
+
+function setUp(t, maxChunkSize = 4) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return { directory, uploads: createResumableUploads({ directory: directory, maxChunkSize: maxChunkSize }) };
+}
+
+const chunk = text => Readable.from([Buffer.from(text)]);
+
+test('chunks are appended at the current offset and finalize hands over the file', async (t) => {
+    const { directory, uploads } = setUp(t);
+    const session = uploads.create({ filename: 'Talk.MP4', size: 10, mimeType: 'video/mp4', owner: 'alice' });
+    assert.equal(session.offset, 0);
+
+    assert.equal(await uploads.appendChunk(session.id, 0, chunk('0123')), 4);
+    assert.equal(await uploads.appendChunk(session.id, 4, chunk('4567')), 8);
+    assert.equal(await uploads.appendChunk(session.id, 8, chunk('89')), 10);
+
+    const file = uploads.finalize(session.id);
+    assert.deepEqual(file, {
+        jobId: session.id,
+        fieldname: 'video',
+        originalname: 'Talk.MP4',
+        mimetype: 'video/mp4',
+        path: path.join(directory, `${session.id}.mp4`),
+        size: 10
+    });
+    assert.equal(fs.readFileSync(file.path, 'utf8'), '0123456789');
+    assert.deepEqual(fs.readdirSync(directory), [`${session.id}.mp4`]);
+    assert.equal(uploads.get(session.id), null);
+});
+
+test('a chunk at the wrong offset is refused with 409 and the server offset', async (t) => {
+    const { uploads } = setUp(t);
+    const session = uploads.create({ filename: 'a.mp4', size: 10 });
+    await uploads.appendChunk(session.id, 0, chunk('0123'));
+
+    await assert.rejects(uploads.appendChunk(session.id, 0, chunk('0123')),
+        { status: 409, message: 'Offset mismatch: the server has 4 bytes', details: { offset: 4 } });
+    await assert.rejects(uploads.appendChunk(session.id, 6, chunk('67')), { status: 409 });
+    assert.equal(uploads.get(session.id).offset, 4);
+});
+
+test('a second chunk while one is still being written is refused with 409', async (t) => {
+    const { uploads } = setUp(t);
+    const session = uploads.create({ filename: 'a.mp4', size: 10 });
+    const slow = new Readable({ read() {} });
+
+    const first = uploads.appendChunk(session.id, 0, slow);
+    await assert.rejects(uploads.appendChunk(session.id, 0, chunk('0123')),
+        { status: 409, message: 'Another chunk of this upload is still being written' });
+    assert.throws(() => uploads.finalize(session.id), { status: 409 });
+
+    slow.push('01');
+    slow.push(null);
+    assert.equal(await first, 2);
+});
+
+test('chunks beyond the chunk size limit or the declared size are refused with 413', async (t) => {
+    const { uploads } = setUp(t);
+    const session = uploads.create({ filename: 'a.mp4', size: 6 });
+
+    await assert.rejects(uploads.appendChunk(session.id, 0, chunk('01234')), { status: 413 });
+    const offset = uploads.get(session.id).offset;
+    assert.ok(offset <= 4, `at most the chunk limit reached the disk, got ${offset}`);
+
+    // Two bytes remain of the declared size, less than the chunk limit
+    await uploads.appendChunk(session.id, offset, chunk('0123'.slice(0, 4 - offset)));
+    await assert.rejects(uploads.appendChunk(session.id, 4, chunk('456')),
+        { status: 413, message: 'Chunk exceeds the remaining upload size or the chunk size limit' });
+});
+
+test('finalizing an incomplete upload is refused with 409', async (t) => {
+    const { uploads } = setUp(t);
+    const session = uploads.create({ filename: 'a.mp4', size: 10 });
+    await uploads.appendChunk(session.id, 0, chunk('0123'));
+
+    assert.throws(() => uploads.finalize(session.id),
+        { status: 409, message: 'Upload incomplete: 4 of 10 bytes received', details: { offset: 4 } });
+    assert.throws(() => uploads.finalize('3f0c8a9e-0000-4000-8000-000000000000'), { status: 404 });
+    assert.equal(uploads.get(session.id).offset, 4);
+});
+
+test('an interrupted chunk keeps what reached the disk and can be resumed after a restart', async (t) => {
+    const { directory, uploads } = setUp(t);
+    const session = uploads.create({ filename: 'a.mp4', size: 8 });
+
+    const broken = new Readable({ read() {} });
+    const append = uploads.appendChunk(session.id, 0, broken);
+    broken.push('012');
+    const partial = path.join(directory, `${session.id}.part`);
+    while (fs.statSync(partial).size < 3) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    broken.destroy(new Error('socket hang up'));
+    await assert.rejects(append, { status: 400, message: 'Chunk transfer interrupted', details: { offset: 3 } });
+
+    // A new manager over the same directory, as after a server restart
+    const restarted = createResumableUploads({ directory: directory, maxChunkSize: 4 });
+    const resumed = restarted.get(session.id);
+    assert.equal(resumed.offset, 3);
+    assert.equal(resumed.filename, 'a.mp4');
+
+    await restarted.appendChunk(session.id, 3, chunk('3456'));
+    await restarted.appendChunk(session.id, 7, chunk('7'));
+    assert.equal(fs.readFileSync(restarted.finalize(session.id).path, 'utf8'), '01234567');
+});
+
+test('unknown or malformed upload IDs are reported as not found', async (t) => {
+    const { uploads } = setUp(t);
+
+    assert.equal(uploads.get('../etc/passwd'), null);
+    await assert.rejects(uploads.appendChunk('3f0c8a9e-0000-4000-8000-000000000000', 0, chunk('0')), { status: 404 });
+    assert.equal(uploads.remove('3f0c8a9e-0000-4000-8000-000000000000'), false);
+});
+
+test('cleanupExpired removes idle and broken sessions with both of their files', async (t) => {
+    const { directory, uploads } = setUp(t);
+    const idle = uploads.create({ filename: 'idle.mp4', size: 10 });
+    const active = uploads.create({ filename: 'active.mp4', size: 10 });
+    const hourAgo = new Date(Date.now() - 3600000);
+    fs.utimesSync(path.join(directory, `${idle.id}.part`), hourAgo, hourAgo);
+    // A partial file whose metadata is gone
+    fs.writeFileSync(path.join(directory, '3f0c8a9e-0000-4000-8000-000000000000.part'), '012');
+    fs.writeFileSync(path.join(directory, 'finished.mp4'), 'video');
+
+    assert.equal(uploads.cleanupExpired(60000), 2);
+    assert.deepEqual(fs.readdirSync(directory).sort(),
+        [`${active.id}.part`, `${active.id}.upload.json`, 'finished.mp4'].sort());
+    assert.equal(uploads.isSessionFile('finished.mp4'), false);
+    assert.equal(uploads.isSessionFile(`${active.id}.upload.json`), true);
+
+    assert.equal(uploads.remove(active.id), true);
+    assert.deepEqual(fs.readdirSync(directory), ['finished.mp4']);
+});
@@ -0,0 +1,365 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const REPO = path.join(__dirname, '..');
+const KEY = 'key-unlimited-aaaaaaaaaaaa';
+const LIMITED_KEY = 'key-one-job-bbbbbbbbbbbbbb';
+const DAILY_KEY = 'key-small-daily-cccccccccc';
+
+// Stands in for ffmpeg: waits while FAKE_FFMPEG_HOLD exists, fails while FAKE_FFMPEG_FAIL
+// exists, and otherwise copies the input to the output (the last argument)
+const FAKE_FFMPEG = `#!/bin/sh
+[ "$1" = "-version" ] && { echo "ffmpeg version fake"; exit 0; }
+while [ -f "$FAKE_FFMPEG_HOLD" ]; do sleep 0.1; done
+[ -f "$FAKE_FFMPEG_FAIL" ] && { echo "Invalid data found when processing input" >&2; exit 1; }
+in=""; prev=""
+for arg in "$@"; do
+    [ "$prev" = "-i" ] && [ -z "$in" ] && in="$arg"
+    prev="$arg"; out="$arg"
+done
+cp "$in" "$out"
+`;
+
+// Reports every file as a 10 second H.264/AAC video
+const FAKE_FFPROBE = `#!/bin/sh
+echo '{"streams":[{"index":0,"codec_type":"video","codec_name":"h264","width":1280,"height":720,"r_frame_rate":"30/1"},' \\
+    '{"index":1,"codec_type":"audio","codec_name":"aac","channels":2,"sample_rate":"48000"}],' \\
+    '"format":{"format_name":"mov,mp4,m4a,3gp,3g2,mj2","duration":"10.0","bit_rate":"1000000"}}'
+`;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer().listen(0, '127.0.0.1', () => {
+            const port = server.address().port;
+            server.close(() => resolve(port));
+        });
+        server.on('error', reject);
+    });
+}
+
+// Runs server.js from a directory of links to the repo, so uploads/, outputs/ and data/
+// are created there and not in the working tree
+async function startServer(env) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+    for (const name of ['server.js', 'package.json', 'lib', 'public', 'node_modules']) {
+        fs.symlinkSync(path.join(REPO, name), path.join(root, name));
+    }
+    const bin = path.join(root, 'bin');
+    fs.mkdirSync(bin);
+    fs.writeFileSync(path.join(bin, 'ffmpeg'), FAKE_FFMPEG, { mode: 0o755 });
+    fs.writeFileSync(path.join(bin, 'ffprobe'), FAKE_FFPROBE, { mode: 0o755 });
+
+    const port = await freePort();
+    const child = spawn(process.execPath, ['--preserve-symlinks', '--preserve-symlinks-main', path.join(root, 'server.js')], {
+        cwd: root,
+        env: Object.assign({}, process.env, {
+            PATH: `${bin}${path.delimiter}${process.env.PATH}`,
+            HOST: '127.0.0.1',
+            PORT: String(port),
+            JOB_STORE: 'memory',
+            API_KEYS_FILE: path.join(root, 'api-keys.json'),
+            MIN_FREE_DISK_BYTES: '0',
+            SHUTDOWN_GRACE_MS: '1s',
+            FAKE_FFMPEG_HOLD: path.join(root, 'hold'),
+            FAKE_FFMPEG_FAIL: path.join(root, 'fail')
+        }, env)
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const server = {
+        root: root,
+        port: port,
+        hold: () => fs.writeFileSync(path.join(root, 'hold'), ''),
+        release: () => fs.rmSync(path.join(root, 'hold'), { force: true }),
+        failFfmpeg: () => fs.writeFileSync(path.join(root, 'fail'), ''),
+        fixFfmpeg: () => fs.rmSync(path.join(root, 'fail'), { force: true }),
+        async stop() {
+            server.release();
+            if (child.exitCode === null) {
+                await new Promise((resolve) => {
+                    child.on('exit', resolve);
+                    child.kill('SIGTERM');
+                });
+            }
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    };
+
+    for (const started = Date.now(); ; await sleep(100)) {
+        if (child.exitCode !== null) {
+            fs.rmSync(root, { recursive: true, force: true });
+            throw new Error(`Server exited during start:\n${output}`);
+        }
+        const health = await request(server, 'GET', '/health').catch(() => null);
+        if (health && health.status === 200) return server;
+        if (Date.now() - started > 10000) {
+            await server.stop();
+            throw new Error(`Server did not start:\n${output}`);
+        }
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function request(server, method, urlPath, options = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port: server.port,
+            method: method,
+            path: urlPath,
+            headers: Object.assign({ 'X-API-Key': KEY }, options.headers)
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const body = Buffer.concat(chunks);
+                const json = /json/.test(res.headers['content-type'] || '') ? JSON.parse(body) : null;
+                resolve({ status: res.statusCode, headers: res.headers, body: body, json: json });
+            });
+        });
+        req.on('error', reject);
+        req.end(options.body);
+    });
+}
+
+// A small file that passes the MP4 signature check; random bytes keep uploads from being deduplicated
+function video(size = 2048) {
+    return Buffer.concat([Buffer.from('00000018667479706973366d00000200', 'hex'), crypto.randomBytes(size - 16)]);
+}
+
+function multipart(fields, files) {
+    const boundary = `----server-test-${crypto.randomBytes(8).toString('hex')}`;
+    const parts = [];
+    for (const [name, value] of Object.entries(fields)) {
+        parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+    }
+    for (const file of files) {
+        parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${file.field}"; ` +
+            `filename="${file.name}"\r\nContent-Type: video/mp4\r\n\r\n`), file.content, Buffer.from('\r\n'));
+    }
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+    const body = Buffer.concat(parts);
+    return { body: body, headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': body.length } };
+}
+
+function upload(server, content, options = {}) {
+    const form = multipart(options.fields || {}, [{ field: 'video', name: options.name || 'clip.mp4', content: content }]);
+    return request(server, 'POST', '/upload', { body: form.body, headers: Object.assign(form.headers, options.headers) });
+}
+
+async function waitForStatus(server, jobId, statuses) {
+    for (const started = Date.now(); Date.now() - started < 10000; await sleep(100)) {
+        const progress = await request(server, 'GET', `/progress/${jobId}`);
+        if (statuses.includes(progress.json.status)) return progress.json;
+    }
+    throw new Error(`Job ${jobId} did not reach ${statuses.join('/')}`);
+}
+
+let server;
+let source;
+
+before(async () => {
+    source = http.createServer((req, res) => {
+        if (req.url !== '/talks/clip.mp4') {
+            res.writeHead(404);
+            return res.end();
+        }
+        const body = video();
+        res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': body.length });
+        res.end(body);
+    });
+    await new Promise(resolve => source.listen(0, '127.0.0.1', resolve));
+
+    const keysFile = path.join(os.tmpdir(), `server-test-keys-${process.pid}.json`);
+    fs.writeFileSync(keysFile, JSON.stringify({
+        keys: [
+            { name: 'unlimited', key: KEY },
+            { name: 'one-job', key: LIMITED_KEY, maxConcurrentJobs: 1 },
+            { name: 'small-daily', key: DAILY_KEY, dailyUploadBytes: 1000 }
+        ]
+    }));
+    try {
+        server = await startServer({
+            API_KEYS_FILE: keysFile,
+            MAX_FILE_SIZE: '64KB',
+            IMPORT_ALLOWED_HOSTS: `127.0.0.1:${source.address().port}`
+        });
+    } finally {
+        fs.rmSync(keysFile, { force: true });
+    }
+});
+
+after(async () => {
+    if (server) await server.stop();
+    if (source) await new Promise(resolve => source.close(resolve));
+});
+
+test('requests without a valid API key are refused with 401', async () => {
+    const response = await request(server, 'GET', '/stats', { headers: { 'X-API-Key': 'wrong' } });
+    assert.equal(response.status, 401);
+    assert.equal(response.json.success, false);
+});
+
+test('an upload is processed and its output downloaded', async () => {
+    const content = video();
+    const response = await upload(server, content, { name: 'talk.mp4' });
+    assert.equal(response.status, 200);
+    assert.equal(response.json.success, true);
+
+    const progress = await waitForStatus(server, response.json.jobId, ['completed', 'failed']);
+    assert.equal(progress.status, 'completed');
+
+    const download = await request(server, 'GET', `/download/${response.json.jobId}`);
+    assert.equal(download.status, 200);
+    assert.match(download.headers['content-disposition'], /attachment/);
+    assert.deepEqual(download.body, content);
+});
+
+test('uploads without a file, over the size limit or for unknown jobs are refused', async () => {
+    const empty = multipart({ operation: 'mute' }, []);
+    assert.equal((await request(server, 'POST', '/upload', { body: empty.body, headers: empty.headers })).status, 400);
+
+    const tooLarge = await upload(server, video(100 * 1024));
+    assert.equal(tooLarge.status, 413);
+    assert.match(tooLarge.json.error, /File too large. Maximum size is 64/);
+
+    const unknown = crypto.randomUUID();
+    assert.equal((await request(server, 'GET', `/progress/${unknown}`)).status, 404);
+    assert.equal((await request(server, 'GET', `/download/${unknown}`)).status, 404);
+});
+
+test('a batch upload is bundled into one ZIP download', async () => {
+    const form = multipart({}, [
+        { field: 'videos', name: 'one.mp4', content: video() },
+        { field: 'videos', name: 'two.mp4', content: video() }
+    ]);
+    const response = await request(server, 'POST', '/upload/batch', { body: form.body, headers: form.headers });
+    assert.equal(response.status, 200);
+    assert.equal(response.json.accepted, 2);
+    for (const job of response.json.jobs) {
+        assert.equal((await waitForStatus(server, job.jobId, ['completed', 'failed'])).status, 'completed');
+    }
+
+    const zip = await request(server, 'GET', `/download/zip?batch=${response.json.batchId}`);
+    assert.equal(zip.status, 200);
+    assert.equal(zip.headers['content-type'], 'application/zip');
+    assert.equal(zip.body.subarray(0, 2).toString(), 'PK');
+    assert.ok(zip.body.includes('manifest.json'));
+
+    // Nothing completed to put in the archive
+    const none = await request(server, 'GET', `/download/zip?jobs=${crypto.randomUUID()}`);
+    assert.equal(none.status, 409);
+    assert.equal(none.json.failures[0].status, 'not_found');
+    assert.equal((await request(server, 'GET', `/download/zip?batch=${crypto.randomUUID()}`)).status, 404);
+});
+
+test('a video imported by URL is downloaded and processed', async () => {
+    const url = `http://127.0.0.1:${source.address().port}/talks/clip.mp4`;
+    const response = await request(server, 'POST', '/jobs', {
+        body: JSON.stringify({ url: url }),
+        headers: { 'Content-Type': 'application/json' }
+    });
+    assert.equal(response.status, 202);
+    assert.equal(response.json.originalName, 'clip.mp4');
+    assert.equal((await waitForStatus(server, response.json.jobId, ['completed', 'failed'])).status, 'completed');
+
+    const refused = await request(server, 'POST', '/jobs', {
+        body: JSON.stringify({ url: 'http://example.com/clip.mp4' }),
+        headers: { 'Content-Type': 'application/json' }
+    });
+    assert.equal(refused.status, 403);
+    assert.match(refused.json.error, /Importing from example.com is not allowed/);
+});
+
+test('running jobs can be cancelled once, and only failed jobs retried', async (t) => {
+    t.after(() => server.release());
+    server.hold();
+    const response = await upload(server, video());
+    const jobId = response.json.jobId;
+    await waitForStatus(server, jobId, ['processing']);
+
+    const cancel = await request(server, 'POST', `/jobs/${jobId}/cancel`);
+    assert.equal(cancel.status, 200);
+    assert.equal(cancel.json.status, 'cancelled');
+    assert.equal((await request(server, 'POST', `/jobs/${jobId}/cancel`)).status, 409);
+
+    const retry = await request(server, 'POST', `/jobs/${jobId}/retry`);
+    assert.equal(retry.status, 409);
+    assert.match(retry.json.error, /Only failed jobs can be retried \(status: cancelled\)/);
+    assert.equal((await request(server, 'POST', `/jobs/${crypto.randomUUID()}/cancel`)).status, 404);
+});
+
+test('a failed job is processed again when retried', async (t) => {
+    t.after(() => server.fixFfmpeg());
+    server.failFfmpeg();
+    const response = await upload(server, video());
+    const jobId = response.json.jobId;
+    assert.equal((await waitForStatus(server, jobId, ['completed', 'failed'])).status, 'failed');
+
+    server.fixFfmpeg();
+    const retry = await request(server, 'POST', `/jobs/${jobId}/retry`);
+    assert.equal(retry.status, 200);
+    assert.equal((await waitForStatus(server, jobId, ['completed', 'failed'])).status, 'completed');
+});
+
+test('job events are streamed, starting with the current state', async () => {
+    const response = await upload(server, video());
+    await waitForStatus(server, response.json.jobId, ['completed', 'failed']);
+
+    const stream = await new Promise((resolve, reject) => {
+        const req = http.get({
+            host: '127.0.0.1',
+            port: server.port,
+            path: `/jobs/${response.json.jobId}/events`,
+            headers: { 'X-API-Key': KEY }
+        }, (res) => {
+            let text = '';
+            res.on('data', (chunk) => {
+                text += chunk;
+                if (text.includes('data: ')) {
+                    req.destroy();
+                    resolve({ status: res.statusCode, type: res.headers['content-type'], text: text });
+                }
+            });
+        });
+        req.on('error', reject);
+    });
+    assert.equal(stream.status, 200);
+    assert.match(stream.type, /^text\/event-stream/);
+    assert.match(stream.text, /^retry: \d+\n\nevent: completed\ndata: \{.*"status":"completed"/);
+
+    assert.equal((await request(server, 'GET', `/jobs/${crypto.randomUUID()}/events`)).status, 404);
+});
+
+test('quotas refuse uploads with 429', async (t) => {
+    t.after(() => server.release());
+    server.hold();
+    const first = await upload(server, video(), { headers: { 'X-API-Key': LIMITED_KEY } });
+    assert.equal(first.status, 200);
+    const second = await upload(server, video(), { headers: { 'X-API-Key': LIMITED_KEY } });
+    assert.equal(second.status, 429);
+    assert.match(second.json.error, /Concurrent job limit reached \(1\)/);
+
+    const daily = await upload(server, video(4096), { headers: { 'X-API-Key': DAILY_KEY } });
+    assert.equal(daily.status, 429);
+    assert.match(daily.json.error, /Daily upload limit of/);
+});
+
+test('uploads are refused with 507 when the disk is too full', async (t) => {
+    const full = await startServer({ MIN_FREE_DISK_BYTES: '1000000TB' });
+    t.after(() => full.stop());
+
+    const response = await upload(full, video());
+    assert.equal(response.status, 507);
+    assert.match(response.json.error, /running out of storage space/);
+});
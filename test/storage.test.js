@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+const { startS3StandIn } = require('./support/s3StandIn');
+
+const CREDENTIALS = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' };
+
+function tempDir(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+async function s3Storage(t) {
+    const standIn = await startS3StandIn(Object.assign({ bucket: 'media', pageSize: 2 }, CREDENTIALS));
+    t.after(() => standIn.close());
+    const storage = createStorage({
+        driver: 's3',
+        s3: Object.assign({ endpoint: standIn.endpoint, region: 'us-east-1', bucket: 'media', presignExpiresSeconds: 60 }, CREDENTIALS)
+    });
+    return { standIn, storage };
+}
+
+test('createStorage refuses unknown drivers and incomplete S3 settings', () => {
+    assert.throws(() => createStorage({ driver: 'ftp' }), /Unknown storage driver "ftp"/);
+    assert.throws(() => createStorage({ driver: 's3', s3: { endpoint: 'http://localhost:9000', accessKeyId: 'key' } }),
+        { message: 'S3 storage is missing: bucket, secretAccessKey' });
+});
+
+test('local storage saves, lists and removes files under its root', async (t) => {
+    const root = tempDir(t);
+    const source = path.join(tempDir(t), 'source.mp4');
+    fs.writeFileSync(source, 'video');
+    const storage = createStorage({ driver: 'local', root: root });
+
+    await storage.save('outputs/a.mp4', source);
+    assert.equal(storage.localPath('outputs/a.mp4'), path.join(root, 'outputs', 'a.mp4'));
+    assert.equal((await storage.stat('outputs/a.mp4')).size, 5);
+    assert.deepEqual((await storage.list('outputs/')).map(object => object.key), ['outputs/a.mp4']);
+    assert.equal(storage.presignedUrl('outputs/a.mp4'), null);
+
+    await storage.remove('outputs/a.mp4');
+    assert.equal(await storage.stat('outputs/a.mp4'), null);
+    assert.deepEqual(await storage.list('missing/'), []);
+    assert.throws(() => storage.localPath('../escape.mp4'), /Invalid storage key/);
+});
+
+test('S3 storage round-trips files through the bucket', async (t) => {
+    const { standIn, storage } = await s3Storage(t);
+    const directory = tempDir(t);
+    const source = path.join(directory, 'source');
+    fs.writeFileSync(source, 'muted video');
+
+    assert.equal(storage.isRemote, true);
+    assert.equal(storage.localPath('outputs/a.mp4'), null);
+    await storage.save('outputs/a.MOV', source);
+    await storage.save('outputs/b.bin', source);
+    assert.equal(standIn.requests[0].headers['content-type'], 'video/quicktime');
+    assert.equal(standIn.requests[1].headers['content-type'], 'application/octet-stream');
+
+    const copy = path.join(directory, 'copy');
+    await storage.fetch('outputs/a.MOV', copy);
+    assert.equal(fs.readFileSync(copy, 'utf8'), 'muted video');
+    assert.equal((await storage.stat('outputs/a.MOV')).size, 11);
+
+    const chunks = [];
+    for await (const chunk of await storage.createReadStream('outputs/b.bin')) chunks.push(chunk);
+    assert.equal(Buffer.concat(chunks).toString(), 'muted video');
+
+    await storage.save('outputs/c.mp4', source);
+    assert.deepEqual((await storage.list('outputs/')).map(object => object.key), ['outputs/a.MOV', 'outputs/b.bin', 'outputs/c.mp4']);
+
+    await storage.remove('outputs/a.MOV');
+    assert.equal(await storage.stat('outputs/a.MOV'), null);
+});
+
+test('S3 storage reports missing objects when fetching them', async (t) => {
+    const { storage } = await s3Storage(t);
+
+    await assert.rejects(storage.fetch('outputs/missing.mp4', path.join(tempDir(t), 'copy')),
+        { message: 'Stored file not found: outputs/missing.mp4' });
+    await assert.rejects(storage.createReadStream('outputs/missing.mp4'),
+        { message: 'Stored file not found: outputs/missing.mp4' });
+});
+
+test('S3 storage presigns downloads with the configured lifetime', async (t) => {
+    const { standIn, storage } = await s3Storage(t);
+    const url = new URL(storage.presignedUrl('outputs/a.mp4', 'talk.mp4'));
+
+    assert.equal(url.origin, standIn.endpoint);
+    assert.equal(url.pathname, '/media/outputs/a.mp4');
+    assert.equal(url.searchParams.get('X-Amz-Expires'), '60');
+    assert.equal(url.searchParams.get('response-content-disposition'), 'attachment; filename="talk.mp4"');
+});
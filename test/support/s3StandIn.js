@@ -0,0 +1,145 @@
+/**
+ * A local stand-in for an S3-compatible store (in the spirit of MinIO): one
+ * bucket kept in memory, reachable path-style (/bucket/key) or virtual-host
+ * style (Host: bucket.<host>). Every request must carry a valid AWS
+ * Signature Version 4, checked here independently of lib/s3Client.js.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+const sha256Hex = value => crypto.createHash('sha256').update(value).digest('hex');
+
+const escapeXml = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function errorXml(code, message) {
+    return `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`;
+}
+
+/**
+ * Recompute a request's SigV4 signature from what arrived on the wire
+ * @returns {string|null} Why the signature is wrong, or null when it is valid
+ */
+function checkSignature(req, credentials) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+        .exec(req.headers.authorization || '');
+    if (!match) return 'malformed Authorization header';
+    const [, accessKeyId, date, region, signedHeaders, signature] = match;
+    if (accessKeyId !== credentials.accessKeyId) return 'unknown access key';
+
+    const amzDate = req.headers['x-amz-date'] || '';
+    const [rawPath, rawQuery = ''] = req.url.split('?');
+    const canonicalQuery = rawQuery === '' ? '' : rawQuery.split('&').sort().join('&');
+    const canonicalRequest = [
+        req.method,
+        rawPath,
+        canonicalQuery,
+        signedHeaders.split(';').map(name => `${name}:${String(req.headers[name] || '').trim()}\n`).join(''),
+        signedHeaders,
+        req.headers['x-amz-content-sha256']
+    ].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    const expected = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return expected === signature ? null : 'signature mismatch';
+}
+
+/**
+ * Start the stand-in on a random local port
+ * @param {object} options - Stand-in options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.accessKeyId - Accepted access key
+ * @param {string} options.secretAccessKey - Its secret
+ * @param {number} [options.pageSize=1000] - Objects per list page
+ * @returns {Promise<object>} { endpoint, objects, requests, failNext(status, code, message), close() }
+ */
+async function startS3StandIn(options) {
+    const objects = new Map();
+    const requests = [];
+    const failures = [];
+    const pageSize = options.pageSize || 1000;
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const url = new URL(req.url, 'http://stand-in');
+            const virtualHost = req.headers.host.startsWith(`${options.bucket}.`);
+            let key = decodeURIComponent(url.pathname.slice(1));
+            if (!virtualHost) {
+                if (!key.startsWith(`${options.bucket}/`) && key !== options.bucket) {
+                    return reply(404, errorXml('NoSuchBucket', 'The specified bucket does not exist'));
+                }
+                key = key.slice(options.bucket.length + 1);
+            }
+            requests.push({ method: req.method, url: req.url, key: key, headers: req.headers, body: body });
+
+            function reply(status, xml, headers) {
+                res.writeHead(status, Object.assign(xml ? { 'Content-Type': 'application/xml' } : {}, headers));
+                res.end(req.method === 'HEAD' ? undefined : xml);
+            }
+
+            const problem = checkSignature(req, options);
+            if (problem) return reply(403, errorXml('SignatureDoesNotMatch', problem));
+            if (failures.length > 0) {
+                const failure = failures.shift();
+                return reply(failure.status, errorXml(failure.code, failure.message));
+            }
+
+            if (req.method === 'PUT') {
+                if (req.headers['x-amz-content-sha256'] !== 'UNSIGNED-PAYLOAD') {
+                    return reply(400, errorXml('InvalidRequest', 'expected an unsigned payload'));
+                }
+                objects.set(key, { body: body, contentType: req.headers['content-type'], modifiedAt: new Date() });
+                return reply(200);
+            }
+            if (req.method === 'DELETE') {
+                objects.delete(key);
+                return reply(204);
+            }
+            if (req.method === 'GET' && key === '' && url.searchParams.get('list-type') === '2') {
+                const prefix = url.searchParams.get('prefix') || '';
+                const keys = Array.from(objects.keys()).filter(name => name.startsWith(prefix)).sort();
+                const start = Number(url.searchParams.get('continuation-token') || 0);
+                const page = keys.slice(start, start + pageSize);
+                const truncated = start + pageSize < keys.length;
+                return reply(200, '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+                    page.map(name => `<Contents><Key>${escapeXml(name)}</Key>` +
+                        `<LastModified>${objects.get(name).modifiedAt.toISOString()}</LastModified>` +
+                        `<Size>${objects.get(name).body.length}</Size></Contents>`).join('') +
+                    `<IsTruncated>${truncated}</IsTruncated>` +
+                    (truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : '') +
+                    '</ListBucketResult>');
+            }
+
+            const object = objects.get(key);
+            if (!object) return reply(404, errorXml('NoSuchKey', 'The specified key does not exist.'));
+            res.writeHead(200, {
+                'Content-Type': object.contentType,
+                'Content-Length': object.body.length,
+                'Last-Modified': object.modifiedAt.toUTCString()
+            });
+            res.end(req.method === 'HEAD' ? undefined : object.body);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        endpoint: `http://localhost:${server.address().port}`,
+        objects,
+        requests,
+        failNext(status, code, message) {
+            failures.push({ status, code, message });
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { startS3StandIn };
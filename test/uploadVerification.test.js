@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+    sniffContainer,
+    parseChecksum,
+    assertChecksum,
+    inspectFile,
+    createVerifyingStorage
+} = require('../lib/uploadVerification');
+
+const MP4_HEAD = Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypisom'), Buffer.alloc(20)]);
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+function tempDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'verification-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('sniffContainer recognises video containers by their signature', () => {
+    const ts = Buffer.alloc(188 * 3);
+    [0, 188, 376].forEach((offset) => { ts[offset] = 0x47; });
+
+    assert.equal(sniffContainer(MP4_HEAD), 'mp4');
+    assert.equal(sniffContainer(Buffer.from([0, 0, 0, 8, ...Buffer.from('moov')])), 'mp4');
+    assert.equal(sniffContainer(Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0x01])), 'matroska');
+    assert.equal(sniffContainer(Buffer.from('RIFF\0\0\0\0AVI LIST')), 'avi');
+    assert.equal(sniffContainer(Buffer.from([...Buffer.from('FLV'), 0x01, 0x05])), 'flv');
+    assert.equal(sniffContainer(Buffer.from([0x00, 0x00, 0x01, 0xBA, 0x44])), 'mpeg-ps');
+    assert.equal(sniffContainer(ts), 'mpeg-ts');
+});
+
+test('sniffContainer recognises audio containers only when asked for audio', () => {
+    assert.equal(sniffContainer(Buffer.from('ID3\x04\0'), 'audio'), 'mp3');
+    assert.equal(sniffContainer(Buffer.from('RIFF\0\0\0\0WAVEfmt '), 'audio'), 'wav');
+    assert.equal(sniffContainer(Buffer.from('OggS\0'), 'audio'), 'ogg');
+    assert.equal(sniffContainer(Buffer.from('fLaC\0'), 'audio'), 'flac');
+    assert.equal(sniffContainer(Buffer.from([0xFF, 0xF1, 0x50]), 'audio'), 'aac');
+    assert.equal(sniffContainer(Buffer.from([0xFF, 0xFB, 0x90]), 'audio'), 'mp3');
+    assert.equal(sniffContainer(MP4_HEAD, 'audio'), 'm4a');
+
+    assert.equal(sniffContainer(Buffer.from('ID3\x04\0')), null);
+    assert.equal(sniffContainer(Buffer.from('RIFF\0\0\0\0WAVEfmt ')), null);
+});
+
+test('sniffContainer rejects files without a known signature', () => {
+    assert.equal(sniffContainer(Buffer.from('<html><body>not a video</body></html>')), null);
+    assert.equal(sniffContainer(Buffer.alloc(0)), null);
+    assert.equal(sniffContainer(Buffer.from('plain text'), 'audio'), null);
+});
+
+test('parseChecksum accepts hex SHA-256 digests in any case', () => {
+    const digest = sha256('video');
+
+    assert.equal(parseChecksum(digest), digest);
+    assert.equal(parseChecksum(` ${digest.toUpperCase()} `), digest);
+    assert.equal(parseChecksum(undefined), null);
+    assert.equal(parseChecksum(''), null);
+});
+
+test('parseChecksum rejects anything else with HTTP 400', () => {
+    for (const value of ['abc', 'g'.repeat(64), sha256('x') + '0', 12345, ['a']]) {
+        assert.throws(() => parseChecksum(value), error => error.status === 400, String(value));
+    }
+});
+
+test('assertChecksum fails with HTTP 422 and both digests on a mismatch', () => {
+    const actual = sha256('received');
+    const expected = sha256('sent');
+
+    assert.doesNotThrow(() => assertChecksum(actual, actual));
+    assert.doesNotThrow(() => assertChecksum(actual, null));
+    assert.throws(() => assertChecksum(actual, expected), (error) => {
+        assert.equal(error.status, 422);
+        assert.deepEqual(error.details, { sha256: actual, expectedSha256: expected });
+        return true;
+    });
+});
+
+test('inspectFile sniffs and hashes a file on disk', async (t) => {
+    const directory = tempDirectory(t);
+    const video = Buffer.concat([MP4_HEAD, crypto.randomBytes(4096)]);
+    fs.writeFileSync(path.join(directory, 'video.mp4'), video);
+    fs.writeFileSync(path.join(directory, 'fake.mp4'), 'not a video');
+
+    assert.deepEqual(await inspectFile(path.join(directory, 'video.mp4')), { container: 'mp4', sha256: sha256(video) });
+    assert.deepEqual(await inspectFile(path.join(directory, 'fake.mp4')), { container: null, sha256: null });
+});
+
+function handleUpload(storage, fieldname, data) {
+    // Small chunks, so the signature arrives split across several of them
+    const chunks = [];
+    for (let offset = 0; offset < data.length; offset += 7) {
+        chunks.push(data.subarray(offset, offset + 7));
+    }
+    return new Promise((resolve, reject) => {
+        storage._handleFile({}, { fieldname: fieldname, stream: Readable.from(chunks) }, (error, info) => {
+            if (error) reject(error);
+            else resolve(info);
+        });
+    });
+}
+
+test('the storage engine writes recognised uploads with their checksum', async (t) => {
+    const directory = tempDirectory(t);
+    const storage = createVerifyingStorage({ directory: directory, filename: () => 'upload.mp4' });
+    const video = Buffer.concat([MP4_HEAD, crypto.randomBytes(2000)]);
+
+    const info = await handleUpload(storage, 'video', video);
+    assert.equal(info.container, 'mp4');
+    assert.equal(info.sha256, sha256(video));
+    assert.equal(info.size, video.length);
+    assert.deepEqual(fs.readFileSync(info.path), video);
+});
+
+test('the storage engine drops uploads without a known signature', async (t) => {
+    const directory = tempDirectory(t);
+    const storage = createVerifyingStorage({ directory: directory, filename: () => 'upload.mp4' });
+
+    const info = await handleUpload(storage, 'video', crypto.randomBytes(2000));
+    assert.equal(info.container, null);
+    assert.equal(info.sha256, null);
+    assert.equal(info.size, 2000);
+    // Removed in the background once the stream has closed
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(fs.existsSync(info.path), false);
+});
+
+test('the storage engine checks the audio field against audio signatures', async (t) => {
+    const directory = tempDirectory(t);
+    const storage = createVerifyingStorage({ directory: directory, filename: (req, file) => file.fieldname });
+
+    assert.equal((await handleUpload(storage, 'audio', Buffer.from('OggS\0\0\0\0\0\0'))).container, 'ogg');
+    assert.equal((await handleUpload(storage, 'video', Buffer.from('OggS\0\0\0\0\0\0'))).container, null);
+});
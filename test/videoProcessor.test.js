@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEncodingSettings } = require('../lib/encodingPresets');
+const { FALLBACK_STRATEGIES, TIMEOUT_KINDS, processFile } = require('../lib/videoProcessor');
+
+// Stands in for ffmpeg: fails unless its arguments contain FAKE_FFMPEG_SUCCEED_WITH,
+// after sleeping FAKE_FFMPEG_SLEEP seconds, and otherwise copies the input to the output
+const FAKE_FFMPEG = `#!/bin/sh
+for arg in "$@"; do out="$arg"; done
+[ -n "$FAKE_FFMPEG_SLEEP" ] && sleep "$FAKE_FFMPEG_SLEEP"
+echo "out_time_ms=1000000"
+case " $* " in
+    *"$FAKE_FFMPEG_SUCCEED_WITH"*) echo "ok" > "$out"; exit 0 ;;
+esac
+echo "attempt failed: $*" >&2
+exit 1
+`;
+
+const MEDIA_INFO = { duration: 10, video: [{ codec: 'h264' }], audio: [{ codec: 'aac' }] };
+
+// Prepare a directory with the fake ffmpeg first on the PATH, an input and an output path
+function setUp(t, env) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'video-processor-'));
+    fs.writeFileSync(path.join(directory, 'ffmpeg'), FAKE_FFMPEG, { mode: 0o755 });
+    fs.writeFileSync(path.join(directory, 'input.mp4'), 'video');
+
+    const saved = { PATH: process.env.PATH };
+    process.env.PATH = `${directory}${path.delimiter}${process.env.PATH}`;
+    for (const [name, value] of Object.entries(env)) {
+        saved[name] = process.env[name];
+        process.env[name] = value;
+    }
+    t.after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    return {
+        inputPath: path.join(directory, 'input.mp4'),
+        outputPath: extension => path.join(directory, `output${extension}`),
+        mediaInfo: MEDIA_INFO
+    };
+}
+
+const skip = process.platform === 'win32' ? 'needs a POSIX shell for the fake ffmpeg' : false;
+
+test('a successful first attempt needs no fallback', { skip }, async (t) => {
+    const files = setUp(t, { FAKE_FFMPEG_SUCCEED_WITH: '-an' });
+
+    const result = await processFile(Object.assign({ strategies: ['genpts', 'reencode'] }, files));
+    assert.equal(result.code, 0);
+    assert.equal(result.strategy, null);
+    assert.equal(result.attempts.length, 1);
+    assert.equal(fs.existsSync(result.outputPath), true);
+});
+
+test('fallbacks are tried in order until one succeeds', { skip }, async (t) => {
+    const files = setUp(t, { FAKE_FFMPEG_SUCCEED_WITH: '-c:v libx264' });
+    const retries = [];
+
+    const result = await processFile(Object.assign({
+        strategies: ['genpts', 'remux-mkv', 'reencode'],
+        onRetry: strategy => retries.push(strategy)
+    }, files));
+    assert.equal(result.code, 0);
+    assert.equal(result.strategy, FALLBACK_STRATEGIES.REENCODE);
+    assert.deepEqual(retries, ['genpts', 'remux-mkv', 'reencode']);
+    assert.deepEqual(result.attempts.map(attempt => attempt.exitCode), [1, 1, 1, 0]);
+    assert.match(result.attempts[0].stderr, /attempt failed/);
+    // The Matroska attempt's output is removed before the next attempt
+    assert.equal(fs.existsSync(files.outputPath('.mkv')), false);
+});
+
+test('a failed stream copy is re-run as a re-encode even without configured fallbacks', { skip }, async (t) => {
+    const files = setUp(t, { FAKE_FFMPEG_SUCCEED_WITH: '-c:v libx264' });
+
+    for (const strategies of [[], ['genpts']]) {
+        const result = await processFile(Object.assign({ strategies: strategies }, files));
+        assert.equal(result.code, 0);
+        assert.equal(result.strategy, FALLBACK_STRATEGIES.REENCODE);
+        assert.deepEqual(result.attempts.map(attempt => attempt.strategy), [null, ...strategies, 'reencode']);
+    }
+});
+
+test('a video that is already re-encoded is not re-run', { skip }, async (t) => {
+    const files = setUp(t, { FAKE_FFMPEG_SUCCEED_WITH: 'never' });
+
+    const result = await processFile(Object.assign({ strategies: [], settings: parseEncodingSettings({ preset: 'small' }) }, files));
+    assert.equal(result.code, 1);
+    assert.equal(result.attempts.length, 1);
+});
+
+test('strategies that would change nothing are skipped', { skip }, async (t) => {
+    const files = setUp(t, { FAKE_FFMPEG_SUCCEED_WITH: 'never' });
+
+    const result = await processFile(Object.assign({ strategies: ['remux-mkv', 'reencode'], format: 'mp4' }, files));
+    assert.equal(result.code, 1);
+    assert.deepEqual(result.attempts.map(attempt => attempt.strategy), [null, 'reencode']);
+});
+
+test('a run past the time limit is killed and not retried', { skip }, async (t) => {
+    const files = setUp(t, { FAKE_FFMPEG_SUCCEED_WITH: 'never', FAKE_FFMPEG_SLEEP: '1' });
+
+    const result = await processFile(Object.assign({ strategies: ['genpts', 'reencode'], timeoutMs: 300 }, files));
+    assert.equal(result.timeout, TIMEOUT_KINDS.DEADLINE);
+    assert.equal(result.attempts.length, 1);
+});
+
+test('no fallback starts with too little of the time limit left', { skip }, async (t) => {
+    const files = setUp(t, { FAKE_FFMPEG_SUCCEED_WITH: 'never', FAKE_FFMPEG_SLEEP: '1.75' });
+    const skipped = [];
+
+    const result = await processFile(Object.assign({
+        strategies: ['genpts', 'reencode'],
+        // Room for a second attempt, which leaves less than a quarter of the limit for a third
+        timeoutMs: 4000,
+        onRetrySkipped: (strategy, remainingMs) => skipped.push({ strategy, remainingMs })
+    }, files));
+    // The genpts attempt's failure stands instead of a timeout of a run that had no chance
+    assert.equal(result.code, 1);
+    assert.equal(result.timeout, null);
+    assert.equal(result.strategy, FALLBACK_STRATEGIES.GENPTS);
+    assert.equal(result.attempts.length, 2);
+    assert.equal(skipped.length, 1);
+    assert.equal(skipped[0].strategy, FALLBACK_STRATEGIES.REENCODE);
+    assert.ok(skipped[0].remainingMs < 1000);
+});
+
+test('no fallback starts once the job is cancelled', { skip }, async (t) => {
+    const files = setUp(t, { FAKE_FFMPEG_SUCCEED_WITH: 'never' });
+
+    const result = await processFile(Object.assign({ strategies: ['genpts', 'reencode'], isCancelled: () => true }, files));
+    assert.equal(result.attempts.length, 1);
+});
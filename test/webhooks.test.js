@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { isPublicAddress, parseCallbackUrl, signPayload, createWebhookDispatcher } = require('../lib/webhooks');
+
+test('signPayload signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    assert.equal(
+        signPayload('secret', 1700000000, '{"event":"job.completed"}'),
+        'sha256=e33f34cc0b46f4e752fe75a10d7177366fd795c052ed09dfa63608265c13be69'
+    );
+});
+
+test('signPayload changes with the secret, timestamp and body', () => {
+    const signature = signPayload('secret', 1700000000, '{}');
+
+    assert.notEqual(signPayload('other', 1700000000, '{}'), signature);
+    assert.notEqual(signPayload('secret', 1700000001, '{}'), signature);
+    assert.notEqual(signPayload('secret', 1700000000, '{ }'), signature);
+});
+
+test('isPublicAddress rejects loopback, private and link-local addresses', () => {
+    for (const address of ['127.0.0.1', '10.0.0.5', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+        '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '[::1]', '::', 'fe80::1', 'fd12:3456::1',
+        '::ffff:127.0.0.1', '::ffff:10.0.0.1', 'not-an-address']) {
+        assert.equal(isPublicAddress(address), false, address);
+    }
+    for (const address of ['8.8.8.8', '172.32.0.1', '93.184.216.34', '2606:4700:4700::1111']) {
+        assert.equal(isPublicAddress(address), true, address);
+    }
+});
+
+test('parseCallbackUrl accepts public http(s) URLs and nothing', () => {
+    assert.equal(parseCallbackUrl('https://hooks.example.com/done'), 'https://hooks.example.com/done');
+    assert.equal(parseCallbackUrl(' http://203.0.113.7:8080/x '), 'http://203.0.113.7:8080/x');
+    assert.equal(parseCallbackUrl(undefined), null);
+    assert.equal(parseCallbackUrl(''), null);
+});
+
+test('parseCallbackUrl rejects malformed URLs and other protocols', () => {
+    assert.throws(() => parseCallbackUrl('not a url'), /valid URL/);
+    assert.throws(() => parseCallbackUrl('ftp://example.com/x'), /http or https/);
+});
+
+test('parseCallbackUrl rejects local and private hosts', () => {
+    for (const url of ['http://localhost:3000/x', 'http://api.localhost/x', 'http://127.0.0.1/x',
+        'http://169.254.169.254/latest/meta-data', 'http://10.1.2.3/x', 'http://[::1]:8080/x']) {
+        assert.throws(() => parseCallbackUrl(url), /local or private/, url);
+    }
+});
+
+test('parseCallbackUrl only accepts allowlisted hosts when an allowlist is set', () => {
+    const allowed = ['localhost:8080', '*.internal.example'];
+
+    assert.equal(parseCallbackUrl('http://localhost:8080/x', allowed), 'http://localhost:8080/x');
+    assert.equal(parseCallbackUrl('http://hooks.internal.example/x', allowed), 'http://hooks.internal.example/x');
+    assert.throws(() => parseCallbackUrl('http://localhost:9000/x', allowed), /not allowed/);
+    assert.throws(() => parseCallbackUrl('https://example.com/x', allowed), /not allowed/);
+});
+
+// A receiver on localhost answering with the given status codes in turn
+async function startReceiver(t, statusCodes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body: body });
+            res.statusCode = statusCodes[Math.min(requests.length, statusCodes.length) - 1];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { requests, url: `http://localhost:${server.address().port}/hook` };
+}
+
+function deliver(options, url, payload) {
+    return new Promise((resolve) => {
+        const webhook = { url: url };
+        const dispatcher = createWebhookDispatcher(Object.assign({
+            secret: 'secret',
+            maxAttempts: 3,
+            retryBaseMs: 10,
+            timeoutMs: 2000,
+            onUpdate: () => {
+                if (webhook.status !== 'pending') resolve(webhook);
+            }
+        }, options));
+        dispatcher.deliver(webhook, 'job.completed', payload);
+    });
+}
+
+test('deliveries to allowlisted hosts are signed and retried on 5xx', async (t) => {
+    const receiver = await startReceiver(t, [503, 200]);
+    const webhook = await deliver({ allowedHosts: [new URL(receiver.url).host] }, receiver.url, { jobId: 'job-1' });
+
+    assert.equal(webhook.status, 'delivered');
+    assert.deepEqual(webhook.deliveries.map(entry => entry.outcome), ['retrying', 'delivered']);
+    assert.equal(receiver.requests.length, 2);
+
+    const { headers, body } = receiver.requests[1];
+    assert.equal(JSON.parse(body).jobId, 'job-1');
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'secret')
+        .update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-webhook-signature'], expected);
+});
+
+test('deliveries are not retried on 4xx responses', async (t) => {
+    const receiver = await startReceiver(t, [404]);
+    const webhook = await deliver({ allowedHosts: [new URL(receiver.url).host] }, receiver.url, {});
+
+    assert.equal(webhook.status, 'failed');
+    assert.equal(receiver.requests.length, 1);
+});
+
+test('without an allowlist, hosts resolving to private addresses are never contacted', async (t) => {
+    const receiver = await startReceiver(t, [200]);
+    const webhook = await deliver({}, receiver.url, {});
+
+    assert.equal(webhook.status, 'failed');
+    assert.equal(webhook.deliveries.length, 1);
+    assert.match(webhook.deliveries[0].error, /private address/);
+    assert.equal(receiver.requests.length, 0);
+});
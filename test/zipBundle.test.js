@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const { MANIFEST_NAME, uniqueEntryName, streamZipBundle } = require('../lib/zipBundle');
+
+// Entries of a stored (uncompressed) ZIP, read through its central directory
+function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        const size = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const skip = nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const local = buffer.readUInt32LE(offset + 42);
+        const data = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        entries.set(name, buffer.subarray(data, data + size));
+        offset += 46 + skip;
+    }
+    return entries;
+}
+
+// A stream standing in for the Express response
+function bundle(options) {
+    const res = new PassThrough();
+    res.attachment = (filename) => { res.filename = filename; };
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    return new Promise((resolve, reject) => {
+        res.on('end', () => resolve({ filename: res.filename, entries: readZip(Buffer.concat(chunks)) }));
+        res.on('error', reject);
+        streamZipBundle(res, options);
+    });
+}
+
+test('uniqueEntryName numbers duplicates before the extension', () => {
+    const used = new Set();
+    assert.equal(uniqueEntryName('talk.mp4', used), 'talk.mp4');
+    assert.equal(uniqueEntryName('talk.mp4', used), 'talk (2).mp4');
+    assert.equal(uniqueEntryName('talk.mp4', used), 'talk (3).mp4');
+    assert.equal(uniqueEntryName('talk.mkv', used), 'talk.mkv');
+    assert.deepEqual([...used], ['talk.mp4', 'talk (2).mp4', 'talk (3).mp4', 'talk.mkv']);
+});
+
+test('uniqueEntryName compares names case-insensitively', () => {
+    const used = new Set(['clip.mp4']);
+    assert.equal(uniqueEntryName('CLIP.MP4', used), 'CLIP (2).MP4');
+    assert.equal(uniqueEntryName('Clip (2).mp4', used), 'Clip (2) (2).mp4');
+});
+
+test('uniqueEntryName handles names without an extension and reserved names', () => {
+    const used = new Set([MANIFEST_NAME]);
+    assert.equal(uniqueEntryName('video', used), 'video');
+    assert.equal(uniqueEntryName('video', used), 'video (2)');
+    assert.equal(uniqueEntryName('manifest.json', used), 'manifest (2).json');
+});
+
+test('streamZipBundle streams files and a manifest, leaving out files that are gone', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-bundle-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(directory, 'a.mp4'), 'first video');
+
+    const { filename, entries } = await bundle({
+        filename: 'muted_batch_1234abcd.zip',
+        files: [
+            { path: path.join(directory, 'a.mp4'), name: 'talk.mp4', manifest: { jobId: 'a' } },
+            { path: path.join(directory, 'deleted.mp4'), name: 'gone.mp4', manifest: { jobId: 'b' } },
+            { open: async () => Readable.from([Buffer.from('second '), Buffer.from('video')]), name: 'talk.mp4', manifest: { jobId: 'c' } },
+            { open: async () => { throw new Error('Stored file not found: outputs/d.mp4'); }, name: 'remote.mp4', manifest: { jobId: 'd' } }
+        ],
+        manifest: {
+            batchId: '1234abcd',
+            failures: [{ jobId: 'e', status: 'failed', error: 'ffmpeg exited with code 1' }]
+        }
+    });
+
+    assert.equal(filename, 'muted_batch_1234abcd.zip');
+    assert.deepEqual([...entries.keys()], ['talk.mp4', 'talk (2).mp4', MANIFEST_NAME]);
+    assert.equal(entries.get('talk.mp4').toString(), 'first video');
+    assert.equal(entries.get('talk (2).mp4').toString(), 'second video');
+
+    const manifest = JSON.parse(entries.get(MANIFEST_NAME));
+    assert.ok(!Number.isNaN(Date.parse(manifest.generatedAt)));
+    assert.equal(manifest.batchId, '1234abcd');
+    assert.equal(manifest.fileCount, 2);
+    assert.deepEqual(manifest.files, [{ filename: 'talk.mp4', jobId: 'a' }, { filename: 'talk (2).mp4', jobId: 'c' }]);
+    assert.deepEqual(manifest.failures, [
+        { jobId: 'e', status: 'failed', error: 'ffmpeg exited with code 1' },
+        { filename: 'gone.mp4', jobId: 'b', error: 'File not found' },
+        { filename: 'remote.mp4', jobId: 'd', error: 'File not found' }
+    ]);
+});